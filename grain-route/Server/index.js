@@ -3,6 +3,15 @@ import { createServer } from "http";
 import { Server } from "socket.io";
 import connectDB from "./src/db/index.js";
 import { app } from "./src/app.js";
+import { startSpoilageSweeper } from "./src/services/spoilageSweeper.js";
+import { startForecastJob } from "./src/services/forecastService.js";
+import { registerPlaybackHandlers } from "./src/services/playbackService.js";
+import {
+  authenticateSocket,
+  registerSubscriptionHandlers,
+} from "./src/services/liveSubscriptions.js";
+import { attachSocketAdapter } from "./src/services/socketCluster.js";
+import { loadDistanceProvider } from "./src/services/distanceProvider.js";
 
 dotenv.config({
   path: "./.env",
@@ -14,18 +23,25 @@ const io = new Server(httpServer, {
   cors: {
     origin: process.env.FRONTEND_URL || "http://localhost:3000",
     methods: ["GET", "POST"],
+    credentials: true,
   },
 });
 
+// Handshakes carry an access token (or service key); see liveSubscriptions
+io.use(authenticateSocket);
+
 // Socket.IO event handlers
 io.on("connection", (socket) => {
-  console.log(`✅ Client connected: ${socket.id}`);
+  console.log(
+    `✅ Client connected: ${socket.id} (${socket.data.user?.userId})`
+  );
 
-  socket.on("subscribe_today", (data) => {
-    const { nodeIds } = data || {};
-    console.log(`📡 Client ${socket.id} subscribed with nodeIds:`, nodeIds);
-    socket.join("live_updates");
-  });
+  // Live updates: subscribe_today {nodeIds, districts, regions, events},
+  // resume {lastSeq, epoch, ...filters} after a reconnect
+  registerSubscriptionHandlers(socket);
+
+  // Simulation playback: playback_join / playback_control / playback_leave
+  registerPlaybackHandlers(io, socket);
 
   socket.on("disconnect", () => {
     console.log(`❌ Client disconnected: ${socket.id}`);
@@ -39,13 +55,27 @@ export { io };
 app.set("io", io);
 
 connectDB()
-  .then(() => {
+  // Broadcasts and the live replay stream are shared with other instances
+  .then(() => attachSocketAdapter(io))
+  // The graph provider's road network is read before traffic arrives
+  .then(async (adapter) => {
+    await loadDistanceProvider();
+    return adapter;
+  })
+  .then((adapter) => {
     const port = process.env.PORT || 3001;
     httpServer.listen(port, () => {
       console.log(`⚙️  Server is running at port : ${port}`);
-      console.log(`🔌 Socket.IO ready for real-time updates`);
+      console.log(
+        `🔌 Socket.IO ready for real-time updates (${adapter} adapter)`
+      );
     });
+    startSpoilageSweeper(io);
+    startForecastJob();
   })
   .catch((err) => {
-    console.log("MONGO db connection failed !!! ", err);
+    console.log(
+      "Server startup failed (MONGO db or Socket.IO adapter) !!! ",
+      err
+    );
   });
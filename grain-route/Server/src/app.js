@@ -2,6 +2,7 @@ import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
 import logger from "./middleware/logger.middleware.js";
+import { correlationId } from "./middleware/correlation.middleware.js";
 import { ApiError } from "./utils/ApiError.js";
 
 const app = express();
@@ -15,10 +16,13 @@ app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 app.use(cookieParser());
 app.use(express.static("public"));
 import { startScenario } from "./controllers/node.controller.js";
+import { verifyJWT, authorizeRoles } from "./middleware/auth.middleware.js";
 
+// X-Request-Id on every request, propagated to upstream calls
+app.use(correlationId);
 app.use(logger);
 
-app.post("/api/v1/startMock", startScenario);
+app.post("/api/v1/startMock", verifyJWT, authorizeRoles(), startScenario);
 // Routes Import
 import eventRouter from "./routes/event.route.js";
 import mapRouter from "./routes/map.routes.js";
@@ -30,6 +34,11 @@ import batchRouter from "./routes/batch.route.js";
 import shipmentRouter from "./routes/shipment.route.js";
 import historyRouter from "./routes/history.route.js";
 import suggestRouter from "./routes/suggest.route.js";
+import userRouter from "./routes/user.route.js";
+import telemetryRouter from "./routes/telemetry.route.js";
+import fleetRouter from "./routes/fleet.route.js";
+import forecastRouter from "./routes/forecast.route.js";
+import healthRouter from "./routes/health.route.js";
 
 app.use("/api/v1/event/", eventRouter);
 app.use("/api/v1/map", mapRouter);
@@ -41,6 +50,11 @@ app.use("/api/batches", batchRouter);
 app.use("/api/shipments", shipmentRouter);
 app.use("/api/history", historyRouter);
 app.use("/api/suggest", suggestRouter);
+app.use("/api/v1/users", userRouter);
+app.use("/api/telemetry", telemetryRouter);
+app.use("/api/fleet", fleetRouter);
+app.use("/api/forecasts", forecastRouter);
+app.use("/api/health", healthRouter);
 
 // 404 handler (keeps API responses consistent)
 app.use((req, res) => {
@@ -3,7 +3,71 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Batch } from "../models/batch.model.js";
 import { Node } from "../models/node.model.js";
-import { calculateFreshnessPct } from "../utils/freshness.js";
+import { Shipment } from "../models/shipment.model.js";
+import { NGO } from "../models/NGO.model.js";
+import { listDecayProfiles } from "../utils/freshness.js";
+import { emitAlert } from "../services/frameEmitter.js";
+import { runSpoilageSweep } from "../services/spoilageSweeper.js";
+import { returnShipmentBatches } from "../services/shipmentService.js";
+import {
+  openRequestIds,
+  releaseShipmentFromRequest,
+  releaseBatchReservations,
+} from "../services/fulfillmentService.js";
+import {
+  resolveOverflowMode,
+  planPlacement,
+  notifyUtilization,
+} from "../services/capacityService.js";
+import {
+  getBatchExposure as computeBatchExposure,
+  createExposureCache,
+  preloadTimelines,
+  getLatestNodeReading,
+} from "../services/coldChainService.js";
+import mongoose from "mongoose";
+
+// Shipment statuses that have not yet delivered product
+const OPEN_SHIPMENT_STATUSES = ["pending", "in_transit", "delayed"];
+
+/**
+ * Walk parentBatchId links in both directions from a batch
+ * @param {Object} rootBatch - Batch document the walk starts from
+ * @param {Object} session - Optional mongoose session
+ * @returns {{ancestors: Object[], descendants: Object[]}} Lean batch docs
+ *   (ancestors ordered nearest-first, descendants in breadth-first order)
+ */
+const collectLineage = async (rootBatch, session = null) => {
+  const ancestors = [];
+  const seen = new Set([rootBatch._id.toString()]);
+
+  let parentId = rootBatch.parentBatchId;
+  while (parentId && !seen.has(parentId.toString())) {
+    const parent = await Batch.findById(parentId).session(session).lean();
+    if (!parent) break;
+    seen.add(parent._id.toString());
+    ancestors.push(parent);
+    parentId = parent.parentBatchId;
+  }
+
+  const descendants = [];
+  let frontier = [rootBatch._id];
+  while (frontier.length > 0) {
+    const children = await Batch.find({ parentBatchId: { $in: frontier } })
+      .session(session)
+      .lean();
+    frontier = [];
+    for (const child of children) {
+      const id = child._id.toString();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      descendants.push(child);
+      frontier.push(child._id);
+    }
+  }
+
+  return { ancestors, descendants };
+};
 
 /**
  * Create a new batch
@@ -18,6 +82,7 @@ const createBatch = asyncHandler(async (req, res) => {
     shelf_life_hours,
     manufacture_date,
     initial_temp_c,
+    overflow,
   } = req.body;
 
   if (!foodType || !quantity_kg || !originNodeId) {
@@ -39,33 +104,86 @@ const createBatch = asyncHandler(async (req, res) => {
     throw new ApiError(404, `Current node ${currentNodeId} not found`);
   }
 
-  const batch = await Batch.create({
-    foodType,
-    quantity_kg,
-    original_quantity_kg: quantity_kg,
-    originNode: originNode._id,
-    currentNode: currentNode._id,
-    status: "stored",
-    shelf_life_hours: shelf_life_hours || null,
-    manufacture_date: manufacture_date
-      ? new Date(manufacture_date)
-      : new Date(),
-    initial_temp_c: initial_temp_c || 25,
-    freshnessPct: 100,
-    history: [
-      {
-        time: new Date(),
-        action: "created",
-        from: originNode._id,
-        to: currentNode._id,
-        note: "Batch created",
-      },
-    ],
-  });
+  const mode = resolveOverflowMode(overflow);
+  const now = new Date();
+
+  // Without an explicit value, take the warehouse's latest sensor reading
+  let startTemp = initial_temp_c;
+  if (startTemp === undefined || startTemp === null) {
+    const reading = await getLatestNodeReading(currentNode._id);
+    startTemp = reading?.temp_c ?? 25;
+  }
+
+  // Placement and creation share a transaction so concurrent inbound stock
+  // cannot both pass the capacity check
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let placement;
+  let batch;
+  try {
+    // Full warehouses reject new stock, or queue it when overflow = 'queue'
+    placement = await planPlacement(currentNode, quantity_kg, {
+      mode,
+      session,
+    });
+
+    [batch] = await Batch.create(
+      [
+        {
+          foodType,
+          quantity_kg,
+          original_quantity_kg: quantity_kg,
+          originNode: originNode._id,
+          currentNode: currentNode._id,
+          status: placement.status,
+          queuedAt: placement.status === "queued" ? now : null,
+          shelf_life_hours: shelf_life_hours || null,
+          manufacture_date: manufacture_date
+            ? new Date(manufacture_date)
+            : new Date(),
+          initial_temp_c: startTemp,
+          freshnessPct: 100,
+          history: [
+            {
+              time: now,
+              action: "created",
+              from: originNode._id,
+              to: currentNode._id,
+              note:
+                placement.status === "queued"
+                  ? `Batch created; queued for space at ${currentNode.name}`
+                  : "Batch created",
+            },
+          ],
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  if (placement.status === "stored" && placement.utilization) {
+    await notifyUtilization(req.app.get("io"), currentNode);
+  }
 
   return res
     .status(201)
-    .json(new ApiResponse(201, { batch }, "Batch created successfully"));
+    .json(
+      new ApiResponse(
+        201,
+        { batch, placement: placement.status },
+        placement.status === "queued"
+          ? "Batch created and queued: node is at capacity"
+          : "Batch created successfully"
+      )
+    );
 });
 
 /**
@@ -96,18 +214,28 @@ const getBatches = asyncHandler(async (req, res) => {
 
   const total = await Batch.countDocuments(filter);
 
-  // Calculate current freshness for each batch
-  const batchesWithFreshness = batches.map((batch) => {
+  // Calculate current freshness for each batch from recorded temperatures
+  const now = new Date();
+  const oldest = batches.reduce(
+    (min, b) =>
+      b.manufacture_date && b.manufacture_date < min ? b.manufacture_date : min,
+    now
+  );
+  const cache = createExposureCache({ since: oldest, until: now });
+  await preloadTimelines(
+    cache,
+    batches.filter((b) => b.shelf_life_hours && b.manufacture_date)
+  );
+  const batchesWithFreshness = [];
+  for (const batch of batches) {
     const batchObj = batch.toObject();
     if (batch.shelf_life_hours && batch.manufacture_date) {
-      batchObj.currentFreshnessPct = calculateFreshnessPct(
-        batch,
-        new Date(),
-        25
-      );
+      const exposure = await computeBatchExposure(batch, { now, cache });
+      batchObj.currentFreshnessPct = exposure.freshnessPct;
+      batchObj.exposureAvgTempC = exposure.avgTempC;
     }
-    return batchObj;
-  });
+    batchesWithFreshness.push(batchObj);
+  }
 
   return res.json(
     new ApiResponse(
@@ -140,7 +268,9 @@ const getBatchById = asyncHandler(async (req, res) => {
 
   const batchObj = batch.toObject();
   if (batch.shelf_life_hours && batch.manufacture_date) {
-    batchObj.currentFreshnessPct = calculateFreshnessPct(batch, new Date(), 25);
+    const exposure = await computeBatchExposure(batch);
+    batchObj.currentFreshnessPct = exposure.freshnessPct;
+    batchObj.exposureAvgTempC = exposure.avgTempC;
   }
 
   return res.json(
@@ -148,6 +278,41 @@ const getBatchById = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Temperature exposure history and the freshness derived from it
+ * GET /api/batches/:batchId/exposure
+ */
+const getBatchExposure = asyncHandler(async (req, res) => {
+  const { batchId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(batchId)) {
+    throw new ApiError(400, `Invalid batchId '${batchId}'`);
+  }
+
+  const batch = await Batch.findById(batchId).lean();
+  if (!batch) {
+    throw new ApiError(404, "Batch not found");
+  }
+
+  const exposure = await computeBatchExposure(batch, {
+    includeSegments: true,
+  });
+
+  return res.json(
+    new ApiResponse(
+      200,
+      {
+        batchId: batch._id,
+        foodType: batch.foodType,
+        manufacture_date: batch.manufacture_date,
+        shelf_life_hours: batch.shelf_life_hours,
+        ...exposure,
+      },
+      "Batch exposure retrieved successfully"
+    )
+  );
+});
+
 /**
  * Get inventory summary by node
  * GET /api/batches/inventory/summary?nodeId=
@@ -199,4 +364,377 @@ const getInventorySummary = asyncHandler(async (req, res) => {
   );
 });
 
-export { createBatch, getBatches, getBatchById, getInventorySummary };
+/**
+ * Get the full lineage graph of a batch
+ * GET /api/batches/:batchId/lineage
+ *
+ * Returns ancestors (via parentBatchId), descendants (split children, recursively),
+ * parent -> child edges, every shipment carrying any batch in the tree,
+ * and the node hops recorded in each batch's history.
+ */
+const getBatchLineage = asyncHandler(async (req, res) => {
+  const { batchId } = req.params;
+
+  if (!mongoose.isValidObjectId(batchId)) {
+    throw new ApiError(400, `Invalid batch ID '${batchId}'`);
+  }
+
+  const batch = await Batch.findById(batchId).lean();
+  if (!batch) {
+    throw new ApiError(404, "Batch not found");
+  }
+
+  const { ancestors, descendants } = await collectLineage(batch);
+  const allBatches = [...ancestors.slice().reverse(), batch, ...descendants];
+  const allBatchIds = allBatches.map((b) => b._id);
+
+  const shipments = await Shipment.find({ batchIds: { $in: allBatchIds } })
+    .populate("fromNode toNode", "name type district regionId location")
+    .sort({ start_iso: 1 })
+    .lean();
+
+  // Resolve every node referenced in the histories in one query
+  const nodeIds = new Set();
+  for (const b of allBatches) {
+    for (const h of b.history || []) {
+      if (h.from) nodeIds.add(h.from.toString());
+      if (h.to) nodeIds.add(h.to.toString());
+    }
+    if (b.currentNode) nodeIds.add(b.currentNode.toString());
+  }
+  const nodes = await Node.find({ _id: { $in: [...nodeIds] } })
+    .select("name type district regionId location")
+    .lean();
+  const nodesById = new Map(nodes.map((n) => [n._id.toString(), n]));
+  const nodeSummary = (id) => {
+    if (!id) return null;
+    const node = nodesById.get(id.toString());
+    return node
+      ? { nodeId: node._id, name: node.name, type: node.type }
+      : { nodeId: id, name: null, type: null };
+  };
+
+  const batchIdSet = new Set(allBatchIds.map((id) => id.toString()));
+  const toLineageNode = (b, relation) => ({
+    batchId: b._id,
+    parentBatchId: b.parentBatchId || null,
+    relation,
+    foodType: b.foodType,
+    quantity_kg: b.quantity_kg,
+    original_quantity_kg: b.original_quantity_kg,
+    status: b.status,
+    recalled: !!b.recall?.recalled,
+    currentNode: nodeSummary(b.currentNode),
+    // Hops are history entries that moved the batch between nodes
+    hops: (b.history || [])
+      .filter((h) => h.from && h.to && h.from.toString() !== h.to.toString())
+      .map((h) => ({
+        time: h.time,
+        action: h.action,
+        from: nodeSummary(h.from),
+        to: nodeSummary(h.to),
+        note: h.note,
+      })),
+    shipments: shipments
+      .filter((s) =>
+        (s.batchIds || []).some((id) => id.toString() === b._id.toString())
+      )
+      .map((s) => s.shipmentId || s.shipmentID || s._id),
+  });
+
+  const edges = allBatches
+    .filter(
+      (b) => b.parentBatchId && batchIdSet.has(b.parentBatchId.toString())
+    )
+    .map((b) => ({ from: b.parentBatchId, to: b._id }));
+
+  return res.json(
+    new ApiResponse(
+      200,
+      {
+        root: toLineageNode(batch, "self"),
+        ancestors: ancestors.map((b) => toLineageNode(b, "ancestor")),
+        descendants: descendants.map((b) => toLineageNode(b, "descendant")),
+        edges,
+        shipments: shipments.map((s) => ({
+          _id: s._id,
+          shipmentId: s.shipmentId || s.shipmentID,
+          status: s.status,
+          fromNode: s.fromNode
+            ? {
+                nodeId: s.fromNode._id,
+                name: s.fromNode.name,
+                type: s.fromNode.type,
+              }
+            : null,
+          toNode: s.toNode
+            ? {
+                nodeId: s.toNode._id,
+                name: s.toNode.name,
+                type: s.toNode.type,
+              }
+            : null,
+          start_iso: s.start_iso,
+          eta_iso: s.eta_iso,
+          arrived_iso: s.arrived_iso,
+          batchIds: (s.batchIds || []).filter((id) =>
+            batchIdSet.has(id.toString())
+          ),
+        })),
+      },
+      "Batch lineage retrieved successfully"
+    )
+  );
+});
+
+/**
+ * Recall a batch and everything split from it
+ * POST /api/batches/:batchId/recall
+ *
+ * Request body: { reason: string }
+ *
+ * Inside a transaction:
+ * 1. Flag the batch and all descendants as recalled
+ * 2. Cancel open (pending / in_transit / delayed) shipments carrying them and
+ *    return the affected batches to the shipment's source node
+ * 3. Release request reservations on them that have no shipment yet
+ * 4. List NGOs that already received product from arrived shipments
+ */
+const recallBatch = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { batchId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!mongoose.isValidObjectId(batchId)) {
+      throw new ApiError(400, `Invalid batch ID '${batchId}'`);
+    }
+    if (!reason || typeof reason !== "string") {
+      throw new ApiError(400, "Missing required field: reason");
+    }
+
+    const batch = await Batch.findById(batchId).session(session).lean();
+    if (!batch) {
+      throw new ApiError(404, "Batch not found");
+    }
+
+    const { descendants } = await collectLineage(batch, session);
+    const targets = [batch, ...descendants];
+    const targetIds = targets.map((b) => b._id);
+    const targetIdSet = new Set(targetIds.map((id) => id.toString()));
+    const recalledAt = new Date();
+
+    await Batch.updateMany(
+      { _id: { $in: targetIds } },
+      {
+        recall: {
+          recalled: true,
+          recalledAt,
+          reason,
+          sourceBatchId: batch._id,
+          recalledBy: req.user?._id || null,
+        },
+        $push: {
+          history: {
+            time: recalledAt,
+            action: "recalled",
+            note: `Recalled via batch ${batch._id}: ${reason}`,
+          },
+        },
+      },
+      { session }
+    );
+
+    const shipments = await Shipment.find({ batchIds: { $in: targetIds } })
+      .populate("toNode stops.node", "name type district")
+      .session(session);
+
+    const cancelledShipments = [];
+    const deliveredByNode = new Map();
+
+    for (const shipment of shipments) {
+      const affected = shipment.batchIds.filter((id) =>
+        targetIdSet.has(id.toString())
+      );
+
+      // Drops already handed over: the whole shipment, or a route's arrived stops
+      const drops = shipment.stops?.length
+        ? shipment.stops
+            .filter((stop) => stop.status === "arrived")
+            .map((stop) => ({ node: stop.node, batchIds: stop.batchIds }))
+        : shipment.status === "arrived"
+          ? [{ node: shipment.toNode, batchIds: shipment.batchIds }]
+          : [];
+      for (const drop of drops) {
+        if (drop.node?.type !== "ngo") continue;
+        const dropped = drop.batchIds.filter((id) =>
+          targetIdSet.has(id.toString())
+        );
+        if (!dropped.length) continue;
+        const key = drop.node._id.toString();
+        const entry = deliveredByNode.get(key) || {
+          node: drop.node,
+          shipmentIds: [],
+          batchIds: [],
+        };
+        entry.shipmentIds.push(shipment.shipmentId);
+        entry.batchIds.push(...dropped);
+        deliveredByNode.set(key, entry);
+      }
+
+      if (OPEN_SHIPMENT_STATUSES.includes(shipment.status)) {
+        shipment.status = "cancelled";
+        shipment.metadata = {
+          ...(shipment.metadata || {}),
+          cancellation: {
+            time: recalledAt,
+            reason: `recall: ${reason}`,
+            sourceBatchId: batch._id,
+          },
+        };
+        await shipment.save({ session });
+
+        // Cancelled before delivery: product goes back to the source node
+        await returnShipmentBatches(shipment, {
+          time: recalledAt,
+          note: `Shipment ${shipment.shipmentId} cancelled by recall`,
+          session,
+        });
+        for (const requestId of openRequestIds(shipment)) {
+          await releaseShipmentFromRequest(shipment, {
+            session,
+            time: recalledAt,
+            requestId,
+          });
+        }
+
+        cancelledShipments.push({
+          _id: shipment._id,
+          shipmentId: shipment.shipmentId,
+          affectedBatchIds: affected,
+        });
+      }
+    }
+
+    const releasedRequests = await releaseBatchReservations(targetIds, {
+      session,
+      time: recalledAt,
+      note: `Reservation released by recall: ${reason}`,
+    });
+
+    // NGO orgs are linked to NGO nodes by name (same as the allocation engine)
+    const ngoNames = [...deliveredByNode.values()].map((e) => e.node.name);
+    const ngoOrgs = ngoNames.length
+      ? await NGO.find({ name: { $in: ngoNames } }).session(session).lean()
+      : [];
+    const quantityById = new Map(
+      targets.map((b) => [b._id.toString(), b.quantity_kg || 0])
+    );
+
+    const affectedNGOs = [...deliveredByNode.values()].map((entry) => {
+      const org = ngoOrgs.find((o) => o.name === entry.node.name);
+      return {
+        ngoId: org?._id || null,
+        name: entry.node.name,
+        district: entry.node.district,
+        contactInfo: org?.contactInfo || null,
+        shipmentIds: entry.shipmentIds,
+        batchIds: entry.batchIds,
+        quantity_kg: entry.batchIds.reduce(
+          (sum, id) => sum + (quantityById.get(id.toString()) || 0),
+          0
+        ),
+      };
+    });
+
+    await session.commitTransaction();
+
+    if (req.app && req.app.get("io")) {
+      emitAlert(
+        req.app.get("io"),
+        {
+          type: "batch_recall",
+          severity: "critical",
+          message: `Batch ${batch._id} recalled (${targets.length} batches): ${reason}`,
+          batchId: batch._id,
+          cancelledShipments: cancelledShipments.length,
+          affectedNGOs: affectedNGOs.length,
+        },
+        [
+          ...targets.map((b) => b.currentNode),
+          ...[...deliveredByNode.values()].map((entry) => entry.node),
+        ]
+      );
+    }
+
+    return res.json(
+      new ApiResponse(
+        200,
+        {
+          batchId: batch._id,
+          reason,
+          recalledAt,
+          recalledBatchIds: targetIds,
+          cancelledShipments,
+          releasedRequests,
+          affectedNGOs,
+        },
+        `Recalled ${targetIds.length} batches`
+      )
+    );
+  } catch (error) {
+    await session.abortTransaction();
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(
+      500,
+      "Failed to recall batch",
+      [error.message],
+      error.stack
+    );
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * List registered per-food-type decay profiles
+ * GET /api/batches/decay-profiles
+ */
+const getDecayProfiles = asyncHandler(async (req, res) => {
+  const profiles = listDecayProfiles();
+
+  return res.json(
+    new ApiResponse(200, { profiles }, "Decay profiles retrieved")
+  );
+});
+
+/**
+ * Trigger a spoilage sweep immediately (normally runs on a timer)
+ * If a sweep is already running, waits for it and returns its summary.
+ * POST /api/batches/spoilage/sweep
+ */
+const sweepSpoilage = asyncHandler(async (req, res) => {
+  const summary = await runSpoilageSweep({ io: req.app?.get("io") || null });
+
+  return res.json(
+    new ApiResponse(
+      200,
+      summary,
+      `Spoilage sweep complete: ${summary.spoiled} batches spoiled`
+    )
+  );
+});
+
+export {
+  createBatch,
+  getBatches,
+  getBatchById,
+  getBatchExposure,
+  getInventorySummary,
+  getBatchLineage,
+  recallBatch,
+  sweepSpoilage,
+  getDecayProfiles,
+};
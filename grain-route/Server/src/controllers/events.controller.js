@@ -7,6 +7,11 @@ import { Node } from "../models/node.model.js";
 import { Batch } from "../models/batch.model.js";
 import { NGO } from "../models/NGO.model.js";
 import mongoose from "mongoose";
+import {
+  resolveOverflowMode,
+  planPlacement,
+  notifyUtilization,
+} from "../services/capacityService.js";
 
 const storeEvent = asyncHandler(async (req, res) => {
   try {
@@ -71,33 +76,63 @@ const storeEvent = asyncHandler(async (req, res) => {
         );
       }
 
-      createdBatch = await Batch.create({
-        parentBatchId: null,
-        quantity_kg: batchQty,
-        original_quantity_kg: batchQty,
-        originNode: nodeDoc._id,
-        currentNode: nodeDoc._id,
-        shelf_life_hours: null,
-        manufacture_date: new Date(batch.dateOfCreation),
-        expiry_iso: null,
-        initial_temp_c: null,
-        freshnessPct: 100,
-        history: [
-          {
-            time: new Date(time),
-            action: "created",
-            from: nodeDoc._id,
-            to: nodeDoc._id,
-            note: `Batch created from ${node.nodeId} (${node.type}).`,
-          },
-        ],
-        metadata: {
-          district: node.district,
-          state: node.state,
-          coordinates: node.location || {},
-        },
-        status: "stored",
-      });
+      // Placement and creation share a transaction so concurrent inbound
+      // stock cannot both pass the capacity check
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      let placement;
+      try {
+        placement = await planPlacement(nodeDoc, batchQty, {
+          mode: resolveOverflowMode(payload.overflow),
+          session,
+        });
+
+        [createdBatch] = await Batch.create(
+          [
+            {
+              parentBatchId: null,
+              quantity_kg: batchQty,
+              original_quantity_kg: batchQty,
+              originNode: nodeDoc._id,
+              currentNode: nodeDoc._id,
+              shelf_life_hours: null,
+              manufacture_date: new Date(batch.dateOfCreation),
+              expiry_iso: null,
+              initial_temp_c: null,
+              freshnessPct: 100,
+              history: [
+                {
+                  time: new Date(time),
+                  action: "created",
+                  from: nodeDoc._id,
+                  to: nodeDoc._id,
+                  note: `Batch created from ${node.nodeId} (${node.type}).`,
+                },
+              ],
+              metadata: {
+                district: node.district,
+                state: node.state,
+                coordinates: node.location || {},
+              },
+              status: placement.status,
+              queuedAt: placement.status === "queued" ? new Date(time) : null,
+            },
+          ],
+          { session }
+        );
+
+        await session.commitTransaction();
+      } catch (error) {
+        await session.abortTransaction();
+        throw error;
+      } finally {
+        session.endSession();
+      }
+
+      if (placement.status === "stored" && placement.utilization) {
+        await notifyUtilization(req.app.get("io"), nodeDoc);
+      }
     }
 
     // 🟦 NGO REQUEST EVENT
@@ -241,14 +276,4 @@ const createNGORequest = asyncHandler(async (req, res) => {
   }
 });
 
-const newShipment = asyncHandler(async (req, res) => {
-  return res
-    .status(200)
-    .json(new ApiResponse(500, {}, "No need for Shipment data"));
-});
-
-const shipmentUpdate = asyncHandler(async (req, res) => {
-  //using web sockets , get data from dummy server on live location tracking and logs it in the events + shipmentLocation.model;;
-});
-
-export { storeEvent, createNGORequest, newShipment };
+export { storeEvent, createNGORequest };
@@ -0,0 +1,364 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import mongoose from "mongoose";
+import { Vehicle } from "../models/vehicle.model.js";
+import { Node } from "../models/node.model.js";
+import {
+  buildFleetSchedule,
+  findVehicleConflicts,
+} from "../services/fleetService.js";
+import { planRequestRoutes } from "../services/routePlanner.js";
+import { emitShipmentUpdate } from "../services/frameEmitter.js";
+
+const VEHICLE_STATUSES = ["active", "maintenance", "retired"];
+
+/**
+ * Validate and normalise availability windows
+ * @returns {Object[]} [{start_iso, end_iso}]
+ */
+const parseAvailability = (availability) => {
+  if (availability === undefined) return undefined;
+  if (!Array.isArray(availability)) {
+    throw new ApiError(400, "'availability' must be an array of windows.");
+  }
+  return availability.map((w, index) => {
+    const start = new Date(w?.start_iso);
+    const end = new Date(w?.end_iso);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      throw new ApiError(
+        400,
+        `availability[${index}] needs valid 'start_iso' < 'end_iso'.`
+      );
+    }
+    return { start_iso: start, end_iso: end };
+  });
+};
+
+const validateDepot = async (homeDepot) => {
+  if (!homeDepot) return;
+  const depot = await Node.findById(homeDepot);
+  if (!depot) {
+    throw new ApiError(404, `Depot node '${homeDepot}' not found.`);
+  }
+  if (depot.type !== "warehouse") {
+    throw new ApiError(
+      400,
+      `Depot '${depot.name}' is a '${depot.type}', not a warehouse.`
+    );
+  }
+};
+
+/**
+ * Register a vehicle
+ * POST /api/fleet/vehicles
+ */
+const createVehicle = asyncHandler(async (req, res) => {
+  try {
+    const {
+      vehicleId,
+      registration,
+      capacity_kg,
+      refrigerated,
+      homeDepot,
+      availability,
+      metadata,
+    } = req.body;
+
+    if (!vehicleId || typeof capacity_kg !== "number" || capacity_kg <= 0) {
+      throw new ApiError(
+        400,
+        "Missing required fields: 'vehicleId' and a positive numeric 'capacity_kg' are mandatory."
+      );
+    }
+
+    await validateDepot(homeDepot);
+
+    const existing = await Vehicle.findOne({ vehicleId });
+    if (existing) {
+      throw new ApiError(409, `Vehicle '${vehicleId}' already exists.`);
+    }
+
+    const vehicle = await Vehicle.create({
+      vehicleId,
+      registration,
+      capacity_kg,
+      refrigerated: Boolean(refrigerated),
+      homeDepot: homeDepot || null,
+      availability: parseAvailability(availability) || [],
+      metadata,
+    });
+
+    return res
+      .status(201)
+      .json(new ApiResponse(201, vehicle, "Vehicle registered successfully."));
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(
+      500,
+      "Failed to register vehicle.",
+      [error.message],
+      error.stack
+    );
+  }
+});
+
+/**
+ * List vehicles
+ * GET /api/fleet/vehicles?status=&depot=&refrigerated=
+ */
+const getVehicles = asyncHandler(async (req, res) => {
+  const { status, depot, refrigerated } = req.query;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (depot) filter.homeDepot = depot;
+  if (refrigerated !== undefined) filter.refrigerated = refrigerated === "true";
+
+  const vehicles = await Vehicle.find(filter)
+    .populate("homeDepot", "name district")
+    .sort({ vehicleId: 1 });
+
+  return res.json(
+    new ApiResponse(
+      200,
+      { vehicles, total: vehicles.length },
+      "Vehicles retrieved successfully"
+    )
+  );
+});
+
+/**
+ * Get one vehicle with its upcoming bookings
+ * GET /api/fleet/vehicles/:vehicleId
+ */
+const getVehicleById = asyncHandler(async (req, res) => {
+  const { vehicleId } = req.params;
+
+  const vehicle = await Vehicle.findOne({ vehicleId }).populate(
+    "homeDepot",
+    "name district"
+  );
+  if (!vehicle) {
+    throw new ApiError(404, `Vehicle '${vehicleId}' not found.`);
+  }
+
+  const now = new Date();
+  const bookings = await findVehicleConflicts(
+    vehicleId,
+    now,
+    new Date(8640000000000000)
+  );
+
+  return res.json(
+    new ApiResponse(
+      200,
+      { vehicle, bookings },
+      "Vehicle retrieved successfully"
+    )
+  );
+});
+
+/**
+ * Update a vehicle
+ * PATCH /api/fleet/vehicles/:vehicleId
+ */
+const updateVehicle = asyncHandler(async (req, res) => {
+  try {
+    const { vehicleId } = req.params;
+    const {
+      registration,
+      capacity_kg,
+      refrigerated,
+      homeDepot,
+      status,
+      availability,
+      metadata,
+    } = req.body;
+
+    const vehicle = await Vehicle.findOne({ vehicleId });
+    if (!vehicle) {
+      throw new ApiError(404, `Vehicle '${vehicleId}' not found.`);
+    }
+
+    if (capacity_kg !== undefined) {
+      if (typeof capacity_kg !== "number" || capacity_kg <= 0) {
+        throw new ApiError(400, "'capacity_kg' must be a positive number.");
+      }
+      vehicle.capacity_kg = capacity_kg;
+    }
+    if (status !== undefined) {
+      if (!VEHICLE_STATUSES.includes(status)) {
+        throw new ApiError(
+          400,
+          `Invalid status '${status}'. Must be one of ${VEHICLE_STATUSES.join(", ")}.`
+        );
+      }
+      vehicle.status = status;
+    }
+    if (homeDepot !== undefined) {
+      await validateDepot(homeDepot);
+      vehicle.homeDepot = homeDepot || null;
+    }
+    if (registration !== undefined) vehicle.registration = registration;
+    if (refrigerated !== undefined) vehicle.refrigerated = Boolean(refrigerated);
+    if (availability !== undefined) {
+      vehicle.availability = parseAvailability(availability);
+    }
+    if (metadata !== undefined) vehicle.metadata = metadata;
+
+    await vehicle.save();
+
+    return res.json(
+      new ApiResponse(200, vehicle, "Vehicle updated successfully.")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(
+      500,
+      "Failed to update vehicle.",
+      [error.message],
+      error.stack
+    );
+  }
+});
+
+/**
+ * Fleet utilization over time
+ * GET /api/fleet/schedule?from=&to=&bucket=hour|day&depot=
+ * Defaults to the next 7 days in daily buckets.
+ */
+const getFleetSchedule = asyncHandler(async (req, res) => {
+  const { from, to, bucket = "day", depot } = req.query;
+
+  const fromDate = from ? new Date(from) : new Date();
+  const toDate = to
+    ? new Date(to)
+    : new Date(fromDate.getTime() + 7 * 24 * 60 * 60 * 1000);
+  if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+    throw new ApiError(400, "Invalid 'from' or 'to' date.");
+  }
+
+  const schedule = await buildFleetSchedule({
+    from: fromDate,
+    to: toDate,
+    bucket,
+    depotId: depot || null,
+  });
+
+  return res.json(
+    new ApiResponse(200, schedule, "Fleet schedule retrieved successfully")
+  );
+});
+
+/**
+ * Plan consolidated multi-stop deliveries for approved requests
+ * POST /api/fleet/routes
+ *
+ * Request body:
+ * {
+ *   requestIds: [ObjectId],      // approved with generateShipments=false
+ *   vehicleIds: [string],        // optional, default: all active vehicles
+ *   depotId: ObjectId,           // optional, only stock reserved here
+ *   startTime: ISO date,         // optional, defaults to now
+ *   dryRun: boolean              // optional, plan without creating shipments
+ * }
+ * dryRun may also be sent as "true"/"false" or as ?dryRun= in the query.
+ *
+ * Each route becomes one pending shipment with ordered stops and per-stop
+ * drop quantities; stop ETAs respect Request.requiredBefore where possible
+ * (late stops are flagged).
+ */
+const planDeliveryRoutes = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const {
+      requestIds,
+      vehicleIds,
+      depotId,
+      startTime,
+      dryRun = req.query?.dryRun ?? false,
+    } = req.body || {};
+
+    if (!Array.isArray(requestIds) || requestIds.length === 0) {
+      throw new ApiError(400, "'requestIds' must be a non-empty array.");
+    }
+    if (vehicleIds !== undefined && !Array.isArray(vehicleIds)) {
+      throw new ApiError(400, "'vehicleIds' must be an array.");
+    }
+
+    const startDate = startTime ? new Date(startTime) : new Date();
+    if (isNaN(startDate.getTime())) {
+      throw new ApiError(400, "Invalid 'startTime'.");
+    }
+
+    // Form and query values arrive as strings
+    if (![true, false, "true", "false"].includes(dryRun)) {
+      throw new ApiError(400, "'dryRun' must be true or false.");
+    }
+
+    const plan = await planRequestRoutes({
+      requestIds,
+      vehicleIds,
+      depotId: depotId || null,
+      startDate,
+      dryRun: dryRun === true || dryRun === "true",
+      createdBy: req.user?._id || null,
+      session,
+    });
+
+    await session.commitTransaction();
+
+    if (req.app && req.app.get("io")) {
+      const io = req.app.get("io");
+      for (const shipment of plan.shipments) {
+        emitShipmentUpdate(
+          io,
+          {
+            type: "shipment_created",
+            shipmentId: shipment.shipmentId,
+            status: shipment.status,
+            vehicleId: shipment.vehicleId,
+            stops: shipment.stops.length,
+            eta: shipment.eta_iso,
+          },
+          [shipment.fromNode, ...shipment.stops.map((stop) => stop.node)]
+        );
+      }
+    }
+
+    return res
+      .status(dryRun ? 200 : 201)
+      .json(
+        new ApiResponse(
+          dryRun ? 200 : 201,
+          plan,
+          dryRun
+            ? `Planned ${plan.routes.length} route(s)`
+            : `Created ${plan.shipments.length} route shipment(s)`
+        )
+      );
+  } catch (error) {
+    await session.abortTransaction();
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(
+      500,
+      "Failed to plan delivery routes.",
+      [error.message],
+      error.stack
+    );
+  } finally {
+    session.endSession();
+  }
+});
+
+export {
+  createVehicle,
+  getVehicles,
+  getVehicleById,
+  updateVehicle,
+  getFleetSchedule,
+  planDeliveryRoutes,
+};
@@ -0,0 +1,124 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import {
+  parseHorizons,
+  listForecasters,
+  runForecastJob,
+  resolveForecastWindow,
+  compareForecasts,
+  getForecastAccuracy,
+} from "../services/forecastService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shared filters of the forecast queries
+const resolveForecastQuery = (query, defaults) => {
+  const { from, to } = resolveForecastWindow(query, defaults);
+  let horizon = null;
+  if (query.horizon !== undefined && query.horizon !== "") {
+    [horizon] = parseHorizons([query.horizon]);
+  }
+  return {
+    from,
+    to,
+    horizon,
+    regionId: query.regionId || null,
+    modelVersion: query.modelVersion || null,
+  };
+};
+
+/**
+ * Stored forecasts vs. actual demand
+ * GET /api/forecasts?from=&to=&regionId=&horizon=&modelVersion=
+ *
+ * One row per stored forecast with the demand actually requested in its
+ * region on the target day (null while the day is still open).
+ * Defaults: target days from 30 days ago to 30 days ahead.
+ */
+const getForecasts = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const options = resolveForecastQuery(req.query, {
+    from: new Date(now.getTime() - 30 * DAY_MS),
+    to: new Date(now.getTime() + 30 * DAY_MS),
+  });
+
+  const forecasts = await compareForecasts({ ...options, now });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        from: options.from,
+        to: options.to,
+        count: forecasts.length,
+        forecasts,
+      },
+      "Forecasts retrieved successfully"
+    )
+  );
+});
+
+/**
+ * Forecast accuracy per region and model version
+ * GET /api/forecasts/accuracy?from=&to=&regionId=&horizon=&modelVersion=
+ *
+ * MAPE, bias and MAE over target days that have ended, per model version
+ * and horizon and per region. Defaults to the last 30 days.
+ */
+const getAccuracy = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const options = resolveForecastQuery(req.query, {
+    from: new Date(now.getTime() - 30 * DAY_MS),
+    to: new Date(now.getTime() - DAY_MS),
+  });
+
+  const accuracy = await getForecastAccuracy({ ...options, now });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { from: options.from, to: options.to, ...accuracy },
+        "Forecast accuracy computed successfully"
+      )
+    );
+});
+
+/**
+ * Registered forecast models
+ * GET /api/forecasts/models
+ */
+const getForecastModels = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        listForecasters(),
+        "Forecast models retrieved successfully"
+      )
+    );
+});
+
+/**
+ * Run the forecast job now
+ * POST /api/forecasts/run  { model?, horizons?, asOf? }
+ */
+const runForecast = asyncHandler(async (req, res) => {
+  const { model, horizons, asOf } = req.body || {};
+  const issuedAt = asOf ? new Date(asOf) : new Date();
+  if (isNaN(issuedAt.getTime())) {
+    throw new ApiError(400, "Invalid asOf date");
+  }
+
+  // An unreachable ML service falls back to the baseline (summary.fallback)
+  const summary = await runForecastJob({ asOf: issuedAt, horizons, model });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, summary, "Forecasts stored successfully"));
+});
+
+export { getForecasts, getAccuracy, getForecastModels, runForecast };
@@ -0,0 +1,27 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { getUpstreamHealth } from "../services/upstreamClient.js";
+
+/**
+ * Upstream dependencies of this instance
+ * GET /api/health/dependencies
+ *
+ * Circuit breaker state, policy and call metrics per upstream service
+ * (ml, simulation, transport, scenario). status is 'degraded' while any
+ * circuit is open or half-open.
+ */
+const getDependencies = asyncHandler(async (req, res) => {
+  const health = getUpstreamHealth();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        health,
+        `Upstream dependencies ${health.status === "ok" ? "healthy" : "degraded"}`
+      )
+    );
+});
+
+export { getDependencies };
@@ -1,4 +1,3 @@
-import axios from "axios";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
@@ -7,6 +6,8 @@ import { Node } from "../models/node.model.js";
 import { Request } from "../models/request.model.js";
 import { Batch } from "../models/batch.model.js";
 import { Shipment } from "../models/shipment.model.js";
+import { predictDemand } from "../services/demandForecaster.js";
+import { callUpstream } from "../services/upstreamClient.js";
 
 /* ============================================================
    Utils
@@ -21,6 +22,8 @@ function resolveBaseUrl(raw, fallback) {
 
 /* ============================================================
    SEND DATA TO ML SERVICE
+   Snapshot modes forecast through demandForecaster: the in-process
+   baseline by default, or the ML service with the baseline as fallback.
 ============================================================ */
 
 const sendSimulationData = asyncHandler(async (req, res) => {
@@ -52,9 +55,9 @@ const sendSimulationData = asyncHandler(async (req, res) => {
         batches: Array.isArray(req.body?.batches) ? req.body.batches : [],
       };
 
-      const response = await axios.post(endpoint, payload, {
-        headers: { "Content-Type": "application/json" },
-        timeout: 10000,
+      const forecast = await predictDemand(payload, {
+        url: baseURL,
+        service: "simulation",
       });
 
       return res
@@ -62,7 +65,7 @@ const sendSimulationData = asyncHandler(async (req, res) => {
         .json(
           new ApiResponse(
             200,
-            response.data,
+            forecast,
             "Snapshot ML inference completed successfully."
           )
         );
@@ -72,11 +75,12 @@ const sendSimulationData = asyncHandler(async (req, res) => {
        MODE 1 — Direct ML inference (records provided by client)
     ======================================================== */
     if (Array.isArray(req.body?.records)) {
-      const response = await axios.post(
-        endpoint,
-        { records: req.body.records },
-        { headers: { "Content-Type": "application/json" }, timeout: 10000 }
-      );
+      const response = await callUpstream("simulation", {
+        method: "post",
+        url: endpoint,
+        data: { records: req.body.records },
+        headers: { "Content-Type": "application/json" },
+      });
 
       return res
         .status(200)
@@ -109,6 +113,7 @@ const sendSimulationData = asyncHandler(async (req, res) => {
       return {
         _id: node._id.toString(),
         nodeId: node._id.toString(),
+        name: node.name,
         type: node.type,
         district: node.district || null,
         state: node.state || node.regionId || "Unknown",
@@ -121,6 +126,9 @@ const sendSimulationData = asyncHandler(async (req, res) => {
       _id: r._id.toString(),
       requestId: r._id.toString(),
       requesterNode: r.requesterNode?.toString() || null,
+      destinationNode: r.destinationNode?.toString() || null,
+      createdOn:
+        r.createdOn instanceof Date ? r.createdOn.toISOString() : null,
       items: Array.isArray(r.items)
         ? r.items
             .map((i) => ({
@@ -187,9 +195,9 @@ const sendSimulationData = asyncHandler(async (req, res) => {
     console.log("🚀 ML PAYLOAD KEYS:", Object.keys(payload));
     console.log("📦 batches length:", payload.batches.length);
 
-    const response = await axios.post(endpoint, payload, {
-      headers: { "Content-Type": "application/json" },
-      timeout: 10000,
+    const forecast = await predictDemand(payload, {
+      url: baseURL,
+      service: "simulation",
     });
 
     return res
@@ -197,13 +205,16 @@ const sendSimulationData = asyncHandler(async (req, res) => {
       .json(
         new ApiResponse(
           200,
-          response.data,
+          forecast,
           "Simulation data fetched from DB and sent successfully."
         )
       );
   } catch (error) {
     console.error("❌ ML ERROR:", error?.response?.data || error.message);
 
+    // Open circuit (upstreamClient)
+    if (error instanceof ApiError) throw error;
+
     if (error.response) {
       throw new ApiError(
         error.response.status,
@@ -301,20 +312,19 @@ const getData = asyncHandler(async (req, res) => {
     };
   });
 
-  const response = await axios.post(
-    endpoint,
-    {
+  const response = await callUpstream("simulation", {
+    method: "post",
+    url: endpoint,
+    data: {
       nodes: formattedNodes,
       batches: formattedBatches,
       // Routing enrichment can be slow due to external OSRM calls.
       // For the UI demo we only need the plan; routes can be added later.
       includeRoutes: false,
     },
-    {
-      headers: { "Content-Type": "application/json" },
-      timeout: 60000,
-    }
-  );
+    headers: { "Content-Type": "application/json" },
+    timeout: 60000,
+  });
 
   return res
     .status(200)
@@ -4,6 +4,14 @@ import { ApiResponse } from "../utils/ApiResponse.js";
 import { NGO } from "../models/NGO.model.js";
 import { Request } from "../models/request.model.js";
 import { Node } from "../models/node.model.js";
+import { Shipment } from "../models/shipment.model.js";
+import { emitShipmentUpdate } from "../services/frameEmitter.js";
+import {
+  reserveForRequest,
+  createRequestShipments,
+  releaseRequestReservations,
+} from "../services/fulfillmentService.js";
+import mongoose from "mongoose";
 
 const createRequest = asyncHandler(async (req, res) => {
   try {
@@ -83,6 +91,10 @@ const createRequest = asyncHandler(async (req, res) => {
 });
 
 const updateRequestStatus = asyncHandler(async (req, res) => {
+  // Status change, NGO stats and released stock commit together
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
     const { requestID } = req.params;
     const { status, fulfilledBy, fullFilledOn, approvedOn } = req.body;
@@ -91,7 +103,7 @@ const updateRequestStatus = asyncHandler(async (req, res) => {
       throw new ApiError(400, "Missing 'status' field in request body.");
     }
 
-    const request = await Request.findById(requestID);
+    const request = await Request.findById(requestID).session(session);
     if (!request) {
       throw new ApiError(404, `Request with ID '${requestID}' not found.`);
     }
@@ -105,7 +117,7 @@ const updateRequestStatus = asyncHandler(async (req, res) => {
           );
         }
 
-        const fulfillerNode = await Node.findById(fulfilledBy);
+        const fulfillerNode = await Node.findById(fulfilledBy).session(session);
         if (!fulfillerNode) {
           throw new ApiError(
             404,
@@ -121,13 +133,17 @@ const updateRequestStatus = asyncHandler(async (req, res) => {
         request.approvedOn = approvedOn ? new Date(approvedOn) : null;
 
         // Update NGO stats - increment completed count
-        await NGO.findByIdAndUpdate(request.requesterNode, {
-          $inc: {
-            "requestStats.completed": 1,
-            "requestStats.pending": -1,
-            "requestStats.approved": -1,
+        await NGO.findByIdAndUpdate(
+          request.requesterNode,
+          {
+            $inc: {
+              "requestStats.completed": 1,
+              "requestStats.pending": -1,
+              "requestStats.approved": -1,
+            },
           },
-        });
+          { session }
+        );
         break;
       }
 
@@ -136,22 +152,51 @@ const updateRequestStatus = asyncHandler(async (req, res) => {
         request.approvedOn = approvedOn ? new Date(approvedOn) : new Date();
 
         // Update NGO stats - increment approved count
-        await NGO.findByIdAndUpdate(request.requesterNode, {
-          $inc: { "requestStats.approved": 1, "requestStats.pending": -1 },
-        });
+        await NGO.findByIdAndUpdate(
+          request.requesterNode,
+          { $inc: { "requestStats.approved": 1, "requestStats.pending": -1 } },
+          { session }
+        );
         break;
       }
 
       case "cancelled": {
+        // Route shipments reference the request from their undelivered stops
+        const openShipments = await Shipment.countDocuments({
+          status: { $in: ["pending", "in_transit", "delayed"] },
+          $or: [
+            { requestId: request._id },
+            {
+              stops: {
+                $elemMatch: { requestId: request._id, status: "pending" },
+              },
+            },
+          ],
+        }).session(session);
+        if (openShipments > 0) {
+          throw new ApiError(
+            409,
+            `Request '${request.requestID}' has ${openShipments} open shipment(s); cancel them first.`
+          );
+        }
+
+        // Stock reserved but not yet shipped goes back on the shelf
+        await releaseRequestReservations(request, {
+          session,
+          note: `Request ${request.requestID} cancelled`,
+        });
+
         request.status = "cancelled";
         request.fulfilledBy = null;
         request.fullFilledOn = null;
         request.approvedOn = null;
 
         // Update NGO stats - increment cancelled count
-        await NGO.findByIdAndUpdate(request.requesterNode, {
-          $inc: { "requestStats.cancelled": 1, "requestStats.pending": -1 },
-        });
+        await NGO.findByIdAndUpdate(
+          request.requesterNode,
+          { $inc: { "requestStats.cancelled": 1, "requestStats.pending": -1 } },
+          { session }
+        );
         break;
       }
 
@@ -167,7 +212,8 @@ const updateRequestStatus = asyncHandler(async (req, res) => {
         throw new ApiError(400, `Invalid status value: '${status}'.`);
     }
 
-    await request.save();
+    await request.save({ session });
+    await session.commitTransaction();
 
     return res
       .status(200)
@@ -179,6 +225,7 @@ const updateRequestStatus = asyncHandler(async (req, res) => {
         )
       );
   } catch (error) {
+    await session.abortTransaction();
     if (error instanceof ApiError) throw error;
     else
       throw new ApiError(
@@ -187,6 +234,160 @@ const updateRequestStatus = asyncHandler(async (req, res) => {
         [error.message],
         error.stack
       );
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Approve a request: reserve stock and generate shipments
+ * POST /api/v1/request/:requestID/approve
+ *
+ * Request body (all optional):
+ * {
+ *   warehouseIds: [ObjectId],    restrict sourcing (warehouse_mgr: own node only)
+ *   allowPartial: boolean,       approve even if stock is short (default true)
+ *   generateShipments: boolean,  create pending shipments (default true);
+ *                                false leaves reservations for the route planner
+ *   startTime: ISO date          planned departure (default now)
+ * }
+ *
+ * Batches are reserved nearest warehouse first, oldest stock first. One
+ * pending shipment is created per source warehouse; dispatch it with
+ * PATCH /api/shipments/:id/dispatch. The request completes automatically
+ * when its shipments arrive.
+ */
+const approveRequest = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { requestID } = req.params;
+    const {
+      warehouseIds,
+      allowPartial = true,
+      generateShipments = true,
+      startTime,
+    } = req.body || {};
+
+    if (warehouseIds !== undefined && !Array.isArray(warehouseIds)) {
+      throw new ApiError(400, "'warehouseIds' must be an array of node IDs.");
+    }
+
+    // Warehouse managers can only commit their own stock
+    let sources = warehouseIds || null;
+    if (req.user?.role === "warehouse_mgr") {
+      const own = req.user.nodeId?.toString();
+      if (sources && sources.some((id) => id.toString() !== own)) {
+        throw new ApiError(
+          403,
+          `User '${req.user.userId}' can only reserve stock from node '${own}'.`
+        );
+      }
+      sources = [own];
+    }
+
+    const request = await Request.findById(requestID).session(session);
+    if (!request) {
+      throw new ApiError(404, `Request with ID '${requestID}' not found.`);
+    }
+    if (request.status !== "pending") {
+      throw new ApiError(
+        409,
+        `Request '${request.requestID}' is '${request.status}'; only pending requests can be approved.`
+      );
+    }
+    if (!request.items?.length) {
+      throw new ApiError(400, `Request '${request.requestID}' has no items.`);
+    }
+
+    const now = new Date();
+    const { destination, reservations, shortfalls } = await reserveForRequest(
+      request,
+      { warehouseIds: sources, session, time: now }
+    );
+
+    if (reservations.length === 0) {
+      throw new ApiError(
+        409,
+        `No stock available to fulfil request '${request.requestID}'.`,
+        shortfalls
+      );
+    }
+    if (shortfalls.length && !allowPartial) {
+      throw new ApiError(
+        409,
+        `Insufficient stock to fully fulfil request '${request.requestID}'.`,
+        shortfalls
+      );
+    }
+
+    let shipments = [];
+    if (generateShipments) {
+      shipments = await createRequestShipments(request, {
+        destination,
+        startDate: startTime ? new Date(startTime) : now,
+        createdBy: req.user?._id || null,
+        session,
+      });
+    }
+
+    request.status = "approved";
+    request.approvedOn = now;
+    await request.save({ session });
+
+    // Update NGO stats - increment approved count
+    await NGO.findByIdAndUpdate(
+      request.requesterNode,
+      { $inc: { "requestStats.approved": 1, "requestStats.pending": -1 } },
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    if (req.app && req.app.get("io")) {
+      const io = req.app.get("io");
+      for (const shipment of shipments) {
+        emitShipmentUpdate(
+          io,
+          {
+            type: "shipment_created",
+            shipmentId: shipment.shipmentId,
+            requestID: request.requestID,
+            status: shipment.status,
+            toNode: destination.name,
+            eta: shipment.eta_iso,
+          },
+          [shipment.fromNode, destination]
+        );
+      }
+    }
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          request,
+          reservations: request.reservations,
+          shipments,
+          shortfalls,
+        },
+        shortfalls.length
+          ? `Request approved with shortfalls on ${shortfalls.length} item(s).`
+          : "Request approved and stock reserved."
+      )
+    );
+  } catch (error) {
+    await session.abortTransaction();
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(
+      500,
+      "Failed to approve request.",
+      [error.message],
+      error.stack
+    );
+  } finally {
+    session.endSession();
   }
 });
 
@@ -324,6 +525,7 @@ const getAllNGOs = asyncHandler(async (req, res) => {
 export {
   createRequest,
   updateRequestStatus,
+  approveRequest,
   getRequestsByNGO,
   getAllRequests,
   getAllNGOs,
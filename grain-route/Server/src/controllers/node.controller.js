@@ -3,7 +3,17 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Node } from "../models/node.model.js";
 import { NGO } from "../models/NGO.model.js";
-import axios from "axios";
+import mongoose from "mongoose";
+import {
+  getNodeUtilization as computeNodeUtilization,
+  releaseQueuedBatches,
+  notifyUtilization,
+} from "../services/capacityService.js";
+import {
+  getDistanceMatrix,
+  invalidateDistanceMatrix,
+} from "../services/distanceMatrixService.js";
+import { callUpstream } from "../services/upstreamClient.js";
 
 const createNode = asyncHandler(async (req, res) => {
   try {
@@ -82,6 +92,7 @@ const createNode = asyncHandler(async (req, res) => {
       capacity_kg: capacity_kg || 0,
       contact: contact || null,
     });
+    invalidateDistanceMatrix();
 
     return res
       .status(201)
@@ -110,6 +121,7 @@ const deleteNode = asyncHandler(async (req, res) => {
     }
 
     await node.deleteOne();
+    invalidateDistanceMatrix();
 
     return res
       .status(200)
@@ -377,9 +389,11 @@ const startScenario = asyncHandler(async (req, res) => {
       probabilities: { farm: 0.67, request: 0.33 },
     };
 
-    const response = await axios.post(endpoint, payload, {
+    const response = await callUpstream("scenario", {
+      method: "post",
+      url: endpoint,
+      data: payload,
       headers: { "Content-Type": "application/json" },
-      timeout: 10000,
     });
 
     return res.status(200).json(
@@ -421,6 +435,156 @@ const startScenario = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Capacity utilization for a node
+ * GET /api/v1/node/:id/utilization
+ */
+const getNodeUtilization = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ApiError(400, `Invalid node ID '${id}'.`);
+  }
+
+  const utilization = await computeNodeUtilization(id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, utilization, "Node utilization fetched successfully.")
+    );
+});
+
+/**
+ * Admit queued inventory while space allows (FIFO)
+ * POST /api/v1/node/:id/queue/release
+ */
+const releaseNodeQueue = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ApiError(400, `Invalid node ID '${id}'.`);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const node = await Node.findById(id).session(session).lean();
+    if (!node) {
+      throw new ApiError(404, `Node with ID '${id}' not found.`);
+    }
+
+    const released = await releaseQueuedBatches(node, { session });
+    await session.commitTransaction();
+
+    if (released.length) {
+      await notifyUtilization(req.app.get("io"), node);
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { released, utilization: await computeNodeUtilization(node) },
+          `${released.length} queued batch(es) released.`
+        )
+      );
+  } catch (error) {
+    await session.abortTransaction();
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(
+      500,
+      "Failed to release node queue.",
+      [error.message],
+      error.stack
+    );
+  } finally {
+    session.endSession();
+  }
+});
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Build the API view of the matrix for a subset of nodes
+ */
+const matrixView = async (matrix, { ids, type }) => {
+  const filter = {};
+  if (ids?.length) filter._id = { $in: ids };
+  if (type) filter.type = type;
+  const nodes = (
+    await Node.find(filter)
+      .select("name type district")
+      .sort({ _id: 1 })
+      .lean()
+  ).filter((node) => matrix.indexOf(node._id) !== undefined);
+
+  const positions = nodes.map((node) => matrix.indexOf(node._id));
+  return {
+    provider: matrix.provider,
+    signature: matrix.signature,
+    computedAt: matrix.computedAt,
+    nodes,
+    distances_km: positions.map((i) =>
+      positions.map((j) => round2(matrix.distances[i][j]))
+    ),
+    travel_hours: positions.map((i) =>
+      positions.map((j) => round2(matrix.hours[i][j]))
+    ),
+  };
+};
+
+/**
+ * Node-to-node distance / travel-time matrix
+ * GET /api/v1/node/matrix?ids=a,b,c&type=warehouse
+ * Rows and columns follow `nodes`; travel_hours include rest breaks.
+ */
+const getNodeMatrix = asyncHandler(async (req, res) => {
+  const { ids, type } = req.query;
+  const idList = ids
+    ? String(ids)
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean)
+    : null;
+  if (idList?.some((id) => !mongoose.isValidObjectId(id))) {
+    throw new ApiError(400, "'ids' must be a comma-separated list of node IDs.");
+  }
+
+  const matrix = await getDistanceMatrix();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        await matrixView(matrix, { ids: idList, type }),
+        "Distance matrix fetched successfully."
+      )
+    );
+});
+
+/**
+ * Recompute the matrix (e.g. after replacing the road network file)
+ * POST /api/v1/node/matrix/rebuild
+ */
+const rebuildNodeMatrix = asyncHandler(async (req, res) => {
+  const matrix = await getDistanceMatrix({ force: true });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        provider: matrix.provider,
+        signature: matrix.signature,
+        computedAt: matrix.computedAt,
+        size: matrix.size,
+      },
+      "Distance matrix rebuilt."
+    )
+  );
+});
+
 export {
   createNode,
   deleteNode,
@@ -428,4 +592,8 @@ export {
   getAllNodes,
   getAllDistricts,
   startScenario,
+  getNodeUtilization,
+  releaseNodeQueue,
+  getNodeMatrix,
+  rebuildNodeMatrix,
 };
@@ -6,11 +6,57 @@ import { Batch } from "../models/batch.model.js";
 import { Node } from "../models/node.model.js";
 import { Event } from "../models/event.model.js";
 import { extractCoordinates } from "../utils/geoHelpers.js";
+import { distanceKm } from "../services/distanceProvider.js";
 import { emitShipmentUpdate } from "../services/frameEmitter.js";
-import axios from "axios";
+import {
+  generateShipmentId,
+  estimateTransport,
+  splitBatch,
+  returnShipmentBatches,
+  normaliseDeliveries,
+  settleBatchDelivery,
+} from "../services/shipmentService.js";
+import {
+  resolveOverflowMode,
+  planPlacement,
+  releaseQueuedBatches,
+  notifyUtilization,
+} from "../services/capacityService.js";
+import { validateVehicleBooking } from "../services/fleetService.js";
+import {
+  BREAK_KINDS,
+  analyzeShipmentDelay,
+} from "../services/hoursOfService.js";
+import {
+  openRequestIds,
+  recordShipmentOutcome,
+  releaseShipmentFromRequest,
+} from "../services/fulfillmentService.js";
 import mongoose from "mongoose";
 
-const BACKEND_C_URL = process.env.BACKEND_C_URL || "http://localhost:5001";
+// Env is read on use: this module is imported before index.js loads .env
+
+// Used for ETA projection when neither the ping nor the plan gives a speed
+const defaultSpeedKmh = () => Number(process.env.SHIPMENT_AVG_SPEED_KMH ?? 40);
+
+// Projected arrival may slip this far past eta_iso before status flips to 'delayed'
+const delayGraceMinutes = () =>
+  Number(process.env.SHIPMENT_DELAY_GRACE_MINUTES ?? 15);
+
+// Pings below this speed are treated as stopped and don't drive the ETA
+const MIN_MOVING_SPEED_KMH = 5;
+
+// Field devices' clocks may run slightly ahead of the server
+const FIELD_CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+/**
+ * End breaks still open from the field when the trip ends
+ */
+const closeOpenBreaks = (shipment, time) => {
+  for (const b of shipment.breaks) {
+    if (!b.planned && !b.end_iso) b.end_iso = time;
+  }
+};
 
 /**
  * Create a new shipment with batch splitting logic
@@ -21,7 +67,8 @@ const BACKEND_C_URL = process.env.BACKEND_C_URL || "http://localhost:5001";
  *   fromNodeId: ObjectId,
  *   toNodeId: ObjectId,
  *   items: [{ foodType: string, quantity_kg: number }],
- *   startTime: ISO date (optional, defaults to now)
+ *   startTime: ISO date (optional, defaults to now),
+ *   vehicleId: string (optional; must be registered in the fleet, else 404)
  * }
  *
  * Logic:
@@ -85,6 +132,7 @@ const createShipment = asyncHandler(async (req, res) => {
         foodType: foodType,
         status: "stored",
         quantity_kg: { $gt: 0 },
+        "recall.recalled": { $ne: true },
       })
         .sort({ manufacture_date: 1 }) // Oldest first (FIFO)
         .session(session);
@@ -94,80 +142,15 @@ const createShipment = asyncHandler(async (req, res) => {
       for (const batch of availableBatches) {
         if (remainingQty <= 0) break;
 
-        if (batch.quantity_kg >= remainingQty) {
-          // Sufficient quantity in this batch
-          if (batch.quantity_kg === remainingQty) {
-            // Use entire batch
-            allocatedBatches.push({
-              batchId: batch._id,
-              quantity: remainingQty,
-              isSplit: false,
-            });
-            allBatchIds.push(batch._id);
-            remainingQty = 0;
-          } else {
-            // Split batch: create child batch with needed quantity
-            const childBatch = await Batch.create(
-              [
-                {
-                  parentBatchId: batch._id,
-                  foodType: batch.foodType,
-                  quantity_kg: remainingQty,
-                  original_quantity_kg: batch.original_quantity_kg,
-                  originNode: batch.originNode,
-                  currentNode: batch.currentNode,
-                  status: "stored",
-                  shelf_life_hours: batch.shelf_life_hours,
-                  manufacture_date: batch.manufacture_date,
-                  expiry_iso: batch.expiry_iso,
-                  initial_temp_c: batch.initial_temp_c,
-                  freshnessPct: batch.freshnessPct,
-                  history: [
-                    ...batch.history,
-                    {
-                      time: new Date(),
-                      action: "split",
-                      from: batch.currentNode,
-                      to: batch.currentNode,
-                      note: `Split from batch ${batch._id} for shipment`,
-                    },
-                  ],
-                  metadata: batch.metadata,
-                },
-              ],
-              { session }
-            );
-
-            // Update parent batch quantity
-            batch.quantity_kg -= remainingQty;
-            batch.history.push({
-              time: new Date(),
-              action: "split",
-              from: batch.currentNode,
-              to: batch.currentNode,
-              note: `Reduced by ${remainingQty} kg for shipment (child: ${childBatch[0]._id})`,
-            });
-            await batch.save({ session });
-
-            allocatedBatches.push({
-              batchId: childBatch[0]._id,
-              quantity: remainingQty,
-              isSplit: true,
-              parentBatchId: batch._id,
-            });
-            allBatchIds.push(childBatch[0]._id);
-            remainingQty = 0;
-          }
-        } else {
-          // Use entire batch, continue to next
-          allocatedBatches.push({
-            batchId: batch._id,
-            quantity: batch.quantity_kg,
-            isSplit: false,
-          });
-          allBatchIds.push(batch._id);
-          remainingQty -= batch.quantity_kg;
-        }
+        // Whole batch when it fits, otherwise split off the needed quantity
+        const allocation = await splitBatch(
+          batch,
+          Math.min(batch.quantity_kg, remainingQty),
+          { session, purpose: "shipment" }
+        );
+        allocatedBatches.push(allocation);
+        allBatchIds.push(allocation.batchId);
+        remainingQty -= allocation.quantity;
       }
 
       if (remainingQty > 0) {
@@ -181,40 +164,24 @@ const createShipment = asyncHandler(async (req, res) => {
     }
 
     // Calculate transport time using Backend-C
-    const fromCoords = extractCoordinates(fromNode);
-    const toCoords = extractCoordinates(toNode);
+    const transportData = await estimateTransport(fromNode, toNode, startDate);
 
-    let transportData;
-    try {
-      const transportResponse = await axios.get(
-        `${BACKEND_C_URL}/api/transport/time`,
+    // The vehicle must be free for the whole trip and able to carry the load
+    if (vehicleId) {
+      await validateVehicleBooking(
         {
-          params: {
-            fromLat: fromCoords.lat,
-            fromLon: fromCoords.lon,
-            toLat: toCoords.lat,
-            toLon: toCoords.lon,
-            start_iso: startDate.toISOString(),
-          },
-        }
+          vehicleId,
+          start: startDate,
+          end: new Date(transportData.eta_iso),
+          load_kg: allocatedBatches.reduce((sum, a) => sum + a.quantity, 0),
+          foodTypes: items.map((item) => item.foodType),
+        },
+        { session }
       );
-      transportData = transportResponse.data;
-    } catch (error) {
-      console.error("Backend-C transport API error:", error.message);
-      // Fallback: estimate 60 km/h average
-      const distance = 100; // Fallback distance
-      const travelMinutes = distance * 1; // 1 min per km
-      transportData = {
-        distance_km: distance,
-        travel_time_minutes: travelMinutes,
-        eta_iso: new Date(
-          startDate.getTime() + travelMinutes * 60 * 1000
-        ).toISOString(),
-      };
     }
 
     // Generate unique shipment ID
-    const shipmentId = `SHP-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+    const shipmentId = generateShipmentId();
 
     // Create shipment document
     const shipment = await Shipment.create(
@@ -228,8 +195,10 @@ const createShipment = asyncHandler(async (req, res) => {
           eta_iso: new Date(transportData.eta_iso),
           status: "in_transit",
           vehicleId: vehicleId || null,
+          createdBy: req.user?._id || null,
           travel_time_minutes: transportData.travel_time_minutes,
           distance_km: transportData.distance_km,
+          breaks: transportData.breaks,
           metadata: {
             allocatedBatches,
             transportMetadata: transportData.metadata,
@@ -288,18 +257,29 @@ const createShipment = asyncHandler(async (req, res) => {
       { session }
     );
 
+    // Outbound stock frees space: admit queued inventory at the source
+    const releasedBatches = await releaseQueuedBatches(fromNode, {
+      session,
+      time: startDate,
+    });
+
     await session.commitTransaction();
 
     // Emit Socket.IO update for shipment created
     if (req.app && req.app.get("io")) {
       const io = req.app.get("io");
-      emitShipmentUpdate(io, {
-        type: "shipment_created",
-        shipmentId: shipment[0].shipmentId,
-        fromNode: fromNode.name,
-        toNode: toNode.name,
-        eta: transportData.eta_iso,
-      });
+      emitShipmentUpdate(
+        io,
+        {
+          type: "shipment_created",
+          shipmentId: shipment[0].shipmentId,
+          fromNode: fromNode.name,
+          toNode: toNode.name,
+          eta: transportData.eta_iso,
+        },
+        [fromNode, toNode]
+      );
+      await notifyUtilization(io, fromNode);
     }
 
     return res.status(201).json(
@@ -309,6 +289,7 @@ const createShipment = asyncHandler(async (req, res) => {
           shipment: shipment[0],
           allocatedBatches,
           transport: transportData,
+          releasedBatches,
         },
         "Shipment created successfully"
       )
@@ -327,15 +308,93 @@ const createShipment = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Hand over a shipment's batches at a receiving node
+ * Validates the delivery report, checks capacity for warehouse receipts and
+ * settles each batch into delivered / damaged / rejected portions.
+ *
+ * @param {Object} shipment - Shipment document (fromNode populated)
+ * @param {Object[]} batches - Batch documents being handed over
+ * @param {Object} context - {toNode, deliveries, arrivedDate, overflowMode, session}
+ * @returns {Promise<Object>} {settled, totals, partial, intoStock}
+ */
+const settleArrival = async (shipment, batches, context) => {
+  const { toNode, deliveries, arrivedDate, overflowMode, session } = context;
+
+  if (deliveries !== undefined && !Array.isArray(deliveries)) {
+    throw new ApiError(400, "'deliveries' must be an array");
+  }
+
+  let report;
+  try {
+    report = normaliseDeliveries(deliveries || [], batches);
+  } catch (error) {
+    throw new ApiError(400, "Invalid delivery report", [error.message]);
+  }
+
+  const intoStock = toNode.type === "warehouse";
+  const settled = [];
+  for (const batch of batches) {
+    const parts = report.get(batch._id.toString());
+    let deliveredStatus = "delivered";
+    if (intoStock && parts.delivered_kg > 0) {
+      const placement = await planPlacement(toNode, parts.delivered_kg, {
+        mode: overflowMode,
+        session,
+      });
+      deliveredStatus = placement.status;
+    }
+
+    const outcome = await settleBatchDelivery(batch, parts, {
+      shipment,
+      fromNodeId: shipment.fromNode._id,
+      toNodeId: toNode._id,
+      time: arrivedDate,
+      session,
+      deliveredStatus,
+    });
+    settled.push(...outcome);
+  }
+
+  const totals = settled.reduce(
+    (acc, entry) => {
+      acc[`${entry.outcome}_kg`] += entry.quantity_kg;
+      return acc;
+    },
+    { delivered_kg: 0, damaged_kg: 0, rejected_kg: 0 }
+  );
+  const partial = totals.damaged_kg > 0 || totals.rejected_kg > 0;
+
+  return { settled, totals, partial, intoStock };
+};
+
 /**
  * Mark shipment as arrived
  * PATCH /api/shipments/:id/arrive
  *
+ * Request body (all optional):
+ * {
+ *   arrivedTime: ISO date,
+ *   deliveries: [{ batchId, delivered_kg, damaged_kg, rejected_kg }]
+ * }
+ *
  * Updates:
  * - Shipment status to 'arrived'
  * - Shipment arrived_iso to current time
  * - All batches: currentNode to toNode, status to 'delivered'
  * - Creates shipment_arrived event
+ *
+ * Partial arrival: batches listed in `deliveries` are split by outcome.
+ * Delivered kg are handed over as usual, damaged kg are written off at the
+ * destination (status 'damaged') and rejected kg return to stock at the
+ * source. Unlisted batches count as fully delivered.
+ *
+ * Arrivals at a warehouse are received into stock ('stored'). When it is at
+ * capacity the arrival is rejected (409) or, with overflow = 'queue',
+ * the delivered kg wait in the node's queue.
+ *
+ * Multi-stop routes are confirmed stop by stop instead
+ * (PATCH /api/shipments/:id/stops/:sequence/arrive).
  */
 const markShipmentArrived = asyncHandler(async (req, res) => {
   const session = await mongoose.startSession();
@@ -343,7 +402,8 @@ const markShipmentArrived = asyncHandler(async (req, res) => {
 
   try {
     const { id } = req.params;
-    const { arrivedTime } = req.body;
+    const { arrivedTime, deliveries, overflow } = req.body || {};
+    const overflowMode = resolveOverflowMode(overflow);
 
     const shipment = await Shipment.findById(id)
       .populate("fromNode toNode")
@@ -356,34 +416,58 @@ const markShipmentArrived = asyncHandler(async (req, res) => {
     if (shipment.status === "arrived") {
       throw new ApiError(400, "Shipment already marked as arrived");
     }
+    if (shipment.status === "cancelled") {
+      throw new ApiError(409, "Cannot mark a cancelled shipment as arrived");
+    }
+    if (shipment.stops?.length) {
+      throw new ApiError(
+        409,
+        `Shipment ${shipment.shipmentId} is a multi-stop route; confirm each stop via PATCH /api/shipments/${shipment._id}/stops/:sequence/arrive`
+      );
+    }
 
     const arrivedDate = arrivedTime ? new Date(arrivedTime) : new Date();
+    const batches = await Batch.find({ _id: { $in: shipment.batchIds } })
+      .session(session);
+
+    // Update all batches
+    const { settled, totals, partial, intoStock } = await settleArrival(
+      shipment,
+      batches,
+      {
+        toNode: shipment.toNode,
+        deliveries,
+        arrivedDate,
+        overflowMode,
+        session,
+      }
+    );
 
     // Update shipment
     shipment.status = "arrived";
     shipment.arrived_iso = arrivedDate;
+    closeOpenBreaks(shipment, arrivedDate);
+    shipment.delivery = {
+      partial,
+      ...totals,
+      recordedBy: req.user?._id || null,
+      items: settled,
+    };
     await shipment.save({ session });
 
-    // Update all batches
-    for (const batchId of shipment.batchIds) {
-      await Batch.findByIdAndUpdate(
-        batchId,
-        {
-          currentNode: shipment.toNode._id,
-          status: "delivered",
-          $push: {
-            history: {
-              time: arrivedDate,
-              action: "arrived",
-              from: shipment.fromNode._id,
-              to: shipment.toNode._id,
-              note: `Shipment ${shipment.shipmentId} arrived`,
-            },
-          },
-        },
-        { session }
-      );
-    }
+    // Credit the NGO request this shipment fulfils (auto-completes it)
+    const requestUpdate = await recordShipmentOutcome(shipment, settled, {
+      session,
+      time: arrivedDate,
+    });
+
+    const delayMinutes = Math.round(
+      (arrivedDate - new Date(shipment.eta_iso)) / (1000 * 60)
+    );
+    const { openBreak, ...delayBreakdown } = analyzeShipmentDelay(
+      shipment,
+      arrivedDate
+    );
 
     // Create shipment_arrived event
     await Event.create(
@@ -405,9 +489,10 @@ const markShipmentArrived = asyncHandler(async (req, res) => {
             batchCount: shipment.batchIds.length,
             plannedEta: shipment.eta_iso,
             actualArrival: arrivedDate,
-            delayMinutes: Math.round(
-              (arrivedDate - new Date(shipment.eta_iso)) / (1000 * 60)
-            ),
+            delayMinutes,
+            delayBreakdown,
+            partial,
+            ...totals,
           },
         },
       ],
@@ -419,19 +504,30 @@ const markShipmentArrived = asyncHandler(async (req, res) => {
     // Emit Socket.IO update for shipment arrived
     if (req.app && req.app.get("io")) {
       const io = req.app.get("io");
-      emitShipmentUpdate(io, {
-        type: "shipment_arrived",
-        shipmentId: shipment.shipmentId,
-        toNode: shipment.toNode.name,
-        arrivedTime: arrivedDate,
-        delayMinutes: Math.round(
-          (arrivedDate - new Date(shipment.eta_iso)) / (1000 * 60)
-        ),
-      });
+      emitShipmentUpdate(
+        io,
+        {
+          type: "shipment_arrived",
+          shipmentId: shipment.shipmentId,
+          toNode: shipment.toNode.name,
+          arrivedTime: arrivedDate,
+          delayMinutes,
+          partial,
+          ...totals,
+        },
+        [shipment.fromNode, shipment.toNode]
+      );
+      if (intoStock) await notifyUtilization(io, shipment.toNode);
     }
 
     return res.json(
-      new ApiResponse(200, { shipment }, "Shipment marked as arrived")
+      new ApiResponse(
+        200,
+        { shipment, delivery: shipment.delivery, request: requestUpdate },
+        partial
+          ? "Shipment marked as arrived with partial delivery"
+          : "Shipment marked as arrived"
+      )
     );
   } catch (error) {
     await session.abortTransaction();
@@ -447,6 +543,896 @@ const markShipmentArrived = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Confirm delivery at one stop of a multi-stop route
+ * PATCH /api/shipments/:id/stops/:sequence/arrive
+ *
+ * Request body (all optional):
+ * {
+ *   arrivedTime: ISO date,
+ *   deliveries: [{ batchId, delivered_kg, damaged_kg, rejected_kg }],
+ *   overflow: 'reject' | 'queue'
+ * }
+ *
+ * Settles the stop's batches exactly like a single-leg arrival and credits
+ * the stop's request. The shipment is marked 'arrived' with the last stop.
+ */
+const markStopArrived = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { id, sequence } = req.params;
+    const { arrivedTime, deliveries, overflow } = req.body || {};
+    const overflowMode = resolveOverflowMode(overflow);
+
+    const shipment = await Shipment.findById(id)
+      .populate("fromNode toNode stops.node")
+      .session(session);
+
+    if (!shipment) {
+      throw new ApiError(404, "Shipment not found");
+    }
+    const stop = shipment.stops?.find((s) => s.sequence === Number(sequence));
+    if (!stop) {
+      throw new ApiError(
+        404,
+        `Stop ${sequence} not found on shipment ${shipment.shipmentId}`
+      );
+    }
+    if (!["in_transit", "delayed"].includes(shipment.status)) {
+      throw new ApiError(
+        409,
+        `Shipment ${shipment.shipmentId} is ${shipment.status}; stops can only be confirmed while it is on the road`
+      );
+    }
+    if (stop.status === "arrived") {
+      throw new ApiError(400, `Stop ${stop.sequence} already marked as arrived`);
+    }
+
+    const arrivedDate = arrivedTime ? new Date(arrivedTime) : new Date();
+    const batches = await Batch.find({ _id: { $in: stop.batchIds } })
+      .session(session);
+
+    const { settled, totals, partial, intoStock } = await settleArrival(
+      shipment,
+      batches,
+      {
+        toNode: stop.node,
+        deliveries,
+        arrivedDate,
+        overflowMode,
+        session,
+      }
+    );
+
+    stop.status = "arrived";
+    stop.arrived_iso = arrivedDate;
+    stop.delivery = { partial, ...totals };
+
+    // Route-level delivery report accumulates across stops
+    const routeTotals = shipment.stops.reduce(
+      (acc, s) => {
+        acc.delivered_kg += s.delivery?.delivered_kg || 0;
+        acc.damaged_kg += s.delivery?.damaged_kg || 0;
+        acc.rejected_kg += s.delivery?.rejected_kg || 0;
+        return acc;
+      },
+      { delivered_kg: 0, damaged_kg: 0, rejected_kg: 0 }
+    );
+    shipment.delivery = {
+      partial: shipment.stops.some((s) => s.delivery?.partial),
+      ...routeTotals,
+      recordedBy: req.user?._id || null,
+      items: [...(shipment.delivery?.items || []), ...settled],
+    };
+
+    const routeComplete = shipment.stops.every((s) => s.status === "arrived");
+    if (routeComplete) {
+      shipment.status = "arrived";
+      shipment.arrived_iso = arrivedDate;
+      closeOpenBreaks(shipment, arrivedDate);
+    }
+    await shipment.save({ session });
+
+    const requestUpdate = await recordShipmentOutcome(shipment, settled, {
+      session,
+      time: arrivedDate,
+      requestId: stop.requestId,
+    });
+
+    const delayMinutes = Math.round(
+      (arrivedDate - new Date(stop.eta_iso)) / (1000 * 60)
+    );
+
+    await Event.create(
+      [
+        {
+          time: arrivedDate,
+          type: "shipment_arrived",
+          location: stop.node.location,
+          payload: {
+            shipmentId: shipment.shipmentId,
+            stop: stop.sequence,
+            routeComplete,
+            fromNode: {
+              nodeId: shipment.fromNode._id,
+              name: shipment.fromNode.name,
+            },
+            toNode: {
+              nodeId: stop.node._id,
+              name: stop.node.name,
+            },
+            batchCount: stop.batchIds.length,
+            plannedEta: stop.eta_iso,
+            actualArrival: arrivedDate,
+            delayMinutes,
+            partial,
+            ...totals,
+          },
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    if (req.app && req.app.get("io")) {
+      const io = req.app.get("io");
+      emitShipmentUpdate(
+        io,
+        {
+          type: routeComplete ? "shipment_arrived" : "shipment_stop_arrived",
+          shipmentId: shipment.shipmentId,
+          stop: stop.sequence,
+          toNode: stop.node.name,
+          arrivedTime: arrivedDate,
+          delayMinutes,
+          partial,
+          ...totals,
+        },
+        [shipment.fromNode, stop.node]
+      );
+      if (intoStock) await notifyUtilization(io, stop.node);
+    }
+
+    return res.json(
+      new ApiResponse(
+        200,
+        { shipment, stop, request: requestUpdate },
+        routeComplete
+          ? "Final stop confirmed; shipment marked as arrived"
+          : `Stop ${stop.sequence} marked as arrived`
+      )
+    );
+  } catch (error) {
+    await session.abortTransaction();
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(
+      500,
+      "Failed to mark stop as arrived",
+      [error.message],
+      error.stack
+    );
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Dispatch a pending shipment (e.g. one generated by request approval)
+ * PATCH /api/shipments/:id/dispatch
+ *
+ * Request body (optional): { startTime: ISO date, vehicleId: string }
+ * vehicleId must be registered in the fleet (404 otherwise).
+ *
+ * Reserved batches go in transit and the ETA is recalculated from the
+ * actual departure time. The assigned vehicle is checked for conflicts,
+ * capacity and refrigeration against the new trip window. Multi-stop routes
+ * keep their planned legs; every stop ETA and planned break shifts with the
+ * departure. Single legs are re-timed, planned breaks included.
+ */
+const dispatchShipment = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { id } = req.params;
+    const { startTime, vehicleId } = req.body || {};
+
+    const shipment = await Shipment.findById(id)
+      .populate("fromNode toNode")
+      .session(session);
+
+    if (!shipment) {
+      throw new ApiError(404, "Shipment not found");
+    }
+    if (shipment.status !== "pending") {
+      throw new ApiError(
+        409,
+        `Shipment ${shipment.shipmentId} is ${shipment.status}; only pending shipments can be dispatched`
+      );
+    }
+
+    const startDate = startTime ? new Date(startTime) : new Date();
+    let transportData;
+    if (shipment.stops?.length) {
+      const shiftMs = startDate - new Date(shipment.start_iso);
+      const shift = (date) => new Date(new Date(date).getTime() + shiftMs);
+      for (const stop of shipment.stops) {
+        stop.eta_iso = shift(stop.eta_iso);
+      }
+      transportData = {
+        distance_km: shipment.distance_km,
+        travel_time_minutes: shipment.travel_time_minutes,
+        eta_iso: shift(shipment.eta_iso).toISOString(),
+        breaks: shipment.breaks
+          .filter((b) => b.planned)
+          .map((b) => ({
+            kind: b.kind,
+            reason: b.reason,
+            planned: true,
+            start_iso: shift(b.start_iso),
+            end_iso: shift(b.end_iso),
+          })),
+      };
+    } else {
+      transportData = await estimateTransport(
+        shipment.fromNode,
+        shipment.toNode,
+        startDate
+      );
+    }
+
+    const assignedVehicle = vehicleId || shipment.vehicleId;
+    if (assignedVehicle) {
+      const batches = await Batch.find({ _id: { $in: shipment.batchIds } })
+        .select("foodType quantity_kg")
+        .session(session)
+        .lean();
+      await validateVehicleBooking(
+        {
+          vehicleId: assignedVehicle,
+          start: startDate,
+          end: new Date(transportData.eta_iso),
+          load_kg: batches.reduce((sum, b) => sum + (b.quantity_kg || 0), 0),
+          foodTypes: [...new Set(batches.map((b) => b.foodType))],
+        },
+        { session, excludeShipmentId: shipment._id }
+      );
+    }
+
+    shipment.status = "in_transit";
+    shipment.start_iso = startDate;
+    shipment.eta_iso = new Date(transportData.eta_iso);
+    shipment.travel_time_minutes = transportData.travel_time_minutes;
+    shipment.distance_km = transportData.distance_km;
+    shipment.breaks = [
+      ...transportData.breaks,
+      ...shipment.breaks.filter((b) => !b.planned),
+    ];
+    if (vehicleId) shipment.vehicleId = vehicleId;
+    await shipment.save({ session });
+
+    const legs = shipment.stops?.length
+      ? shipment.stops.map((stop) => ({
+          batchIds: stop.batchIds,
+          to: stop.node,
+        }))
+      : [{ batchIds: shipment.batchIds, to: shipment.toNode._id }];
+    for (const leg of legs) {
+      await Batch.updateMany(
+        {
+          _id: { $in: leg.batchIds },
+          status: { $in: ["reserved", "stored"] },
+        },
+        {
+          status: "in_transit",
+          $push: {
+            history: {
+              time: startDate,
+              action: "shipped",
+              from: shipment.fromNode._id,
+              to: leg.to,
+              note: `Shipment ${shipment.shipmentId} dispatched`,
+            },
+          },
+        },
+        { session }
+      );
+    }
+
+    // Outbound stock frees space: admit queued inventory at the source
+    const releasedBatches = await releaseQueuedBatches(shipment.fromNode, {
+      session,
+      time: startDate,
+    });
+
+    await session.commitTransaction();
+
+    if (req.app && req.app.get("io")) {
+      const io = req.app.get("io");
+      emitShipmentUpdate(
+        io,
+        {
+          type: "shipment_dispatched",
+          shipmentId: shipment.shipmentId,
+          fromNode: shipment.fromNode.name,
+          toNode: shipment.toNode.name,
+          eta: shipment.eta_iso,
+        },
+        [shipment.fromNode, shipment.toNode]
+      );
+      await notifyUtilization(io, shipment.fromNode);
+    }
+
+    return res.json(
+      new ApiResponse(
+        200,
+        { shipment, transport: transportData, releasedBatches },
+        "Shipment dispatched"
+      )
+    );
+  } catch (error) {
+    await session.abortTransaction();
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(
+      500,
+      "Failed to dispatch shipment",
+      [error.message],
+      error.stack
+    );
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Cancel a shipment that has not been delivered
+ * PATCH /api/shipments/:id/cancel
+ *
+ * Request body: { reason: string }
+ *
+ * Reserved and in-transit batches go back to the source node; split children
+ * are merged back into their parent batch when it is still stored there.
+ */
+const cancelShipment = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (!reason || typeof reason !== "string") {
+      throw new ApiError(400, "Missing required field: reason");
+    }
+
+    const shipment = await Shipment.findById(id)
+      .populate("fromNode toNode")
+      .session(session);
+
+    if (!shipment) {
+      throw new ApiError(404, "Shipment not found");
+    }
+    if (!["pending", "in_transit", "delayed"].includes(shipment.status)) {
+      throw new ApiError(
+        409,
+        `Shipment ${shipment.shipmentId} is ${shipment.status} and cannot be cancelled`
+      );
+    }
+
+    const cancelledAt = new Date();
+    const previousStatus = shipment.status;
+
+    const { returned, merged } = await returnShipmentBatches(shipment, {
+      time: cancelledAt,
+      note: `Shipment ${shipment.shipmentId} cancelled: ${reason}`,
+      session,
+    });
+
+    shipment.status = "cancelled";
+    shipment.metadata = {
+      ...(shipment.metadata || {}),
+      cancellation: {
+        time: cancelledAt,
+        reason,
+        previousStatus,
+        cancelledBy: req.user?._id || null,
+        returnedBatchIds: returned,
+        merged,
+      },
+    };
+    await shipment.save({ session });
+
+    // Undelivered stops of a route release their own requests
+    const requestUpdates = [];
+    for (const requestId of openRequestIds(shipment)) {
+      requestUpdates.push(
+        await releaseShipmentFromRequest(shipment, {
+          session,
+          time: cancelledAt,
+          requestId,
+        })
+      );
+    }
+
+    await session.commitTransaction();
+
+    if (req.app && req.app.get("io")) {
+      const io = req.app.get("io");
+      emitShipmentUpdate(
+        io,
+        {
+          type: "shipment_cancelled",
+          shipmentId: shipment.shipmentId,
+          fromNode: shipment.fromNode.name,
+          toNode: shipment.toNode.name,
+          reason,
+        },
+        [shipment.fromNode, shipment.toNode]
+      );
+      await notifyUtilization(io, shipment.fromNode);
+    }
+
+    return res.json(
+      new ApiResponse(
+        200,
+        {
+          shipment,
+          returnedBatchIds: returned,
+          merged,
+          requests: requestUpdates.filter(Boolean),
+        },
+        "Shipment cancelled"
+      )
+    );
+  } catch (error) {
+    await session.abortTransaction();
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(
+      500,
+      "Failed to cancel shipment",
+      [error.message],
+      error.stack
+    );
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Record a GPS ping for a shipment and re-project its arrival
+ * POST /api/shipments/:id/location
+ *
+ * Request body:
+ * {
+ *   lat: number, lon: number,      (or coordinates: [lon, lat])
+ *   time: ISO date (optional, defaults to now; not in the future),
+ *   speed_kmh: number (optional)
+ * }
+ *
+ * Logic:
+ * 1. Persist a shipment_location_update event
+ * 2. Remaining distance = distance provider (ping -> toNode; on a multi-stop
+ *    route, through each stop not yet arrived, in sequence)
+ * 3. Projected arrival = ping time + remaining / speed
+ *    (speed: ping speed, else planned average, else SHIPMENT_AVG_SPEED_KMH)
+ * 4. Flip status to 'delayed' when projection passes eta_iso + grace,
+ *    back to 'in_transit' when it recovers
+ * 5. Broadcast via Socket.IO
+ *
+ * Out-of-order pings are stored as events but do not move the shipment.
+ */
+const updateShipmentLocation = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { id } = req.params;
+    const { time, speed_kmh, coordinates } = req.body;
+    const lat = Number(req.body.lat ?? coordinates?.[1]);
+    const lon = Number(req.body.lon ?? coordinates?.[0]);
+
+    if (
+      !Number.isFinite(lat) ||
+      !Number.isFinite(lon) ||
+      Math.abs(lat) > 90 ||
+      Math.abs(lon) > 180
+    ) {
+      throw new ApiError(
+        400,
+        "Valid 'lat' and 'lon' (or 'coordinates': [lon, lat]) are required"
+      );
+    }
+
+    const pingTime = time ? new Date(time) : new Date();
+    if (isNaN(pingTime.getTime())) {
+      throw new ApiError(400, `Invalid time '${time}'`);
+    }
+    if (pingTime.getTime() > Date.now() + FIELD_CLOCK_SKEW_MS) {
+      throw new ApiError(400, "'time' cannot be in the future");
+    }
+
+    const shipment = await Shipment.findById(id)
+      .populate("toNode stops.node")
+      .session(session);
+
+    if (!shipment) {
+      throw new ApiError(404, "Shipment not found");
+    }
+    if (!["in_transit", "delayed"].includes(shipment.status)) {
+      throw new ApiError(
+        409,
+        `Shipment ${shipment.shipmentId} is ${shipment.status}; location updates need an in-transit shipment`
+      );
+    }
+
+    const pendingStops = (shipment.stops || [])
+      .filter((stop) => stop.status === "pending" && stop.node)
+      .sort((a, b) => a.sequence - b.sequence);
+    const waypoints = pendingStops.length
+      ? pendingStops.map((stop) => extractCoordinates(stop.node))
+      : [extractCoordinates(shipment.toNode)];
+
+    let remainingKm = 0;
+    let position = { lat, lon };
+    for (const waypoint of waypoints) {
+      remainingKm += distanceKm(position, waypoint);
+      position = waypoint;
+    }
+    remainingKm = Math.round(remainingKm * 100) / 100;
+
+    const pingSpeed = Number(speed_kmh);
+    const plannedSpeed =
+      shipment.distance_km > 0 && shipment.travel_time_minutes > 0
+        ? shipment.distance_km / (shipment.travel_time_minutes / 60)
+        : null;
+    const speedKmh =
+      Number.isFinite(pingSpeed) && pingSpeed >= MIN_MOVING_SPEED_KMH
+        ? pingSpeed
+        : plannedSpeed || defaultSpeedKmh();
+
+    const projectedEta = new Date(
+      pingTime.getTime() + (remainingKm / speedKmh) * 60 * 60 * 1000
+    );
+    const delayMinutes = shipment.eta_iso
+      ? Math.round((projectedEta - new Date(shipment.eta_iso)) / (1000 * 60))
+      : 0;
+
+    const lastPingTime = shipment.lastLocation?.time;
+    const isLatest = !lastPingTime || pingTime >= lastPingTime;
+    const previousStatus = shipment.status;
+
+    if (isLatest) {
+      shipment.lastLocation = {
+        type: "Point",
+        coordinates: [lon, lat],
+        time: pingTime,
+        speed_kmh: Number.isFinite(pingSpeed) ? pingSpeed : undefined,
+      };
+      shipment.remaining_distance_km = remainingKm;
+      shipment.projected_eta_iso = projectedEta;
+
+      if (delayMinutes > delayGraceMinutes()) {
+        shipment.status = "delayed";
+      } else if (shipment.status === "delayed") {
+        shipment.status = "in_transit";
+      }
+      await shipment.save({ session });
+    }
+
+    await Event.create(
+      [
+        {
+          time: pingTime,
+          type: "shipment_location_update",
+          location: { type: "Point", coordinates: [lon, lat] },
+          payload: {
+            shipmentId: shipment.shipmentId,
+            vehicleId: shipment.vehicleId || null,
+            toNode: {
+              nodeId: shipment.toNode._id,
+              name: shipment.toNode.name,
+            },
+            speed_kmh: Number.isFinite(pingSpeed) ? pingSpeed : null,
+            remaining_distance_km: remainingKm,
+            plannedEta: shipment.eta_iso,
+            projectedEta,
+            delayMinutes,
+            status: shipment.status,
+            outOfOrder: !isLatest,
+          },
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    if (isLatest && req.app && req.app.get("io")) {
+      const io = req.app.get("io");
+      emitShipmentUpdate(
+        io,
+        {
+          type: "shipment_location_update",
+          shipmentId: shipment.shipmentId,
+          vehicleId: shipment.vehicleId || null,
+          coordinates: [lon, lat],
+          toNode: shipment.toNode.name,
+          remaining_distance_km: remainingKm,
+          eta: shipment.eta_iso,
+          projectedEta,
+          delayMinutes,
+          status: shipment.status,
+          statusChanged: previousStatus !== shipment.status,
+        },
+        [shipment.fromNode, shipment.toNode]
+      );
+    }
+
+    return res.json(
+      new ApiResponse(
+        200,
+        {
+          shipment,
+          remaining_distance_km: remainingKm,
+          speed_kmh: Math.round(speedKmh * 10) / 10,
+          projectedEta,
+          delayMinutes,
+          applied: isLatest,
+        },
+        isLatest
+          ? "Shipment location updated"
+          : "Out-of-order ping recorded; shipment position unchanged"
+      )
+    );
+  } catch (error) {
+    await session.abortTransaction();
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(
+      500,
+      "Failed to update shipment location",
+      [error.message],
+      error.stack
+    );
+  } finally {
+    session.endSession();
+  }
+});
+
+const parseBreakTime = (value, field) => {
+  const date = value ? new Date(value) : new Date();
+  if (isNaN(date.getTime())) {
+    throw new ApiError(400, `Invalid ${field} '${value}'`);
+  }
+  if (date.getTime() > Date.now() + FIELD_CLOCK_SKEW_MS) {
+    throw new ApiError(400, `'${field}' cannot be in the future`);
+  }
+  return date;
+};
+
+/**
+ * Log a driver break from the field
+ * POST /api/shipments/:id/breaks
+ *
+ * Request body:
+ * {
+ *   kind: 'rest' | 'daily_rest' | 'fuel' | 'loading' | 'traffic' | 'breakdown' | 'inspection' | 'other',
+ *   reason: string (optional),
+ *   start_iso: ISO date (optional, defaults to now),
+ *   end_iso: ISO date (optional; omit while the break is ongoing)
+ * }
+ *
+ * Only one break may be open at a time; close it via
+ * PATCH /api/shipments/:id/breaks/:breakId/end. Breaks may not lie in the
+ * future or overlap another logged break (open breaks run until now), so
+ * no stoppage minute is counted twice in the delay analysis.
+ */
+const logShipmentBreak = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { kind = "rest", reason, start_iso, end_iso } = req.body || {};
+
+  if (!BREAK_KINDS.includes(kind)) {
+    throw new ApiError(
+      400,
+      `Invalid break kind '${kind}'. Use one of: ${BREAK_KINDS.join(", ")}`
+    );
+  }
+  const start = parseBreakTime(start_iso, "start_iso");
+  const end = end_iso ? parseBreakTime(end_iso, "end_iso") : null;
+  if (end && end <= start) {
+    throw new ApiError(400, "'end_iso' must be after 'start_iso'");
+  }
+
+  const shipment = await Shipment.findById(id).populate(
+    "fromNode",
+    "location"
+  );
+  if (!shipment) {
+    throw new ApiError(404, "Shipment not found");
+  }
+  if (!["in_transit", "delayed"].includes(shipment.status)) {
+    throw new ApiError(
+      409,
+      `Shipment ${shipment.shipmentId} is ${shipment.status}; breaks can only be logged in transit`
+    );
+  }
+  if (start < shipment.start_iso) {
+    throw new ApiError(400, "Break cannot start before the shipment departed");
+  }
+
+  const open = shipment.breaks.find((b) => !b.planned && !b.end_iso);
+  if (open && !end) {
+    throw new ApiError(
+      409,
+      `A ${open.kind} break is already open since ${open.start_iso.toISOString()}`,
+      [{ breakId: open._id }]
+    );
+  }
+
+  // An open break (new or existing) extends indefinitely
+  const overlapping = shipment.breaks.filter(
+    (b) =>
+      !b.planned &&
+      b.start_iso < (end || Infinity) &&
+      start < (b.end_iso || Infinity)
+  );
+  if (overlapping.length) {
+    throw new ApiError(
+      409,
+      "Break overlaps a break already logged for this shipment",
+      overlapping.map((b) => ({
+        breakId: b._id,
+        kind: b.kind,
+        start_iso: b.start_iso,
+        end_iso: b.end_iso || null,
+      }))
+    );
+  }
+
+  shipment.breaks.push({
+    kind,
+    reason,
+    start_iso: start,
+    end_iso: end,
+    planned: false,
+    loggedBy: req.user?._id || null,
+  });
+  await shipment.save();
+  const logged = shipment.breaks[shipment.breaks.length - 1];
+
+  await Event.create({
+    time: start,
+    type: "shipment_break",
+    // Last known position, else the departure point
+    location: shipment.lastLocation?.coordinates?.length
+      ? { type: "Point", coordinates: shipment.lastLocation.coordinates }
+      : shipment.fromNode.location,
+    payload: {
+      shipmentId: shipment.shipmentId,
+      vehicleId: shipment.vehicleId || null,
+      breakId: logged._id,
+      kind,
+      reason: reason || null,
+      start_iso: start,
+      end_iso: end,
+    },
+  });
+
+  if (req.app && req.app.get("io")) {
+    emitShipmentUpdate(
+      req.app.get("io"),
+      {
+        type: "shipment_break",
+        shipmentId: shipment.shipmentId,
+        vehicleId: shipment.vehicleId || null,
+        kind,
+        start_iso: start,
+        end_iso: end,
+      },
+      [shipment.fromNode, shipment.toNode]
+    );
+  }
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { break: logged, analysis: analyzeShipmentDelay(shipment) },
+        end ? "Break logged" : "Break started"
+      )
+    );
+});
+
+/**
+ * Close an open break
+ * PATCH /api/shipments/:id/breaks/:breakId/end
+ *
+ * Request body (optional): { end_iso: ISO date, defaults to now }
+ */
+const endShipmentBreak = asyncHandler(async (req, res) => {
+  const { id, breakId } = req.params;
+  const end = parseBreakTime(req.body?.end_iso, "end_iso");
+
+  const shipment = await Shipment.findById(id);
+  if (!shipment) {
+    throw new ApiError(404, "Shipment not found");
+  }
+  const entry = shipment.breaks.id(breakId);
+  if (!entry || entry.planned) {
+    throw new ApiError(404, "Logged break not found on this shipment");
+  }
+  if (entry.end_iso) {
+    throw new ApiError(
+      409,
+      `Break already ended at ${entry.end_iso.toISOString()}`
+    );
+  }
+  if (end <= entry.start_iso) {
+    throw new ApiError(400, "'end_iso' must be after the break start");
+  }
+
+  entry.end_iso = end;
+  await shipment.save();
+
+  if (req.app && req.app.get("io")) {
+    emitShipmentUpdate(
+      req.app.get("io"),
+      {
+        type: "shipment_break_ended",
+        shipmentId: shipment.shipmentId,
+        vehicleId: shipment.vehicleId || null,
+        kind: entry.kind,
+        start_iso: entry.start_iso,
+        end_iso: end,
+      },
+      [shipment.fromNode, shipment.toNode]
+    );
+  }
+
+  return res.json(
+    new ApiResponse(
+      200,
+      { break: entry, analysis: analyzeShipmentDelay(shipment) },
+      "Break ended"
+    )
+  );
+});
+
+/**
+ * Planned and logged breaks with the shipment's delay split into rest
+ * overrun, stoppages and unexplained delay
+ * GET /api/shipments/:id/breaks
+ */
+const getShipmentBreaks = asyncHandler(async (req, res) => {
+  const shipment = await Shipment.findById(req.params.id)
+    .select(
+      "shipmentId status start_iso eta_iso projected_eta_iso arrived_iso breaks"
+    )
+    .lean();
+  if (!shipment) {
+    throw new ApiError(404, "Shipment not found");
+  }
+
+  const byStart = (a, b) => new Date(a.start_iso) - new Date(b.start_iso);
+  return res.json(
+    new ApiResponse(
+      200,
+      {
+        shipmentId: shipment.shipmentId,
+        status: shipment.status,
+        eta_iso: shipment.eta_iso,
+        planned: shipment.breaks.filter((b) => b.planned).sort(byStart),
+        logged: shipment.breaks.filter((b) => !b.planned).sort(byStart),
+        analysis: analyzeShipmentDelay(shipment),
+      },
+      "Shipment breaks retrieved successfully"
+    )
+  );
+});
+
 /**
  * Get all shipments with filters
  * GET /api/shipments?status=&fromNode=&toNode=&startDate=&endDate=
@@ -497,7 +1483,7 @@ const getShipmentById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const shipment = await Shipment.findById(id).populate(
-    "fromNode toNode batchIds"
+    "fromNode toNode batchIds stops.node"
   );
 
   if (!shipment) {
@@ -509,4 +1495,16 @@ const getShipmentById = asyncHandler(async (req, res) => {
   );
 });
 
-export { createShipment, markShipmentArrived, getShipments, getShipmentById };
+export {
+  createShipment,
+  markShipmentArrived,
+  markStopArrived,
+  dispatchShipment,
+  cancelShipment,
+  updateShipmentLocation,
+  logShipmentBreak,
+  endShipmentBreak,
+  getShipmentBreaks,
+  getShipments,
+  getShipmentById,
+};
@@ -3,7 +3,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Batch } from "../models/batch.model.js";
 import { buildMLSnapshot } from "../utils/snapshotBuilder.js";
-import axios from "axios";
+import { predictDemand } from "../services/demandForecaster.js";
 
 const ML_SERVICE_URL = process.env.ML_SERVICE_URL || "http://localhost:3002";
 
@@ -11,7 +11,8 @@ const ML_SERVICE_URL = process.env.ML_SERVICE_URL || "http://localhost:3002";
  * Get ML suggestions for a specific batch
  * GET /api/suggest/for-batch/:batchId
  *
- * Builds snapshot, calls Backend-B /api/predict, returns allocation suggestions
+ * Builds snapshot, forecasts demand (baseline or Backend-B /predict, see
+ * demandForecaster), returns allocation suggestions
  */
 const getSuggestionsForBatch = asyncHandler(async (req, res) => {
   const { batchId } = req.params;
@@ -27,10 +28,8 @@ const getSuggestionsForBatch = asyncHandler(async (req, res) => {
   const snapshot = await buildMLSnapshot(new Date());
 
   try {
-    // Call Backend-B predict endpoint
-    const mlResponse = await axios.post(`${ML_SERVICE_URL}/predict`, snapshot);
-
-    const predictions = mlResponse.data.results || [];
+    const forecast = await predictDemand(snapshot, { url: ML_SERVICE_URL });
+    const predictions = forecast.results;
 
     // Simple allocation logic: match batch's current district to predictions
     const currentNode = batch.currentNode;
@@ -38,7 +37,7 @@ const getSuggestionsForBatch = asyncHandler(async (req, res) => {
 
     // Find high-demand districts from predictions
     const allocations = predictions
-      .filter((p) => p.cluster_id !== undefined)
+      .filter((p) => p.cluster_id !== undefined || p.source === "baseline")
       .sort((a, b) => (b.anomaly_score || 0) - (a.anomaly_score || 0))
       .slice(0, 5)
       .map((pred, index) => ({
@@ -46,7 +45,7 @@ const getSuggestionsForBatch = asyncHandler(async (req, res) => {
         district: pred.district,
         state: pred.state,
         predicted_demand_kg: pred.predicted_demand_kg || 0,
-        confidence: Math.abs(pred.anomaly_score || 0),
+        confidence: pred.confidence ?? Math.abs(pred.anomaly_score || 0),
         score: 100 - index * 15,
         reason:
           pred.is_anomaly === 1
@@ -65,17 +64,18 @@ const getSuggestionsForBatch = asyncHandler(async (req, res) => {
           },
           allocations,
           predictionCount: predictions.length,
+          source: forecast.source,
+          modelVersion: forecast.modelVersion,
+          fallback: forecast.fallback,
         },
         "Suggestions retrieved successfully"
       )
     );
   } catch (error) {
-    console.error("ML service error:", error.message);
-    throw new ApiError(
-      503,
-      "ML service unavailable. Unable to generate suggestions.",
-      [error.message]
-    );
+    console.error("Demand forecast error:", error.message);
+    throw new ApiError(503, "Unable to forecast demand for suggestions.", [
+      error.message,
+    ]);
   }
 });
 
@@ -102,10 +102,11 @@ const getSuggestionsForRegion = asyncHandler(async (req, res) => {
   });
 
   try {
-    // Call Backend-B predict endpoint
-    const mlResponse = await axios.post(`${ML_SERVICE_URL}/predict`, snapshot);
-
-    const predictions = mlResponse.data.results || [];
+    const forecast = await predictDemand(snapshot, {
+      url: ML_SERVICE_URL,
+      asOf: targetDate,
+    });
+    const predictions = forecast.results;
 
     // Filter predictions for this region
     const regionPredictions = predictions.filter(
@@ -121,17 +122,18 @@ const getSuggestionsForRegion = asyncHandler(async (req, res) => {
           district,
           date: targetDate.toISOString().split("T")[0],
           predictions: regionPredictions,
+          source: forecast.source,
+          modelVersion: forecast.modelVersion,
+          fallback: forecast.fallback,
         },
         "Regional suggestions retrieved successfully"
       )
     );
   } catch (error) {
-    console.error("ML service error:", error.message);
-    throw new ApiError(
-      503,
-      "ML service unavailable. Unable to generate suggestions.",
-      [error.message]
-    );
+    console.error("Demand forecast error:", error.message);
+    throw new ApiError(503, "Unable to forecast demand for suggestions.", [
+      error.message,
+    ]);
   }
 });
 
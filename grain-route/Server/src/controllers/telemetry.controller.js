@@ -0,0 +1,132 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Telemetry } from "../models/telemetry.model.js";
+import {
+  normaliseReadings,
+  findForeignReading,
+  ingestReadings,
+} from "../services/coldChainService.js";
+import mongoose from "mongoose";
+
+// Upper bound on readings accepted per request
+const MAX_READINGS_PER_REQUEST = 5000;
+
+/**
+ * Ingest temperature/humidity readings
+ * POST /api/telemetry
+ * Body: a single reading or { readings: [...] }
+ * Reading: { time, vehicleId | nodeId, temp_c, humidity_pct?, sensorId? }
+ * Warehouse managers may only report their own warehouse and the vehicles
+ * based there or carrying its open shipments.
+ */
+const ingestTelemetry = asyncHandler(async (req, res) => {
+  try {
+    const readings = Array.isArray(req.body?.readings)
+      ? req.body.readings
+      : [req.body];
+
+    if (!readings.length || !req.body || !Object.keys(req.body).length) {
+      throw new ApiError(400, "No readings provided.");
+    }
+    if (readings.length > MAX_READINGS_PER_REQUEST) {
+      throw new ApiError(
+        413,
+        `Too many readings: ${readings.length} (max ${MAX_READINGS_PER_REQUEST} per request).`
+      );
+    }
+
+    // Scope is checked on the resolved source, however the reading names it
+    const normalised = normaliseReadings(readings);
+    const user = req.user;
+    if (user?.role === "warehouse_mgr") {
+      const foreign = await findForeignReading(normalised, user.nodeId);
+      if (foreign) {
+        throw new ApiError(
+          403,
+          foreign.kind === "node"
+            ? `User '${user.userId}' is not assigned to node '${foreign.nodeId}'.`
+            : `User '${user.userId}' cannot report for vehicle '${foreign.vehicleId}'.`
+        );
+      }
+    }
+
+    const result = await ingestReadings(normalised, { io: req.app.get("io") });
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          201,
+          result,
+          `Stored ${result.inserted} reading(s), ${result.alerts.length} alert(s) raised.`
+        )
+      );
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(
+      500,
+      "Failed to ingest telemetry.",
+      [error.message],
+      error.stack
+    );
+  }
+});
+
+/**
+ * Query readings for a vehicle or warehouse
+ * GET /api/telemetry?vehicleId=&nodeId=&start=&end=&limit=
+ */
+const getTelemetry = asyncHandler(async (req, res) => {
+  const { vehicleId, nodeId, start, end, limit = 1000 } = req.query;
+
+  if (!vehicleId && !nodeId) {
+    throw new ApiError(400, "Either 'vehicleId' or 'nodeId' is required.");
+  }
+  if (nodeId && !mongoose.Types.ObjectId.isValid(nodeId)) {
+    throw new ApiError(400, `Invalid nodeId '${nodeId}'.`);
+  }
+
+  const filter = vehicleId
+    ? { "source.kind": "vehicle", "source.vehicleId": vehicleId }
+    : {
+        "source.kind": "node",
+        "source.nodeId": new mongoose.Types.ObjectId(nodeId),
+      };
+
+  if (start || end) {
+    filter.time = {};
+    if (start) filter.time.$gte = new Date(start);
+    if (end) filter.time.$lte = new Date(end);
+  }
+
+  const readings = await Telemetry.find(filter)
+    .sort({ time: -1 })
+    .limit(Math.min(parseInt(limit) || 1000, 10000))
+    .lean();
+
+  const temps = readings.map((r) => r.temp_c);
+  const summary = readings.length
+    ? {
+        count: readings.length,
+        minTempC: Math.min(...temps),
+        maxTempC: Math.max(...temps),
+        avgTempC:
+          Math.round(
+            (temps.reduce((sum, t) => sum + t, 0) / temps.length) * 100
+          ) / 100,
+        from: readings[readings.length - 1].time,
+        to: readings[0].time,
+      }
+    : { count: 0 };
+
+  return res.json(
+    new ApiResponse(
+      200,
+      { readings: readings.reverse(), summary },
+      "Telemetry retrieved successfully"
+    )
+  );
+});
+
+export { ingestTelemetry, getTelemetry };
@@ -0,0 +1,241 @@
+import jwt from "jsonwebtoken";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import { Node } from "../models/node.model.js";
+import { NGO } from "../models/NGO.model.js";
+import { resolveUserFromToken, extractToken } from "../middleware/auth.middleware.js";
+
+const VALID_ROLES = ["farm_rep", "warehouse_mgr", "ngo", "admin"];
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+};
+
+const sanitizeUser = (user) => {
+  const obj = user.toObject ? user.toObject() : { ...user };
+  delete obj.password;
+  delete obj.token;
+  return obj;
+};
+
+const issueTokens = async (user) => {
+  const accessToken = user.generateAccessToken();
+  const refreshToken = user.generateRefreshToken();
+
+  user.token = refreshToken;
+  await user.save({ validateBeforeSave: false });
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Register a new user
+ * POST /api/v1/users/register
+ *
+ * Only admins can create users. When the collection is empty the first
+ * registration is allowed without a token and must be an admin (bootstrap).
+ * The bootstrap admin is flagged under a unique index, so of two racing
+ * first registrations only one succeeds; the other gets 409.
+ */
+const registerUser = asyncHandler(async (req, res) => {
+  const { name, email, password, role, nodeId, ngoId, userId } = req.body;
+
+  if (!name || !email || !password || !role) {
+    throw new ApiError(
+      400,
+      "Missing required fields: 'name', 'email', 'password', and 'role' are mandatory."
+    );
+  }
+
+  if (!VALID_ROLES.includes(role)) {
+    throw new ApiError(
+      400,
+      `Invalid role '${role}'. Must be one of ${VALID_ROLES.join(", ")}.`
+    );
+  }
+
+  const bootstrap = (await User.estimatedDocumentCount()) === 0;
+  if (bootstrap) {
+    if (role !== "admin") {
+      throw new ApiError(400, "The first registered user must be an admin.");
+    }
+  } else {
+    const caller = await resolveUserFromToken(extractToken(req));
+    if (caller.role !== "admin") {
+      throw new ApiError(403, "Only admins can register new users.");
+    }
+  }
+
+  if ((role === "farm_rep" || role === "warehouse_mgr") && !nodeId) {
+    throw new ApiError(400, `'nodeId' is required for role '${role}'.`);
+  }
+  if (role === "ngo" && !ngoId) {
+    throw new ApiError(400, "'ngoId' is required for role 'ngo'.");
+  }
+
+  if (nodeId) {
+    const node = await Node.findById(nodeId);
+    if (!node) {
+      throw new ApiError(404, `Node with ID '${nodeId}' not found.`);
+    }
+    if (role === "warehouse_mgr" && node.type !== "warehouse") {
+      throw new ApiError(
+        400,
+        `Node '${node.name}' is a '${node.type}', not a warehouse.`
+      );
+    }
+  }
+
+  if (ngoId) {
+    const ngo = await NGO.findById(ngoId);
+    if (!ngo) {
+      throw new ApiError(404, `NGO with ID '${ngoId}' not found.`);
+    }
+  }
+
+  const existing = await User.findOne({ email: email.toLowerCase() });
+  if (existing) {
+    throw new ApiError(409, `User with email '${email}' already exists.`);
+  }
+
+  let user;
+  try {
+    user = await User.create({
+      userId:
+        userId ||
+        `USR-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
+      name,
+      email,
+      password,
+      role,
+      nodeId: nodeId || null,
+      ngoId: ngoId || null,
+      ...(bootstrap ? { bootstrap: true } : {}),
+    });
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    if (error.keyPattern?.bootstrap) {
+      throw new ApiError(
+        409,
+        "The first admin has already been registered. Log in as an admin to register users."
+      );
+    }
+    throw new ApiError(409, "A user with this email or userId already exists.");
+  }
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(201, sanitizeUser(user), "User registered successfully.")
+    );
+});
+
+/**
+ * Log in and issue access + refresh tokens
+ * POST /api/v1/users/login
+ */
+const loginUser = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    throw new ApiError(400, "Both 'email' and 'password' are required.");
+  }
+
+  const user = await User.findOne({ email: email.toLowerCase() }).select(
+    "+password"
+  );
+  if (!user || !(await user.isPasswordCorrect(password))) {
+    throw new ApiError(401, "Invalid email or password.");
+  }
+
+  const { accessToken, refreshToken } = await issueTokens(user);
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, cookieOptions)
+    .cookie("refreshToken", refreshToken, cookieOptions)
+    .json(
+      new ApiResponse(
+        200,
+        { user: sanitizeUser(user), accessToken, refreshToken },
+        "Logged in successfully."
+      )
+    );
+});
+
+/**
+ * Revoke the refresh token and clear cookies
+ * POST /api/v1/users/logout
+ */
+const logoutUser = asyncHandler(async (req, res) => {
+  await User.findByIdAndUpdate(req.user._id, { $unset: { token: 1 } });
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", cookieOptions)
+    .clearCookie("refreshToken", cookieOptions)
+    .json(new ApiResponse(200, {}, "Logged out successfully."));
+});
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/v1/users/refresh-token
+ */
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const incoming = req.cookies?.refreshToken || req.body?.refreshToken;
+  if (!incoming) {
+    throw new ApiError(401, "Refresh token missing.");
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(incoming, process.env.REFRESH_TOKEN_SECRET);
+  } catch (error) {
+    throw new ApiError(401, "Invalid or expired refresh token.", [
+      error.message,
+    ]);
+  }
+
+  const user = await User.findById(decoded?._id).select("+token");
+  if (!user || user.token !== incoming) {
+    throw new ApiError(401, "Refresh token has been revoked or reused.");
+  }
+
+  const { accessToken, refreshToken } = await issueTokens(user);
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, cookieOptions)
+    .cookie("refreshToken", refreshToken, cookieOptions)
+    .json(
+      new ApiResponse(
+        200,
+        { accessToken, refreshToken },
+        "Access token refreshed."
+      )
+    );
+});
+
+/**
+ * Get the authenticated user
+ * GET /api/v1/users/me
+ */
+const getCurrentUser = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, sanitizeUser(req.user), "Current user fetched.")
+    );
+});
+
+export {
+  registerUser,
+  loginUser,
+  logoutUser,
+  refreshAccessToken,
+  getCurrentUser,
+};
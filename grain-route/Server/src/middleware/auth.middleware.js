@@ -0,0 +1,211 @@
+/**
+ * Authentication and role-based access control middleware
+ * Resolves the caller to a User and enforces per-route role policies
+ */
+
+import jwt from "jsonwebtoken";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { User } from "../models/user.model.js";
+import { Shipment } from "../models/shipment.model.js";
+import { NGO } from "../models/NGO.model.js";
+
+/**
+ * Extract a bearer token from cookies or the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw JWT or null
+ */
+const extractToken = (req) => {
+  const cookieToken = req.cookies?.accessToken;
+  if (cookieToken) return cookieToken;
+
+  const header = req.header("Authorization") || "";
+  if (header.startsWith("Bearer ")) return header.slice(7).trim();
+
+  return null;
+};
+
+/**
+ * Resolve an access token to a User document
+ * Shared by the HTTP middleware and the Socket.IO handshake.
+ * @param {string} token - Raw JWT
+ * @returns {Promise<Object>} User document (without password/refresh token)
+ */
+const resolveUserFromToken = async (token) => {
+  if (!token) {
+    throw new ApiError(401, "Unauthorized request: access token missing");
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+  } catch (error) {
+    throw new ApiError(401, "Invalid or expired access token", [error.message]);
+  }
+
+  const user = await User.findById(decoded?._id);
+  if (!user) {
+    throw new ApiError(401, "Invalid access token: user no longer exists");
+  }
+
+  return user;
+};
+
+/**
+ * Require an authenticated caller; sets req.user
+ *
+ * Machine clients (the scenario/mock server) may authenticate with the
+ * `x-service-key` header matching SERVICE_API_KEY. They are attached as a
+ * principal with role "service", which only passes routes that list it.
+ */
+const verifyJWT = asyncHandler(async (req, res, next) => {
+  const serviceKey = req.header("x-service-key");
+  if (serviceKey && process.env.SERVICE_API_KEY) {
+    if (serviceKey !== process.env.SERVICE_API_KEY) {
+      throw new ApiError(401, "Invalid service key");
+    }
+    req.user = { _id: null, userId: "service", role: "service" };
+    return next();
+  }
+
+  req.user = await resolveUserFromToken(extractToken(req));
+  next();
+});
+
+/**
+ * Restrict a route to the given roles
+ * @param {...string} roles - Allowed roles (admin is always allowed)
+ */
+const authorizeRoles =
+  (...roles) =>
+  (req, res, next) => {
+    const role = req.user?.role;
+    if (!role) {
+      return next(new ApiError(401, "Unauthorized request"));
+    }
+    if (role !== "admin" && !roles.includes(role)) {
+      return next(
+        new ApiError(
+          403,
+          `Role '${role}' is not allowed to perform this action.`
+        )
+      );
+    }
+    next();
+  };
+
+/**
+ * Restrict a route to users attached to a specific node
+ * Admin and service principals bypass the check.
+ *
+ * @param {Function} getNodeId - (req) => nodeId | Promise<nodeId>
+ * @param {Object} options
+ * @param {string[]} options.roles - Roles that are scoped by node (default: all non-admin)
+ */
+const authorizeNodeScope = (getNodeId, { roles = null } = {}) =>
+  asyncHandler(async (req, res, next) => {
+    const user = req.user;
+    if (!user) {
+      throw new ApiError(401, "Unauthorized request");
+    }
+    if (user.role === "admin" || user.role === "service") return next();
+    if (roles && !roles.includes(user.role)) return next();
+
+    const nodeId = await getNodeId(req);
+    if (!nodeId) {
+      throw new ApiError(400, "Unable to determine the node for this action");
+    }
+
+    if (!user.nodeId || user.nodeId.toString() !== nodeId.toString()) {
+      throw new ApiError(
+        403,
+        `User '${user.userId}' is not assigned to node '${nodeId}'.`
+      );
+    }
+    next();
+  });
+
+/**
+ * Restrict a route to users acting for a specific NGO
+ * Admin and service principals bypass the check.
+ *
+ * @param {Function} getNgoId - (req) => ngoId | Promise<ngoId>
+ */
+const authorizeNgoScope = (getNgoId) =>
+  asyncHandler(async (req, res, next) => {
+    const user = req.user;
+    if (!user) {
+      throw new ApiError(401, "Unauthorized request");
+    }
+    if (user.role === "admin" || user.role === "service") return next();
+
+    const ngoId = await getNgoId(req);
+    if (!user.ngoId || !ngoId || user.ngoId.toString() !== ngoId.toString()) {
+      throw new ApiError(
+        403,
+        `User '${user.userId}' cannot act on behalf of NGO '${ngoId}'.`
+      );
+    }
+    next();
+  });
+
+/**
+ * Only the receiving side of a shipment may confirm its arrival
+ * - warehouse_mgr: must be assigned to the shipment's toNode
+ * - ngo: the NGO organisation must match the toNode (matched by name,
+ *   the same way the allocation engine links NGO orgs to NGO nodes)
+ * On stop routes (:sequence) the receiver is that stop's node.
+ */
+const authorizeShipmentReceiver = asyncHandler(async (req, res, next) => {
+  const user = req.user;
+  if (!user) {
+    throw new ApiError(401, "Unauthorized request");
+  }
+  if (user.role === "admin" || user.role === "service") return next();
+
+  const shipment = await Shipment.findById(req.params.id).populate(
+    "toNode stops.node"
+  );
+  if (!shipment) {
+    throw new ApiError(404, "Shipment not found");
+  }
+
+  let toNode = shipment.toNode;
+  if (req.params.sequence !== undefined) {
+    const stop = shipment.stops?.find(
+      (s) => s.sequence === Number(req.params.sequence)
+    );
+    if (!stop) {
+      throw new ApiError(404, `Stop ${req.params.sequence} not found`);
+    }
+    toNode = stop.node;
+  }
+  if (
+    user.role === "warehouse_mgr" &&
+    user.nodeId &&
+    toNode &&
+    user.nodeId.toString() === toNode._id.toString()
+  ) {
+    return next();
+  }
+
+  if (user.role === "ngo" && user.ngoId && toNode?.type === "ngo") {
+    const ngo = await NGO.findById(user.ngoId).lean();
+    if (ngo && ngo.name === toNode.name) return next();
+  }
+
+  throw new ApiError(
+    403,
+    `User '${user.userId}' is not the receiver of shipment '${shipment.shipmentId}'.`
+  );
+});
+
+export {
+  verifyJWT,
+  authorizeRoles,
+  authorizeNodeScope,
+  authorizeNgoScope,
+  authorizeShipmentReceiver,
+  resolveUserFromToken,
+  extractToken,
+};
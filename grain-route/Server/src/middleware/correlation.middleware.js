@@ -0,0 +1,33 @@
+/**
+ * Correlation IDs
+ * Every request gets an id — the caller's X-Request-Id when it is a plain
+ * token, a fresh UUID otherwise — exposed as req.id, echoed in the
+ * response header and kept in async context, so outbound calls made while
+ * serving the request carry the same id (see upstreamClient).
+ */
+
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+
+const CORRELATION_HEADER = "X-Request-Id";
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+const correlationId = (req, res, next) => {
+  const incoming = req.get(CORRELATION_HEADER);
+  const id =
+    incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = id;
+  res.setHeader(CORRELATION_HEADER, id);
+  storage.run({ correlationId: id }, next);
+};
+
+/**
+ * Correlation id of the HTTP request being served
+ * @returns {string|null} null outside a request (jobs, socket handlers)
+ */
+const currentCorrelationId = () => storage.getStore()?.correlationId ?? null;
+
+export { CORRELATION_HEADER, correlationId, currentCorrelationId };
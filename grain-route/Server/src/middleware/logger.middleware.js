@@ -3,6 +3,20 @@
  * Logs all incoming requests and outgoing responses to the terminal
  */
 
+// Never echo credentials to the terminal
+const REDACTED_HEADERS = ["authorization", "cookie", "x-service-key"];
+const REDACTED_BODY_KEYS = ["password", "refreshToken", "accessToken"];
+
+const redact = (obj, keys) => {
+  const copy = { ...obj };
+  for (const key of Object.keys(copy)) {
+    if (keys.includes(key) || keys.includes(key.toLowerCase())) {
+      copy[key] = "[REDACTED]";
+    }
+  }
+  return copy;
+};
+
 const logger = (req, res, next) => {
   const startTime = Date.now();
 
@@ -14,10 +28,14 @@ const logger = (req, res, next) => {
   console.log(`Method: ${req.method}`);
   console.log(`URL: ${req.protocol}://${req.get("host")}${req.originalUrl}`);
   console.log(`IP: ${req.ip || req.connection.remoteAddress}`);
+  if (req.id) console.log(`Request ID: ${req.id}`);
   
   // Log headers (optional - you can remove this if too verbose)
   if (Object.keys(req.headers).length > 0) {
-    console.log(`Headers:`, JSON.stringify(req.headers, null, 2));
+    console.log(
+      `Headers:`,
+      JSON.stringify(redact(req.headers, REDACTED_HEADERS), null, 2)
+    );
   }
 
   // Log query parameters
@@ -27,7 +45,11 @@ const logger = (req, res, next) => {
 
   // Log request body (if exists and not too large)
   if (req.body && Object.keys(req.body).length > 0) {
-    const bodyStr = JSON.stringify(req.body, null, 2);
+    const bodyStr = JSON.stringify(
+      redact(req.body, REDACTED_BODY_KEYS),
+      null,
+      2
+    );
     // Truncate very large bodies
     const maxBodyLength = 1000;
     if (bodyStr.length > maxBodyLength) {
@@ -90,7 +112,18 @@ const logger = (req, res, next) => {
       // Log response body if available
       if (res.locals.responseBody) {
         try {
-          const responseStr = JSON.stringify(res.locals.responseBody, null, 2);
+          const body = res.locals.responseBody;
+          const hasObjectData =
+            body?.data &&
+            typeof body.data === "object" &&
+            !Array.isArray(body.data);
+          const responseStr = JSON.stringify(
+            hasObjectData
+              ? { ...body, data: redact(body.data, REDACTED_BODY_KEYS) }
+              : body,
+            null,
+            2
+          );
           const maxResponseLength = 1000;
           if (responseStr.length > maxResponseLength) {
             console.log(`Response Body: ${responseStr.substring(0, maxResponseLength)}... (truncated)`);
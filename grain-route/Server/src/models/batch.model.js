@@ -28,9 +28,16 @@ const batchSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['stored', 'in_transit', 'delivered', 'spoiled', 'reserved'],
+        // merged: split child folded back into its parent (quantity moved, kept for lineage)
+        // damaged: written off on arrival
+        // queued: waiting for space at a full warehouse (released FIFO)
+        enum: ['stored', 'in_transit', 'delivered', 'spoiled', 'reserved', 'merged', 'damaged', 'queued'],
         default: 'stored'
     },
+    queuedAt: {
+        type: Date,
+        default: null
+    },
     shelf_life_hours: {
         type: Number
     },
@@ -54,10 +61,20 @@ const batchSchema = new mongoose.Schema({
         to: { type: mongoose.Schema.Types.ObjectId, ref: 'Node' },
         note: { type: String }
     }],
+    recall: {
+        recalled: { type: Boolean, default: false },
+        recalledAt: { type: Date },
+        reason: { type: String },
+        // Batch the recall was issued against (this batch or an ancestor)
+        sourceBatchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch' },
+        recalledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
     metadata: {
         type: Object
     }
 },{ timestamps: true });
 
+batchSchema.index({ parentBatchId: 1 });
+
 
 export const Batch = mongoose.model("Batch", batchSchema);
\ No newline at end of file
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// One row of the node-to-node distance matrix (see distanceMatrixService).
+// Rows are keyed by provider + node-set signature; columns follow nodeIds.
+const distanceMatrixSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    signature: {
+      type: String,
+      required: true,
+    },
+    fromNode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Node",
+      required: true,
+    },
+    nodeIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Node",
+      },
+    ],
+    distances_km: [{ type: Number }],
+    travel_hours: [{ type: Number }],
+    computedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false }
+);
+
+distanceMatrixSchema.index(
+  { provider: 1, signature: 1, fromNode: 1 },
+  { unique: true }
+);
+
+export const DistanceMatrix = mongoose.model(
+  "DistanceMatrix",
+  distanceMatrixSchema
+);
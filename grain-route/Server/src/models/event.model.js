@@ -14,6 +14,7 @@ const eventSchema = new mongoose.Schema(
         "shipment_created",
         "shipment_arrived",
         "shipment_location_update",
+        "shipment_break",
         "batch_spoiled",
         "prediction_made",
       ],
@@ -34,6 +34,12 @@ const nodeSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Bumped by every capacity check so concurrent placements at one node
+    // conflict inside their transactions (see capacityService.planPlacement)
+    capacityVersion: {
+      type: Number,
+      default: 0,
+    },
     contact: {
       type: String,
     },
@@ -33,5 +33,11 @@ const predictionSchema = new mongoose.Schema({
     }
 },{ timestamps: true });
 
+// One forecast per region, target day, horizon and model version
+predictionSchema.index(
+    { regionId: 1, date: 1, horizon: 1, modelVersion: 1 },
+    { unique: true }
+);
+
 
 export const Prediction = mongoose.model("Prediction", predictionSchema);
\ No newline at end of file
@@ -14,6 +14,9 @@ const requestSchema = new mongoose.Schema(
       {
         foodType: { type: String },
         required_kg: { type: Number },
+        // Fulfillment tracking, maintained by the approval engine
+        allocated_kg: { type: Number, default: 0 },
+        delivered_kg: { type: Number, default: 0 },
       },
     ],
     createdOn: {
@@ -24,7 +27,13 @@ const requestSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["fulfilled", "pending", "cancelled", "approved"],
+      enum: [
+        "fulfilled",
+        "partially_fulfilled",
+        "pending",
+        "cancelled",
+        "approved",
+      ],
       default: "pending",
     },
     approvedOn: {
@@ -37,6 +46,32 @@ const requestSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Node",
     },
+    // NGO node the goods are delivered to (NGO orgs map to nodes by name)
+    destinationNode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Node",
+    },
+    // Batches reserved on approval; shipmentId is null until a shipment is generated
+    reservations: [
+      {
+        _id: false,
+        itemIndex: { type: Number },
+        batchId: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" },
+        fromNode: { type: mongoose.Schema.Types.ObjectId, ref: "Node" },
+        quantity_kg: { type: Number },
+        shipmentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Shipment",
+          default: null,
+        },
+      },
+    ],
+    shipmentIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Shipment",
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -50,13 +50,104 @@ const shipmentSchema = new mongoose.Schema(
     distance_km: {
       type: Number,
     },
+    // Latest GPS ping (see POST /api/shipments/:id/location)
+    lastLocation: {
+      type: {
+        type: String,
+        enum: ["Point"],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+      time: { type: Date },
+      speed_kmh: { type: Number },
+    },
+    projected_eta_iso: {
+      type: Date,
+      default: null,
+    },
+    remaining_distance_km: {
+      type: Number,
+    },
+    // Driver breaks: planned ones come from the hours-of-service rules when
+    // the trip is timed, the rest are logged from the field
+    // (POST /api/shipments/:id/breaks)
     breaks: [
       {
         start_iso: { type: Date },
-        end_iso: { type: Date },
+        end_iso: { type: Date, default: null },
         reason: { type: String },
+        kind: {
+          type: String,
+          enum: [
+            "rest",
+            "daily_rest",
+            "fuel",
+            "loading",
+            "traffic",
+            "breakdown",
+            "inspection",
+            "other",
+          ],
+          default: "rest",
+        },
+        planned: { type: Boolean, default: false },
+        loggedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
       },
     ],
+    // Receiver's report from PATCH /:id/arrive
+    delivery: {
+      partial: { type: Boolean, default: false },
+      delivered_kg: { type: Number },
+      damaged_kg: { type: Number },
+      rejected_kg: { type: Number },
+      recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      items: [
+        {
+          _id: false,
+          batchId: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" },
+          parentBatchId: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" },
+          outcome: {
+            type: String,
+            enum: ["delivered", "damaged", "rejected"],
+          },
+          quantity_kg: { type: Number },
+        },
+      ],
+    },
+    // Ordered drops of a multi-stop route (see POST /api/fleet/routes).
+    // fromNode is the depot and toNode the last stop.
+    stops: [
+      {
+        _id: false,
+        sequence: { type: Number },
+        node: { type: mongoose.Schema.Types.ObjectId, ref: "Node" },
+        requestId: { type: mongoose.Schema.Types.ObjectId, ref: "Request" },
+        batchIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Batch" }],
+        drop_kg: { type: Number },
+        eta_iso: { type: Date },
+        requiredBefore: { type: Date },
+        status: {
+          type: String,
+          enum: ["pending", "arrived"],
+          default: "pending",
+        },
+        arrived_iso: { type: Date, default: null },
+        delivery: {
+          partial: { type: Boolean },
+          delivered_kg: { type: Number },
+          damaged_kg: { type: Number },
+          rejected_kg: { type: Number },
+        },
+      },
+    ],
+    // NGO request this shipment fulfils (set by the approval engine)
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Request",
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -71,5 +162,7 @@ const shipmentSchema = new mongoose.Schema(
 // Indexes for efficient queries
 shipmentSchema.index({ status: 1, start_iso: 1 });
 shipmentSchema.index({ fromNode: 1, toNode: 1 });
+shipmentSchema.index({ requestId: 1 });
+shipmentSchema.index({ "stops.requestId": 1 });
 
 export const Shipment = mongoose.model("Shipment", shipmentSchema);
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+// One persisted simulation (see simulationRunner). The gzipped input
+// snapshot is kept so the run can be replayed after the data moved on.
+const simulationRunSchema = new mongoose.Schema(
+  {
+    runId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    kind: {
+      type: String,
+      enum: ["simulate", "compare", "rolling"],
+      required: true,
+    },
+    // Resolved parameters: {date, days, backlog, dispatchMode}
+    params: {
+      type: Object,
+      default: {},
+    },
+    // Variables the caller overrode, and the full effective set used
+    envOverrides: {
+      type: Object,
+      default: {},
+    },
+    env: {
+      type: Object,
+      default: {},
+    },
+    seed: {
+      type: Number,
+      required: true,
+    },
+    snapshotHash: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    snapshot: {
+      type: Buffer,
+      select: false,
+    },
+    snapshotCounts: {
+      requests: { type: Number },
+      batches: { type: Number },
+      nodes: { type: Number },
+      shipments: { type: Number },
+    },
+    // Distance provider and hours-of-service rules in force
+    context: {
+      type: Object,
+      default: {},
+    },
+    // Keyed by allocation strategy name (see allocationStrategies)
+    metrics: {
+      type: Object,
+      default: {},
+    },
+    allocations: {
+      type: Object,
+      default: {},
+    },
+    allocationsHash: {
+      type: String,
+    },
+    durationMs: {
+      type: Number,
+    },
+    rerunOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SimulationRun",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+simulationRunSchema.index({ kind: 1, createdAt: -1 });
+
+export const SimulationRun = mongoose.model(
+  "SimulationRun",
+  simulationRunSchema
+);
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// Cold-chain sensor readings, stored as a MongoDB time series.
+// `source` is the series key: a vehicle (shipment vehicleId) or a warehouse node.
+const telemetrySchema = new mongoose.Schema(
+  {
+    time: {
+      type: Date,
+      required: true,
+    },
+    source: {
+      kind: {
+        type: String,
+        enum: ["vehicle", "node"],
+        required: true,
+      },
+      vehicleId: {
+        type: String,
+      },
+      nodeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Node",
+      },
+    },
+    temp_c: {
+      type: Number,
+      required: true,
+    },
+    humidity_pct: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    sensorId: {
+      type: String,
+    },
+  },
+  {
+    timeseries: {
+      timeField: "time",
+      metaField: "source",
+      granularity: "minutes",
+    },
+    versionKey: false,
+  }
+);
+
+telemetrySchema.index({ "source.vehicleId": 1, time: 1 });
+telemetrySchema.index({ "source.nodeId": 1, time: 1 });
+
+export const Telemetry = mongoose.model("Telemetry", telemetrySchema);
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import bcrypt from "bcrypt";
+import jwt from "jsonwebtoken";
 
 const userSchema = new mongoose.Schema({
     userId: {
@@ -13,7 +15,14 @@ const userSchema = new mongoose.Schema({
     email: {
         type: String,
         required: true,
-        unique: true
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    password: {
+        type: String,
+        required: true,
+        select: false
     },
     role: {
         type: String,
@@ -24,8 +33,19 @@ const userSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Node'
     },
+    // NGO organisation an `ngo` user acts for (requests reference NGO, not Node)
+    ngoId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NGO'
+    },
+    // Current refresh token; cleared on logout
     token: {
-        type: String
+        type: String,
+        select: false
+    },
+    // Set only on the first admin; the unique index below makes bootstrap atomic
+    bootstrap: {
+        type: Boolean
     },
     createdAt: {
         type: Date,
@@ -33,5 +53,41 @@ const userSchema = new mongoose.Schema({
     }
 },{ timestamps: true });
 
+// At most one bootstrap admin, even when first registrations race
+userSchema.index(
+    { bootstrap: 1 },
+    { unique: true, partialFilterExpression: { bootstrap: true } }
+);
+
+userSchema.pre("save", async function (next) {
+    if (!this.isModified("password")) return next();
+    this.password = await bcrypt.hash(this.password, 10);
+    next();
+});
+
+userSchema.methods.isPasswordCorrect = async function (password) {
+    return await bcrypt.compare(password, this.password);
+};
+
+userSchema.methods.generateAccessToken = function () {
+    return jwt.sign(
+        {
+            _id: this._id,
+            userId: this.userId,
+            email: this.email,
+            role: this.role,
+        },
+        process.env.ACCESS_TOKEN_SECRET,
+        { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || "1h" }
+    );
+};
+
+userSchema.methods.generateRefreshToken = function () {
+    return jwt.sign(
+        { _id: this._id },
+        process.env.REFRESH_TOKEN_SECRET,
+        { expiresIn: process.env.REFRESH_TOKEN_EXPIRY || "7d" }
+    );
+};
 
-export const User = mongoose.model("User", userSchema);
\ No newline at end of file
+export const User = mongoose.model("User", userSchema);
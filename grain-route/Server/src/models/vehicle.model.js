@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const vehicleSchema = new mongoose.Schema(
+  {
+    // Matches Shipment.vehicleId
+    vehicleId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    registration: {
+      type: String,
+      trim: true,
+    },
+    capacity_kg: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    refrigerated: {
+      type: Boolean,
+      default: false,
+    },
+    homeDepot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Node",
+    },
+    status: {
+      type: String,
+      enum: ["active", "maintenance", "retired"],
+      default: "active",
+    },
+    // When the vehicle may be scheduled; empty means always available
+    availability: [
+      {
+        _id: false,
+        start_iso: { type: Date, required: true },
+        end_iso: { type: Date, required: true },
+      },
+    ],
+    // Bumped by every booking check so concurrent bookings of one vehicle
+    // conflict inside their transactions (see validateVehicleBooking)
+    bookingVersion: {
+      type: Number,
+      default: 0,
+    },
+    metadata: {
+      type: Object,
+    },
+  },
+  { timestamps: true }
+);
+
+vehicleSchema.index({ homeDepot: 1, status: 1 });
+
+export const Vehicle = mongoose.model("Vehicle", vehicleSchema);
@@ -3,13 +3,29 @@ import {
   createBatch,
   getBatches,
   getBatchById,
+  getBatchExposure,
   getInventorySummary,
+  getBatchLineage,
+  recallBatch,
+  sweepSpoilage,
+  getDecayProfiles,
 } from "../controllers/batch.controller.js";
+import {
+  verifyJWT,
+  authorizeRoles,
+  authorizeNodeScope,
+} from "../middleware/auth.middleware.js";
 
 const router = Router();
 
-// POST /api/batches - Create new batch
-router.post("/", createBatch);
+// POST /api/batches - Create new batch (farm_rep/warehouse_mgr of the node holding it)
+router.post(
+  "/",
+  verifyJWT,
+  authorizeRoles("farm_rep", "warehouse_mgr"),
+  authorizeNodeScope((req) => req.body?.currentNodeId || req.body?.originNodeId),
+  createBatch
+);
 
 // GET /api/batches - Get all batches with filters
 router.get("/", getBatches);
@@ -17,6 +33,21 @@ router.get("/", getBatches);
 // GET /api/batches/inventory/summary - Get inventory summary
 router.get("/inventory/summary", getInventorySummary);
 
+// GET /api/batches/decay-profiles - Per-food-type spoilage models
+router.get("/decay-profiles", getDecayProfiles);
+
+// POST /api/batches/spoilage/sweep - Run the spoilage sweeper now (admin)
+router.post("/spoilage/sweep", verifyJWT, authorizeRoles(), sweepSpoilage);
+
+// GET /api/batches/:batchId/lineage - Ancestor/descendant graph with shipments
+router.get("/:batchId/lineage", getBatchLineage);
+
+// POST /api/batches/:batchId/recall - Recall batch and all descendants (admin)
+router.post("/:batchId/recall", verifyJWT, authorizeRoles(), recallBatch);
+
+// GET /api/batches/:batchId/exposure - Recorded temperature exposure and freshness
+router.get("/:batchId/exposure", getBatchExposure);
+
 // GET /api/batches/:batchId - Get single batch
 router.get("/:batchId", getBatchById);
 
@@ -1,12 +1,31 @@
 import { Router } from "express";
-import {storeEvent,createNGORequest,newShipment} from "../controllers/events.controller.js";
+import {storeEvent,createNGORequest} from "../controllers/events.controller.js";
+import {
+  verifyJWT,
+  authorizeRoles,
+  authorizeNodeScope,
+  authorizeNgoScope,
+} from "../middleware/auth.middleware.js";
 //import controllers
 
 const router=Router();
 
-router.post("/farm", storeEvent);
-router.post("/request", createNGORequest);
-router.post("/shipment", newShipment);
+// Ingestion is done by farm reps for their own node, or by the scenario server (service key)
+router.post(
+  "/farm",
+  verifyJWT,
+  authorizeRoles("farm_rep", "service"),
+  authorizeNodeScope((req) => req.body?.payload?.node?.nodeId),
+  storeEvent
+);
+router.post(
+  "/request",
+  verifyJWT,
+  authorizeRoles("ngo", "service"),
+  authorizeNgoScope((req) => req.body?.requesterNode),
+  createNGORequest
+);
+// Shipments are created through /api/shipments (shipment.controller), which
+// enforces warehouse_mgr/admin roles scoped to the source node
 
-
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,43 @@
+import { Router } from "express";
+import {
+  createVehicle,
+  getVehicles,
+  getVehicleById,
+  updateVehicle,
+  getFleetSchedule,
+  planDeliveryRoutes,
+} from "../controllers/fleet.controller.js";
+import {
+  verifyJWT,
+  authorizeRoles,
+  authorizeNodeScope,
+} from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// GET /api/fleet/schedule - Vehicle utilization over time
+router.get("/schedule", getFleetSchedule);
+
+// GET /api/fleet/vehicles - List vehicles
+router.get("/vehicles", getVehicles);
+
+// POST /api/fleet/vehicles - Register a vehicle (admin)
+router.post("/vehicles", verifyJWT, authorizeRoles(), createVehicle);
+
+// GET /api/fleet/vehicles/:vehicleId - Vehicle with upcoming bookings
+router.get("/vehicles/:vehicleId", getVehicleById);
+
+// PATCH /api/fleet/vehicles/:vehicleId - Update capacity, status, availability (admin)
+router.patch("/vehicles/:vehicleId", verifyJWT, authorizeRoles(), updateVehicle);
+
+// POST /api/fleet/routes - Consolidate approved requests into multi-stop routes
+// A warehouse_mgr plans for their own depot (depotId required); admin for any
+router.post(
+  "/routes",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr"),
+  authorizeNodeScope((req) => req.body?.depotId),
+  planDeliveryRoutes
+);
+
+export default router;
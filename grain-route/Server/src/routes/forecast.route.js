@@ -0,0 +1,24 @@
+import { Router } from "express";
+import {
+  getForecasts,
+  getAccuracy,
+  getForecastModels,
+  runForecast,
+} from "../controllers/forecast.controller.js";
+import { verifyJWT, authorizeRoles } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// GET /api/forecasts?from=&to=&regionId=&horizon=&modelVersion= - Forecasts vs. actual demand
+router.get("/", getForecasts);
+
+// GET /api/forecasts/accuracy?from=&to=&regionId=&horizon=&modelVersion= - MAPE and bias
+router.get("/accuracy", getAccuracy);
+
+// GET /api/forecasts/models - Registered forecast models
+router.get("/models", getForecastModels);
+
+// POST /api/forecasts/run - Produce and store forecasts now
+router.post("/run", verifyJWT, authorizeRoles(), runForecast);
+
+export default router;
@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { getDependencies } from "../controllers/health.controller.js";
+import { verifyJWT, authorizeRoles } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// GET /api/health/dependencies - Upstream breaker state and metrics (admin or monitoring service key)
+router.get(
+  "/dependencies",
+  verifyJWT,
+  authorizeRoles("service"),
+  getDependencies
+);
+
+export default router;
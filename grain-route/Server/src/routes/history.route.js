@@ -4,20 +4,49 @@ import {
   getHistoryRange,
   compareSimulations,
   simulateAllocations,
+  getSimulationRuns,
+  getSimulationRunById,
+  rerunSimulation,
+  runParameterSweep,
+  getAllocationStrategies,
+  simulateRollingHorizon,
 } from "../controllers/history.controller.js";
+import { verifyJWT, authorizeRoles } from "../middleware/auth.middleware.js";
 
 const router = Router();
 
+// Simulations are public; storing the run (?store=true) requires sign-in
+const verifyJWTToStore = (req, res, next) =>
+  req.query.store === "true" ? verifyJWT(req, res, next) : next();
+
 // GET /api/history/day?date=YYYY-MM-DD - Get single day frame
 router.get("/day", getHistoryDay);
 
 // GET /api/history/range?start=YYYY-MM-DD&end=YYYY-MM-DD - Get range of frames
 router.get("/range", getHistoryRange);
 
-// GET /api/history/compare?date=YYYY-MM-DD - Compare regular vs ML allocation
-router.get("/compare", compareSimulations);
+// GET /api/history/compare?date=YYYY-MM-DD&strategies= - Compare allocation strategies
+router.get("/compare", verifyJWTToStore, compareSimulations);
 
 // GET /api/history/simulate?date=YYYY-MM-DD - Get simulation data for visualization
-router.get("/simulate", simulateAllocations);
+router.get("/simulate", verifyJWTToStore, simulateAllocations);
+
+// GET /api/history/rolling?date=YYYY-MM-DD&days=&stepHours= - Day-by-day simulation with carryover
+router.get("/rolling", verifyJWTToStore, simulateRollingHorizon);
+
+// GET /api/history/strategies - Registered allocation strategies and their options
+router.get("/strategies", getAllocationStrategies);
+
+// GET /api/history/runs?kind=&page=&limit= - Stored simulation runs
+router.get("/runs", getSimulationRuns);
+
+// GET /api/history/runs/:id - One stored run with allocations and metrics
+router.get("/runs/:id", getSimulationRunById);
+
+// POST /api/history/runs/:id/rerun - Replay a stored run on its snapshot
+router.post("/runs/:id/rerun", verifyJWT, rerunSimulation);
+
+// POST /api/history/sweep - Run a what-if grid of simulation variables
+router.post("/sweep", verifyJWT, authorizeRoles(), runParameterSweep);
 
 export default router;
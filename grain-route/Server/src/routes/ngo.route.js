@@ -2,10 +2,16 @@ import { Router } from "express";
 import {
   createRequest,
   updateRequestStatus,
+  approveRequest,
   getRequestsByNGO,
   getAllRequests,
   getAllNGOs,
 } from "../controllers/ngo.controller.js";
+import {
+  verifyJWT,
+  authorizeRoles,
+  authorizeNgoScope,
+} from "../middleware/auth.middleware.js";
 
 const router = Router();
 
@@ -14,8 +20,27 @@ router.get("/", getAllNGOs);
 
 // Request routes (when mounted at /api/v1/request)
 router.get("/all", getAllRequests);
-router.post("/createRequest", createRequest);
-router.patch("/:requestID/status", updateRequestStatus);
+// NGO users may only raise requests for their own NGO
+router.post(
+  "/createRequest",
+  verifyJWT,
+  authorizeRoles("ngo"),
+  authorizeNgoScope((req) => req.body?.requesterNode),
+  createRequest
+);
+router.patch(
+  "/:requestID/status",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr"),
+  updateRequestStatus
+);
+// Approval reserves stock and generates shipments (warehouse_mgr: own stock only)
+router.post(
+  "/:requestID/approve",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr"),
+  approveRequest
+);
 router.get("/getAllRequets/:ngoId", getRequestsByNGO);
 
 export default router;
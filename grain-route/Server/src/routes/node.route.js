@@ -5,7 +5,16 @@ import {
   deleteNode,
   getAllNodes,
   getAllDistricts,
+  getNodeUtilization,
+  releaseNodeQueue,
+  getNodeMatrix,
+  rebuildNodeMatrix,
 } from "../controllers/node.controller.js";
+import {
+  verifyJWT,
+  authorizeRoles,
+  authorizeNodeScope,
+} from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
@@ -13,7 +22,22 @@ router.get("/getAllDistricts",getAllDistricts);
 router.get("/getAllNodes", getAllNodes); //GET /api/nodes/getAllNodes?page=1&limit=10
 router.get("/district/:district", getNodesByRegion); //GET /api/nodes/district/:district?page=1&limit=10
 
-router.post("/addNewNode", createNode);
-router.delete("/deleteNode/:id", deleteNode);
+// Topology changes are admin-only
+router.post("/addNewNode", verifyJWT, authorizeRoles(), createNode);
+router.delete("/deleteNode/:id", verifyJWT, authorizeRoles(), deleteNode);
+
+// Distance matrix: GET /api/v1/node/matrix?ids=&type=, rebuild is admin-only
+router.get("/matrix", getNodeMatrix);
+router.post("/matrix/rebuild", verifyJWT, authorizeRoles(), rebuildNodeMatrix);
+
+// Capacity: GET /api/v1/node/:id/utilization, queue release by the node's warehouse_mgr
+router.get("/:id/utilization", getNodeUtilization);
+router.post(
+  "/:id/queue/release",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr"),
+  authorizeNodeScope((req) => req.params.id),
+  releaseNodeQueue
+);
 
 export default router;
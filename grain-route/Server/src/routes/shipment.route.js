@@ -2,14 +2,42 @@ import { Router } from "express";
 import {
   createShipment,
   markShipmentArrived,
+  markStopArrived,
+  dispatchShipment,
+  cancelShipment,
+  updateShipmentLocation,
+  logShipmentBreak,
+  endShipmentBreak,
+  getShipmentBreaks,
   getShipments,
   getShipmentById,
 } from "../controllers/shipment.controller.js";
+import {
+  verifyJWT,
+  authorizeRoles,
+  authorizeNodeScope,
+  authorizeShipmentReceiver,
+} from "../middleware/auth.middleware.js";
+import { Shipment } from "../models/shipment.model.js";
 
 const router = Router();
 
+const shipmentSourceNode = async (req) => {
+  const shipment = await Shipment.findById(req.params.id)
+    .select("fromNode")
+    .lean();
+  return shipment?.fromNode;
+};
+
 // POST /api/shipments - Create new shipment with batch allocation
-router.post("/", createShipment);
+// Only a warehouse_mgr of the source node (or admin) may ship from it
+router.post(
+  "/",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr"),
+  authorizeNodeScope((req) => req.body?.fromNodeId),
+  createShipment
+);
 
 // GET /api/shipments - Get all shipments with filters
 router.get("/", getShipments);
@@ -17,7 +45,70 @@ router.get("/", getShipments);
 // GET /api/shipments/:id - Get single shipment
 router.get("/:id", getShipmentById);
 
-// PATCH /api/shipments/:id/arrive - Mark shipment as arrived
-router.patch("/:id/arrive", markShipmentArrived);
+// PATCH /api/shipments/:id/arrive - Mark shipment as arrived (receiver only)
+router.patch(
+  "/:id/arrive",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr", "ngo"),
+  authorizeShipmentReceiver,
+  markShipmentArrived
+);
+
+// PATCH /api/shipments/:id/stops/:sequence/arrive - Confirm one stop of a route (that stop's receiver only)
+router.patch(
+  "/:id/stops/:sequence/arrive",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr", "ngo"),
+  authorizeShipmentReceiver,
+  markStopArrived
+);
+
+// PATCH /api/shipments/:id/dispatch - Send a pending shipment on its way (source warehouse_mgr)
+router.patch(
+  "/:id/dispatch",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr"),
+  authorizeNodeScope(shipmentSourceNode),
+  dispatchShipment
+);
+
+// PATCH /api/shipments/:id/cancel - Cancel and return batches to source (source warehouse_mgr)
+router.patch(
+  "/:id/cancel",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr"),
+  authorizeNodeScope(shipmentSourceNode),
+  cancelShipment
+);
+
+// POST /api/shipments/:id/location - GPS ping; re-projects ETA (tracking gateway / source warehouse_mgr)
+router.post(
+  "/:id/location",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr", "service"),
+  authorizeNodeScope(shipmentSourceNode),
+  updateShipmentLocation
+);
+
+// GET /api/shipments/:id/breaks - Planned vs logged breaks and delay breakdown
+router.get("/:id/breaks", getShipmentBreaks);
+
+// POST /api/shipments/:id/breaks - Log a driver break (tracking gateway / source warehouse_mgr)
+router.post(
+  "/:id/breaks",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr", "service"),
+  authorizeNodeScope(shipmentSourceNode),
+  logShipmentBreak
+);
+
+// PATCH /api/shipments/:id/breaks/:breakId/end - Close an open break
+router.patch(
+  "/:id/breaks/:breakId/end",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr", "service"),
+  authorizeNodeScope(shipmentSourceNode),
+  endShipmentBreak
+);
 
 export default router;
@@ -0,0 +1,21 @@
+import { Router } from "express";
+import {
+  ingestTelemetry,
+  getTelemetry,
+} from "../controllers/telemetry.controller.js";
+import { verifyJWT, authorizeRoles } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// POST /api/telemetry - Ingest cold-chain readings (sensor gateways use the service key)
+router.post(
+  "/",
+  verifyJWT,
+  authorizeRoles("warehouse_mgr", "service"),
+  ingestTelemetry
+);
+
+// GET /api/telemetry?vehicleId=|nodeId= - Reading history for one source
+router.get("/", getTelemetry);
+
+export default router;
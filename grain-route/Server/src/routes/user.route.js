@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  registerUser,
+  loginUser,
+  logoutUser,
+  refreshAccessToken,
+  getCurrentUser,
+} from "../controllers/user.controller.js";
+import { verifyJWT } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+// POST /api/v1/users/register - Admin-only (first user bootstraps as admin)
+router.post("/register", registerUser);
+
+// POST /api/v1/users/login - Issue access + refresh tokens
+router.post("/login", loginUser);
+
+// POST /api/v1/users/refresh-token - Rotate tokens
+router.post("/refresh-token", refreshAccessToken);
+
+// POST /api/v1/users/logout - Revoke refresh token
+router.post("/logout", verifyJWT, logoutUser);
+
+// GET /api/v1/users/me - Current user
+router.get("/me", verifyJWT, getCurrentUser);
+
+export default router;
@@ -0,0 +1,245 @@
+/**
+ * Allocation strategy registry
+ * Every strategy the simulation runner can compare is registered here with
+ * a name, a label, an options schema and an allocate function:
+ *
+ *   allocate(requests, batches, warehouses, ngos, options) -> allocations[]
+ *
+ * options carries {env, seed, referenceDate, ngoOrgs, distanceMatrix} plus
+ * the runner's transfer planner settings; a strategy reads its tuning from
+ * options.env. The keys of optionsSchema are the env variables it reads:
+ * they become overridable per run (env[KEY]=) and sweepable. A strategy may
+ * leave diagnostics on options.debug; the runner reports them next to its
+ * metrics. Batches are a private copy, so allocate may consume them.
+ * `rebalances` marks strategies that move stock between warehouses; the
+ * rolling-horizon simulator runs the transfer planner for those only.
+ *
+ * Register new strategies from this module (or one it imports) so that
+ * sweep workers, which load the runner on their own, know them too.
+ */
+
+import {
+  allocateRegular,
+  allocateML,
+  allocateOptimal,
+} from "./simulationService.js";
+
+const OPTION_TYPES = ["number", "string", "boolean"];
+const NAME_RE = /^[a-z][a-z0-9_-]*$/;
+
+const strategies = new Map();
+
+/**
+ * Register an allocation strategy
+ * @param {Object} strategy
+ * @param {string} strategy.name - Lowercase id used in ?strategies=
+ * @param {string} strategy.label - Display name
+ * @param {string} strategy.description
+ * @param {Object} strategy.optionsSchema - {ENV_KEY: {type, default, description}}
+ * @param {Function} strategy.allocate - (requests, batches, warehouses, ngos, options) => Promise<allocations[]>
+ * @param {boolean} strategy.rebalances - Uses warehouse transfers (default false)
+ * @returns {Object} The registered strategy
+ * @throws {Error} On an invalid definition or a duplicate name
+ */
+function registerStrategy({
+  name,
+  label,
+  description = "",
+  optionsSchema = {},
+  allocate,
+  rebalances = false,
+}) {
+  if (typeof name !== "string" || !NAME_RE.test(name)) {
+    throw new Error(`Invalid allocation strategy name '${name}'`);
+  }
+  if (strategies.has(name)) {
+    throw new Error(`Allocation strategy '${name}' is already registered`);
+  }
+  if (typeof allocate !== "function") {
+    throw new Error(`Allocation strategy '${name}' needs an allocate function`);
+  }
+  for (const [key, option] of Object.entries(optionsSchema)) {
+    if (!OPTION_TYPES.includes(option?.type)) {
+      throw new Error(
+        `Option ${key} of strategy '${name}' needs a type: ${OPTION_TYPES.join(", ")}`
+      );
+    }
+  }
+
+  const strategy = {
+    name,
+    label: label || name,
+    description,
+    optionsSchema,
+    allocate,
+    rebalances: rebalances === true,
+  };
+  strategies.set(name, strategy);
+  return strategy;
+}
+
+/**
+ * @returns {Object|null} Registered strategy by name
+ */
+function getStrategy(name) {
+  return strategies.get(name) || null;
+}
+
+/**
+ * Registered strategies without their allocate functions
+ * @returns {Object[]} [{name, label, description, rebalances, optionsSchema}]
+ */
+function listStrategies() {
+  return [...strategies.values()].map(
+    ({ name, label, description, rebalances, optionsSchema }) => ({
+      name,
+      label,
+      description,
+      rebalances,
+      optionsSchema,
+    })
+  );
+}
+
+/**
+ * Schema entry of an option across all strategies
+ * @returns {Object|null} {type, default, description, strategy}
+ */
+function strategyOption(key) {
+  for (const strategy of strategies.values()) {
+    if (key in strategy.optionsSchema) {
+      return { ...strategy.optionsSchema[key], strategy: strategy.name };
+    }
+  }
+  return null;
+}
+
+// Built-in strategies
+
+registerStrategy({
+  name: "regular",
+  label: "Rule-Based (Nearest + FIFO)",
+  description:
+    "Nearest warehouse with eligible stock, most time-critical batches first",
+  allocate: (requests, batches, warehouses, ngos, options) =>
+    allocateRegular(requests, batches, warehouses, ngos, options),
+});
+
+registerStrategy({
+  name: "ml",
+  label: "ML-Driven (Predictive + Optimized)",
+  description:
+    "Demand prediction plus freshness/distance scoring, with optional warehouse transfers",
+  rebalances: true,
+  optionsSchema: {
+    ML_MIN_DELIVERED_FRESHNESS_PCT: {
+      type: "number",
+      default: 55,
+      description: "Preferred minimum freshness at delivery",
+    },
+    ML_RELAXED_MIN_DELIVERED_FRESHNESS_PCT: {
+      type: "number",
+      default: 25,
+      description: "Fallback minimum freshness at delivery",
+    },
+    ML_MAX_DISTANCE_KM: {
+      type: "number",
+      default: 250,
+      description: "Preferred maximum warehouse distance",
+    },
+    ML_DISTANCE_DECAY_KM: {
+      type: "number",
+      default: 70,
+      description: "Decay length of the distance score",
+    },
+    ML_HARD_MAX_DISTANCE_KM: {
+      type: "number",
+      default: 450,
+      description: "Warehouses beyond this are never used",
+    },
+    ML_TOP_K_WAREHOUSES: {
+      type: "number",
+      default: 12,
+      description: "Nearest warehouses scored before widening the search",
+    },
+    ML_MIN_INCAP_FULFILLMENT_RATIO: {
+      type: "number",
+      default: 0.6,
+      description: "Share an in-cap warehouse must cover to be preferred",
+    },
+    ML_ENABLE_TRANSFER_PLANNER: {
+      type: "boolean",
+      default: false,
+      description: "Run the transfer planner outside simulations ('1')",
+    },
+    ML_TRANSFER_MAX_PAIRS: { type: "number", default: 5 },
+    ML_TRANSFER_MIN_TRANSFER_KG: { type: "number", default: 200 },
+    ML_TRANSFER_OVERSTOCK_RATIO: { type: "number", default: 0.8 },
+    ML_TRANSFER_UNDERSTOCK_RATIO: { type: "number", default: 0.4 },
+    ML_TRANSFER_TARGET_RATIO: { type: "number", default: 0.6 },
+    ML_TRANSFER_PLANNER_MODE: {
+      type: "string",
+      default: "warehouse_to_warehouse",
+    },
+    ML_TRANSFER_CRON_HOURS: { type: "number", default: null },
+    ML_TRANSFER_CRON_MAX_RUNS: { type: "number", default: 250 },
+    DEMAND_FORECASTER: {
+      type: "string",
+      default: "baseline",
+      description: "Demand signals: 'baseline' or 'ml' (baseline fallback)",
+    },
+  },
+  allocate: async (requests, batches, warehouses, ngos, options) => {
+    const allocations = await allocateML(
+      requests,
+      batches,
+      warehouses,
+      ngos,
+      options
+    );
+    options.debug = options._transferPlannerDebug || null;
+    return allocations;
+  },
+});
+
+registerStrategy({
+  name: "optimal",
+  label: "Optimal (Min-Cost Flow Benchmark)",
+  description:
+    "Min-cost flow over the whole backlog: most kg, then least distance + expected spoilage",
+  optionsSchema: {
+    OPT_MIN_DELIVERED_FRESHNESS_PCT: {
+      type: "number",
+      default: 25,
+      description: "Minimum freshness at delivery",
+    },
+    OPT_MAX_DISTANCE_KM: {
+      type: "number",
+      default: 450,
+      description: "Warehouses beyond this are never used",
+    },
+    OPT_TOP_K_WAREHOUSES: {
+      type: "number",
+      default: 25,
+      description: "Nearest warehouses linked to each request",
+    },
+    OPT_SPOILAGE_WEIGHT_KM: {
+      type: "number",
+      default: 200,
+      description: "Cost (in km) of a kg that arrives with no life left",
+    },
+  },
+  allocate: async (requests, batches, warehouses, ngos, options) => {
+    const allocations = await allocateOptimal(
+      requests,
+      batches,
+      warehouses,
+      ngos,
+      options
+    );
+    options.debug = options._optimalDebug || null;
+    return allocations;
+  },
+});
+
+export { registerStrategy, getStrategy, listStrategies, strategyOption };
@@ -0,0 +1,326 @@
+/**
+ * Warehouse capacity service
+ * Utilization accounting, overflow handling (reject or FIFO queue) and
+ * threshold alerts for nodes with a configured capacity_kg
+ */
+
+import { Batch } from "../models/batch.model.js";
+import { Node } from "../models/node.model.js";
+import { Shipment } from "../models/shipment.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { emitAlert } from "./frameEmitter.js";
+
+// Statuses that physically occupy space at a node
+const OCCUPYING_STATUSES = ["stored", "reserved"];
+
+// Node types whose capacity is enforced (capacity_kg 0 means unlimited)
+const ENFORCED_NODE_TYPES = ["warehouse"];
+
+const OVERFLOW_MODES = ["reject", "queue"];
+
+// Fractions of capacity that trigger a warning, e.g. "0.8,0.95"
+// Read on use: this module is imported before index.js loads .env
+const warnThresholds = () =>
+  String(process.env.CAPACITY_WARN_THRESHOLDS ?? "0.8,0.95")
+    .split(",")
+    .map((v) => Number(v.trim()))
+    .filter((v) => Number.isFinite(v) && v > 0)
+    .sort((a, b) => a - b);
+
+// nodeId -> index of the highest threshold currently crossed (-1 = none)
+const thresholdState = new Map();
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Resolve the overflow mode for a request
+ * @param {string} requested - Per-request override (optional)
+ * @returns {string} 'reject' | 'queue'
+ */
+function resolveOverflowMode(requested) {
+  const mode = requested || process.env.CAPACITY_OVERFLOW_MODE || "reject";
+  if (!OVERFLOW_MODES.includes(mode)) {
+    throw new ApiError(
+      400,
+      `Invalid overflow mode '${mode}'. Must be one of ${OVERFLOW_MODES.join(", ")}.`
+    );
+  }
+  return mode;
+}
+
+const isEnforced = (node) =>
+  Boolean(node) &&
+  ENFORCED_NODE_TYPES.includes(node.type) &&
+  Number(node.capacity_kg) > 0;
+
+/**
+ * Claim a node's capacity for the caller's transaction
+ * Writing the node makes a concurrent transaction that also claims it fail
+ * with a WriteConflict, so two placements cannot both pass the same check.
+ * @param {Object} node - Node document
+ * @param {Object} session - Mongoose session with an open transaction
+ * @throws {ApiError} 409 (code ECAPACITYCONFLICT) when another placement at
+ *   the node won the race
+ */
+async function claimNodeCapacity(node, session) {
+  try {
+    await Node.updateOne(
+      { _id: node._id },
+      { $inc: { capacityVersion: 1 } },
+      { session }
+    );
+  } catch (error) {
+    if (error.code !== 112) throw error; // WriteConflict
+    const conflict = new ApiError(
+      409,
+      `Node '${node.name}' is taking in other stock; try again`
+    );
+    conflict.code = "ECAPACITYCONFLICT";
+    throw conflict;
+  }
+}
+
+/**
+ * Current utilization of a node
+ * @param {Object|string} nodeOrId - Node document or id
+ * @param {Object} options
+ * @param {Object} options.session - Mongoose session (optional)
+ * @returns {Promise<Object>} Utilization summary
+ */
+async function getNodeUtilization(nodeOrId, { session = null } = {}) {
+  const node =
+    nodeOrId?.capacity_kg !== undefined
+      ? nodeOrId
+      : await Node.findById(nodeOrId).session(session).lean();
+  if (!node) {
+    throw new ApiError(404, `Node ${nodeOrId} not found`);
+  }
+
+  // Sequential: operations sharing a transaction session must not overlap
+  const byStatus = await Batch.aggregate([
+    {
+      $match: {
+        currentNode: node._id,
+        status: { $in: [...OCCUPYING_STATUSES, "queued"] },
+      },
+    },
+    {
+      $group: {
+        _id: "$status",
+        quantity_kg: { $sum: "$quantity_kg" },
+        batches: { $sum: 1 },
+      },
+    },
+  ]).session(session);
+
+  const inbound = await Shipment.aggregate([
+    {
+      $match: {
+        toNode: node._id,
+        status: { $in: ["pending", "in_transit", "delayed"] },
+      },
+    },
+    {
+      $lookup: {
+        from: "batches",
+        localField: "batchIds",
+        foreignField: "_id",
+        as: "batches",
+      },
+    },
+    { $unwind: "$batches" },
+    {
+      $group: {
+        _id: null,
+        quantity_kg: { $sum: "$batches.quantity_kg" },
+        shipments: { $addToSet: "$_id" },
+      },
+    },
+  ]).session(session);
+
+  const totals = Object.fromEntries(byStatus.map((row) => [row._id, row]));
+  const stored = totals.stored?.quantity_kg || 0;
+  const reserved = totals.reserved?.quantity_kg || 0;
+  const used = stored + reserved;
+  const capacity = Number(node.capacity_kg) || 0;
+
+  return {
+    nodeId: node._id,
+    name: node.name,
+    type: node.type,
+    enforced: isEnforced(node),
+    capacity_kg: capacity,
+    stored_kg: round2(stored),
+    reserved_kg: round2(reserved),
+    used_kg: round2(used),
+    free_kg: capacity > 0 ? round2(Math.max(0, capacity - used)) : null,
+    utilizationPct: capacity > 0 ? round2((used / capacity) * 100) : null,
+    queued_kg: round2(totals.queued?.quantity_kg || 0),
+    queuedBatches: totals.queued?.batches || 0,
+    inbound_kg: round2(inbound[0]?.quantity_kg || 0),
+    inboundShipments: inbound[0]?.shipments.length || 0,
+    thresholds: warnThresholds(),
+  };
+}
+
+/**
+ * Decide where inbound inventory goes
+ * While a node has a queue, new inventory joins it (or is rejected) even if
+ * it would fit, so admission stays first-in first-out.
+ *
+ * @param {Object} node - Target node document
+ * @param {number} quantityKg - Inbound quantity
+ * @param {Object} options
+ * @param {string} options.mode - 'reject' | 'queue'
+ * @param {Object} options.session - Mongoose session with an open transaction;
+ *   placements already written in it are counted, and the node is claimed so
+ *   concurrent placements there conflict
+ * @returns {Promise<Object>} {status: 'stored'|'queued', utilization}
+ * @throws {ApiError} 409 when the node is full and mode is 'reject', or
+ *   (code ECAPACITYCONFLICT) when a concurrent placement won the race
+ */
+async function planPlacement(
+  node,
+  quantityKg,
+  { mode = "reject", session = null } = {}
+) {
+  if (!isEnforced(node)) {
+    return { status: "stored", utilization: null };
+  }
+
+  await claimNodeCapacity(node, session);
+  const utilization = await getNodeUtilization(node, { session });
+  const free = utilization.free_kg;
+  const fits = quantityKg <= free + 0.01;
+
+  if (fits && utilization.queuedBatches === 0) {
+    return { status: "stored", utilization };
+  }
+
+  if (mode === "queue") {
+    return { status: "queued", utilization };
+  }
+
+  throw new ApiError(
+    409,
+    `Node '${node.name}' is at capacity: ${quantityKg} kg inbound, ${round2(Math.max(0, free))} kg free of ${utilization.capacity_kg} kg.`,
+    [
+      {
+        nodeId: node._id,
+        capacity_kg: utilization.capacity_kg,
+        used_kg: utilization.used_kg,
+        free_kg: round2(Math.max(0, free)),
+        queued_kg: utilization.queued_kg,
+        requested_kg: quantityKg,
+      },
+    ]
+  );
+}
+
+/**
+ * Move queued batches into storage while space allows, oldest first
+ * Stops at the first batch that does not fit so later, smaller batches do
+ * not overtake it.
+ *
+ * @param {Object|string} nodeOrId - Node document or id
+ * @param {Object} options
+ * @param {Object} options.session - Mongoose session with an open transaction
+ * @param {Date} options.time - Timestamp for history entries
+ * @returns {Promise<Object[]>} Released [{batchId, quantity_kg}]
+ * @throws {ApiError} 409 (code ECAPACITYCONFLICT) when a concurrent placement
+ *   at the node won the race
+ */
+async function releaseQueuedBatches(
+  nodeOrId,
+  { session = null, time = new Date() } = {}
+) {
+  const node =
+    nodeOrId?.capacity_kg !== undefined
+      ? nodeOrId
+      : await Node.findById(nodeOrId).session(session).lean();
+  if (!node) return [];
+
+  const queued = await Batch.find({ currentNode: node._id, status: "queued" })
+    .sort({ queuedAt: 1, createdAt: 1 })
+    .session(session);
+  if (!queued.length) return [];
+
+  let free = Infinity;
+  if (isEnforced(node)) {
+    await claimNodeCapacity(node, session);
+    const utilization = await getNodeUtilization(node, { session });
+    free = utilization.free_kg;
+  }
+
+  const released = [];
+  for (const batch of queued) {
+    if (batch.quantity_kg > free + 0.01) break;
+    free -= batch.quantity_kg;
+    batch.status = "stored";
+    batch.queuedAt = null;
+    batch.history.push({
+      time,
+      action: "stored",
+      from: node._id,
+      to: node._id,
+      note: "Released from capacity queue",
+    });
+    await batch.save({ session });
+    released.push({ batchId: batch._id, quantity_kg: batch.quantity_kg });
+  }
+
+  return released;
+}
+
+/**
+ * Broadcast when a node crosses a utilization threshold (either direction)
+ * Call after the change has been committed.
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object|string} nodeOrId - Node document or id
+ * @returns {Promise<Object|null>} Alert emitted, if any
+ */
+async function notifyUtilization(io, nodeOrId) {
+  const utilization = await getNodeUtilization(nodeOrId);
+  if (!utilization.capacity_kg) return null;
+
+  const thresholds = utilization.thresholds;
+  const key = utilization.nodeId.toString();
+  const fraction = utilization.used_kg / utilization.capacity_kg;
+  let level = -1;
+  thresholds.forEach((threshold, index) => {
+    if (fraction >= threshold) level = index;
+  });
+
+  const previous = thresholdState.has(key) ? thresholdState.get(key) : -1;
+  thresholdState.set(key, level);
+  if (level === previous) return null;
+
+  const rising = level > previous;
+  const alert = {
+    type: rising ? "capacity_warning" : "capacity_recovered",
+    severity: rising
+      ? level === thresholds.length - 1
+        ? "critical"
+        : "warning"
+      : "info",
+    message: rising
+      ? `Node '${utilization.name}' at ${utilization.utilizationPct}% capacity (threshold ${round2(thresholds[level] * 100)}%)`
+      : `Node '${utilization.name}' back down to ${utilization.utilizationPct}% capacity`,
+    nodeId: utilization.nodeId,
+    utilizationPct: utilization.utilizationPct,
+    used_kg: utilization.used_kg,
+    capacity_kg: utilization.capacity_kg,
+    queued_kg: utilization.queued_kg,
+    threshold: level >= 0 ? thresholds[level] : null,
+  };
+  emitAlert(io, alert);
+  return alert;
+}
+
+export {
+  resolveOverflowMode,
+  getNodeUtilization,
+  planPlacement,
+  releaseQueuedBatches,
+  notifyUtilization,
+};
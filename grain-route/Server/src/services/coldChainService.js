@@ -0,0 +1,658 @@
+/**
+ * Cold-chain telemetry service
+ * Ingests temperature/humidity readings, reconstructs the exposure a batch
+ * has seen (warehouse and vehicle legs) and raises excursion alerts
+ */
+
+import mongoose from "mongoose";
+import { Telemetry } from "../models/telemetry.model.js";
+import { Batch } from "../models/batch.model.js";
+import { Node } from "../models/node.model.js";
+import { Shipment } from "../models/shipment.model.js";
+import { Vehicle } from "../models/vehicle.model.js";
+import {
+  calculateExposureFreshness,
+  detectExcursion,
+  getDecayProfile,
+} from "../utils/freshness.js";
+import { ApiError } from "../utils/ApiError.js";
+import { emitAlert } from "./frameEmitter.js";
+
+// Env is read on use: this module is imported before index.js loads .env
+
+// Temperature assumed where no reading covers the batch; when unset, the
+// food type's optimal storage temperature (in-date stock without telemetry
+// is not aged as if it sat at room temperature)
+const fallbackTempC = () => {
+  const temp = Number.parseFloat(process.env.TELEMETRY_FALLBACK_TEMP_C);
+  return Number.isFinite(temp) ? temp : null;
+};
+
+// Longest window an exposure cache preloads; older readings are queried
+// per segment
+const maxCacheMs = () =>
+  Number(process.env.TELEMETRY_CACHE_MAX_HOURS ?? 168) * 60 * 60 * 1000;
+
+// A reading stays valid until the next one, but never longer than this
+const maxHoldMs = () =>
+  Number(process.env.TELEMETRY_MAX_HOLD_MINUTES ?? 120) * 60 * 1000;
+
+// Shipment statuses where the batch has physically left the origin
+const MOVED_SHIPMENT_STATUSES = ["in_transit", "delayed", "arrived"];
+const ACTIVE_SHIPMENT_STATUSES = ["in_transit", "delayed"];
+
+// Max parentBatchId hops followed when reconstructing a split batch's past
+const MAX_ANCESTOR_DEPTH = 20;
+
+// `${sourceKey}|${profile}` -> true while that source is out of range
+const excursionState = new Map();
+
+const toId = (value) => (value?._id ?? value)?.toString() ?? null;
+
+const sourceKey = (source) =>
+  source.kind === "vehicle"
+    ? `vehicle:${source.vehicleId}`
+    : `node:${toId(source.nodeId)}`;
+
+const sourceFilter = (source) =>
+  source.kind === "vehicle"
+    ? { "source.kind": "vehicle", "source.vehicleId": source.vehicleId }
+    : {
+        "source.kind": "node",
+        "source.nodeId": new mongoose.Types.ObjectId(toId(source.nodeId)),
+      };
+
+/**
+ * Create a per-run reading cache
+ * Preloads each source once for [since, until] so a sweep over many batches
+ * does not query the same vehicle/node series repeatedly. The window is
+ * capped at TELEMETRY_CACHE_MAX_HOURS before `until`. The cache also holds
+ * batch ancestry and shipments filled by preloadTimelines.
+ * @param {Object} options
+ * @param {Date} options.since - Earliest time to preload
+ * @param {Date} options.until - Latest time to preload
+ */
+function createExposureCache({ since, until }) {
+  const untilMs = new Date(until).getTime();
+  const sinceMs = Math.max(new Date(since).getTime(), untilMs - maxCacheMs());
+  return {
+    since: sinceMs - maxHoldMs(),
+    until: untilMs,
+    series: new Map(),
+    parents: new Map(),
+    shipmentsByBatch: new Map(),
+  };
+}
+
+/**
+ * Load readings for a source, sorted by time
+ * Includes readings up to the hold time before `from` so the value in force
+ * at the start of the window is known.
+ */
+async function loadReadings(source, from, to, cache = null) {
+  const fromMs = from.getTime() - maxHoldMs();
+  const toMs = to.getTime();
+
+  if (cache && fromMs >= cache.since && toMs <= cache.until) {
+    const key = sourceKey(source);
+    if (!cache.series.has(key)) {
+      cache.series.set(
+        key,
+        Telemetry.find({
+          ...sourceFilter(source),
+          time: { $gte: new Date(cache.since), $lte: new Date(cache.until) },
+        })
+          .sort({ time: 1 })
+          .select("time temp_c humidity_pct")
+          .lean()
+      );
+    }
+    const all = await cache.series.get(key);
+    return all.filter((r) => {
+      const t = new Date(r.time).getTime();
+      return t >= fromMs && t <= toMs;
+    });
+  }
+
+  return Telemetry.find({
+    ...sourceFilter(source),
+    time: { $gte: new Date(fromMs), $lte: to },
+  })
+    .sort({ time: 1 })
+    .select("time temp_c humidity_pct")
+    .lean();
+}
+
+/**
+ * Turn point readings into constant-value intervals clipped to a segment
+ */
+function readingsToIntervals(readings, segStart, segEnd) {
+  const startMs = segStart.getTime();
+  const endMs = segEnd.getTime();
+  const holdMs = maxHoldMs();
+  const intervals = [];
+
+  for (let i = 0; i < readings.length; i++) {
+    const t = new Date(readings[i].time).getTime();
+    const next = readings[i + 1]
+      ? new Date(readings[i + 1].time).getTime()
+      : Infinity;
+    const from = Math.max(t, startMs);
+    const to = Math.min(next, t + holdMs, endMs);
+    if (to > from) {
+      intervals.push({
+        start: new Date(from),
+        end: new Date(to),
+        temp_c: readings[i].temp_c,
+        humidity_pct: readings[i].humidity_pct,
+      });
+    }
+  }
+  return intervals;
+}
+
+// A batch followed by its split ancestors, nearest first
+const lineageIds = (batch, parents) => {
+  const ids = [toId(batch)];
+  let parentId = toId(batch.parentBatchId);
+  while (parentId && ids.length <= MAX_ANCESTOR_DEPTH) {
+    ids.push(parentId);
+    parentId = parents.get(parentId) ?? null;
+  }
+  return ids;
+};
+
+/**
+ * Load the split ancestry and moving shipments of many batches at once
+ * Ancestors are fetched one generation per query and shipments in a single
+ * query, instead of once per batch. Already loaded batches are skipped.
+ * @param {Object} cache - Cache from createExposureCache
+ * @param {Object[]} batches - Batch documents or lean objects
+ */
+async function preloadTimelines(cache, batches) {
+  const { parents, shipmentsByBatch } = cache;
+
+  for (const batch of batches) {
+    parents.set(toId(batch), toId(batch.parentBatchId));
+  }
+  let frontier = [
+    ...new Set(
+      batches
+        .map((b) => toId(b.parentBatchId))
+        .filter((id) => id && !parents.has(id))
+    ),
+  ];
+  for (let depth = 0; frontier.length && depth < MAX_ANCESTOR_DEPTH; depth++) {
+    const found = await Batch.find({ _id: { $in: frontier } })
+      .select("parentBatchId")
+      .lean();
+    for (const id of frontier) parents.set(id, null);
+    for (const parent of found) {
+      parents.set(toId(parent), toId(parent.parentBatchId));
+    }
+    frontier = [
+      ...new Set(
+        found
+          .map((b) => toId(b.parentBatchId))
+          .filter((id) => id && !parents.has(id))
+      ),
+    ];
+  }
+
+  const unseen = [
+    ...new Set(batches.flatMap((batch) => lineageIds(batch, parents))),
+  ].filter((id) => !shipmentsByBatch.has(id));
+  if (!unseen.length) return;
+
+  const shipments = await Shipment.find({
+    batchIds: { $in: unseen },
+    status: { $in: MOVED_SHIPMENT_STATUSES },
+    start_iso: { $ne: null },
+  })
+    .select(
+      "shipmentId batchIds fromNode toNode vehicleId start_iso arrived_iso status"
+    )
+    .lean();
+
+  for (const id of unseen) shipmentsByBatch.set(id, []);
+  for (const shipment of shipments) {
+    for (const id of shipment.batchIds) {
+      shipmentsByBatch.get(id.toString())?.push(shipment);
+    }
+  }
+}
+
+/**
+ * Reconstruct where a batch has been since manufacture
+ * A split child inherits its ancestors' shipments from before the split.
+ * @param {Object} cache - Cache from createExposureCache (optional)
+ * @returns {Promise<Object[]>} [{start, end, source: {kind, vehicleId|nodeId}|null, shipmentId?}]
+ */
+async function buildLocationTimeline(batch, until, cache = null) {
+  const createdAt = batch.createdAt ? new Date(batch.createdAt) : until;
+  const ownId = toId(batch);
+
+  const timelines = cache || {
+    parents: new Map(),
+    shipmentsByBatch: new Map(),
+  };
+  await preloadTimelines(timelines, [batch]);
+
+  const byId = new Map();
+  for (const id of lineageIds(batch, timelines.parents)) {
+    for (const shipment of timelines.shipmentsByBatch.get(id) || []) {
+      byId.set(shipment._id.toString(), shipment);
+    }
+  }
+  const shipments = [...byId.values()].sort(
+    (a, b) => new Date(a.start_iso) - new Date(b.start_iso)
+  );
+
+  const legs = shipments.filter(
+    (s) =>
+      s.batchIds.some((id) => id.toString() === ownId) ||
+      new Date(s.start_iso) < createdAt
+  );
+
+  const segments = [];
+  let cursor = new Date(batch.manufacture_date);
+  let nodeId = toId(legs[0]?.fromNode) || toId(batch.originNode);
+
+  for (const leg of legs) {
+    const start = new Date(leg.start_iso);
+    const end = leg.arrived_iso ? new Date(leg.arrived_iso) : until;
+    if (start > cursor) {
+      segments.push({
+        start: cursor,
+        end: start,
+        source: nodeId ? { kind: "node", nodeId } : null,
+      });
+    }
+    segments.push({
+      start: start > cursor ? start : cursor,
+      end,
+      source: leg.vehicleId
+        ? { kind: "vehicle", vehicleId: leg.vehicleId }
+        : null,
+      shipmentId: leg.shipmentId,
+    });
+    cursor = end;
+    nodeId = toId(leg.toNode);
+  }
+
+  if (!legs.length) nodeId = toId(batch.currentNode) || nodeId;
+  if (cursor < until) {
+    segments.push({
+      start: cursor,
+      end: until,
+      source: nodeId ? { kind: "node", nodeId } : null,
+    });
+  }
+
+  return segments.filter((s) => s.end > s.start);
+}
+
+/**
+ * Compute freshness from the temperature a batch has actually been exposed to
+ * @param {Object} batch - Batch document or lean object
+ * @param {Object} options
+ * @param {Date} options.now - Evaluation time (default: now)
+ * @param {Object} options.cache - Cache from createExposureCache (optional)
+ * @param {boolean} options.includeSegments - Return per-segment detail
+ * @returns {Promise<Object>} {freshnessPct, lifeFraction, coveredHours, avgTempC, maxTempC, segments?}
+ */
+async function getBatchExposure(
+  batch,
+  { now = new Date(), cache = null, includeSegments = false } = {}
+) {
+  if (!batch.manufacture_date || !batch.shelf_life_hours) {
+    return {
+      freshnessPct: 100,
+      lifeFraction: 0,
+      coveredHours: 0,
+      avgTempC: null,
+      maxTempC: null,
+    };
+  }
+
+  const segments = await buildLocationTimeline(batch, now, cache);
+  const intervals = [];
+  const detail = [];
+  let maxTempC = null;
+
+  for (const segment of segments) {
+    let segIntervals = [];
+    if (segment.source) {
+      const readings = await loadReadings(
+        segment.source,
+        segment.start,
+        segment.end,
+        cache
+      );
+      segIntervals = readingsToIntervals(readings, segment.start, segment.end);
+    }
+    for (const interval of segIntervals) {
+      if (maxTempC === null || interval.temp_c > maxTempC) {
+        maxTempC = interval.temp_c;
+      }
+    }
+    intervals.push(...segIntervals);
+
+    if (includeSegments) {
+      detail.push({
+        start: segment.start,
+        end: segment.end,
+        source: segment.source,
+        shipmentId: segment.shipmentId || null,
+        readings: segIntervals.length,
+        coveredHours:
+          Math.round(
+            (segIntervals.reduce((sum, i) => sum + (i.end - i.start), 0) /
+              (1000 * 60 * 60)) *
+              100
+          ) / 100,
+      });
+    }
+  }
+
+  const result = calculateExposureFreshness(
+    batch,
+    intervals,
+    now,
+    fallbackTempC() ?? getDecayProfile(batch.foodType).optimalTempC
+  );
+
+  return {
+    ...result,
+    maxTempC,
+    ...(includeSegments ? { segments: detail } : {}),
+  };
+}
+
+/**
+ * Validate and normalise one raw reading
+ * @throws {Error} with a human-readable message
+ */
+function normaliseReading(raw, index) {
+  const vehicleId = raw.vehicleId || raw.source?.vehicleId;
+  const nodeId = raw.nodeId || raw.source?.nodeId;
+
+  if (!vehicleId && !nodeId) {
+    throw new Error(`reading[${index}]: 'vehicleId' or 'nodeId' is required`);
+  }
+  if (vehicleId && nodeId) {
+    throw new Error(
+      `reading[${index}]: provide either 'vehicleId' or 'nodeId', not both`
+    );
+  }
+  if (nodeId && !mongoose.Types.ObjectId.isValid(nodeId)) {
+    throw new Error(`reading[${index}]: invalid nodeId '${nodeId}'`);
+  }
+
+  const temp = Number(raw.temp_c);
+  if (
+    raw.temp_c === undefined ||
+    raw.temp_c === null ||
+    !Number.isFinite(temp)
+  ) {
+    throw new Error(`reading[${index}]: numeric 'temp_c' is required`);
+  }
+
+  const humidity =
+    raw.humidity_pct === undefined || raw.humidity_pct === null
+      ? undefined
+      : Number(raw.humidity_pct);
+  if (
+    humidity !== undefined &&
+    (!Number.isFinite(humidity) || humidity < 0 || humidity > 100)
+  ) {
+    throw new Error(`reading[${index}]: 'humidity_pct' must be 0-100`);
+  }
+
+  const time = raw.time ? new Date(raw.time) : new Date();
+  if (isNaN(time.getTime())) {
+    throw new Error(`reading[${index}]: invalid time '${raw.time}'`);
+  }
+
+  return {
+    time,
+    source: vehicleId
+      ? { kind: "vehicle", vehicleId: String(vehicleId) }
+      : { kind: "node", nodeId: new mongoose.Types.ObjectId(nodeId) },
+    temp_c: temp,
+    humidity_pct: humidity,
+    sensorId: raw.sensorId,
+  };
+}
+
+/**
+ * Find what a source is currently carrying/storing
+ * @returns {Promise<Object>} {foodTypes, batchCount, shipmentIds, coordinates, label}
+ */
+async function resolveSourceContents(source) {
+  if (source.kind === "node") {
+    const [node, batches] = await Promise.all([
+      Node.findById(source.nodeId).select("name location").lean(),
+      Batch.find({ currentNode: source.nodeId, status: "stored" })
+        .select("foodType")
+        .lean(),
+    ]);
+    return {
+      foodTypes: [...new Set(batches.map((b) => b.foodType))],
+      batchCount: batches.length,
+      shipmentIds: [],
+      coordinates: node?.location?.coordinates || null,
+      label: node?.name || `node ${source.nodeId}`,
+    };
+  }
+
+  const shipments = await Shipment.find({
+    vehicleId: source.vehicleId,
+    status: { $in: ACTIVE_SHIPMENT_STATUSES },
+  })
+    .select("shipmentId batchIds lastLocation")
+    .lean();
+  const batchIds = shipments.flatMap((s) => s.batchIds);
+  const batches = batchIds.length
+    ? await Batch.find({ _id: { $in: batchIds } }).select("foodType").lean()
+    : [];
+  const lastLocation = shipments.find(
+    (s) => s.lastLocation?.coordinates?.length === 2
+  )?.lastLocation;
+
+  return {
+    foodTypes: [...new Set(batches.map((b) => b.foodType))],
+    batchCount: batches.length,
+    shipmentIds: shipments.map((s) => s.shipmentId),
+    coordinates: lastLocation?.coordinates || null,
+    label: `vehicle ${source.vehicleId}`,
+  };
+}
+
+/**
+ * Check the newest readings per source against the limits of every food type
+ * held there; alert on entering an excursion and on recovery.
+ * @returns {Promise<Object[]>} Alerts emitted
+ */
+async function checkExcursions(io, readings) {
+  const latestBySource = new Map();
+  for (const reading of readings) {
+    const key = sourceKey(reading.source);
+    const current = latestBySource.get(key);
+    if (!current || reading.time > current.time) {
+      latestBySource.set(key, reading);
+    }
+  }
+
+  const alerts = [];
+  for (const [key, reading] of latestBySource) {
+    const contents = await resolveSourceContents(reading.source);
+    const profiles = new Map();
+    for (const foodType of contents.foodTypes) {
+      const profile = getDecayProfile(foodType);
+      if (!profiles.has(profile.name)) profiles.set(profile.name, []);
+      profiles.get(profile.name).push(foodType);
+    }
+
+    for (const [profileName, foodTypes] of profiles) {
+      const stateKey = `${key}|${profileName}`;
+      const violations = detectExcursion(
+        getDecayProfile(profileName),
+        reading.temp_c,
+        reading.humidity_pct
+      );
+      const wasOut = excursionState.get(stateKey) === true;
+
+      if (violations.length && !wasOut) {
+        excursionState.set(stateKey, true);
+        alerts.push({
+          type: "cold_chain_excursion",
+          severity: "warning",
+          message: `Cold-chain excursion at ${contents.label} for ${foodTypes.join(", ")}: ${violations.join("; ")}`,
+          source: reading.source,
+          profile: profileName,
+          foodTypes,
+          temp_c: reading.temp_c,
+          humidity_pct: reading.humidity_pct ?? null,
+          violations,
+          batchCount: contents.batchCount,
+          shipmentIds: contents.shipmentIds,
+          coordinates: contents.coordinates,
+          readingTime: reading.time,
+        });
+      } else if (!violations.length && wasOut) {
+        excursionState.delete(stateKey);
+        alerts.push({
+          type: "cold_chain_recovered",
+          severity: "info",
+          message: `Cold chain back within limits at ${contents.label} for ${foodTypes.join(", ")}`,
+          source: reading.source,
+          profile: profileName,
+          foodTypes,
+          temp_c: reading.temp_c,
+          humidity_pct: reading.humidity_pct ?? null,
+          coordinates: contents.coordinates,
+          readingTime: reading.time,
+        });
+      }
+    }
+  }
+
+  // Vehicle readings are not tied to a node and reach every subscriber
+  for (const alert of alerts) {
+    emitAlert(io, alert, alert.source.nodeId ? [alert.source.nodeId] : []);
+  }
+  return alerts;
+}
+
+/**
+ * Validate raw readings and resolve each one's source
+ * @param {Object[]} rawReadings - [{time, vehicleId|nodeId|source, temp_c, humidity_pct, sensorId}]
+ * @returns {Object[]} Readings shaped like Telemetry documents
+ * @throws {ApiError} 400 for invalid readings
+ */
+function normaliseReadings(rawReadings) {
+  try {
+    return rawReadings.map(normaliseReading);
+  } catch (error) {
+    throw new ApiError(400, "Invalid telemetry readings.", [error.message]);
+  }
+}
+
+/**
+ * Find the first reading whose source is not under a node's control
+ * Node readings must be for that node; vehicle readings for a vehicle based
+ * at the node or carrying an open shipment out of it.
+ * @param {Object[]} readings - Output of normaliseReadings
+ * @param {string} nodeId - The caller's node
+ * @returns {Promise<Object|null>} Offending reading's source, or null
+ */
+async function findForeignReading(readings, nodeId) {
+  const ownNode = toId(nodeId);
+  const foreignNode = readings.find(
+    (r) => r.source.kind === "node" && toId(r.source.nodeId) !== ownNode
+  );
+  if (foreignNode) return foreignNode.source;
+
+  const vehicleIds = [
+    ...new Set(
+      readings
+        .filter((r) => r.source.kind === "vehicle")
+        .map((r) => r.source.vehicleId)
+    ),
+  ];
+  if (!vehicleIds.length) return null;
+  if (!ownNode) return { kind: "vehicle", vehicleId: vehicleIds[0] };
+
+  const [homed, shipping] = await Promise.all([
+    Vehicle.find({ vehicleId: { $in: vehicleIds }, homeDepot: ownNode })
+      .select("vehicleId")
+      .lean(),
+    Shipment.find({
+      vehicleId: { $in: vehicleIds },
+      fromNode: ownNode,
+      status: { $in: ["pending", ...ACTIVE_SHIPMENT_STATUSES] },
+    })
+      .select("vehicleId")
+      .lean(),
+  ]);
+  const allowed = new Set([...homed, ...shipping].map((d) => d.vehicleId));
+  const foreignVehicle = vehicleIds.find((id) => !allowed.has(id));
+  return foreignVehicle ? { kind: "vehicle", vehicleId: foreignVehicle } : null;
+}
+
+/**
+ * Store a batch of readings and raise excursion alerts
+ * @param {Object[]} readings - Output of normaliseReadings
+ * @param {Object} options
+ * @param {Object} options.io - Socket.IO server instance (optional)
+ * @returns {Promise<Object>} {inserted, alerts}
+ * @throws {ApiError} 400 for unknown nodes; database errors propagate
+ */
+async function ingestReadings(readings, { io = null } = {}) {
+  const nodeIds = [
+    ...new Set(
+      readings
+        .filter((r) => r.source.kind === "node")
+        .map((r) => r.source.nodeId.toString())
+    ),
+  ];
+  if (nodeIds.length) {
+    const found = await Node.countDocuments({ _id: { $in: nodeIds } });
+    if (found !== nodeIds.length) {
+      throw new ApiError(400, "Invalid telemetry readings.", [
+        "One or more nodeIds do not exist",
+      ]);
+    }
+  }
+
+  await Telemetry.insertMany(readings, { ordered: false });
+  const alerts = await checkExcursions(io, readings);
+
+  return { inserted: readings.length, alerts };
+}
+
+/**
+ * Most recent reading for a node (used to seed Batch.initial_temp_c)
+ * @param {string} nodeId
+ * @returns {Promise<Object|null>}
+ */
+async function getLatestNodeReading(nodeId) {
+  return Telemetry.findOne({
+    "source.kind": "node",
+    "source.nodeId": new mongoose.Types.ObjectId(toId(nodeId)),
+    time: { $gte: new Date(Date.now() - maxHoldMs()) },
+  })
+    .sort({ time: -1 })
+    .lean();
+}
+
+export {
+  normaliseReadings,
+  findForeignReading,
+  ingestReadings,
+  getBatchExposure,
+  createExposureCache,
+  preloadTimelines,
+  getLatestNodeReading,
+};
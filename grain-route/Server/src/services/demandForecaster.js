@@ -0,0 +1,351 @@
+/**
+ * Demand forecaster
+ * Expected demand per region (district) and food type from the history of
+ * NGO requests, returned in the shape of Backend-B /predict results so
+ * callers work the same whether or not the ML service is reachable.
+ *
+ * DEMAND_FORECASTER:
+ * - 'baseline' (default): in-process. The required_kg per day, region and
+ *   food type over the last BASELINE_LOOKBACK_DAYS (56) is split into a
+ *   day-of-week profile (once two full weeks are available) and a level
+ *   smoothed exponentially with BASELINE_ALPHA (0.3). A day's forecast is
+ *   the level times that weekday's factor.
+ * - 'ml': Backend-B /predict through upstreamClient. When the call fails
+ *   (after the 'ml' policy's timeout and retries, or with the circuit open)
+ *   the baseline answers instead, flagged `fallback: true`.
+ *
+ * Days are 24-hour buckets counted back from asOf; horizon h is the bucket
+ * starting h days after asOf. A region is flagged as an anomaly when its
+ * last 7 days run above the forecast by more than BASELINE_ANOMALY_Z (2)
+ * residual standard deviations.
+ */
+
+import { ApiError } from "../utils/ApiError.js";
+import { NGO } from "../models/NGO.model.js";
+import { callUpstream } from "./upstreamClient.js";
+
+const FORECASTER_MODES = ["baseline", "ml"];
+
+// Read on use: this module is imported before index.js loads .env
+const demandForecasterMode = () =>
+  (process.env.DEMAND_FORECASTER || "baseline").toLowerCase();
+
+const mlServiceUrl = () =>
+  process.env.ML_SERVICE_URL || "http://localhost:3002";
+
+const lookbackDays = () => Number(process.env.BASELINE_LOOKBACK_DAYS ?? 56);
+const baselineAlpha = () => Number(process.env.BASELINE_ALPHA ?? 0.3);
+const anomalyZ = () => Number(process.env.BASELINE_ANOMALY_Z ?? 2);
+
+const BASELINE_MODEL_VERSION = "baseline-v1";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_DAYS = 7;
+const MIN_SEASONAL_WEEKS = 2;
+
+// Days covered by one result for the /predict `freq` values
+const PERIOD_DAYS = { D: 1, W: 7, M: 30 };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => value?.toString?.() ?? String(value);
+
+const regionKeyOf = (node) =>
+  `${node.state || node.regionId || "Unknown"}-${node.district || "Unknown"}`;
+
+const mean = (values) =>
+  values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+/**
+ * Day-of-week profile plus exponentially smoothed level of one daily series
+ * @param {number[]} values - Demand per day, oldest first
+ * @param {number} firstWeekday - UTC weekday of values[0]
+ * @returns {Object} {mean, level, seasonal[7], residuals} residuals are the one-step-ahead errors
+ */
+function fitSeries(values, firstWeekday, alpha = baselineAlpha()) {
+  const average = mean(values);
+  const seasonal = Array(7).fill(1);
+  if (average > 0 && values.length >= MIN_SEASONAL_WEEKS * 7) {
+    const sums = Array(7).fill(0);
+    const counts = Array(7).fill(0);
+    values.forEach((value, i) => {
+      const weekday = (firstWeekday + i) % 7;
+      sums[weekday] += value;
+      counts[weekday] += 1;
+    });
+    for (let weekday = 0; weekday < 7; weekday++) {
+      if (counts[weekday]) {
+        seasonal[weekday] = sums[weekday] / counts[weekday] / average;
+      }
+    }
+  }
+
+  let level = average;
+  const residuals = values.map((value, i) => {
+    const factor = seasonal[(firstWeekday + i) % 7];
+    const residual = value - level * factor;
+    // Weekdays that never see demand say nothing about the level
+    if (factor > 0) level = alpha * (value / factor) + (1 - alpha) * level;
+    return residual;
+  });
+
+  return { mean: average, level, seasonal, residuals };
+}
+
+/**
+ * How far the last week ran above its forecast, in residual std devs
+ * Earlier residuals set the spread, floored at 10% of mean demand (1 kg)
+ * so a flat history doesn't turn every wobble into a surge.
+ */
+const anomalyScoreOf = (fit) => {
+  const recent = fit.residuals.slice(-RECENT_DAYS);
+  const earlier = fit.residuals.slice(0, -RECENT_DAYS);
+  const basis = earlier.length >= RECENT_DAYS ? earlier : fit.residuals;
+  const spread = Math.sqrt(mean(basis.map((r) => r * r)));
+  return mean(recent) / Math.max(spread, fit.mean * 0.1, 1);
+};
+
+/**
+ * Baseline forecast from request history
+ * @param {Object[]} history - [{regionId, state, district, foodType, date, kg}]
+ * @param {Object} options
+ * @param {Date} options.asOf - End of the history window (default: now)
+ * @param {number[]} options.horizons - Days ahead; 0 is the day starting at asOf
+ * @param {number} options.lookbackDays - History window (default BASELINE_LOOKBACK_DAYS)
+ * @param {number} options.alpha - Smoothing factor (default BASELINE_ALPHA)
+ * @returns {Object[]} Per region with demand: [{regionId, state, district, anomaly_score, is_anomaly, confidence, mean_daily_kg, forecasts: [{horizon, predicted_demand_kg, food_types: [{foodType, predicted_demand_kg}]}]}]
+ */
+function baselineForecast(
+  history,
+  {
+    asOf = new Date(),
+    horizons = [0],
+    lookbackDays: windowDays = lookbackDays(),
+    alpha = baselineAlpha(),
+  } = {}
+) {
+  const end = new Date(asOf).getTime();
+  const days = Math.max(RECENT_DAYS, Math.floor(windowDays));
+  const zLimit = anomalyZ();
+  const start = end - days * DAY_MS;
+  const firstWeekday = new Date(start).getUTCDay();
+
+  const regions = new Map();
+  for (const entry of history) {
+    const time = new Date(entry.date).getTime();
+    if (!(time >= start && time < end) || !(entry.kg > 0)) continue;
+    const index = Math.floor((time - start) / DAY_MS);
+    if (!regions.has(entry.regionId)) {
+      regions.set(entry.regionId, {
+        state: entry.state,
+        district: entry.district,
+        total: Array(days).fill(0),
+        foods: new Map(),
+      });
+    }
+    const region = regions.get(entry.regionId);
+    const foodType = entry.foodType || "unknown";
+    if (!region.foods.has(foodType)) {
+      region.foods.set(foodType, Array(days).fill(0));
+    }
+    region.foods.get(foodType)[index] += entry.kg;
+    region.total[index] += entry.kg;
+  }
+
+  return [...regions.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([regionId, region]) => {
+      const total = fitSeries(region.total, firstWeekday, alpha);
+      const foods = [...region.foods.entries()].map(([foodType, values]) => ({
+        foodType,
+        fit: fitSeries(values, firstWeekday, alpha),
+      }));
+      const score = anomalyScoreOf(total);
+      const rmse = Math.sqrt(mean(total.residuals.map((r) => r * r)));
+
+      return {
+        regionId,
+        state: region.state,
+        district: region.district,
+        anomaly_score: round2(score),
+        is_anomaly: score > zLimit ? 1 : 0,
+        confidence: round2(1 / (1 + rmse / total.mean)),
+        mean_daily_kg: round2(total.mean),
+        forecasts: horizons.map((horizon) => {
+          const weekday = (firstWeekday + days + horizon) % 7;
+          const foodTypes = foods.map(({ foodType, fit }) => ({
+            foodType,
+            predicted_demand_kg: round2(fit.level * fit.seasonal[weekday]),
+          }));
+          return {
+            horizon,
+            predicted_demand_kg: round2(
+              foodTypes.reduce((sum, f) => sum + f.predicted_demand_kg, 0)
+            ),
+            food_types: foodTypes,
+          };
+        }),
+      };
+    });
+}
+
+/**
+ * Request history of a /predict snapshot
+ * Requesters are matched to nodes by destinationNode, by node id, or by the
+ * NGO organisation's name (ngoOrgs); requests without a date are skipped.
+ * @param {Object} snapshot - {nodes, requests}
+ * @param {Object[]} ngoOrgs - NGO organisations [{_id, name}]
+ * @returns {Object[]} [{regionId, state, district, foodType, date, kg}]
+ */
+function historyFromSnapshot({ nodes = [], requests = [] } = {}, ngoOrgs = []) {
+  const nodeById = new Map(nodes.map((n) => [idOf(n._id ?? n.nodeId), n]));
+  const ngoNodeByName = new Map(
+    nodes.filter((n) => n.type === "ngo" && n.name).map((n) => [n.name, n])
+  );
+  const orgNameById = new Map(
+    (ngoOrgs || []).map((org) => [idOf(org._id), org.name])
+  );
+
+  const history = [];
+  for (const request of requests) {
+    if (request.status === "cancelled") continue;
+    const requester = idOf(request.requesterNode);
+    const node =
+      nodeById.get(idOf(request.destinationNode)) ||
+      nodeById.get(requester) ||
+      ngoNodeByName.get(orgNameById.get(requester));
+    const date = request.createdOn || request.createdAt;
+    if (!node || !date) continue;
+
+    for (const item of request.items || []) {
+      const kg = Number(item.required_kg);
+      if (!Number.isFinite(kg) || kg <= 0) continue;
+      history.push({
+        regionId: regionKeyOf(node),
+        state: node.state || node.regionId || "Unknown",
+        district: node.district || "Unknown",
+        foodType: item.foodType || "unknown",
+        date,
+        kg,
+      });
+    }
+  }
+  return history;
+}
+
+/**
+ * Baseline answer to a /predict snapshot: demand over the next period
+ * (snapshot.freq: D, W or M) per region
+ */
+const baselineResults = (snapshot, { asOf, ngoOrgs }) => {
+  const periodDays = PERIOD_DAYS[snapshot?.freq] || 1;
+  const horizons = Array.from({ length: periodDays }, (_, day) => day);
+  return baselineForecast(historyFromSnapshot(snapshot, ngoOrgs), {
+    asOf,
+    horizons,
+  }).map(({ forecasts, mean_daily_kg, ...region }) => {
+    const foodTypes = new Map();
+    for (const forecast of forecasts) {
+      for (const food of forecast.food_types) {
+        foodTypes.set(
+          food.foodType,
+          (foodTypes.get(food.foodType) || 0) + food.predicted_demand_kg
+        );
+      }
+    }
+    return {
+      ...region,
+      predicted_demand_kg: round2(
+        forecasts.reduce((sum, f) => sum + f.predicted_demand_kg, 0)
+      ),
+      food_types: [...foodTypes].map(([foodType, kg]) => ({
+        foodType,
+        predicted_demand_kg: round2(kg),
+      })),
+      mean_daily_kg,
+      source: "baseline",
+    };
+  });
+};
+
+/**
+ * Demand per region for a /predict snapshot
+ *
+ * @param {Object} snapshot - Backend-B payload {freq, nodes, requests, ...}; requests need createdOn for the baseline
+ * @param {Object} options
+ * @param {string} options.mode - 'baseline' | 'ml' (default DEMAND_FORECASTER)
+ * @param {string} options.url - ML service base URL (default ML_SERVICE_URL)
+ * @param {string} options.service - upstreamClient service of that URL (default 'ml')
+ * @param {number} options.timeout - Overrides the service's timeout policy
+ * @param {Date} options.asOf - Forecast time (default: now)
+ * @param {Object[]} options.ngoOrgs - NGO organisations; loaded when omitted
+ * @returns {Promise<Object>} The ML response, or {results} from the baseline, plus {source, modelVersion, fallback, fallbackReason}
+ * @throws {ApiError} 400 on an unknown mode
+ */
+async function predictDemand(
+  snapshot,
+  {
+    mode = demandForecasterMode(),
+    url = mlServiceUrl(),
+    service = "ml",
+    timeout = undefined,
+    asOf = new Date(),
+    ngoOrgs = undefined,
+  } = {}
+) {
+  const selected = String(mode || demandForecasterMode()).toLowerCase();
+  if (!FORECASTER_MODES.includes(selected)) {
+    throw new ApiError(
+      400,
+      `Unknown demand forecaster '${mode}'. Use one of: ${FORECASTER_MODES.join(", ")}`
+    );
+  }
+
+  let fallbackReason = null;
+  if (selected === "ml") {
+    try {
+      const { data } = await callUpstream(service, {
+        method: "post",
+        url: `${url}/predict`,
+        data: snapshot,
+        headers: { "Content-Type": "application/json" },
+        timeout,
+      });
+      return {
+        ...data,
+        results: Array.isArray(data?.results) ? data.results : [],
+        source: "ml",
+        modelVersion:
+          data?.model_version ||
+          data?.modelVersion ||
+          process.env.ML_MODEL_VERSION ||
+          "ml",
+        fallback: false,
+      };
+    } catch (error) {
+      fallbackReason = error.message;
+      console.warn(
+        `⚠️ ML service unavailable (${error.message}); using the baseline forecaster`
+      );
+    }
+  }
+
+  const orgs = ngoOrgs ?? (await NGO.find().select("name").lean());
+  return {
+    results: baselineResults(snapshot, { asOf, ngoOrgs: orgs }),
+    source: "baseline",
+    modelVersion: BASELINE_MODEL_VERSION,
+    fallback: fallbackReason !== null,
+    fallbackReason,
+  };
+}
+
+export {
+  FORECASTER_MODES,
+  demandForecasterMode,
+  BASELINE_MODEL_VERSION,
+  regionKeyOf,
+  baselineForecast,
+  historyFromSnapshot,
+  predictDemand,
+};
@@ -0,0 +1,234 @@
+/**
+ * Node distance matrix
+ * All-pairs distance and travel time between Nodes from the active distance
+ * provider, held in memory and persisted row by row in Mongo so restarts
+ * don't recompute it. A signature over node ids + coordinates (and the
+ * hours-of-service rules baked into travel_hours) identifies a matrix:
+ * node create/delete calls invalidateDistanceMatrix(), edits made outside
+ * the API are picked up by a periodic signature check.
+ */
+
+import crypto from "crypto";
+import { Node } from "../models/node.model.js";
+import { DistanceMatrix } from "../models/distanceMatrix.model.js";
+import { extractCoordinates } from "../utils/geoHelpers.js";
+import { getDistanceProvider, routesFrom } from "./distanceProvider.js";
+import { getHoursOfServiceRules } from "./hoursOfService.js";
+
+// How long a loaded matrix is trusted before the node set is re-checked.
+// Read on use: this module is imported before index.js loads .env
+const signatureCheckMs = () =>
+  Number(process.env.DISTANCE_MATRIX_CHECK_MS ?? 60 * 1000);
+
+const INSERT_CHUNK_SIZE = 100;
+
+let current = null;
+let dirty = true;
+let checkedAt = 0;
+let building = null;
+
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+function nodeSignature(provider, nodes) {
+  const lines = nodes
+    .map((node) => `${node._id}:${node.location?.coordinates?.join(",")}`)
+    .sort();
+  return crypto
+    .createHash("sha1")
+    .update(
+      `${provider}\n${JSON.stringify(getHoursOfServiceRules())}\n${lines.join("\n")}`
+    )
+    .digest("hex");
+}
+
+/**
+ * Wrap matrix rows with an id -> index lookup
+ */
+function createMatrix({
+  provider,
+  signature,
+  nodeIds,
+  distances,
+  hours,
+  computedAt = new Date(),
+}) {
+  const index = new Map(nodeIds.map((id, i) => [id.toString(), i]));
+  return {
+    provider,
+    signature,
+    nodeIds,
+    computedAt,
+    size: nodeIds.length,
+    indexOf: (nodeId) => index.get(nodeId?.toString()),
+    /**
+     * Cached leg between two nodes
+     * @returns {Object|null} {distance_km, travel_hours}
+     */
+    leg(fromId, toId) {
+      const i = index.get(fromId?.toString());
+      const j = index.get(toId?.toString());
+      if (i === undefined || j === undefined) return null;
+      return { distance_km: distances[i][j], travel_hours: hours[i][j] };
+    },
+    distances,
+    hours,
+  };
+}
+
+async function loadStoredMatrix(provider, signature, nodes) {
+  const rows = await DistanceMatrix.find({ provider, signature }).lean();
+  if (rows.length !== nodes.length || !rows.length) return null;
+
+  const nodeIds = rows[0].nodeIds;
+  const position = new Map(nodeIds.map((id, i) => [id.toString(), i]));
+  const distances = new Array(nodeIds.length);
+  const hours = new Array(nodeIds.length);
+  for (const row of rows) {
+    const i = position.get(row.fromNode.toString());
+    if (i === undefined || row.distances_km.length !== nodeIds.length) {
+      return null;
+    }
+    distances[i] = row.distances_km;
+    hours[i] = row.travel_hours;
+  }
+
+  return createMatrix({
+    provider,
+    signature,
+    nodeIds,
+    distances,
+    hours,
+    computedAt: rows[0].computedAt,
+  });
+}
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+async function computeMatrix(provider, signature, nodes) {
+  const startedAt = Date.now();
+  const nodeIds = nodes.map((node) => node._id);
+  const coords = nodes.map((node) => extractCoordinates(node));
+  const distances = [];
+  const hours = [];
+
+  for (const from of coords) {
+    const legs = routesFrom(from, coords);
+    distances.push(legs.map((leg) => round3(leg.distance_km)));
+    hours.push(legs.map((leg) => round3(leg.travel_hours)));
+    // Keep the server responsive while large matrices build
+    await yieldToEventLoop();
+  }
+
+  console.log(
+    `Distance matrix computed: ${nodes.length} nodes (${provider}) in ${Date.now() - startedAt} ms`
+  );
+
+  try {
+    await DistanceMatrix.deleteMany({ provider });
+    const computedAt = new Date();
+    const rows = nodeIds.map((fromNode, i) => ({
+      provider,
+      signature,
+      fromNode,
+      nodeIds,
+      distances_km: distances[i],
+      travel_hours: hours[i],
+      computedAt,
+    }));
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+      await DistanceMatrix.insertMany(rows.slice(i, i + INSERT_CHUNK_SIZE), {
+        ordered: false,
+      });
+    }
+  } catch (error) {
+    // Memory copy still serves requests; the next cold start recomputes
+    console.error("Failed to persist distance matrix:", error.message);
+  }
+
+  return createMatrix({ provider, signature, nodeIds, distances, hours });
+}
+
+/**
+ * Current node distance matrix, rebuilding it when the node set changed
+ * Concurrent callers share one build.
+ *
+ * @param {Object} options
+ * @param {boolean} options.force - Recompute even if a matching matrix exists
+ * @returns {Promise<Object>} Matrix with leg(fromId, toId) and indexOf(id)
+ */
+async function getDistanceMatrix({ force = false } = {}) {
+  if (building) return building;
+  if (
+    current &&
+    !dirty &&
+    !force &&
+    Date.now() - checkedAt < signatureCheckMs()
+  ) {
+    return current;
+  }
+
+  building = (async () => {
+    try {
+      dirty = false;
+      const provider = getDistanceProvider().name;
+      const nodes = await Node.find({})
+        .select("location")
+        .sort({ _id: 1 })
+        .lean();
+      const signature = nodeSignature(provider, nodes);
+      checkedAt = Date.now();
+
+      if (!force && current?.signature === signature) return current;
+
+      current =
+        (!force && (await loadStoredMatrix(provider, signature, nodes))) ||
+        (await computeMatrix(provider, signature, nodes));
+      return current;
+    } catch (error) {
+      dirty = true;
+      throw error;
+    } finally {
+      building = null;
+    }
+  })();
+  return building;
+}
+
+/**
+ * Mark the matrix stale after nodes are added, moved or removed
+ */
+function invalidateDistanceMatrix() {
+  dirty = true;
+}
+
+/**
+ * Plain rows of a matrix, e.g. to hand to a worker thread
+ * @param {Object} matrix - From getDistanceMatrix()
+ * @returns {Object} {provider, signature, nodeIds, distances, hours, computedAt}
+ */
+function serializeDistanceMatrix(matrix) {
+  return {
+    provider: matrix.provider,
+    signature: matrix.signature,
+    nodeIds: matrix.nodeIds.map((id) => id.toString()),
+    distances: matrix.distances,
+    hours: matrix.hours,
+    computedAt: matrix.computedAt,
+  };
+}
+
+/**
+ * Rebuild a matrix from serializeDistanceMatrix() output
+ * @param {Object} rows
+ * @returns {Object} Matrix with leg(fromId, toId) and indexOf(id)
+ */
+function hydrateDistanceMatrix(rows) {
+  return createMatrix(rows);
+}
+
+export {
+  getDistanceMatrix,
+  invalidateDistanceMatrix,
+  serializeDistanceMatrix,
+  hydrateDistanceMatrix,
+};
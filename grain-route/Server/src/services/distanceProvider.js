@@ -0,0 +1,430 @@
+/**
+ * Distance and travel-time providers
+ * Every provider answers route(from, to) -> {distance_km, driving_hours}
+ * and routeMany(from, [to]) for one-to-many rows.
+ * DISTANCE_PROVIDER picks one for the whole server:
+ * - haversine (default): straight line at SHIPMENT_AVG_SPEED_KMH
+ * - circuity: straight line x ROAD_CIRCUITY_FACTOR
+ * - graph: shortest path over a local road network (GeoJSON LineStrings,
+ *   e.g. a converted OSM extract) from ROAD_NETWORK_FILE
+ */
+
+import fs from "fs";
+import { haversineDistanceKm } from "../utils/geoHelpers.js";
+import { restHoursFor } from "./hoursOfService.js";
+
+// Read on use: this module is imported before index.js loads .env
+const avgSpeedKmh = () => Number(process.env.SHIPMENT_AVG_SPEED_KMH ?? 40);
+const circuityFactor = () => Number(process.env.ROAD_CIRCUITY_FACTOR ?? 1.3);
+
+// Points further than this from the road network fall back to circuity
+const graphSnapMaxKm = () => Number(process.env.ROAD_SNAP_MAX_KM ?? 5);
+
+const GRID_CELL_DEG = 0.05;
+const ROUTE_CACHE_LIMIT = 5000;
+
+const cellOf = (point) => [
+  Math.floor(point.lat / GRID_CELL_DEG),
+  Math.floor(point.lon / GRID_CELL_DEG),
+];
+
+/**
+ * Driving time plus the rest required by the hours-of-service rules
+ * @param {number} drivingHours
+ * @returns {number} Hours
+ */
+function withRestBreaks(drivingHours) {
+  return drivingHours + restHoursFor(drivingHours);
+}
+
+/**
+ * Travel hours for a known road distance (when only distance_km is stored)
+ * @param {number} distanceKm
+ * @param {Object} options - {avgSpeedKmh}
+ * @returns {number} Hours including rest breaks
+ */
+function estimateTravelHours(
+  distanceKm,
+  { avgSpeedKmh: speedKmh = avgSpeedKmh() } = {}
+) {
+  return withRestBreaks((Number(distanceKm) || 0) / speedKmh);
+}
+
+/**
+ * Straight-line provider
+ * @param {Object} options - {speedKmh}
+ */
+function createHaversineProvider({ speedKmh = avgSpeedKmh() } = {}) {
+  return {
+    name: "haversine",
+    route(from, to) {
+      const km = haversineDistanceKm(from, to);
+      return { distance_km: km, driving_hours: km / speedKmh };
+    },
+    routeMany(from, targets) {
+      return targets.map((to) => this.route(from, to));
+    },
+  };
+}
+
+/**
+ * Straight line scaled by a road circuity factor (typically 1.2 - 1.4)
+ * @param {Object} options - {factor, speedKmh}
+ */
+function createCircuityProvider({
+  factor = circuityFactor(),
+  speedKmh = avgSpeedKmh(),
+} = {}) {
+  return {
+    name: "circuity",
+    factor,
+    route(from, to) {
+      const km = haversineDistanceKm(from, to) * factor;
+      return { distance_km: km, driving_hours: km / speedKmh };
+    },
+    routeMany(from, targets) {
+      return targets.map((to) => this.route(from, to));
+    },
+  };
+}
+
+const edgeSpeed = (properties, fallback) => {
+  const speed = Number(
+    properties?.speed_kmh ?? parseFloat(properties?.maxspeed)
+  );
+  return Number.isFinite(speed) && speed > 0 ? speed : fallback;
+};
+
+const isOneway = (properties) =>
+  properties?.oneway === true ||
+  properties?.oneway === "yes" ||
+  properties?.oneway === "1";
+
+/**
+ * Build an adjacency list from a GeoJSON FeatureCollection of roads
+ * Line vertices that share coordinates (6 decimals) become one graph node.
+ */
+function buildRoadGraph(geojson, speedKmh) {
+  const index = new Map();
+  const points = [];
+  const edges = [];
+
+  const vertexFor = ([lon, lat]) => {
+    const key = `${lon.toFixed(6)},${lat.toFixed(6)}`;
+    if (!index.has(key)) {
+      index.set(key, points.length);
+      points.push({ lat, lon });
+      edges.push([]);
+    }
+    return index.get(key);
+  };
+
+  for (const feature of geojson?.features || []) {
+    const geometry = feature?.geometry;
+    const lines =
+      geometry?.type === "LineString"
+        ? [geometry.coordinates]
+        : geometry?.type === "MultiLineString"
+          ? geometry.coordinates
+          : [];
+    const speed = edgeSpeed(feature.properties, speedKmh);
+    const oneway = isOneway(feature.properties);
+
+    for (const line of lines) {
+      for (let i = 1; i < line.length; i++) {
+        const a = vertexFor(line[i - 1]);
+        const b = vertexFor(line[i]);
+        if (a === b) continue;
+        const km = haversineDistanceKm(points[a], points[b]);
+        edges[a].push({ to: b, km, hours: km / speed });
+        if (!oneway) edges[b].push({ to: a, km, hours: km / speed });
+      }
+    }
+  }
+
+  // Coarse grid for nearest-vertex lookups
+  const grid = new Map();
+  points.forEach((p, i) => {
+    const key = cellOf(p).join(",");
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(i);
+  });
+
+  return { points, edges, grid };
+}
+
+/**
+ * Nearest graph vertex within maxKm
+ * @returns {Object|null} {vertex, km}
+ */
+function snapToGraph(graph, point, maxKm) {
+  const [row, col] = cellOf(point);
+  // One cell is at most ~5.5 km; search enough rings to cover the snap radius
+  const rings = Math.ceil(maxKm / (GRID_CELL_DEG * 111)) + 1;
+
+  let best = null;
+  for (let dr = -rings; dr <= rings; dr++) {
+    for (let dc = -rings; dc <= rings; dc++) {
+      for (const vertex of graph.grid.get(`${row + dr},${col + dc}`) || []) {
+        const km = haversineDistanceKm(point, graph.points[vertex]);
+        if (!best || km < best.km) best = { vertex, km };
+      }
+    }
+  }
+  return best && best.km <= maxKm ? best : null;
+}
+
+/**
+ * Dijkstra on driving hours from one vertex
+ * Stops early once `target` is settled; without a target it settles the
+ * whole reachable network (used for matrix rows).
+ * @returns {Object} {hours: Map, km: Map} per reached vertex
+ */
+function searchFrom(graph, source, target = null) {
+  const hours = new Map([[source, 0]]);
+  const km = new Map([[source, 0]]);
+  const done = new Set();
+  const heap = [[0, source]];
+
+  const push = (item) => {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let min = i;
+        if (l < heap.length && heap[l][0] < heap[min][0]) min = l;
+        if (r < heap.length && heap[r][0] < heap[min][0]) min = r;
+        if (min === i) break;
+        [heap[min], heap[i]] = [heap[i], heap[min]];
+        i = min;
+      }
+    }
+    return top;
+  };
+
+  while (heap.length) {
+    const [cost, vertex] = pop();
+    if (done.has(vertex)) continue;
+    done.add(vertex);
+    if (vertex === target) break;
+
+    for (const edge of graph.edges[vertex]) {
+      const next = cost + edge.hours;
+      if (next < (hours.get(edge.to) ?? Infinity)) {
+        hours.set(edge.to, next);
+        km.set(edge.to, km.get(vertex) + edge.km);
+        push([next, edge.to]);
+      }
+    }
+  }
+  return { hours, km };
+}
+
+/**
+ * Fastest path between two vertices
+ * @returns {Object|null} {km, hours}
+ */
+function shortestPath(graph, source, target) {
+  const { hours, km } = searchFrom(graph, source, target);
+  return hours.has(target)
+    ? { km: km.get(target), hours: hours.get(target) }
+    : null;
+}
+
+/**
+ * Offline road-network provider
+ * The network is read asynchronously by ready() (awaited at startup, see
+ * loadDistanceProvider); until it is loaded, or if loading fails, routes
+ * come from the fallback. Legs to and from the nearest road vertex are
+ * added at the default speed; points off the network or in disconnected
+ * components use the circuity provider.
+ *
+ * @param {Object} options - {file, speedKmh, snapMaxKm, fallback}
+ */
+function createGraphProvider({
+  file = process.env.ROAD_NETWORK_FILE,
+  speedKmh = avgSpeedKmh(),
+  snapMaxKm = graphSnapMaxKm(),
+  fallback = createCircuityProvider({ speedKmh }),
+} = {}) {
+  let graph = null;
+  let loading = null;
+  const cache = new Map();
+
+  // Starts the read once; never blocks the event loop on file I/O
+  const ready = () => {
+    if (!loading) {
+      loading = (async () => {
+        try {
+          if (!file) throw new Error("ROAD_NETWORK_FILE is not set");
+          const text = await fs.promises.readFile(file, "utf8");
+          graph = buildRoadGraph(JSON.parse(text), speedKmh);
+          console.log(
+            `🛣️  Road network loaded: ${graph.points.length} vertices from ${file}`
+          );
+        } catch (error) {
+          console.error(
+            `Road network unavailable, using ${fallback.name}:`,
+            error.message
+          );
+        }
+        return graph;
+      })();
+    }
+    return loading;
+  };
+
+  const load = () => {
+    if (!graph) ready();
+    return graph;
+  };
+
+  return {
+    name: "graph",
+    ready,
+    route(from, to) {
+      if (!load()) return fallback.route(from, to);
+
+      const key = `${from.lat},${from.lon}|${to.lat},${to.lon}`;
+      if (cache.has(key)) return cache.get(key);
+
+      const start = snapToGraph(graph, from, snapMaxKm);
+      const end = snapToGraph(graph, to, snapMaxKm);
+      const path =
+        start && end && shortestPath(graph, start.vertex, end.vertex);
+      const result = path
+        ? {
+            distance_km: start.km + path.km + end.km,
+            driving_hours: path.hours + (start.km + end.km) / speedKmh,
+          }
+        : fallback.route(from, to);
+
+      if (cache.size >= ROUTE_CACHE_LIMIT) cache.clear();
+      cache.set(key, result);
+      return result;
+    },
+    // One full search per source instead of one per pair
+    routeMany(from, targets) {
+      if (!load()) return fallback.routeMany(from, targets);
+
+      const start = snapToGraph(graph, from, snapMaxKm);
+      if (!start) return fallback.routeMany(from, targets);
+      const { hours, km } = searchFrom(graph, start.vertex);
+
+      return targets.map((to) => {
+        const end = snapToGraph(graph, to, snapMaxKm);
+        if (!end || !hours.has(end.vertex)) return fallback.route(from, to);
+        return {
+          distance_km: start.km + km.get(end.vertex) + end.km,
+          driving_hours:
+            hours.get(end.vertex) + (start.km + end.km) / speedKmh,
+        };
+      });
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  haversine: createHaversineProvider,
+  circuity: createCircuityProvider,
+  graph: createGraphProvider,
+};
+
+let activeProvider = null;
+
+/**
+ * The provider configured by DISTANCE_PROVIDER
+ * @returns {Object} Provider
+ */
+function getDistanceProvider() {
+  if (activeProvider) return activeProvider;
+
+  const name = (process.env.DISTANCE_PROVIDER || "haversine").toLowerCase();
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    console.error(
+      `Unknown DISTANCE_PROVIDER '${name}', using haversine. Options: ${Object.keys(PROVIDER_FACTORIES).join(", ")}`
+    );
+  }
+  activeProvider = (factory || createHaversineProvider)();
+  return activeProvider;
+}
+
+/**
+ * Load the active provider's data (the graph provider's road network)
+ * Called once at startup so no request pays for it.
+ * @returns {Promise<Object>} Provider
+ */
+async function loadDistanceProvider() {
+  const provider = getDistanceProvider();
+  await provider.ready?.();
+  return provider;
+}
+
+/**
+ * Distance and travel time between two points with the active provider
+ * @param {{lat: number, lon: number}} from
+ * @param {{lat: number, lon: number}} to
+ * @returns {Object} {distance_km, driving_hours, travel_hours, provider}
+ */
+function routeBetween(from, to) {
+  const provider = getDistanceProvider();
+  const { distance_km, driving_hours } = provider.route(from, to);
+  return {
+    distance_km,
+    driving_hours,
+    travel_hours: withRestBreaks(driving_hours),
+    provider: provider.name,
+  };
+}
+
+/**
+ * Legs from one point to many with the active provider
+ * @param {{lat: number, lon: number}} from
+ * @param {Object[]} targets - [{lat, lon}]
+ * @returns {Object[]} [{distance_km, driving_hours, travel_hours}] in target order
+ */
+function routesFrom(from, targets) {
+  return getDistanceProvider()
+    .routeMany(from, targets)
+    .map(({ distance_km, driving_hours }) => ({
+      distance_km,
+      driving_hours,
+      travel_hours: withRestBreaks(driving_hours),
+    }));
+}
+
+/**
+ * Road distance between two points with the active provider
+ * @returns {number} Kilometres
+ */
+function distanceKm(from, to) {
+  return getDistanceProvider().route(from, to).distance_km;
+}
+
+export {
+  createHaversineProvider,
+  createCircuityProvider,
+  createGraphProvider,
+  getDistanceProvider,
+  loadDistanceProvider,
+  routeBetween,
+  routesFrom,
+  distanceKm,
+  withRestBreaks,
+  estimateTravelHours,
+};
@@ -0,0 +1,348 @@
+/**
+ * Fleet service
+ * Vehicle booking checks (availability, double-booking, load, refrigeration)
+ * and the fleet utilization schedule
+ */
+
+import { Vehicle } from "../models/vehicle.model.js";
+import { Shipment } from "../models/shipment.model.js";
+import { Batch } from "../models/batch.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { getDecayProfile } from "../utils/freshness.js";
+
+// Shipments that hold a vehicle
+const BOOKED_SHIPMENT_STATUSES = ["pending", "in_transit", "delayed"];
+
+const HOUR_MS = 60 * 60 * 1000;
+const BUCKET_MS = { hour: HOUR_MS, day: 24 * HOUR_MS };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Time a shipment occupies its vehicle
+ * Arrived shipments end at arrival, open ones at the later of ETA and the
+ * projected ETA from tracking.
+ */
+const bookingWindow = (shipment) => {
+  const start = new Date(shipment.start_iso);
+  const candidates = [shipment.arrived_iso || shipment.eta_iso];
+  if (!shipment.arrived_iso && shipment.projected_eta_iso) {
+    candidates.push(shipment.projected_eta_iso);
+  }
+  const end = new Date(
+    Math.max(...candidates.filter(Boolean).map((d) => new Date(d).getTime()))
+  );
+  return { start, end: end > start ? end : start };
+};
+
+/**
+ * Whether any of the given food types needs a refrigerated vehicle
+ * @param {string[]} foodTypes
+ * @returns {boolean}
+ */
+function requiresRefrigeration(foodTypes) {
+  return foodTypes.some((foodType) => getDecayProfile(foodType).refrigerated);
+}
+
+/**
+ * Open shipments booked on a vehicle that overlap [start, end)
+ * @param {string} vehicleId
+ * @param {Date} start
+ * @param {Date} end
+ * @param {Object} options - {session, excludeShipmentId}
+ * @returns {Promise<Object[]>} Conflicting shipments
+ */
+async function findVehicleConflicts(
+  vehicleId,
+  start,
+  end,
+  { session = null, excludeShipmentId = null } = {}
+) {
+  const filter = {
+    vehicleId,
+    status: { $in: BOOKED_SHIPMENT_STATUSES },
+    start_iso: { $lt: end },
+  };
+  if (excludeShipmentId) filter._id = { $ne: excludeShipmentId };
+
+  const shipments = await Shipment.find(filter)
+    .select(
+      "shipmentId start_iso eta_iso projected_eta_iso arrived_iso status"
+    )
+    .session(session)
+    .lean();
+
+  return shipments.filter((s) => bookingWindow(s).end > start);
+}
+
+/**
+ * Check that a vehicle can take a shipment
+ * The vehicle is claimed with one conditional update (active, capacity,
+ * refrigeration, an availability window covering the trip), which also
+ * takes a write lock on it for the caller's transaction: a concurrent
+ * booking of the same vehicle fails with a write conflict instead of both
+ * passing the double-booking check.
+ *
+ * Only vehicles registered in the fleet can be booked. A vehicleId that is
+ * not registered is rejected with 404; before the fleet registry such ids
+ * were stored on shipments as free text, so callers passing ad-hoc ids
+ * must register the vehicle first (POST /api/fleet/vehicles).
+ *
+ * @param {Object} booking
+ * @param {string} booking.vehicleId
+ * @param {Date} booking.start - Departure
+ * @param {Date} booking.end - Expected arrival
+ * @param {number} booking.load_kg - Total load
+ * @param {string[]} booking.foodTypes - Food types carried
+ * @param {Object} options - {session, excludeShipmentId}
+ * @returns {Promise<Object>} Vehicle document
+ * @throws {ApiError} 404 unknown vehicle, 409 unavailable/double-booked/overloaded/not refrigerated
+ *   (code EBOOKINGCONFLICT when another booking of the vehicle won the race;
+ *   the caller's transaction is aborted)
+ */
+async function validateVehicleBooking(
+  { vehicleId, start, end, load_kg = 0, foodTypes = [] },
+  { session = null, excludeShipmentId = null } = {}
+) {
+  const claimFilter = {
+    vehicleId,
+    status: "active",
+    capacity_kg: { $gte: load_kg },
+    $or: [
+      { availability: { $exists: false } },
+      { availability: { $size: 0 } },
+      {
+        availability: {
+          $elemMatch: { start_iso: { $lte: start }, end_iso: { $gte: end } },
+        },
+      },
+    ],
+  };
+  if (requiresRefrigeration(foodTypes)) claimFilter.refrigerated = true;
+
+  let claimed;
+  try {
+    claimed = await Vehicle.findOneAndUpdate(
+      claimFilter,
+      { $inc: { bookingVersion: 1 } },
+      { new: true, session }
+    );
+  } catch (error) {
+    if (error.code !== 112) throw error; // WriteConflict
+    const conflict = new ApiError(
+      409,
+      `Vehicle '${vehicleId}' is being booked by another request; try again`
+    );
+    conflict.code = "EBOOKINGCONFLICT";
+    throw conflict;
+  }
+
+  // Not claimable: find out why for the error message
+  const vehicle =
+    claimed || (await Vehicle.findOne({ vehicleId }).session(session));
+  if (!vehicle) {
+    throw new ApiError(
+      404,
+      `Vehicle '${vehicleId}' is not registered in the fleet`
+    );
+  }
+
+  if (vehicle.status !== "active") {
+    throw new ApiError(
+      409,
+      `Vehicle '${vehicleId}' is ${vehicle.status} and cannot be booked`
+    );
+  }
+
+  if (load_kg > vehicle.capacity_kg) {
+    throw new ApiError(
+      409,
+      `Vehicle '${vehicleId}' overloaded: ${round2(load_kg)} kg exceeds capacity of ${vehicle.capacity_kg} kg`
+    );
+  }
+
+  if (requiresRefrigeration(foodTypes) && !vehicle.refrigerated) {
+    throw new ApiError(
+      409,
+      `Vehicle '${vehicleId}' is not refrigerated but the load requires cold transport`
+    );
+  }
+
+  if (!claimed) {
+    throw new ApiError(
+      409,
+      `Vehicle '${vehicleId}' is not available from ${start.toISOString()} to ${end.toISOString()}`,
+      vehicle.availability
+    );
+  }
+
+  const conflicts = await findVehicleConflicts(vehicleId, start, end, {
+    session,
+    excludeShipmentId,
+  });
+  if (conflicts.length) {
+    throw new ApiError(
+      409,
+      `Vehicle '${vehicleId}' is already booked during this trip`,
+      conflicts.map((s) => ({
+        shipmentId: s.shipmentId,
+        status: s.status,
+        ...bookingWindow(s),
+      }))
+    );
+  }
+
+  return vehicle;
+}
+
+/**
+ * Vehicle utilization over a time range
+ * Busy time per vehicle and per bucket, with load factor (kg / capacity).
+ *
+ * @param {Object} options
+ * @param {Date} options.from - Range start
+ * @param {Date} options.to - Range end
+ * @param {string} options.bucket - 'hour' | 'day'
+ * @param {string} options.depotId - Only vehicles based at this node (optional)
+ * @returns {Promise<Object>} {from, to, bucket, vehicles: [...], totals}
+ */
+async function buildFleetSchedule({
+  from,
+  to,
+  bucket = "day",
+  depotId = null,
+}) {
+  const bucketMs = BUCKET_MS[bucket];
+  if (!bucketMs) {
+    throw new ApiError(400, `Invalid bucket '${bucket}'. Use 'hour' or 'day'.`);
+  }
+  if (!(to > from)) {
+    throw new ApiError(400, "'to' must be after 'from'");
+  }
+  if ((to - from) / bucketMs > 1000) {
+    throw new ApiError(400, "Range too large for the chosen bucket");
+  }
+
+  const vehicleFilter = { status: { $ne: "retired" } };
+  if (depotId) vehicleFilter.homeDepot = depotId;
+  const vehicles = await Vehicle.find(vehicleFilter)
+    .populate("homeDepot", "name district")
+    .sort({ vehicleId: 1 })
+    .lean();
+
+  const shipments = await Shipment.find({
+    vehicleId: { $in: vehicles.map((v) => v.vehicleId) },
+    status: { $ne: "cancelled" },
+    start_iso: { $lt: to },
+    $or: [{ arrived_iso: null }, { arrived_iso: { $gt: from } }],
+  })
+    .populate("fromNode toNode", "name")
+    .lean();
+
+  const loads = new Map();
+  const batchIds = shipments.flatMap((s) => s.batchIds);
+  if (batchIds.length) {
+    const batches = await Batch.find({ _id: { $in: batchIds } })
+      .select("quantity_kg")
+      .lean();
+    for (const b of batches) loads.set(b._id.toString(), b.quantity_kg || 0);
+  }
+
+  const bucketStarts = [];
+  for (let t = from.getTime(); t < to.getTime(); t += bucketMs) {
+    bucketStarts.push(t);
+  }
+
+  const rangeHours = (to - from) / HOUR_MS;
+  let fleetBusyHours = 0;
+  let fleetCapacityHours = 0;
+
+  const rows = vehicles.map((vehicle) => {
+    const trips = shipments
+      .filter((s) => s.vehicleId === vehicle.vehicleId)
+      .map((s) => ({ shipment: s, ...bookingWindow(s) }))
+      .filter((t) => t.end > from)
+      .sort((a, b) => a.start - b.start);
+
+    const buckets = bucketStarts.map((bStart) => {
+      const bEnd = Math.min(bStart + bucketMs, to.getTime());
+      let busyMs = 0;
+      let kgHours = 0;
+      for (const trip of trips) {
+        const overlap =
+          Math.min(bEnd, trip.end.getTime()) -
+          Math.max(bStart, trip.start.getTime());
+        if (overlap <= 0) continue;
+        busyMs += overlap;
+        const load = trip.shipment.batchIds.reduce(
+          (sum, id) => sum + (loads.get(id.toString()) || 0),
+          0
+        );
+        kgHours += load * (overlap / HOUR_MS);
+      }
+      const busyHours = busyMs / HOUR_MS;
+      const spanHours = (bEnd - bStart) / HOUR_MS;
+      return {
+        start: new Date(bStart),
+        busyHours: round2(busyHours),
+        utilizationPct: round2(Math.min(100, (busyHours / spanHours) * 100)),
+        loadFactorPct:
+          busyHours > 0 && vehicle.capacity_kg > 0
+            ? round2((kgHours / busyHours / vehicle.capacity_kg) * 100)
+            : null,
+      };
+    });
+
+    const busyHours = buckets.reduce((sum, b) => sum + b.busyHours, 0);
+    fleetBusyHours += busyHours;
+    fleetCapacityHours += rangeHours;
+
+    return {
+      vehicleId: vehicle.vehicleId,
+      registration: vehicle.registration || null,
+      capacity_kg: vehicle.capacity_kg,
+      refrigerated: vehicle.refrigerated,
+      status: vehicle.status,
+      homeDepot: vehicle.homeDepot || null,
+      busyHours: round2(busyHours),
+      utilizationPct: round2(Math.min(100, (busyHours / rangeHours) * 100)),
+      trips: trips.map((t) => ({
+        shipmentId: t.shipment.shipmentId,
+        status: t.shipment.status,
+        from: t.shipment.fromNode?.name || null,
+        to: t.shipment.toNode?.name || null,
+        start: t.start,
+        end: t.end,
+        load_kg: round2(
+          t.shipment.batchIds.reduce(
+            (sum, id) => sum + (loads.get(id.toString()) || 0),
+            0
+          )
+        ),
+      })),
+      buckets,
+    };
+  });
+
+  return {
+    from,
+    to,
+    bucket,
+    vehicles: rows,
+    totals: {
+      vehicles: rows.length,
+      busyHours: round2(fleetBusyHours),
+      utilizationPct:
+        fleetCapacityHours > 0
+          ? round2((fleetBusyHours / fleetCapacityHours) * 100)
+          : null,
+    },
+  };
+}
+
+export {
+  requiresRefrigeration,
+  findVehicleConflicts,
+  validateVehicleBooking,
+  buildFleetSchedule,
+};
@@ -0,0 +1,546 @@
+/**
+ * Demand forecasting
+ * A periodic job asks a forecaster for the expected daily demand per region
+ * and stores it as Prediction documents, one per region, target date,
+ * horizon and model version (a re-run on the same day replaces its rows).
+ * Stored forecasts are compared with the actual demand — the required_kg of
+ * the requests NGOs raised on that day, cancelled ones excluded — to report
+ * accuracy (MAPE, bias) per region and model version.
+ *
+ * Regions are keyed `${state || regionId}-${district}` of the requesting
+ * NGO's node, as in the ML snapshot. Days are UTC calendar days; a forecast
+ * with horizon h issued on day D targets day D + h.
+ *
+ * Forecasters (FORECAST_MODEL, default DEMAND_FORECASTER):
+ * - 'baseline' (default): the in-process forecaster of demandForecaster,
+ *   fitted on the last BASELINE_LOOKBACK_DAYS of requests up to the UTC
+ *   midnight the forecasts are issued on.
+ * - 'ml': Backend-B /predict (ML_SERVICE_URL). Its daily demand per region
+ *   is stored for every horizon; modelVersion comes from the response
+ *   (model_version) or ML_MODEL_VERSION. When the call fails the baseline
+ *   forecasts are stored instead.
+ *
+ * Job: every FORECAST_INTERVAL_HOURS (24, 0 disables) for
+ * FORECAST_HORIZONS_DAYS (comma-separated, "1,7").
+ * Queries span at most FORECAST_MAX_RANGE_DAYS (366).
+ */
+
+import { ApiError } from "../utils/ApiError.js";
+import { Prediction } from "../models/prediction.model.js";
+import { Request } from "../models/request.model.js";
+import { Node } from "../models/node.model.js";
+import { NGO } from "../models/NGO.model.js";
+import { buildMLSnapshot } from "../utils/snapshotBuilder.js";
+import {
+  demandForecasterMode,
+  BASELINE_MODEL_VERSION,
+  regionKeyOf,
+  baselineForecast,
+  predictDemand,
+} from "./demandForecaster.js";
+
+// Read on use: this module is imported before index.js loads .env
+const mlServiceUrl = () =>
+  process.env.ML_SERVICE_URL || "http://localhost:3002";
+const mlTimeoutMs = () => Number(process.env.FORECAST_ML_TIMEOUT_MS ?? 30000);
+
+const forecastModel = () =>
+  process.env.FORECAST_MODEL || demandForecasterMode();
+const lookbackDays = () => Number(process.env.BASELINE_LOOKBACK_DAYS ?? 56);
+const maxRangeDays = () => Number(process.env.FORECAST_MAX_RANGE_DAYS ?? 366);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const dayStart = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Forecast horizons in days
+ * @param {string|number[]} raw - List or comma-separated string
+ * @returns {number[]} Sorted distinct positive integers
+ * @throws {ApiError} 400 on anything else
+ */
+function parseHorizons(raw = process.env.FORECAST_HORIZONS_DAYS ?? "1,7") {
+  const values = (Array.isArray(raw) ? raw : String(raw).split(","))
+    .map((value) => String(value).trim())
+    .filter(Boolean)
+    .map(Number);
+  if (
+    !values.length ||
+    values.some((value) => !Number.isInteger(value) || value <= 0)
+  ) {
+    throw new ApiError(400, "Horizons must be positive whole days");
+  }
+  return [...new Set(values)].sort((a, b) => a - b);
+}
+
+/**
+ * Forecasters: forecast({asOf, horizons}) resolves to
+ * {modelVersion, rows: [{regionId, horizon, predicted_demand_kg, confidence, featureSummary, rawOutput}]}
+ * where predicted_demand_kg is the demand of the target day, plus
+ * {fallback, fallbackReason} when another forecaster had to answer.
+ */
+const FORECASTERS = {
+  baseline: {
+    description:
+      "In-process weekday profile and exponential smoothing of request history",
+    async forecast({ asOf, horizons }) {
+      const issuedOn = dayStart(asOf);
+      const windowDays = lookbackDays();
+      const history = await loadDemandHistory(
+        new Date(issuedOn.getTime() - windowDays * DAY_MS),
+        issuedOn
+      );
+      // Buckets start at the issue day's midnight, so horizon h is day D + h
+      const regions = baselineForecast(history, {
+        asOf: issuedOn,
+        horizons,
+        lookbackDays: windowDays,
+      });
+
+      return {
+        modelVersion: BASELINE_MODEL_VERSION,
+        rows: regions.flatMap((region) =>
+          region.forecasts.map((forecast) => ({
+            regionId: region.regionId,
+            horizon: forecast.horizon,
+            predicted_demand_kg: forecast.predicted_demand_kg,
+            confidence: region.confidence,
+            featureSummary: {
+              state: region.state,
+              district: region.district,
+              anomaly_score: region.anomaly_score,
+              is_anomaly: region.is_anomaly,
+              mean_daily_kg: region.mean_daily_kg,
+              lookbackDays: windowDays,
+            },
+            rawOutput: { food_types: forecast.food_types },
+          }))
+        ),
+      };
+    },
+  },
+  ml: {
+    description: "Backend-B /predict daily demand per region",
+    async forecast({ asOf, horizons }) {
+      const snapshot = await buildMLSnapshot(asOf);
+      const prediction = await predictDemand(snapshot, {
+        mode: "ml",
+        url: mlServiceUrl(),
+        timeout: mlTimeoutMs(),
+        asOf,
+      });
+
+      // The fallback's snapshot results have no horizons: store the
+      // baseline forecaster's per-horizon rows instead
+      if (prediction.source !== "ml") {
+        const baseline = await FORECASTERS.baseline.forecast({
+          asOf,
+          horizons,
+        });
+        return {
+          ...baseline,
+          fallback: true,
+          fallbackReason: prediction.fallbackReason,
+        };
+      }
+
+      const byRegion = new Map();
+      for (const result of prediction.results) {
+        if (!result?.district) continue;
+        const regionId = `${result.state || "Unknown"}-${result.district}`;
+        const entry = byRegion.get(regionId) || {
+          predicted: 0,
+          confidence: null,
+          results: [],
+        };
+        entry.predicted += Number(result.predicted_demand_kg) || 0;
+        if (typeof result.confidence === "number") {
+          entry.confidence = result.confidence;
+        }
+        entry.results.push(result);
+        byRegion.set(regionId, entry);
+      }
+
+      const rows = [];
+      for (const [regionId, entry] of byRegion) {
+        const [first] = entry.results;
+        for (const horizon of horizons) {
+          rows.push({
+            regionId,
+            horizon,
+            predicted_demand_kg: round2(entry.predicted),
+            confidence: entry.confidence,
+            featureSummary: {
+              state: first.state || null,
+              district: first.district,
+              anomaly_score: first.anomaly_score ?? null,
+              is_anomaly: first.is_anomaly ?? null,
+            },
+            rawOutput: { results: entry.results },
+          });
+        }
+      }
+
+      return { modelVersion: prediction.modelVersion, rows };
+    },
+  },
+};
+
+/**
+ * Registered forecasters
+ * @returns {Object[]} [{name, description, default}]
+ */
+function listForecasters() {
+  const defaultModel = forecastModel();
+  return Object.entries(FORECASTERS).map(([name, forecaster]) => ({
+    name,
+    description: forecaster.description,
+    default: name === defaultModel,
+  }));
+}
+
+/**
+ * Produce and store one round of forecasts
+ * @param {Object} options
+ * @param {Date} options.asOf - Issue time (default: now); targets count from its UTC day
+ * @param {string|number[]} options.horizons - Days ahead (default FORECAST_HORIZONS_DAYS)
+ * @param {string} options.model - Forecaster name (default FORECAST_MODEL)
+ * @returns {Promise<Object>} {model, modelVersion, asOf, horizons, regions, stored, fallback, fallbackReason}
+ * @throws {ApiError} 400 on an unknown model or invalid horizons; forecaster errors propagate
+ */
+async function runForecastJob({
+  asOf = new Date(),
+  horizons,
+  model = forecastModel(),
+} = {}) {
+  const forecaster = FORECASTERS[model];
+  if (!forecaster) {
+    throw new ApiError(
+      400,
+      `Unknown forecast model '${model}'. Use one of: ${Object.keys(FORECASTERS).join(", ")}`
+    );
+  }
+  const days = parseHorizons(horizons);
+  const issuedOn = dayStart(asOf);
+
+  const {
+    modelVersion,
+    rows,
+    fallback = false,
+    fallbackReason = null,
+  } = await forecaster.forecast({ asOf, horizons: days });
+
+  const operations = rows.map((row) => {
+    const date = new Date(issuedOn.getTime() + row.horizon * DAY_MS);
+    return {
+      updateOne: {
+        filter: {
+          regionId: row.regionId,
+          date,
+          horizon: row.horizon,
+          modelVersion,
+        },
+        update: {
+          $set: {
+            predicted_demand_kg: row.predicted_demand_kg,
+            confidence: row.confidence ?? null,
+            featureSummary: {
+              ...row.featureSummary,
+              model,
+              issuedAt: asOf,
+            },
+            rawOutput: row.rawOutput ?? null,
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+  if (operations.length) {
+    await Prediction.bulkWrite(operations, { ordered: false });
+  }
+
+  return {
+    model,
+    modelVersion,
+    asOf,
+    horizons: days,
+    regions: new Set(rows.map((row) => row.regionId)).size,
+    stored: operations.length,
+    fallback,
+    fallbackReason,
+  };
+}
+
+/**
+ * Requested kg per region and food type, as history for the forecasters
+ * Requests are placed in the region of their destination node, or of the
+ * NGO node named like the requesting organisation.
+ * @param {Date} from - Inclusive
+ * @param {Date} to - Exclusive
+ * @returns {Promise<Object[]>} [{regionId, state, district, foodType, date, kg}]
+ */
+async function loadDemandHistory(from, to) {
+  const requests = await Request.find({
+    createdOn: { $gte: from, $lt: to },
+    status: { $ne: "cancelled" },
+  })
+    .select("requesterNode destinationNode items createdOn")
+    .lean();
+
+  const ngoIds = [...new Set(requests.map((r) => r.requesterNode?.toString()))];
+  const [ngoNodes, ngos] = await Promise.all([
+    Node.find({ type: "ngo" }).select("name regionId district").lean(),
+    NGO.find({ _id: { $in: ngoIds.filter(Boolean) } })
+      .select("name")
+      .lean(),
+  ]);
+  const nodeById = new Map(ngoNodes.map((node) => [node._id.toString(), node]));
+  const nodeByName = new Map(ngoNodes.map((node) => [node.name, node]));
+  const nodeByNgo = new Map(
+    ngos.map((ngo) => [ngo._id.toString(), nodeByName.get(ngo.name)])
+  );
+
+  const history = [];
+  for (const request of requests) {
+    const node =
+      nodeById.get(request.destinationNode?.toString()) ||
+      nodeByNgo.get(request.requesterNode?.toString());
+    if (!node) continue;
+    for (const item of request.items || []) {
+      const kg = Number(item.required_kg) || 0;
+      if (kg <= 0) continue;
+      history.push({
+        regionId: regionKeyOf(node),
+        state: node.regionId || "Unknown",
+        district: node.district || "Unknown",
+        foodType: item.foodType || "unknown",
+        date: request.createdOn,
+        kg,
+      });
+    }
+  }
+  return history;
+}
+
+/**
+ * Actual demand per region and UTC day
+ * @param {Date} from - Inclusive
+ * @param {Date} to - Exclusive
+ * @returns {Promise<Map>} `${regionId}|${YYYY-MM-DD}` -> required kg
+ */
+async function loadActualDemand(from, to) {
+  const demand = new Map();
+  for (const entry of await loadDemandHistory(from, to)) {
+    const key = `${entry.regionId}|${dayKey(entry.date)}`;
+    demand.set(key, (demand.get(key) || 0) + entry.kg);
+  }
+  return demand;
+}
+
+/**
+ * Validate a query window
+ * @returns {Object} {from, to} as UTC day starts; `to` is exclusive
+ * @throws {ApiError} 400 on invalid dates or a window over FORECAST_MAX_RANGE_DAYS
+ */
+function resolveForecastWindow({ from, to } = {}, defaults = {}) {
+  const start = from ? new Date(from) : defaults.from;
+  const end = to ? new Date(to) : defaults.to;
+  if (isNaN(start?.getTime()) || isNaN(end?.getTime())) {
+    throw new ApiError(400, "Invalid date format. Use YYYY-MM-DD");
+  }
+  const window = {
+    from: dayStart(start),
+    to: new Date(dayStart(end).getTime() + DAY_MS),
+  };
+  if (window.to <= window.from) {
+    throw new ApiError(400, "'from' must not be after 'to'");
+  }
+  const maxDays = maxRangeDays();
+  if (window.to - window.from > maxDays * DAY_MS) {
+    throw new ApiError(
+      400,
+      `Date range exceeds ${maxDays} days; narrow 'from'/'to'`
+    );
+  }
+  return window;
+}
+
+/**
+ * Stored forecasts next to the actual demand of their target day
+ * actual_demand_kg is null until the target day has ended.
+ * @param {Object} options
+ * @param {Date} options.from - First target day
+ * @param {Date} options.to - Day after the last target day
+ * @param {string} options.regionId - Optional
+ * @param {number} options.horizon - Optional
+ * @param {string} options.modelVersion - Optional
+ * @param {Date} options.now - Default: now
+ * @returns {Promise<Object[]>} [{regionId, date, horizon, modelVersion, predicted_demand_kg, confidence, actual_demand_kg, error_kg, ape}]
+ */
+async function compareForecasts({
+  from,
+  to,
+  regionId = null,
+  horizon = null,
+  modelVersion = null,
+  now = new Date(),
+}) {
+  const filter = { date: { $gte: from, $lt: to } };
+  if (regionId) filter.regionId = regionId;
+  if (horizon !== null) filter.horizon = horizon;
+  if (modelVersion) filter.modelVersion = modelVersion;
+
+  const [predictions, demand] = await Promise.all([
+    Prediction.find(filter)
+      .select(
+        "regionId date horizon modelVersion predicted_demand_kg confidence"
+      )
+      .sort({ date: 1, regionId: 1, horizon: 1 })
+      .lean(),
+    loadActualDemand(from, to),
+  ]);
+
+  return predictions.map((prediction) => {
+    const settled = prediction.date.getTime() + DAY_MS <= now.getTime();
+    const key = `${prediction.regionId}|${dayKey(prediction.date)}`;
+    const actual = settled ? round2(demand.get(key) || 0) : null;
+    const predicted = prediction.predicted_demand_kg || 0;
+    return {
+      regionId: prediction.regionId,
+      date: dayKey(prediction.date),
+      horizon: prediction.horizon,
+      modelVersion: prediction.modelVersion,
+      predicted_demand_kg: predicted,
+      confidence: prediction.confidence ?? null,
+      actual_demand_kg: actual,
+      error_kg: actual === null ? null : round2(predicted - actual),
+      // Absolute percentage error; undefined on days without demand
+      ape:
+        actual === null || actual === 0
+          ? null
+          : round2((Math.abs(predicted - actual) / actual) * 100),
+    };
+  });
+}
+
+/**
+ * Accuracy of one group of settled comparisons
+ * MAPE skips days without actual demand (zeroDemandDays); bias is the mean
+ * of predicted - actual, positive when the model over-forecasts.
+ */
+const accuracyOf = (rows) => {
+  const withDemand = rows.filter((row) => row.ape !== null);
+  const totalActual = rows.reduce((sum, row) => sum + row.actual_demand_kg, 0);
+  const totalError = rows.reduce((sum, row) => sum + row.error_kg, 0);
+  return {
+    count: rows.length,
+    zeroDemandDays: rows.length - withDemand.length,
+    mape: withDemand.length
+      ? round2(
+          withDemand.reduce((sum, row) => sum + row.ape, 0) / withDemand.length
+        )
+      : null,
+    bias_kg: round2(totalError / rows.length),
+    bias_pct: totalActual ? round2((totalError / totalActual) * 100) : null,
+    mae_kg: round2(
+      rows.reduce((sum, row) => sum + Math.abs(row.error_kg), 0) / rows.length
+    ),
+    predicted_kg: round2(
+      rows.reduce((sum, row) => sum + row.predicted_demand_kg, 0)
+    ),
+    actual_kg: round2(totalActual),
+  };
+};
+
+const groupBy = (rows, keys) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keys.map((k) => row[k]).join("|");
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return [...groups.values()].map((group) => ({
+    ...Object.fromEntries(keys.map((k) => [k, group[0][k]])),
+    ...accuracyOf(group),
+  }));
+};
+
+/**
+ * Forecast accuracy over settled target days
+ * Horizons are never pooled: a 7-day forecast is judged apart from a 1-day one.
+ * @param {Object} options - As compareForecasts
+ * @returns {Promise<Object>} {byModelVersion, byRegion, pending}
+ */
+async function getForecastAccuracy(options) {
+  const rows = await compareForecasts(options);
+  const settled = rows.filter((row) => row.actual_demand_kg !== null);
+  const order = (a, b) =>
+    String(a.modelVersion).localeCompare(String(b.modelVersion)) ||
+    a.horizon - b.horizon ||
+    String(a.regionId ?? "").localeCompare(String(b.regionId ?? ""));
+
+  return {
+    byModelVersion: groupBy(settled, ["modelVersion", "horizon"]).sort(order),
+    byRegion: groupBy(settled, ["regionId", "modelVersion", "horizon"]).sort(
+      order
+    ),
+    pending: rows.length - settled.length,
+  };
+}
+
+/**
+ * Start the periodic forecast job
+ * Interval comes from FORECAST_INTERVAL_HOURS (default 24, 0 disables).
+ * Runs never overlap: a tick is skipped while the previous run is still going.
+ *
+ * @returns {Function} stop() to clear the timer
+ */
+function startForecastJob() {
+  const intervalHours = Number(process.env.FORECAST_INTERVAL_HOURS ?? 24);
+  if (!Number.isFinite(intervalHours) || intervalHours <= 0) {
+    console.log("📈 Forecast job disabled");
+    return () => {};
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await runForecastJob();
+      console.log(
+        `📈 Forecasts stored: ${summary.stored} for ${summary.regions} region(s), model ${summary.modelVersion}${summary.fallback ? " (fallback)" : ""}`
+      );
+    } catch (error) {
+      console.error("Forecast job failed:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalHours * 60 * 60 * 1000);
+  timer.unref?.();
+  tick();
+
+  console.log(`📈 Forecast job running every ${intervalHours} h`);
+  return () => clearInterval(timer);
+}
+
+export {
+  parseHorizons,
+  listForecasters,
+  runForecastJob,
+  resolveForecastWindow,
+  compareForecasts,
+  getForecastAccuracy,
+  startForecastJob,
+};
@@ -1,84 +1,190 @@
 /**
  * Socket.IO frame emitter service
- * Broadcasts real-time updates to connected clients
+ * Sends real-time updates to connected clients. Live updates are filtered
+ * per client by its subscribe_today filters (see liveSubscriptions): pass
+ * the nodes an update concerns so node, district and region filters apply.
+ * Live updates carry `seq` and are kept for resume (see socketCluster).
  */
 
+import { LIVE_ROOM, updateFor, resolveNodeScope } from "./liveSubscriptions.js";
+import { recordRoomMessage } from "./socketCluster.js";
+
 /**
- * Emit a frame update to all connected clients
+ * Number an update in the live stream and send it to every subscriber it
+ * matches, on any instance (see socketCluster)
+ * @param {Object} io - Socket.IO server instance
+ * @param {string} event - Socket event name
+ * @param {Object} update - Update
+ * @param {Array} nodes - Nodes the update concerns (documents or ids)
+ * @returns {Promise<number>} Subscribers reached
+ */
+async function deliver(io, event, update, nodes = []) {
+  const scope = await resolveNodeScope(nodes);
+  const payload = { timestamp: new Date().toISOString(), ...update };
+  const { seq } = await recordRoomMessage(LIVE_ROOM, {
+    event,
+    payload,
+    scope,
+  });
+
+  let sent = 0;
+  for (const socket of await io.in(LIVE_ROOM).fetchSockets()) {
+    const view = updateFor(socket.data.subscription, event, payload, scope);
+    if (!view) continue;
+    socket.emit(event, { ...view, seq });
+    sent += 1;
+  }
+  return sent;
+}
+
+/**
+ * Emit a frame update to subscribed clients
+ * Location-filtered subscribers get the frame with only their nodes.
  * @param {Object} io - Socket.IO server instance
  * @param {Object} frame - Frame data {date, nodes, batches, shipments, predictions, kpis, events}
+ * @returns {Promise<void>}
  */
-function emitFrame(io, frame) {
+async function emitFrame(io, frame) {
   if (!io) {
     console.warn("Socket.IO instance not available");
     return;
   }
 
-  io.to("live_updates").emit("frame", {
-    timestamp: new Date().toISOString(),
-    ...frame,
-  });
-
-  console.log(`📤 Frame emitted for ${frame.date || "unknown date"}`);
+  try {
+    const sent = await deliver(
+      io,
+      "frame",
+      frame,
+      Array.isArray(frame.nodes) ? frame.nodes : []
+    );
+    console.log(
+      `📤 Frame emitted for ${frame.date || "unknown date"} to ${sent} client(s)`
+    );
+  } catch (error) {
+    console.error("Failed to emit frame:", error.message);
+  }
 }
 
 /**
  * Emit a suggestion/allocation update
  * @param {Object} io - Socket.IO server instance
  * @param {Object} suggestion - Suggestion data {suggestionId, reason, moves}
+ * @param {Array} nodes - Nodes it concerns (documents or ids)
+ * @returns {Promise<void>}
  */
-function emitSuggestion(io, suggestion) {
+async function emitSuggestion(io, suggestion, nodes = []) {
   if (!io) {
     console.warn("Socket.IO instance not available");
     return;
   }
 
-  io.to("live_updates").emit("suggestion", {
-    timestamp: new Date().toISOString(),
-    ...suggestion,
-  });
-
-  console.log(`💡 Suggestion emitted: ${suggestion.suggestionId || "unknown"}`);
+  try {
+    const sent = await deliver(io, "suggestion", suggestion, nodes);
+    console.log(
+      `💡 Suggestion emitted: ${suggestion.suggestionId || "unknown"} to ${sent} client(s)`
+    );
+  } catch (error) {
+    console.error("Failed to emit suggestion:", error.message);
+  }
 }
 
 /**
  * Emit a shipment update (created, location update, arrived)
  * @param {Object} io - Socket.IO server instance
  * @param {Object} shipmentUpdate - Shipment update data
+ * @param {Array} nodes - Nodes on the route (documents or ids)
+ * @returns {Promise<void>}
  */
-function emitShipmentUpdate(io, shipmentUpdate) {
+async function emitShipmentUpdate(io, shipmentUpdate, nodes = []) {
   if (!io) {
     console.warn("Socket.IO instance not available");
     return;
   }
 
-  io.to("live_updates").emit("shipment_update", {
-    timestamp: new Date().toISOString(),
-    ...shipmentUpdate,
-  });
-
-  console.log(
-    `🚚 Shipment update emitted: ${shipmentUpdate.shipmentId || "unknown"}`
-  );
+  try {
+    const sent = await deliver(io, "shipment_update", shipmentUpdate, nodes);
+    console.log(
+      `🚚 Shipment update emitted: ${shipmentUpdate.shipmentId || "unknown"} to ${sent} client(s)`
+    );
+  } catch (error) {
+    console.error("Failed to emit shipment update:", error.message);
+  }
 }
 
 /**
  * Emit an error/alert
  * @param {Object} io - Socket.IO server instance
  * @param {Object} alert - Alert data {type, message, severity}
+ * @param {Array} nodes - Nodes it concerns (documents or ids; alert.nodeId is added)
+ * @returns {Promise<void>}
+ */
+async function emitAlert(io, alert, nodes = []) {
+  if (!io) {
+    console.warn("Socket.IO instance not available");
+    return;
+  }
+
+  try {
+    const sent = await deliver(
+      io,
+      "alert",
+      alert,
+      alert.nodeId ? [alert.nodeId, ...nodes] : nodes
+    );
+    console.log(
+      `⚠️  Alert emitted: ${alert.message || "unknown"} to ${sent} client(s)`
+    );
+  } catch (error) {
+    console.error("Failed to emit alert:", error.message);
+  }
+}
+
+/**
+ * Emit one simulation playback frame to a playback room
+ * Not logged: a playing session emits several frames per second.
+ * @param {Object} io - Socket.IO server instance
+ * @param {string} room - Playback room (or a socket id for one client)
+ * @param {Object} frame - Frame data {playbackId, index, at, nodes, shipments, allocations, kpis}
  */
-function emitAlert(io, alert) {
+function emitPlaybackFrame(io, room, frame) {
   if (!io) {
     console.warn("Socket.IO instance not available");
     return;
   }
 
-  io.to("live_updates").emit("alert", {
+  io.to(room).emit("playback_frame", {
     timestamp: new Date().toISOString(),
-    ...alert,
+    ...frame,
   });
+}
 
-  console.log(`⚠️  Alert emitted: ${alert.message || "unknown"}`);
+/**
+ * Emit the state of a playback session (after join/play/pause/seek/speed)
+ * @param {Object} io - Socket.IO server instance
+ * @param {string} room - Playback room
+ * @param {Object} state - {playbackId, index, frameCount, playing, speed, ...}
+ */
+function emitPlaybackState(io, room, state) {
+  if (!io) {
+    console.warn("Socket.IO instance not available");
+    return;
+  }
+
+  io.to(room).emit("playback_state", {
+    timestamp: new Date().toISOString(),
+    ...state,
+  });
+
+  console.log(
+    `🎬 Playback ${state.playbackId}: ${state.playing ? "playing" : "paused"} at frame ${state.index}/${state.frameCount}`
+  );
 }
 
-export { emitFrame, emitSuggestion, emitShipmentUpdate, emitAlert };
+export {
+  emitFrame,
+  emitSuggestion,
+  emitShipmentUpdate,
+  emitAlert,
+  emitPlaybackFrame,
+  emitPlaybackState,
+};
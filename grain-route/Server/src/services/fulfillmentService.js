@@ -0,0 +1,539 @@
+/**
+ * NGO request fulfillment engine
+ * Reserves warehouse stock for a request's items, turns reservations into
+ * shipments and closes the request as its shipments arrive
+ */
+
+import { Batch } from "../models/batch.model.js";
+import { Node } from "../models/node.model.js";
+import { NGO } from "../models/NGO.model.js";
+import { Request } from "../models/request.model.js";
+import { Shipment } from "../models/shipment.model.js";
+import { Event } from "../models/event.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { extractCoordinates } from "../utils/geoHelpers.js";
+import { distanceKm } from "./distanceProvider.js";
+import {
+  generateShipmentId,
+  estimateTransport,
+  splitBatch,
+} from "./shipmentService.js";
+
+// Allow for float noise when comparing kg totals
+const KG_EPSILON = 0.01;
+
+const OPEN_SHIPMENT_STATUSES = ["pending", "in_transit", "delayed"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Find the NGO node a request delivers to
+ * NGO organisations are linked to NGO nodes by name, as in the allocation engine.
+ * @param {Object} request - Request document
+ * @param {Object} session - Mongoose session (optional)
+ * @returns {Promise<Object>} Node document
+ */
+async function resolveDestinationNode(request, session = null) {
+  if (request.destinationNode) {
+    const node = await Node.findById(request.destinationNode).session(session);
+    if (node) return node;
+  }
+
+  const ngo = await NGO.findById(request.requesterNode).session(session);
+  if (!ngo) {
+    throw new ApiError(404, `NGO '${request.requesterNode}' not found.`);
+  }
+
+  const node = await Node.findOne({ type: "ngo", name: ngo.name }).session(
+    session
+  );
+  if (!node) {
+    throw new ApiError(
+      404,
+      `No NGO node named '${ngo.name}' found to deliver request '${request.requestID}' to.`
+    );
+  }
+  return node;
+}
+
+/**
+ * Reserve stored batches for every outstanding item of a request
+ * Warehouses are tried nearest-first to the destination; within a warehouse
+ * the oldest stock goes first (FIFO). Batches are split when only part of
+ * one is needed and the reserved part gets status 'reserved'.
+ *
+ * @param {Object} request - Request document (items are updated in place)
+ * @param {Object} options
+ * @param {string[]} options.warehouseIds - Restrict sourcing to these warehouses
+ * @param {Object} options.session - Mongoose session
+ * @param {Date} options.time - Timestamp for history entries
+ * @returns {Promise<Object>} {destination, reservations, shortfalls}
+ */
+async function reserveForRequest(
+  request,
+  { warehouseIds = null, session = null, time = new Date() } = {}
+) {
+  const destination = await resolveDestinationNode(request, session);
+  const destCoords = extractCoordinates(destination);
+
+  const warehouseFilter = { type: "warehouse" };
+  if (warehouseIds?.length) warehouseFilter._id = { $in: warehouseIds };
+  const warehouses = (await Node.find(warehouseFilter).session(session))
+    .map((node) => ({
+      node,
+      distance_km: distanceKm(extractCoordinates(node), destCoords),
+    }))
+    .sort((a, b) => a.distance_km - b.distance_km);
+
+  const reservations = [];
+  const shortfalls = [];
+
+  for (const [itemIndex, item] of request.items.entries()) {
+    let remaining =
+      item.required_kg - (item.delivered_kg || 0) - (item.allocated_kg || 0);
+
+    for (const { node } of warehouses) {
+      if (remaining <= KG_EPSILON) break;
+
+      const batches = await Batch.find({
+        currentNode: node._id,
+        foodType: item.foodType,
+        status: "stored",
+        quantity_kg: { $gt: 0 },
+        "recall.recalled": { $ne: true },
+      })
+        .sort({ manufacture_date: 1 }) // Oldest first (FIFO)
+        .session(session);
+
+      for (const batch of batches) {
+        if (remaining <= KG_EPSILON) break;
+
+        const allocation = await splitBatch(
+          batch,
+          Math.min(batch.quantity_kg, remaining),
+          { session, purpose: `request ${request.requestID}` }
+        );
+
+        await Batch.findByIdAndUpdate(
+          allocation.batchId,
+          {
+            status: "reserved",
+            $push: {
+              history: {
+                time,
+                action: "reserved",
+                from: node._id,
+                to: destination._id,
+                note: `Reserved for request ${request.requestID}`,
+              },
+            },
+          },
+          { session }
+        );
+
+        reservations.push({
+          itemIndex,
+          batchId: allocation.batchId,
+          fromNode: node._id,
+          quantity_kg: allocation.quantity,
+          shipmentId: null,
+        });
+        item.allocated_kg = round2(
+          (item.allocated_kg || 0) + allocation.quantity
+        );
+        remaining -= allocation.quantity;
+      }
+    }
+
+    if (remaining > KG_EPSILON) {
+      shortfalls.push({
+        itemIndex,
+        foodType: item.foodType,
+        required_kg: item.required_kg,
+        allocated_kg: item.allocated_kg || 0,
+        shortfall_kg: round2(remaining),
+      });
+    }
+  }
+
+  request.destinationNode = destination._id;
+  request.reservations.push(...reservations);
+
+  return { destination, reservations, shortfalls };
+}
+
+/**
+ * Create one pending shipment per source warehouse for unshipped reservations
+ * Shipments stay 'pending' (batches 'reserved') until dispatched.
+ *
+ * @param {Object} request - Request document
+ * @param {Object} options
+ * @param {Object} options.destination - Destination node
+ * @param {Date} options.startDate - Planned departure
+ * @param {Object} options.createdBy - User id (optional)
+ * @param {Object} options.session - Mongoose session
+ * @returns {Promise<Object[]>} Created shipment documents
+ */
+async function createRequestShipments(
+  request,
+  { destination, startDate = new Date(), createdBy = null, session = null }
+) {
+  const bySource = new Map();
+  for (const reservation of request.reservations) {
+    if (reservation.shipmentId) continue;
+    const key = reservation.fromNode.toString();
+    if (!bySource.has(key)) bySource.set(key, []);
+    bySource.get(key).push(reservation);
+  }
+
+  const shipments = [];
+  for (const [fromNodeId, group] of bySource) {
+    const fromNode = await Node.findById(fromNodeId).session(session);
+    const transportData = await estimateTransport(
+      fromNode,
+      destination,
+      startDate
+    );
+
+    const items = Object.values(
+      group.reduce((acc, r) => {
+        const foodType = request.items[r.itemIndex].foodType;
+        acc[foodType] = acc[foodType] || { foodType, quantity_kg: 0 };
+        acc[foodType].quantity_kg = round2(
+          acc[foodType].quantity_kg + r.quantity_kg
+        );
+        return acc;
+      }, {})
+    );
+
+    const [shipment] = await Shipment.create(
+      [
+        {
+          shipmentId: generateShipmentId(),
+          batchIds: group.map((r) => r.batchId),
+          fromNode: fromNode._id,
+          toNode: destination._id,
+          start_iso: startDate,
+          eta_iso: new Date(transportData.eta_iso),
+          status: "pending",
+          requestId: request._id,
+          createdBy,
+          travel_time_minutes: transportData.travel_time_minutes,
+          distance_km: transportData.distance_km,
+          breaks: transportData.breaks,
+          metadata: {
+            allocatedBatches: group.map((r) => ({
+              batchId: r.batchId,
+              quantity: r.quantity_kg,
+            })),
+            transportMetadata: transportData.metadata,
+            items,
+            requestID: request.requestID,
+          },
+        },
+      ],
+      { session }
+    );
+
+    await Event.create(
+      [
+        {
+          time: startDate,
+          type: "shipment_created",
+          location: fromNode.location,
+          payload: {
+            shipmentId: shipment.shipmentId,
+            requestID: request.requestID,
+            status: "pending",
+            fromNode: {
+              nodeId: fromNode._id,
+              name: fromNode.name,
+              type: fromNode.type,
+            },
+            toNode: {
+              nodeId: destination._id,
+              name: destination.name,
+              type: destination.type,
+            },
+            batchCount: group.length,
+            distance_km: transportData.distance_km,
+            eta_iso: transportData.eta_iso,
+          },
+        },
+      ],
+      { session }
+    );
+
+    for (const reservation of group) reservation.shipmentId = shipment._id;
+    request.shipmentIds.push(shipment._id);
+    shipments.push(shipment);
+  }
+
+  return shipments;
+}
+
+/**
+ * Close a request once nothing is left in flight
+ * - everything delivered        -> 'fulfilled'
+ * - something delivered         -> 'partially_fulfilled'
+ * - nothing delivered           -> back to 'pending' so it can be re-approved
+ *
+ * @param {Object} request - Request document (saved by this function)
+ * @param {Object} options - {session, time, fulfilledBy}
+ * @returns {Promise<string>} Resulting status
+ */
+async function finalizeRequestIfComplete(
+  request,
+  { session = null, time = new Date(), fulfilledBy = null } = {}
+) {
+  if (request.status !== "approved") {
+    await request.save({ session });
+    return request.status;
+  }
+
+  // Route shipments stay open after this request's stop has been delivered
+  const unshipped = request.reservations.some((r) => !r.shipmentId);
+  const open = await Shipment.countDocuments({
+    status: { $in: OPEN_SHIPMENT_STATUSES },
+    $or: [
+      { requestId: request._id },
+      {
+        stops: { $elemMatch: { requestId: request._id, status: "pending" } },
+      },
+    ],
+  }).session(session);
+
+  if (unshipped || open > 0) {
+    await request.save({ session });
+    return request.status;
+  }
+
+  const delivered = request.items.reduce(
+    (sum, item) => sum + (item.delivered_kg || 0),
+    0
+  );
+  const complete = request.items.every(
+    (item) => (item.delivered_kg || 0) >= item.required_kg - KG_EPSILON
+  );
+
+  if (delivered > KG_EPSILON) {
+    request.status = complete ? "fulfilled" : "partially_fulfilled";
+    request.fullFilledOn = time;
+    request.fulfilledBy = fulfilledBy;
+    await NGO.findByIdAndUpdate(
+      request.requesterNode,
+      { $inc: { "requestStats.completed": 1, "requestStats.approved": -1 } },
+      { session }
+    );
+  } else {
+    request.status = "pending";
+    request.approvedOn = null;
+    await NGO.findByIdAndUpdate(
+      request.requesterNode,
+      { $inc: { "requestStats.pending": 1, "requestStats.approved": -1 } },
+      { session }
+    );
+  }
+
+  await request.save({ session });
+  return request.status;
+}
+
+/**
+ * Requests still waiting on a shipment
+ * A single-destination shipment serves its requestId; a route serves the
+ * requests of its stops that have not been delivered yet.
+ * @param {Object} shipment - Shipment document
+ * @returns {Object[]} Request ids
+ */
+function openRequestIds(shipment) {
+  if (shipment.requestId) return [shipment.requestId];
+  const ids = new Map();
+  for (const stop of shipment.stops || []) {
+    if (stop.status === "pending" && stop.requestId) {
+      ids.set(stop.requestId.toString(), stop.requestId);
+    }
+  }
+  return [...ids.values()];
+}
+
+/**
+ * Credit delivered kg from an arrived shipment (or route stop) to its request
+ * @param {Object} shipment - Arrived shipment
+ * @param {Object[]} settled - Outcomes from settleBatchDelivery
+ * @param {Object} options - {session, time, requestId}; requestId defaults to
+ *   shipment.requestId and is passed per stop for routes
+ * @returns {Promise<Object|null>} {requestId, status} or null if not a request shipment
+ */
+async function recordShipmentOutcome(
+  shipment,
+  settled,
+  { session = null, time = new Date(), requestId = null } = {}
+) {
+  const targetId = requestId || shipment.requestId;
+  if (!targetId) return null;
+
+  const request = await Request.findById(targetId).session(session);
+  if (!request) return null;
+
+  const byBatch = new Map(
+    request.reservations.map((r) => [r.batchId.toString(), r])
+  );
+
+  for (const entry of settled) {
+    if (entry.outcome !== "delivered") continue;
+    const reservation =
+      byBatch.get(entry.batchId.toString()) ||
+      (entry.parentBatchId && byBatch.get(entry.parentBatchId.toString()));
+    if (!reservation) continue;
+
+    const item = request.items[reservation.itemIndex];
+    item.delivered_kg = round2((item.delivered_kg || 0) + entry.quantity_kg);
+  }
+
+  const status = await finalizeRequestIfComplete(request, {
+    session,
+    time,
+    fulfilledBy: shipment.fromNode?._id || shipment.fromNode,
+  });
+  return { requestId: request._id, requestID: request.requestID, status };
+}
+
+/**
+ * Drop a cancelled shipment's reservations from its request
+ * @param {Object} shipment - Cancelled shipment
+ * @param {Object} options - {session, time, requestId}; requestId defaults to
+ *   shipment.requestId (see openRequestIds for routes)
+ * @returns {Promise<Object|null>} {requestId, status} or null if not a request shipment
+ */
+async function releaseShipmentFromRequest(
+  shipment,
+  { session = null, time = new Date(), requestId = null } = {}
+) {
+  const targetId = requestId || shipment.requestId;
+  if (!targetId) return null;
+
+  const request = await Request.findById(targetId).session(session);
+  if (!request) return null;
+
+  const shipmentKey = shipment._id.toString();
+  dropReservations(
+    request,
+    (reservation) => reservation.shipmentId?.toString() === shipmentKey
+  );
+
+  const status = await finalizeRequestIfComplete(request, {
+    session,
+    time,
+    fulfilledBy: shipment.fromNode?._id || shipment.fromNode,
+  });
+  return { requestId: request._id, requestID: request.requestID, status };
+}
+
+// Remove matching reservations from a request and give back their allocated kg
+const dropReservations = (request, predicate) => {
+  const kept = [];
+  const dropped = [];
+  for (const reservation of request.reservations) {
+    if (predicate(reservation)) {
+      const item = request.items[reservation.itemIndex];
+      item.allocated_kg = round2(
+        Math.max(0, (item.allocated_kg || 0) - reservation.quantity_kg)
+      );
+      dropped.push(reservation.batchId);
+    } else {
+      kept.push(reservation);
+    }
+  }
+  request.reservations = kept;
+  return dropped;
+};
+
+// Batches still 'reserved' go back to 'stored'
+const unreserveBatches = async (batchIds, { session, time, note }) => {
+  if (!batchIds.length) return;
+  await Batch.updateMany(
+    { _id: { $in: batchIds }, status: "reserved" },
+    {
+      status: "stored",
+      $push: { history: { time, action: "reservation_released", note } },
+    },
+    { session }
+  );
+};
+
+/**
+ * Release a request's reservations that have no shipment yet
+ * The request is updated in place and not saved.
+ * @param {Object} request - Request document
+ * @param {Object} options - {session, time, note}
+ * @returns {Promise<Object[]>} Released batch ids
+ */
+async function releaseRequestReservations(
+  request,
+  { session = null, time = new Date(), note = "Reservation released" } = {}
+) {
+  const released = dropReservations(request, (r) => !r.shipmentId);
+  await unreserveBatches(released, { session, time, note });
+  return released;
+}
+
+/**
+ * Release unshipped reservations held on batches that can no longer ship
+ * (recalled, spoiled). Affected requests give back the allocated kg and
+ * are re-finalized; batches still 'reserved' go back to 'stored'.
+ * Reservations already on a shipment are left to the shipment's own
+ * cancellation.
+ *
+ * @param {Object[]} batchIds - Batch ids
+ * @param {Object} options - {session, time, note}
+ * @returns {Promise<Object[]>} [{requestId, requestID, status, batchIds}]
+ */
+async function releaseBatchReservations(
+  batchIds,
+  { session = null, time = new Date(), note = "Reservation released" } = {}
+) {
+  if (!batchIds?.length) return [];
+  const batchKeys = new Set(batchIds.map((id) => id.toString()));
+
+  const requests = await Request.find({
+    reservations: {
+      $elemMatch: { batchId: { $in: batchIds }, shipmentId: null },
+    },
+  }).session(session);
+
+  const updates = [];
+  const released = [];
+  for (const request of requests) {
+    const dropped = dropReservations(
+      request,
+      (r) => !r.shipmentId && batchKeys.has(r.batchId.toString())
+    );
+    released.push(...dropped);
+
+    const status = await finalizeRequestIfComplete(request, {
+      session,
+      time,
+    });
+    updates.push({
+      requestId: request._id,
+      requestID: request.requestID,
+      status,
+      batchIds: dropped,
+    });
+  }
+
+  await unreserveBatches(released, { session, time, note });
+  return updates;
+}
+
+export {
+  resolveDestinationNode,
+  reserveForRequest,
+  createRequestShipments,
+  openRequestIds,
+  recordShipmentOutcome,
+  releaseShipmentFromRequest,
+  releaseRequestReservations,
+  releaseBatchReservations,
+};
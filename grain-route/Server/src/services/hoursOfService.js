@@ -0,0 +1,208 @@
+/**
+ * Driver hours-of-service
+ * Rest rules applied to driving time when timing a trip, the planned breaks
+ * they produce, and the split of a shipment's delay into rest and stoppages.
+ *
+ * Rules (env):
+ * - HOS_MAX_CONTINUOUS_DRIVING_HOURS (4): driving before a short break
+ * - HOS_BREAK_MINUTES (30): short break length
+ * - HOS_MAX_DAILY_DRIVING_HOURS (9): driving before a daily rest
+ * - HOS_DAILY_REST_HOURS (11): daily rest length
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const HOS_RULES = Object.freeze({
+  maxContinuousDrivingHours: Number(
+    process.env.HOS_MAX_CONTINUOUS_DRIVING_HOURS ?? 4
+  ),
+  breakMinutes: Number(process.env.HOS_BREAK_MINUTES ?? 30),
+  maxDailyDrivingHours: Number(process.env.HOS_MAX_DAILY_DRIVING_HOURS ?? 9),
+  dailyRestHours: Number(process.env.HOS_DAILY_REST_HOURS ?? 11),
+});
+
+// Logged break kinds that count as driver rest; the rest are stoppages
+const REST_BREAK_KINDS = ["rest", "daily_rest"];
+const BREAK_KINDS = [
+  ...REST_BREAK_KINDS,
+  "fuel",
+  "loading",
+  "traffic",
+  "breakdown",
+  "inspection",
+  "other",
+];
+
+// Guards against rules that would never let the driver move
+const MIN_DRIVING_STRETCH_HOURS = 0.25;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Active hours-of-service rules
+ * @returns {Object} {maxContinuousDrivingHours, breakMinutes, maxDailyDrivingHours, dailyRestHours}
+ */
+function getHoursOfServiceRules() {
+  return { ...HOS_RULES };
+}
+
+/**
+ * Trip clock that inserts rest as driving accumulates
+ * drive() advances by driving time (adding breaks where the rules require
+ * them before the driver may continue), wait() by on-duty time that is not
+ * driving, e.g. unloading at a stop.
+ *
+ * @param {Date} start - Departure
+ * @param {Object} rules - Defaults to the configured rules
+ * @returns {Object} {drive(hours), wait(minutes), now(), breaks, drivingHours, restHours}
+ */
+function createDriveClock(start = new Date(0), rules = HOS_RULES) {
+  const stretch = Math.max(
+    MIN_DRIVING_STRETCH_HOURS,
+    rules.maxContinuousDrivingHours
+  );
+  const daily = Math.max(MIN_DRIVING_STRETCH_HOURS, rules.maxDailyDrivingHours);
+  let time = start.getTime();
+  let sinceBreak = 0;
+  let today = 0;
+
+  const clock = {
+    breaks: [],
+    drivingHours: 0,
+    restHours: 0,
+  };
+
+  const rest = (kind, hours) => {
+    if (hours <= 0) return;
+    clock.breaks.push({
+      kind,
+      start_iso: new Date(time),
+      end_iso: new Date(time + hours * HOUR_MS),
+      planned: true,
+      reason:
+        kind === "daily_rest"
+          ? `Daily rest after ${round2(today)} h driving`
+          : `Break after ${round2(sinceBreak)} h continuous driving`,
+    });
+    time += hours * HOUR_MS;
+    clock.restHours += hours;
+  };
+
+  clock.drive = (hours) => {
+    let remaining = Math.max(0, Number(hours) || 0);
+    while (remaining > 1e-9) {
+      if (today >= daily - 1e-9) {
+        rest("daily_rest", rules.dailyRestHours);
+        today = 0;
+        sinceBreak = 0;
+      } else if (sinceBreak >= stretch - 1e-9) {
+        rest("rest", rules.breakMinutes / 60);
+        sinceBreak = 0;
+      }
+      const step = Math.min(remaining, stretch - sinceBreak, daily - today);
+      time += step * HOUR_MS;
+      sinceBreak += step;
+      today += step;
+      clock.drivingHours += step;
+      remaining -= step;
+    }
+    return clock;
+  };
+
+  clock.wait = (minutes) => {
+    time += Math.max(0, Number(minutes) || 0) * 60 * 1000;
+    return clock;
+  };
+
+  clock.now = () => new Date(time);
+
+  return clock;
+}
+
+/**
+ * Rest the rules add to a single stretch of driving
+ * @param {number} drivingHours
+ * @param {Object} rules - Defaults to the configured rules
+ * @returns {number} Hours of rest
+ */
+function restHoursFor(drivingHours, rules = HOS_RULES) {
+  return createDriveClock(new Date(0), rules).drive(drivingHours).restHours;
+}
+
+/**
+ * Time a single-leg trip from its driving time
+ * @param {number} drivingHours
+ * @param {Date} start - Departure
+ * @returns {Object} {eta, travel_hours, rest_hours, breaks}
+ */
+function scheduleDrive(drivingHours, start) {
+  const clock = createDriveClock(start).drive(drivingHours);
+  return {
+    eta: clock.now(),
+    travel_hours: clock.drivingHours + clock.restHours,
+    rest_hours: clock.restHours,
+    breaks: clock.breaks,
+  };
+}
+
+const breakMinutes = (b, now) => {
+  const end = b.end_iso ? new Date(b.end_iso) : now;
+  return Math.max(0, (end - new Date(b.start_iso)) / (60 * 1000));
+};
+
+/**
+ * Split a shipment's delay into rest overrun, logged stoppages and the rest
+ * Delay is arrival (or projected arrival, else `now` while still moving)
+ * against eta_iso, which already contains the planned breaks.
+ *
+ * @param {Object} shipment - Shipment with breaks[]
+ * @param {Date} now - Reference time for open breaks and unfinished trips
+ * @returns {Object} {delayMinutes, plannedRestMinutes, loggedRestMinutes,
+ *   restOverrunMinutes, stoppageMinutes, unexplainedDelayMinutes, openBreak}
+ */
+function analyzeShipmentDelay(shipment, now = new Date()) {
+  const breaks = shipment.breaks || [];
+  const planned = breaks.filter((b) => b.planned);
+  const logged = breaks.filter((b) => !b.planned);
+
+  const sum = (list) =>
+    list.reduce((total, b) => total + breakMinutes(b, now), 0);
+  const plannedRest = sum(planned);
+  const loggedRest = sum(
+    logged.filter((b) => REST_BREAK_KINDS.includes(b.kind))
+  );
+  const stoppages = sum(
+    logged.filter((b) => !REST_BREAK_KINDS.includes(b.kind))
+  );
+
+  const reference =
+    shipment.arrived_iso ||
+    shipment.projected_eta_iso ||
+    (["in_transit", "delayed"].includes(shipment.status) ? now : null);
+  const delay =
+    shipment.eta_iso && reference
+      ? Math.max(0, (new Date(reference) - new Date(shipment.eta_iso)) / 60000)
+      : 0;
+  const restOverrun = Math.max(0, loggedRest - plannedRest);
+  const explained = Math.min(delay, restOverrun + stoppages);
+
+  return {
+    delayMinutes: Math.round(delay),
+    plannedRestMinutes: Math.round(plannedRest),
+    loggedRestMinutes: Math.round(loggedRest),
+    restOverrunMinutes: Math.round(restOverrun),
+    stoppageMinutes: Math.round(stoppages),
+    unexplainedDelayMinutes: Math.round(delay - explained),
+    openBreak: logged.find((b) => !b.end_iso) || null,
+  };
+}
+
+export {
+  BREAK_KINDS,
+  REST_BREAK_KINDS,
+  getHoursOfServiceRules,
+  createDriveClock,
+  restHoursFor,
+  scheduleDrive,
+  analyzeShipmentDelay,
+};
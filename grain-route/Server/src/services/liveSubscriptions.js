@@ -0,0 +1,376 @@
+/**
+ * Live update subscriptions
+ * Socket.IO handshakes are authenticated with the same access token as the
+ * HTTP API (handshake auth `token`, a Bearer Authorization header or the
+ * accessToken cookie); machine clients may send auth `serviceKey` instead.
+ *
+ * Authenticated clients subscribe to live updates with
+ *
+ *   subscribe_today {nodeIds, districts, regions, events}
+ *
+ * Every filter is an optional list and an empty one matches everything.
+ * Location filters match an update concerning a listed node or any node in
+ * a listed district/region; updates not tied to a node reach every
+ * subscriber. events match the socket event ('frame', 'suggestion',
+ * 'shipment_update', 'alert') or the update's type ('shipment_arrived',
+ * 'capacity_warning', ...). Subscribing again replaces the filters;
+ * unsubscribe_today stops live updates; resume picks up after a reconnect.
+ * frameEmitter filters every update per subscriber with updateFor.
+ */
+
+import { ApiError } from "../utils/ApiError.js";
+import { Node } from "../models/node.model.js";
+import { resolveUserFromToken } from "../middleware/auth.middleware.js";
+import { roomPosition, roomMessagesSince } from "./socketCluster.js";
+
+const LIVE_ROOM = "live_updates";
+
+const FILTER_KEYS = ["nodeIds", "districts", "regions", "events"];
+// Read on use: this module is imported before index.js loads .env
+const maxFilterValues = () => Number(process.env.LIVE_MAX_FILTER_VALUES ?? 500);
+
+// Node district/region lookup for updates that only carry node ids
+const nodeCacheTtlMs = () =>
+  Number(process.env.LIVE_NODE_CACHE_TTL_MS ?? 300000);
+const NODE_CACHE_MIN_REFRESH_MS = 10000;
+
+const idOf = (value) => value?.toString?.() ?? String(value);
+
+// Districts and regions compare case-insensitively
+const keyOf = (value) =>
+  value === undefined || value === null
+    ? null
+    : String(value).trim().toLowerCase();
+
+/**
+ * Token from the handshake: auth.token, Authorization header or cookie
+ * @param {Object} handshake - socket.handshake
+ * @returns {string|null}
+ */
+const extractHandshakeToken = (handshake) => {
+  if (typeof handshake.auth?.token === "string" && handshake.auth.token) {
+    return handshake.auth.token.replace(/^Bearer\s+/i, "").trim();
+  }
+
+  const header = handshake.headers?.authorization || "";
+  if (header.startsWith("Bearer ")) return header.slice(7).trim();
+
+  for (const part of (handshake.headers?.cookie || "").split(";")) {
+    const [name, ...rest] = part.trim().split("=");
+    if (name === "accessToken" && rest.length) {
+      return decodeURIComponent(rest.join("="));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Socket.IO middleware: resolve the handshake to a user (socket.data.user)
+ * Rejected connections get a connect_error with data.statusCode.
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const serviceKey = socket.handshake.auth?.serviceKey;
+    if (serviceKey && process.env.SERVICE_API_KEY) {
+      if (serviceKey !== process.env.SERVICE_API_KEY) {
+        throw new ApiError(401, "Invalid service key");
+      }
+      socket.data.user = { _id: null, userId: "service", role: "service" };
+      return next();
+    }
+
+    const user = await resolveUserFromToken(
+      extractHandshakeToken(socket.handshake)
+    );
+    socket.data.user = {
+      _id: user._id,
+      userId: user.userId,
+      role: user.role,
+      nodeId: user.nodeId || null,
+      ngoId: user.ngoId || null,
+    };
+    next();
+  } catch (error) {
+    const rejection = new Error(error.message || "Unauthorized");
+    rejection.data = { statusCode: error.statusCode || 401 };
+    next(rejection);
+  }
+}
+
+/**
+ * Validate subscribe_today filters
+ * Kept as plain lists in socket.data, which adapters share between instances
+ * @param {Object} raw - {nodeIds, districts, regions, events}; lists or single values
+ * @returns {Object} {nodeIds, districts, regions, events} without duplicates
+ * @throws {ApiError} 400 on unknown keys or values that are not strings
+ */
+function normalizeSubscription(raw = {}) {
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new ApiError(400, "Subscription must be an object of filters");
+  }
+  const unknown = Object.keys(raw).filter((key) => !FILTER_KEYS.includes(key));
+  if (unknown.length) {
+    throw new ApiError(
+      400,
+      `Unknown subscription filters: ${unknown.join(", ")}. Use: ${FILTER_KEYS.join(", ")}`
+    );
+  }
+
+  const subscription = {};
+  const maxValues = maxFilterValues();
+  for (const key of FILTER_KEYS) {
+    const value = raw[key] ?? [];
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length > maxValues) {
+      throw new ApiError(400, `'${key}' lists more than ${maxValues} values`);
+    }
+    if (values.some((v) => typeof v !== "string" || !v.trim())) {
+      throw new ApiError(400, `'${key}' must be a list of non-empty strings`);
+    }
+    subscription[key] = [
+      ...new Set(
+        key === "districts" || key === "regions"
+          ? values.map(keyOf)
+          : values.map((v) => v.trim())
+      ),
+    ];
+  }
+  return subscription;
+}
+
+const hasLocationFilter = (subscription) =>
+  Boolean(
+    subscription?.nodeIds.length ||
+      subscription?.districts.length ||
+      subscription?.regions.length
+  );
+
+/**
+ * Whether one node (a resolveNodeScope entry) passes the location filters
+ */
+const nodeMatches = (subscription, node) =>
+  !hasLocationFilter(subscription) ||
+  subscription.nodeIds.includes(node.nodeId) ||
+  (node.district !== null && subscription.districts.includes(node.district)) ||
+  (node.regionId !== null && subscription.regions.includes(node.regionId));
+
+/**
+ * Whether an update reaches a subscriber
+ * @param {Object} subscription - normalizeSubscription() output
+ * @param {string} event - Socket event name
+ * @param {Object} payload - Update; payload.type is matched against events too
+ * @param {Object[]} scope - Nodes the update concerns (resolveNodeScope)
+ * @returns {boolean}
+ */
+function matchesSubscription(subscription, event, payload, scope = []) {
+  if (!subscription) return false;
+  const { events } = subscription;
+  if (
+    events.length &&
+    !events.includes(event) &&
+    !events.includes(payload?.type)
+  ) {
+    return false;
+  }
+  if (!hasLocationFilter(subscription) || !scope.length) return true;
+  return scope.some((node) => nodeMatches(subscription, node));
+}
+
+/**
+ * What a subscriber receives of an update, or null when it is filtered out
+ * Frames are trimmed to the subscriber's nodes; their scope has one entry
+ * per frame node.
+ * @returns {Object|null} Payload to send
+ */
+function updateFor(subscription, event, payload, scope = []) {
+  if (event !== "frame" || !hasLocationFilter(subscription)) {
+    return matchesSubscription(subscription, event, payload, scope)
+      ? payload
+      : null;
+  }
+  if (!matchesSubscription(subscription, event, payload)) return null;
+  const nodes = (payload.nodes || []).filter(
+    (node, index) => scope[index] && nodeMatches(subscription, scope[index])
+  );
+  return nodes.length ? { ...payload, nodes } : null;
+}
+
+const directory = { byId: new Map(), loadedAt: 0, loading: null };
+
+const refreshDirectory = () => {
+  if (!directory.loading) {
+    directory.loading = Node.find()
+      .select("district regionId")
+      .lean()
+      .then((nodes) => {
+        directory.byId = new Map(
+          nodes.map((node) => [
+            idOf(node._id),
+            {
+              nodeId: idOf(node._id),
+              district: keyOf(node.district),
+              regionId: keyOf(node.regionId),
+            },
+          ])
+        );
+      })
+      .catch((error) => {
+        console.error("Failed to load node directory:", error.message);
+      })
+      .finally(() => {
+        directory.loadedAt = Date.now();
+        directory.loading = null;
+      });
+  }
+  return directory.loading;
+};
+
+/**
+ * District and region of the nodes an update concerns
+ * Node documents are used as they are; bare ids (or documents without a
+ * district) are looked up in a cached node directory.
+ * @param {Array} nodes - Node documents, {nodeId} entries or ids; nullish entries are skipped
+ * @returns {Promise<Object[]>} [{nodeId, district, regionId}]
+ */
+async function resolveNodeScope(nodes = []) {
+  const list = nodes.filter(Boolean);
+  const nodeIdOf = (node) => idOf(node._id ?? node.nodeId ?? node);
+  const isDocument = (node) =>
+    typeof node === "object" && (node.district || node.regionId);
+
+  const age = Date.now() - directory.loadedAt;
+  const unknown = list.some(
+    (node) => !isDocument(node) && !directory.byId.has(nodeIdOf(node))
+  );
+  if (
+    age > nodeCacheTtlMs() ||
+    (unknown && age > NODE_CACHE_MIN_REFRESH_MS)
+  ) {
+    await refreshDirectory();
+  }
+
+  return list.map((node) =>
+    isDocument(node)
+      ? {
+          nodeId: nodeIdOf(node),
+          district: keyOf(node.district),
+          regionId: keyOf(node.regionId),
+        }
+      : directory.byId.get(nodeIdOf(node)) || {
+          nodeId: nodeIdOf(node),
+          district: null,
+          regionId: null,
+        }
+  );
+}
+
+const ackOf = (ack) => (typeof ack === "function" ? ack : () => {});
+
+const errorReply = (error) => ({
+  ok: false,
+  statusCode: error.statusCode || 500,
+  message: error.message,
+});
+
+/**
+ * subscribe_today / resume / unsubscribe_today of one socket; call from
+ * the connection handler
+ *
+ * Live updates carry `seq`, the position in the live room's stream (gaps
+ * are normal under filters). The subscribe_today ack returns {epoch, seq};
+ * after a reconnect, `resume` {lastSeq, epoch, ...filters} subscribes again
+ * and replays the buffered updates after lastSeq that match the filters,
+ * flagged `replayed: true`. Live updates may interleave with the replay, so
+ * clients order and dedupe by seq. complete: false in the ack means updates
+ * were lost (buffer overrun or server restart) and state should be
+ * reloaded over HTTP.
+ *
+ * @param {Object} socket - Authenticated socket
+ */
+function registerSubscriptionHandlers(socket) {
+  const userId = socket.data.user?.userId || "anonymous";
+
+  const subscribe = (filters) => {
+    const subscription = normalizeSubscription(filters || {});
+    socket.data.subscription = subscription;
+    socket.join(LIVE_ROOM);
+    return subscription;
+  };
+
+  socket.on("subscribe_today", async (payload, ack) => {
+    const reply = ackOf(ack);
+    try {
+      const subscription = subscribe(payload);
+      console.log(
+        `📡 Client ${socket.id} (${userId}) subscribed:`,
+        subscription
+      );
+      reply({
+        ok: true,
+        subscription,
+        ...(await roomPosition(LIVE_ROOM)),
+      });
+    } catch (error) {
+      reply(errorReply(error));
+    }
+  });
+
+  socket.on("resume", async (payload, ack) => {
+    const reply = ackOf(ack);
+    try {
+      const { lastSeq = 0, epoch = null, ...filters } = payload || {};
+      const from = Number(lastSeq);
+      if (!Number.isInteger(from) || from < 0) {
+        throw new ApiError(400, "lastSeq must be a non-negative integer");
+      }
+
+      // Join first: anything published from here on arrives live
+      const subscription = subscribe(filters);
+      const replay = await roomMessagesSince(LIVE_ROOM, from, epoch);
+      let replayed = 0;
+      for (const entry of replay.entries) {
+        const update = updateFor(
+          subscription,
+          entry.event,
+          entry.payload,
+          entry.scope
+        );
+        if (!update) continue;
+        socket.emit(entry.event, { ...update, seq: entry.seq, replayed: true });
+        replayed += 1;
+      }
+
+      console.log(
+        `🔁 Client ${socket.id} (${userId}) resumed after ${from}: ${replayed} update(s) replayed${replay.complete ? "" : ", stream incomplete"}`
+      );
+      reply({
+        ok: true,
+        subscription,
+        epoch: replay.epoch,
+        seq: replay.latestSeq,
+        replayed,
+        complete: replay.complete,
+      });
+    } catch (error) {
+      reply(errorReply(error));
+    }
+  });
+
+  socket.on("unsubscribe_today", (payload, ack) => {
+    socket.leave(LIVE_ROOM);
+    delete socket.data.subscription;
+    console.log(`📴 Client ${socket.id} (${userId}) unsubscribed`);
+    ackOf(ack)({ ok: true });
+  });
+}
+
+export {
+  LIVE_ROOM,
+  authenticateSocket,
+  registerSubscriptionHandlers,
+  normalizeSubscription,
+  matchesSubscription,
+  updateFor,
+  resolveNodeScope,
+};
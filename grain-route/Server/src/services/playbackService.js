@@ -0,0 +1,568 @@
+/**
+ * Simulation playback
+ * Turns a stored simulation run into per-step frames and streams them over
+ * Socket.IO, so a client can animate the run instead of reading one result.
+ *
+ * Socket events (registerPlaybackHandlers):
+ * - playback_join {runId, strategy, stepHours} opens a session streaming to
+ *   its own room `playback:<playbackId>`; {playbackId} joins an open one
+ * - playback_control {playbackId, action, index | at | speed} with action
+ *   'play' | 'pause' | 'seek' | 'speed', from anyone in the room
+ * - playback_leave {playbackId}; the last viewer leaving closes the session
+ * Every event takes an ack callback: {ok: true, ...state} or
+ * {ok: false, statusCode, message}. The room receives `playback_frame` and
+ * `playback_state` (see frameEmitter).
+ *
+ * A frame is the state of one strategy at one step of simulated time:
+ * inventory per warehouse, shipments in motion, allocations dispatched since
+ * the previous frame and running KPIs. Frames are rebuilt from the stored
+ * snapshot and allocations; transfers between warehouses are not stored, so
+ * transferred stock shows at its origin until it is dispatched.
+ *
+ * Sessions live in the instance that opened them (timers and frames are
+ * in memory); with several instances, sticky sessions keep a viewer on it.
+ *
+ * Frame interval at 1x: PLAYBACK_FRAME_MS (1000)
+ * Default step: PLAYBACK_STEP_HOURS (6; rolling runs use their own step)
+ * Limits: PLAYBACK_MAX_FRAMES (500), PLAYBACK_MAX_SESSIONS (10)
+ */
+
+import crypto from "crypto";
+import { ApiError } from "../utils/ApiError.js";
+import { isSpoiled } from "../utils/freshness.js";
+import {
+  getReplayableRun,
+  unpackSnapshot,
+  simulationWindow,
+} from "./simulationRunner.js";
+import { emitPlaybackFrame, emitPlaybackState } from "./frameEmitter.js";
+
+// Read on use: this module is imported before index.js loads .env
+const frameMs = () => Number(process.env.PLAYBACK_FRAME_MS ?? 1000);
+const defaultStepHours = () => Number(process.env.PLAYBACK_STEP_HOURS ?? 6);
+const maxFrames = () => Number(process.env.PLAYBACK_MAX_FRAMES ?? 500);
+const maxSessions = () => Number(process.env.PLAYBACK_MAX_SESSIONS ?? 10);
+
+const ACTIONS = ["play", "pause", "seek", "speed"];
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 16;
+const HOUR_MS = 3600 * 1000;
+const EPS_KG = 1e-6;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => value?.toString?.() ?? String(value);
+
+const timeOf = (raw) => {
+  const ms = raw ? new Date(raw).getTime() : NaN;
+  return Number.isFinite(ms) ? ms : null;
+};
+
+// Batches split off by the transfer planner keep their origin id as prefix
+const originBatchId = (id) => idOf(id).split("-xfer-")[0];
+
+const numberOr = (raw, fallback) =>
+  Number.isFinite(Number(raw)) ? Number(raw) : fallback;
+
+/**
+ * Frame times: every stepHours from the start, the last one at the end
+ */
+const frameTimes = (startMs, endMs, stepHours) => {
+  const stepMs = stepHours * HOUR_MS;
+  const count = Math.ceil((endMs - startMs) / stepMs) + 1;
+  const limit = maxFrames();
+  if (count > limit) {
+    throw new ApiError(
+      400,
+      `Playback would need ${count} frames (max ${limit}); use a larger stepHours`
+    );
+  }
+  return Array.from({ length: count }, (_, index) =>
+    Math.min(startMs + index * stepMs, endMs)
+  );
+};
+
+/**
+ * Frames of one strategy of a stored run
+ * @param {Object} run - SimulationRun {kind, params, env, allocations}
+ * @param {Object} data - Unpacked snapshot of the run
+ * @param {Object} options - {strategy, stepHours}
+ * @returns {Object} {network, times, frames}; network lists the nodes frames refer to
+ */
+function buildPlaybackFrames(run, data, { strategy, stepHours }) {
+  const warehouses = data.warehouses || [];
+  const ngoNodes = data.ngoNodes || data.ngos || [];
+  const nodesById = new Map(
+    (data.allNodes || [...warehouses, ...ngoNodes]).map((node) => [
+      idOf(node._id),
+      node,
+    ])
+  );
+  const ngoOrgNameById = new Map(
+    (data.ngoOrgs || []).map((org) => [idOf(org._id), org.name])
+  );
+  const ngoNodeByName = new Map(ngoNodes.map((node) => [node.name, node]));
+  const ngoNodeByRequest = new Map(
+    data.requests.map((request) => [
+      request.requestID,
+      ngoNodeByName.get(ngoOrgNameById.get(idOf(request.requesterNode))) ||
+        null,
+    ])
+  );
+
+  const shipments = (run.allocations?.[strategy] || [])
+    .map((alloc) => {
+      const departMs = timeOf(alloc.dispatchTime);
+      const kg = Number(alloc.allocated_kg) || 0;
+      if (departMs === null || kg <= 0) return null;
+      const travelMs = Math.max(0, Number(alloc.travel_hours) || 0) * HOUR_MS;
+      const ngoNode = ngoNodeByRequest.get(alloc.requestId);
+      return {
+        alloc,
+        kg,
+        departMs,
+        arriveMs: departMs + travelMs,
+        fromNode: idOf(alloc.warehouse),
+        toNode: ngoNode ? idOf(ngoNode._id) : null,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.departMs - b.departMs);
+
+  // Simulate and rolling runs cover their window, compare runs start at
+  // their date; either way playback runs until the last delivery
+  const window = run.params?.days ? simulationWindow(run.params) : null;
+  const baseStartMs =
+    timeOf(window?.windowStart) ?? timeOf(run.params?.asOf) ?? Date.now();
+  const startMs = Math.min(baseStartMs, shipments[0]?.departMs ?? Infinity);
+  const endMs = shipments.reduce(
+    (end, shipment) => Math.max(end, shipment.arriveMs),
+    timeOf(window?.windowEnd) ?? startMs
+  );
+  const times = frameTimes(startMs, endMs, stepHours);
+
+  const simAvgTempC = numberOr(run.env?.SIM_AVG_TEMP_C, 25);
+  const avgTempC =
+    strategy === "regular"
+      ? simAvgTempC + numberOr(run.env?.REGULAR_TEMP_PENALTY_C, 5)
+      : simAvgTempC;
+
+  const stock = data.batches.map((batch) => ({
+    batch,
+    nodeId: idOf(batch.currentNode),
+    availableMs:
+      timeOf(batch.manufacture_date || batch.createdAt) ?? -Infinity,
+    remainingKg: Number(batch.quantity_kg) || 0,
+    spoiled: false,
+  }));
+  const stockById = new Map(
+    stock.map((entry) => [idOf(entry.batch._id), entry])
+  );
+
+  const frames = [];
+  let dispatchedCount = 0;
+  let dispatchedKg = 0;
+
+  for (const [index, atMs] of times.entries()) {
+    const now = new Date(atMs);
+
+    const allocations = [];
+    while (
+      dispatchedCount < shipments.length &&
+      shipments[dispatchedCount].departMs <= atMs
+    ) {
+      const shipment = shipments[dispatchedCount++];
+      for (const used of shipment.alloc.batches || []) {
+        const entry = stockById.get(originBatchId(used.batchId));
+        if (!entry) continue;
+        entry.remainingKg = Math.max(
+          0,
+          entry.remainingKg - (Number(used.quantity) || 0)
+        );
+      }
+      dispatchedKg += shipment.kg;
+      const { batches, ...allocation } = shipment.alloc;
+      allocations.push({
+        ...allocation,
+        batchCount: batches?.length || 0,
+        ngoNode: shipment.toNode,
+      });
+    }
+
+    const nodeStock = new Map();
+    let inventoryKg = 0;
+    let spoiledKg = 0;
+    for (const entry of stock) {
+      if (entry.availableMs > atMs || entry.remainingKg <= EPS_KG) continue;
+      // Freshness only falls, so a spoiled batch stays spoiled
+      if (!entry.spoiled && isSpoiled(entry.batch, now, avgTempC)) {
+        entry.spoiled = true;
+      }
+      const node = nodeStock.get(entry.nodeId) || {
+        nodeId: entry.nodeId,
+        inventoryKg: 0,
+        spoiledKg: 0,
+        batches: 0,
+      };
+      if (entry.spoiled) {
+        node.spoiledKg += entry.remainingKg;
+        spoiledKg += entry.remainingKg;
+      } else {
+        node.inventoryKg += entry.remainingKg;
+        node.batches += 1;
+        inventoryKg += entry.remainingKg;
+      }
+      nodeStock.set(entry.nodeId, node);
+    }
+
+    const inMotion = [];
+    let deliveredKg = 0;
+    let deliveries = 0;
+    for (const shipment of shipments.slice(0, dispatchedCount)) {
+      if (shipment.arriveMs <= atMs) {
+        deliveredKg += shipment.kg;
+        deliveries += 1;
+        continue;
+      }
+      const durationMs = shipment.arriveMs - shipment.departMs;
+      inMotion.push({
+        requestId: shipment.alloc.requestId,
+        foodType: shipment.alloc.foodType,
+        kg: round2(shipment.kg),
+        fromNode: shipment.fromNode,
+        toNode: shipment.toNode,
+        departedAt: new Date(shipment.departMs).toISOString(),
+        etaAt: new Date(shipment.arriveMs).toISOString(),
+        progress: round2((atMs - shipment.departMs) / durationMs),
+      });
+    }
+
+    frames.push({
+      index,
+      at: now.toISOString(),
+      nodes: [...nodeStock.values()].map((node) => ({
+        ...node,
+        inventoryKg: round2(node.inventoryKg),
+        spoiledKg: round2(node.spoiledKg),
+      })),
+      shipments: inMotion,
+      allocations,
+      kpis: {
+        inventoryKg: round2(inventoryKg),
+        spoiledInventoryKg: round2(spoiledKg),
+        allocations: dispatchedCount,
+        dispatchedKg: round2(dispatchedKg),
+        inTransitKg: round2(dispatchedKg - deliveredKg),
+        shipmentsInMotion: inMotion.length,
+        deliveries,
+        deliveredKg: round2(deliveredKg),
+      },
+    });
+  }
+
+  const networkIds = new Set([
+    ...warehouses.map((node) => idOf(node._id)),
+    ...shipments.map((shipment) => shipment.toNode),
+    ...stock.map((entry) => entry.nodeId),
+  ]);
+  const network = [...networkIds]
+    .map((id) => nodesById.get(id))
+    .filter(Boolean)
+    .map((node) => ({
+      nodeId: idOf(node._id),
+      name: node.name || null,
+      type: node.type || null,
+      coordinates: node.location?.coordinates || null,
+    }));
+
+  return { network, times, frames };
+}
+
+// Open sessions by playbackId
+const sessions = new Map();
+
+const stateOf = (session) => {
+  const last = session.frames.length - 1;
+  return {
+    playbackId: session.id,
+    room: session.room,
+    runId: session.runId,
+    kind: session.kind,
+    strategy: session.strategy,
+    stepHours: session.stepHours,
+    frameCount: session.frames.length,
+    index: session.index,
+    at: session.frames[session.index].at,
+    startAt: session.frames[0].at,
+    endAt: session.frames[last].at,
+    playing: session.playing,
+    ended: !session.playing && session.index === last,
+    speed: session.speed,
+    viewers: session.viewers.size,
+  };
+};
+
+const frameOf = (session) => ({
+  playbackId: session.id,
+  frameCount: session.frames.length,
+  ...session.frames[session.index],
+});
+
+const stopTimer = (session) => {
+  clearTimeout(session.timer);
+  session.timer = null;
+};
+
+// Advance one frame per interval; stop on the last one
+const scheduleNextFrame = (session) => {
+  stopTimer(session);
+  session.timer = setTimeout(() => {
+    session.timer = null;
+    session.index += 1;
+    emitPlaybackFrame(session.io, session.room, frameOf(session));
+    if (session.index >= session.frames.length - 1) {
+      session.playing = false;
+      emitPlaybackState(session.io, session.room, stateOf(session));
+    } else {
+      scheduleNextFrame(session);
+    }
+  }, frameMs() / session.speed);
+};
+
+const findSession = (playbackId) => {
+  const session = sessions.get(playbackId);
+  if (!session) {
+    throw new ApiError(404, `Playback ${playbackId} not found`);
+  }
+  return session;
+};
+
+const closeSession = (session) => {
+  stopTimer(session);
+  session.playing = false;
+  sessions.delete(session.id);
+  console.log(`🎬 Playback ${session.id} closed`);
+};
+
+/**
+ * Build the frames of a stored run and open a paused session on frame 0
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} options - {runId, strategy (default 'ml' when stored), stepHours}
+ * @returns {Promise<Object>} Session
+ * @throws {ApiError} 400 bad options, 404/409 (getReplayableRun), 503 too many sessions
+ */
+async function openSession(io, { runId, strategy, stepHours } = {}) {
+  if (!runId) {
+    throw new ApiError(400, "runId (new playback) or playbackId is required");
+  }
+  const limit = maxSessions();
+  if (sessions.size >= limit) {
+    throw new ApiError(
+      503,
+      `Too many open playback sessions (max ${limit}); join one by playbackId`
+    );
+  }
+
+  const run = await getReplayableRun(String(runId));
+  const strategies = Object.keys(run.allocations || {});
+  const name = strategy || (strategies.includes("ml") ? "ml" : strategies[0]);
+  if (!strategies.includes(name)) {
+    throw new ApiError(
+      400,
+      `Invalid strategy. Use one of: ${strategies.join(", ")}`
+    );
+  }
+  const step = Number(stepHours ?? run.params?.stepHours ?? defaultStepHours());
+  if (!(step > 0 && step <= 24)) {
+    throw new ApiError(400, "stepHours must be greater than 0 and at most 24");
+  }
+
+  const { data } = unpackSnapshot(run.snapshot);
+  const { network, frames } = buildPlaybackFrames(run, data, {
+    strategy: name,
+    stepHours: step,
+  });
+
+  const id = crypto.randomBytes(6).toString("hex");
+  const session = {
+    id,
+    room: `playback:${id}`,
+    io,
+    runId: run.runId,
+    kind: run.kind,
+    strategy: name,
+    stepHours: step,
+    network,
+    frames,
+    index: 0,
+    playing: false,
+    speed: 1,
+    timer: null,
+    viewers: new Set(),
+  };
+  sessions.set(id, session);
+  console.log(
+    `🎬 Playback ${id} opened for run ${run.runId} (${name}, ${frames.length} frames)`
+  );
+  return session;
+}
+
+/**
+ * Frame index for a seek by {index} or by simulated time {at}
+ * (the last frame at or before it)
+ */
+const seekIndex = (session, { index, at }) => {
+  const last = session.frames.length - 1;
+  if (index !== undefined && index !== null) {
+    const value = Number(index);
+    if (!Number.isInteger(value) || value < 0 || value > last) {
+      throw new ApiError(400, `index must be an integer from 0 to ${last}`);
+    }
+    return value;
+  }
+
+  const atMs = timeOf(at);
+  if (atMs === null) {
+    throw new ApiError(400, "seek needs an index or an ISO 'at' time");
+  }
+  let target = 0;
+  while (target < last && timeOf(session.frames[target + 1].at) <= atMs) {
+    target += 1;
+  }
+  return target;
+};
+
+/**
+ * Apply a play/pause/seek/speed control and broadcast the new state
+ * @throws {ApiError} 400 unknown action or bad value
+ */
+function controlSession(session, { action, index, at, speed } = {}) {
+  const last = session.frames.length - 1;
+
+  switch (action) {
+    case "play":
+      if (session.index >= last) {
+        session.index = 0;
+        emitPlaybackFrame(session.io, session.room, frameOf(session));
+      }
+      session.playing = last > 0;
+      if (session.playing) scheduleNextFrame(session);
+      break;
+    case "pause":
+      session.playing = false;
+      stopTimer(session);
+      break;
+    case "seek":
+      session.index = seekIndex(session, { index, at });
+      emitPlaybackFrame(session.io, session.room, frameOf(session));
+      if (session.index >= last) {
+        session.playing = false;
+        stopTimer(session);
+      } else if (session.playing) {
+        scheduleNextFrame(session);
+      }
+      break;
+    case "speed": {
+      const value = Number(speed);
+      if (!(value >= MIN_SPEED && value <= MAX_SPEED)) {
+        throw new ApiError(
+          400,
+          `speed must be between ${MIN_SPEED} and ${MAX_SPEED}`
+        );
+      }
+      session.speed = value;
+      if (session.playing) scheduleNextFrame(session);
+      break;
+    }
+    default:
+      throw new ApiError(
+        400,
+        `Unknown playback action '${action}'. Use one of: ${ACTIONS.join(", ")}`
+      );
+  }
+
+  emitPlaybackState(session.io, session.room, stateOf(session));
+}
+
+const errorReply = (error) => {
+  if (!(error instanceof ApiError)) {
+    console.error("Playback error:", error);
+  }
+  return {
+    ok: false,
+    statusCode: error.statusCode || 500,
+    message: error.message || "Playback failed",
+  };
+};
+
+const ackOf = (ack) => (typeof ack === "function" ? ack : () => {});
+
+/**
+ * Playback events of one socket; call from the connection handler
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} socket - Connected socket
+ */
+function registerPlaybackHandlers(io, socket) {
+  const joined = new Set();
+
+  const leave = (playbackId) => {
+    joined.delete(playbackId);
+    socket.leave(`playback:${playbackId}`);
+    const session = sessions.get(playbackId);
+    if (!session || !session.viewers.delete(socket.id)) return;
+    if (session.viewers.size) {
+      emitPlaybackState(io, session.room, stateOf(session));
+    } else {
+      closeSession(session);
+    }
+  };
+
+  socket.on("playback_join", async (payload, ack) => {
+    const reply = ackOf(ack);
+    try {
+      const { playbackId, ...options } = payload || {};
+      const session = playbackId
+        ? findSession(playbackId)
+        : await openSession(io, options);
+      if (socket.disconnected) {
+        if (!session.viewers.size) closeSession(session);
+        return;
+      }
+
+      session.viewers.add(socket.id);
+      joined.add(session.id);
+      socket.join(session.room);
+      emitPlaybackState(io, session.room, stateOf(session));
+      // The newcomer sees the current frame without waiting for the next
+      emitPlaybackFrame(io, socket.id, frameOf(session));
+      reply({ ok: true, ...stateOf(session), network: session.network });
+    } catch (error) {
+      reply(errorReply(error));
+    }
+  });
+
+  socket.on("playback_control", (payload, ack) => {
+    const reply = ackOf(ack);
+    try {
+      const session = findSession(payload?.playbackId);
+      if (!session.viewers.has(socket.id)) {
+        throw new ApiError(403, "Join the playback before controlling it");
+      }
+      controlSession(session, payload);
+      reply({ ok: true, ...stateOf(session) });
+    } catch (error) {
+      reply(errorReply(error));
+    }
+  });
+
+  socket.on("playback_leave", (payload, ack) => {
+    leave(payload?.playbackId);
+    ackOf(ack)({ ok: true });
+  });
+
+  socket.on("disconnect", () => {
+    for (const playbackId of [...joined]) leave(playbackId);
+  });
+}
+
+export { buildPlaybackFrames, registerPlaybackHandlers };
@@ -0,0 +1,569 @@
+/**
+ * Multi-stop route planner
+ * Consolidates the unshipped reservations of approved requests into vehicle
+ * routes (Clarke-Wright savings with vehicle capacity and the requests'
+ * requiredBefore deadlines) and creates one pending shipment per route
+ */
+
+import { Node } from "../models/node.model.js";
+import { Request } from "../models/request.model.js";
+import { Shipment } from "../models/shipment.model.js";
+import { Vehicle } from "../models/vehicle.model.js";
+import { Event } from "../models/event.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { extractCoordinates } from "../utils/geoHelpers.js";
+import { generateShipmentId } from "./shipmentService.js";
+import { routeBetween, distanceKm } from "./distanceProvider.js";
+import { createDriveClock } from "./hoursOfService.js";
+import {
+  requiresRefrigeration,
+  validateVehicleBooking,
+} from "./fleetService.js";
+
+// Read on use: this module is imported before index.js loads .env
+
+// Time spent unloading at each stop
+const stopServiceMinutes = () =>
+  Number(process.env.ROUTE_STOP_SERVICE_MINUTES ?? 20);
+
+const maxStopsPerRoute = () => Number(process.env.ROUTE_MAX_STOPS ?? 10);
+
+const MINUTE_MS = 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Drive a route from the depot and time each stop
+ * Legs come from the distance provider; breaks follow the hours-of-service
+ * rules over cumulative driving time and unloading adds
+ * ROUTE_STOP_SERVICE_MINUTES per stop.
+ * @param {Object} depotCoords - {lat, lon}
+ * @param {Object[]} route - Stops in visiting order
+ * @param {Date} startDate - Departure
+ * @returns {Object} {etas, distance_km, travel_minutes, end, late, load_kg, breaks}
+ */
+function simulateRoute(depotCoords, route, startDate) {
+  const clock = createDriveClock(startDate);
+  const serviceMinutes = stopServiceMinutes();
+  let previous = depotCoords;
+  let distance = 0;
+  const etas = [];
+  const late = [];
+
+  route.forEach((stop, index) => {
+    if (index > 0) clock.wait(serviceMinutes);
+    const leg = routeBetween(previous, stop.coords);
+    distance += leg.distance_km;
+    const eta = clock.drive(leg.driving_hours).now();
+    etas.push(eta);
+    if (stop.deadline && eta > stop.deadline) late.push(stop.key);
+    previous = stop.coords;
+  });
+
+  const end = etas[etas.length - 1];
+  return {
+    etas,
+    distance_km: distance,
+    travel_minutes: (end - startDate) / MINUTE_MS,
+    end,
+    late,
+    load_kg: route.reduce((sum, stop) => sum + stop.demand_kg, 0),
+    breaks: clock.breaks,
+  };
+}
+
+/**
+ * Clarke-Wright savings for one depot
+ * Starts with one route per stop and merges route ends in order of savings
+ * d(0,i) + d(0,j) - d(i,j) while the merged route fits the largest suitable
+ * vehicle and keeps every stop on time. Stops that are late even when served
+ * directly stay on their own route.
+ *
+ * @param {Object} depotCoords - {lat, lon}
+ * @param {Object[]} stops - [{key, coords, demand_kg, deadline, refrigerated}]
+ * @param {Object} options
+ * @param {Date} options.startDate - Departure
+ * @param {Function} options.capacityFor - (refrigerated) => max vehicle kg
+ * @returns {Object[][]} Routes (stops in visiting order)
+ */
+function savingsRoutes(depotCoords, stops, { startDate, capacityFor }) {
+  const routeOf = new Map(stops.map((stop) => [stop.key, [stop]]));
+  const fromDepot = new Map(
+    stops.map((stop) => [
+      stop.key,
+      distanceKm(depotCoords, stop.coords),
+    ])
+  );
+
+  const savings = [];
+  for (let i = 0; i < stops.length; i++) {
+    for (let j = i + 1; j < stops.length; j++) {
+      const a = stops[i];
+      const b = stops[j];
+      savings.push({
+        a,
+        b,
+        value:
+          fromDepot.get(a.key) +
+          fromDepot.get(b.key) -
+          distanceKm(a.coords, b.coords),
+      });
+    }
+  }
+  savings.sort((x, y) => y.value - x.value);
+
+  const maxStops = maxStopsPerRoute();
+  const isEnd = (route, stop) =>
+    route[0] === stop || route[route.length - 1] === stop;
+
+  for (const { a, b } of savings) {
+    const ra = routeOf.get(a.key);
+    const rb = routeOf.get(b.key);
+    if (ra === rb || !isEnd(ra, a) || !isEnd(rb, b)) continue;
+    if (ra.length + rb.length > maxStops) continue;
+
+    const merged = [...ra, ...rb];
+    const refrigerated = merged.some((stop) => stop.refrigerated);
+    const load = merged.reduce((sum, stop) => sum + stop.demand_kg, 0);
+    if (load > capacityFor(refrigerated)) continue;
+
+    // a and b become neighbours; try both directions of travel
+    const head = ra[ra.length - 1] === a ? ra : [...ra].reverse();
+    const tail = rb[0] === b ? rb : [...rb].reverse();
+    const forward = [...head, ...tail];
+    const candidates = [forward, [...forward].reverse()]
+      .map((route) => ({
+        route,
+        result: simulateRoute(depotCoords, route, startDate),
+      }))
+      .filter((c) => c.result.late.length === 0)
+      .sort((x, y) => x.result.end - y.result.end);
+    if (!candidates.length) continue;
+
+    const route = candidates[0].route;
+    for (const stop of route) routeOf.set(stop.key, route);
+  }
+
+  return [...new Set(routeOf.values())];
+}
+
+/**
+ * Split a request's reservations from one depot into vehicle-sized drops
+ * Reservations are whole batches, so a drop holds whole reservations
+ * (first-fit, largest first).
+ * @returns {Object} {drops: [[reservation]], oversized: [reservation]}
+ */
+function packDrops(reservations, maxKg) {
+  const drops = [];
+  const oversized = [];
+  const sorted = [...reservations].sort(
+    (a, b) => b.quantity_kg - a.quantity_kg
+  );
+
+  for (const reservation of sorted) {
+    if (reservation.quantity_kg > maxKg) {
+      oversized.push(reservation);
+      continue;
+    }
+    const drop = drops.find(
+      (d) => d.load + reservation.quantity_kg <= maxKg
+    );
+    if (drop) {
+      drop.items.push(reservation);
+      drop.load += reservation.quantity_kg;
+    } else {
+      drops.push({ items: [reservation], load: reservation.quantity_kg });
+    }
+  }
+
+  return { drops: drops.map((d) => d.items), oversized };
+}
+
+/**
+ * Pick and book a vehicle for a route
+ * Prefers vehicles based at the depot, then the smallest that fits.
+ * @returns {Promise<Object>} {vehicle} or {vehicle: null, reasons}
+ */
+async function assignVehicle(route, { depotId, vehicles, used, session }) {
+  const candidates = vehicles
+    .filter(
+      (v) =>
+        !used.has(v.vehicleId) &&
+        v.capacity_kg >= route.load_kg &&
+        (!route.refrigerated || v.refrigerated)
+    )
+    .sort((a, b) => {
+      const homeA = a.homeDepot?.toString() === depotId ? 0 : 1;
+      const homeB = b.homeDepot?.toString() === depotId ? 0 : 1;
+      return homeA - homeB || a.capacity_kg - b.capacity_kg;
+    });
+
+  const reasons = [];
+  for (const vehicle of candidates) {
+    try {
+      await validateVehicleBooking(
+        {
+          vehicleId: vehicle.vehicleId,
+          start: route.start,
+          end: route.end,
+          load_kg: route.load_kg,
+          foodTypes: route.foodTypes,
+        },
+        { session }
+      );
+      used.add(vehicle.vehicleId);
+      return { vehicle };
+    } catch (error) {
+      // A lost booking race aborts the transaction: no other vehicle can be tried
+      if (
+        !(error instanceof ApiError) ||
+        error.statusCode !== 409 ||
+        error.code === "EBOOKINGCONFLICT"
+      ) {
+        throw error;
+      }
+      reasons.push({ vehicleId: vehicle.vehicleId, reason: error.message });
+    }
+  }
+
+  if (!candidates.length) {
+    reasons.push({
+      reason: `No ${route.refrigerated ? "refrigerated " : ""}vehicle left with ${round2(route.load_kg)} kg capacity`,
+    });
+  }
+  return { vehicle: null, reasons };
+}
+
+/**
+ * Create the pending shipment for a planned route and link its reservations
+ */
+async function createRouteShipment(route, { depot, createdBy, session }) {
+  const shipmentId = generateShipmentId();
+  const last = route.stops[route.stops.length - 1];
+
+  const [shipment] = await Shipment.create(
+    [
+      {
+        shipmentId,
+        batchIds: route.stops.flatMap((stop) => stop.batchIds),
+        fromNode: depot._id,
+        toNode: last.node._id,
+        start_iso: route.start,
+        eta_iso: route.end,
+        status: "pending",
+        vehicleId: route.vehicleId,
+        createdBy,
+        travel_time_minutes: Math.round(route.travel_minutes),
+        distance_km: round2(route.distance_km),
+        breaks: route.breaks,
+        stops: route.stops.map((stop) => ({
+          sequence: stop.sequence,
+          node: stop.node._id,
+          requestId: stop.request._id,
+          batchIds: stop.batchIds,
+          drop_kg: stop.drop_kg,
+          eta_iso: stop.eta_iso,
+          requiredBefore: stop.deadline,
+        })),
+        metadata: {
+          route: true,
+          load_kg: route.load_kg,
+          requestIDs: [...new Set(route.stops.map((s) => s.request.requestID))],
+        },
+      },
+    ],
+    { session }
+  );
+
+  for (const stop of route.stops) {
+    for (const reservation of stop.reservations) {
+      reservation.shipmentId = shipment._id;
+    }
+    if (!stop.request.shipmentIds.some((id) => id.equals(shipment._id))) {
+      stop.request.shipmentIds.push(shipment._id);
+    }
+  }
+
+  await Event.create(
+    [
+      {
+        time: route.start,
+        type: "shipment_created",
+        location: depot.location,
+        payload: {
+          shipmentId,
+          status: "pending",
+          vehicleId: route.vehicleId,
+          fromNode: { nodeId: depot._id, name: depot.name, type: depot.type },
+          toNode: {
+            nodeId: last.node._id,
+            name: last.node.name,
+            type: last.node.type,
+          },
+          stops: route.stops.map((stop) => ({
+            sequence: stop.sequence,
+            nodeId: stop.node._id,
+            name: stop.node.name,
+            requestID: stop.request.requestID,
+            drop_kg: stop.drop_kg,
+            eta_iso: stop.eta_iso,
+          })),
+          batchCount: shipment.batchIds.length,
+          distance_km: shipment.distance_km,
+          eta_iso: route.end,
+        },
+      },
+    ],
+    { session }
+  );
+
+  return shipment;
+}
+
+/**
+ * Plan (and optionally create) multi-stop routes for approved requests
+ *
+ * Every unshipped reservation of the given requests becomes part of a drop
+ * at the request's NGO node. Drops are routed per source depot; each route
+ * gets a vehicle from the fleet and becomes one pending shipment with
+ * ordered stops. Dispatch it with PATCH /api/shipments/:id/dispatch.
+ *
+ * @param {Object} options
+ * @param {string[]} options.requestIds - Request _ids (approved, with unshipped reservations)
+ * @param {string[]} options.vehicleIds - Restrict to these vehicles (default: all active)
+ * @param {string} options.depotId - Only route stock reserved at this node (optional)
+ * @param {Date} options.startDate - Planned departure
+ * @param {boolean} options.dryRun - Plan only, write nothing
+ * @param {Object} options.createdBy - User id (optional)
+ * @param {Object} options.session - Mongoose session
+ * @returns {Promise<Object>} {routes, shipments, unassigned, unroutable}
+ */
+async function planRequestRoutes({
+  requestIds,
+  vehicleIds = null,
+  depotId = null,
+  startDate = new Date(),
+  dryRun = false,
+  createdBy = null,
+  session = null,
+}) {
+  const requests = await Request.find({ _id: { $in: requestIds } }).session(
+    session
+  );
+  const missing = requestIds.filter(
+    (id) => !requests.some((r) => r._id.toString() === id.toString())
+  );
+  if (missing.length) {
+    throw new ApiError(404, "Some requests were not found.", missing);
+  }
+
+  const notRoutable = requests
+    .filter(
+      (r) =>
+        r.status !== "approved" ||
+        !r.destinationNode ||
+        !r.reservations.some(
+          (res) =>
+            !res.shipmentId &&
+            (!depotId || res.fromNode.toString() === depotId.toString())
+        )
+    )
+    .map((r) => ({ requestID: r.requestID, status: r.status }));
+  if (notRoutable.length) {
+    throw new ApiError(
+      409,
+      "Only approved requests with unshipped reservations can be routed. Approve them with generateShipments=false first.",
+      notRoutable
+    );
+  }
+
+  const vehicleFilter = { status: "active" };
+  if (vehicleIds?.length) vehicleFilter.vehicleId = { $in: vehicleIds };
+  const vehicles = await Vehicle.find(vehicleFilter).session(session).lean();
+  if (!vehicles.length) {
+    throw new ApiError(409, "No active vehicles available for routing.");
+  }
+  const capacityFor = (refrigerated) =>
+    Math.max(
+      0,
+      ...vehicles
+        .filter((v) => !refrigerated || v.refrigerated)
+        .map((v) => v.capacity_kg)
+    );
+
+  const nodeIds = new Set();
+  for (const request of requests) {
+    nodeIds.add(request.destinationNode.toString());
+    for (const r of request.reservations) nodeIds.add(r.fromNode.toString());
+  }
+  const nodes = new Map(
+    (await Node.find({ _id: { $in: [...nodeIds] } }).session(session)).map(
+      (node) => [node._id.toString(), node]
+    )
+  );
+
+  // Group unshipped reservations by depot, then by request
+  const byDepot = new Map();
+  for (const request of requests) {
+    for (const reservation of request.reservations) {
+      if (reservation.shipmentId) continue;
+      const depotKey = reservation.fromNode.toString();
+      if (depotId && depotKey !== depotId.toString()) continue;
+      if (!byDepot.has(depotKey)) byDepot.set(depotKey, new Map());
+      const perRequest = byDepot.get(depotKey);
+      const requestKey = request._id.toString();
+      if (!perRequest.has(requestKey)) {
+        perRequest.set(requestKey, { request, reservations: [] });
+      }
+      perRequest.get(requestKey).reservations.push(reservation);
+    }
+  }
+
+  const routes = [];
+  const unassigned = [];
+  const unroutable = [];
+  const used = new Set();
+
+  for (const [depotKey, perRequest] of byDepot) {
+    const depot = nodes.get(depotKey);
+    const depotCoords = extractCoordinates(depot);
+
+    const stops = [];
+    for (const { request, reservations } of perRequest.values()) {
+      const node = nodes.get(request.destinationNode.toString());
+      const foodTypes = [
+        ...new Set(
+          reservations.map((r) => request.items[r.itemIndex].foodType)
+        ),
+      ];
+      const refrigerated = requiresRefrigeration(foodTypes);
+      const { drops, oversized } = packDrops(
+        reservations,
+        capacityFor(refrigerated)
+      );
+
+      for (const reservation of oversized) {
+        unroutable.push({
+          requestID: request.requestID,
+          batchId: reservation.batchId,
+          quantity_kg: reservation.quantity_kg,
+          reason: `No ${refrigerated ? "refrigerated " : ""}vehicle can carry ${reservation.quantity_kg} kg`,
+        });
+      }
+
+      drops.forEach((drop, index) => {
+        stops.push({
+          key: `${request._id}:${index}`,
+          request,
+          node,
+          coords: extractCoordinates(node),
+          reservations: drop,
+          batchIds: drop.map((r) => r.batchId),
+          demand_kg: round2(drop.reduce((sum, r) => sum + r.quantity_kg, 0)),
+          foodTypes: [
+            ...new Set(drop.map((r) => request.items[r.itemIndex].foodType)),
+          ],
+          refrigerated: requiresRefrigeration(
+            drop.map((r) => request.items[r.itemIndex].foodType)
+          ),
+          deadline: request.requiredBefore || null,
+        });
+      });
+    }
+
+    const planned = savingsRoutes(depotCoords, stops, {
+      startDate,
+      capacityFor,
+    })
+      .map((route) => {
+        const result = simulateRoute(depotCoords, route, startDate);
+        return {
+          depot,
+          start: startDate,
+          end: result.end,
+          distance_km: result.distance_km,
+          travel_minutes: result.travel_minutes,
+          breaks: result.breaks,
+          load_kg: round2(result.load_kg),
+          refrigerated: route.some((stop) => stop.refrigerated),
+          foodTypes: [...new Set(route.flatMap((stop) => stop.foodTypes))],
+          stops: route.map((stop, index) => ({
+            ...stop,
+            sequence: index + 1,
+            drop_kg: stop.demand_kg,
+            eta_iso: result.etas[index],
+            late: result.late.includes(stop.key),
+          })),
+        };
+      })
+      // Biggest loads pick vehicles first
+      .sort((a, b) => b.load_kg - a.load_kg);
+
+    for (const route of planned) {
+      const { vehicle, reasons } = await assignVehicle(route, {
+        depotId: depotKey,
+        vehicles,
+        used,
+        session,
+      });
+      if (!vehicle) {
+        unassigned.push({ route, reasons });
+        continue;
+      }
+      route.vehicleId = vehicle.vehicleId;
+      routes.push(route);
+    }
+  }
+
+  const shipments = [];
+  if (!dryRun) {
+    for (const route of routes) {
+      shipments.push(
+        await createRouteShipment(route, {
+          depot: route.depot,
+          createdBy,
+          session,
+        })
+      );
+    }
+    for (const request of requests) await request.save({ session });
+  }
+
+  const summarise = (route) => ({
+    depot: { nodeId: route.depot._id, name: route.depot.name },
+    vehicleId: route.vehicleId || null,
+    start_iso: route.start,
+    eta_iso: route.end,
+    distance_km: round2(route.distance_km),
+    travel_time_minutes: Math.round(route.travel_minutes),
+    load_kg: route.load_kg,
+    refrigerated: route.refrigerated,
+    breaks: route.breaks.map((b) => ({
+      kind: b.kind,
+      start_iso: b.start_iso,
+      end_iso: b.end_iso,
+    })),
+    stops: route.stops.map((stop) => ({
+      sequence: stop.sequence,
+      nodeId: stop.node._id,
+      name: stop.node.name,
+      requestID: stop.request.requestID,
+      drop_kg: stop.drop_kg,
+      eta_iso: stop.eta_iso,
+      requiredBefore: stop.deadline,
+      late: stop.late,
+    })),
+  });
+
+  return {
+    routes: routes.map(summarise),
+    shipments,
+    unassigned: unassigned.map(({ route, reasons }) => ({
+      ...summarise(route),
+      reasons,
+    })),
+    unroutable,
+  };
+}
+
+export { planRequestRoutes };
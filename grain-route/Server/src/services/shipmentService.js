@@ -0,0 +1,451 @@
+/**
+ * Shipment inventory helpers
+ * Batch movements shared by shipment creation, request fulfillment,
+ * cancellation, partial delivery and recall
+ */
+
+import { Batch } from "../models/batch.model.js";
+import { extractCoordinates } from "../utils/geoHelpers.js";
+import { routeBetween } from "./distanceProvider.js";
+import { scheduleDrive } from "./hoursOfService.js";
+import { callUpstream } from "./upstreamClient.js";
+
+const BACKEND_C_URL = process.env.BACKEND_C_URL || "http://localhost:5001";
+
+// Allow for float noise when comparing kg totals
+const KG_EPSILON = 0.01;
+
+/**
+ * Generate a unique shipment ID
+ * @returns {string} e.g. SHP-1718000000000-AB12CD
+ */
+const generateShipmentId = () =>
+  `SHP-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+
+/**
+ * Get distance and ETA for a leg
+ * Driving time comes from the Backend-C transport API, or the configured
+ * distance provider (DISTANCE_PROVIDER) when the API is unreachable. Rest
+ * required by the hours-of-service rules is added on top, so eta_iso
+ * includes the planned breaks returned alongside it.
+ *
+ * @param {Object} fromNode - Source node (with location)
+ * @param {Object} toNode - Destination node (with location)
+ * @param {Date} startDate - Departure time
+ * @returns {Promise<Object>} {distance_km, driving_minutes, travel_time_minutes, eta_iso, breaks, metadata}
+ */
+async function estimateTransport(fromNode, toNode, startDate) {
+  const { distance_km, driving_hours, metadata } = await estimateDrive(
+    fromNode,
+    toNode,
+    startDate
+  );
+  const schedule = scheduleDrive(driving_hours, startDate);
+
+  return {
+    distance_km,
+    driving_minutes: Math.round(driving_hours * 60),
+    travel_time_minutes: Math.round(schedule.travel_hours * 60),
+    eta_iso: schedule.eta.toISOString(),
+    breaks: schedule.breaks,
+    metadata,
+  };
+}
+
+/**
+ * Distance and driving time (no rest) for a leg
+ * @returns {Promise<Object>} {distance_km, driving_hours, metadata}
+ */
+async function estimateDrive(fromNode, toNode, startDate) {
+  const fromCoords = extractCoordinates(fromNode);
+  const toCoords = extractCoordinates(toNode);
+
+  try {
+    // Callers hold a Mongo transaction open and the distance provider is a
+    // fallback: one attempt, no retries
+    const transportResponse = await callUpstream("transport", {
+      method: "get",
+      url: `${BACKEND_C_URL}/api/transport/time`,
+      retries: 0,
+      params: {
+        fromLat: fromCoords.lat,
+        fromLon: fromCoords.lon,
+        toLat: toCoords.lat,
+        toLon: toCoords.lon,
+        start_iso: startDate.toISOString(),
+      },
+    });
+    const data = transportResponse.data;
+    return {
+      distance_km: data.distance_km,
+      driving_hours: (Number(data.travel_time_minutes) || 0) / 60,
+      metadata: data.metadata,
+    };
+  } catch (error) {
+    console.error("Backend-C transport API error:", error.message);
+    const leg = routeBetween(fromCoords, toCoords);
+    return {
+      distance_km: Math.round(leg.distance_km * 100) / 100,
+      driving_hours: leg.driving_hours,
+      metadata: { provider: leg.provider, fallback: true },
+    };
+  }
+}
+
+/**
+ * Take `quantityKg` out of a stored batch
+ * Uses the whole batch when it matches exactly, otherwise creates a child
+ * batch (parentBatchId) holding the split quantity and reduces the parent.
+ *
+ * @param {Object} batch - Batch document
+ * @param {number} quantityKg - Quantity to take (<= batch.quantity_kg)
+ * @param {Object} options
+ * @param {Object} options.session - Mongoose session
+ * @param {string} options.purpose - Used in history notes, e.g. "shipment"
+ * @returns {Promise<Object>} {batchId, quantity, isSplit, parentBatchId?}
+ */
+async function splitBatch(batch, quantityKg, { session = null, purpose }) {
+  if (batch.quantity_kg === quantityKg) {
+    return { batchId: batch._id, quantity: quantityKg, isSplit: false };
+  }
+
+  const [childBatch] = await Batch.create(
+    [
+      {
+        parentBatchId: batch._id,
+        foodType: batch.foodType,
+        quantity_kg: quantityKg,
+        original_quantity_kg: batch.original_quantity_kg,
+        originNode: batch.originNode,
+        currentNode: batch.currentNode,
+        status: "stored",
+        shelf_life_hours: batch.shelf_life_hours,
+        manufacture_date: batch.manufacture_date,
+        expiry_iso: batch.expiry_iso,
+        initial_temp_c: batch.initial_temp_c,
+        freshnessPct: batch.freshnessPct,
+        history: [
+          ...batch.history,
+          {
+            time: new Date(),
+            action: "split",
+            from: batch.currentNode,
+            to: batch.currentNode,
+            note: `Split from batch ${batch._id} for ${purpose}`,
+          },
+        ],
+        metadata: batch.metadata,
+      },
+    ],
+    { session }
+  );
+
+  // Update parent batch quantity
+  batch.quantity_kg -= quantityKg;
+  batch.history.push({
+    time: new Date(),
+    action: "split",
+    from: batch.currentNode,
+    to: batch.currentNode,
+    note: `Reduced by ${quantityKg} kg for ${purpose} (child: ${childBatch._id})`,
+  });
+  await batch.save({ session });
+
+  return {
+    batchId: childBatch._id,
+    quantity: quantityKg,
+    isSplit: true,
+    parentBatchId: batch._id,
+  };
+}
+
+const sameRecallState = (a, b) =>
+  Boolean(a.recall?.recalled) === Boolean(b.recall?.recalled);
+
+/**
+ * Return a shipment's undelivered batches to its source node
+ * A split child goes back into its parent when the parent is still stored at
+ * the source with the same food type and recall state; otherwise it is
+ * restocked on its own.
+ *
+ * @param {Object} shipment - Shipment document (fromNode/toNode may be populated)
+ * @param {Object} options
+ * @param {Date} options.time - Timestamp for history entries
+ * @param {string} options.note - History note
+ * @param {Object} options.session - Mongoose session
+ * @param {boolean} options.merge - Re-merge split children (default: true)
+ * @returns {Promise<Object>} {returned: [batchId], merged: [{childId, parentId, quantity_kg}]}
+ */
+async function returnShipmentBatches(
+  shipment,
+  { time = new Date(), note, session = null, merge = true } = {}
+) {
+  const fromNodeId = shipment.fromNode?._id || shipment.fromNode;
+  const toNodeId = shipment.toNode?._id || shipment.toNode;
+  const result = { returned: [], merged: [] };
+
+  const batches = await Batch.find({
+    _id: { $in: shipment.batchIds },
+    status: { $in: ["in_transit", "reserved"] },
+  }).session(session);
+
+  for (const batch of batches) {
+    const parent =
+      merge && batch.parentBatchId
+        ? await Batch.findOne({
+            _id: batch.parentBatchId,
+            currentNode: fromNodeId,
+            status: "stored",
+            foodType: batch.foodType,
+          }).session(session)
+        : null;
+
+    if (parent && sameRecallState(parent, batch)) {
+      const quantity = batch.quantity_kg;
+      parent.quantity_kg += quantity;
+      parent.history.push({
+        time,
+        action: "merged",
+        from: toNodeId,
+        to: fromNodeId,
+        note: `${note}; re-absorbed ${quantity} kg from child ${batch._id}`,
+      });
+      await parent.save({ session });
+
+      batch.status = "merged";
+      batch.quantity_kg = 0;
+      batch.currentNode = fromNodeId;
+      batch.history.push({
+        time,
+        action: "merged",
+        from: toNodeId,
+        to: fromNodeId,
+        note: `${note}; merged back into parent ${parent._id}`,
+      });
+      await batch.save({ session });
+
+      result.merged.push({
+        childId: batch._id,
+        parentId: parent._id,
+        quantity_kg: quantity,
+      });
+      continue;
+    }
+
+    batch.status = "stored";
+    batch.currentNode = fromNodeId;
+    batch.history.push({
+      time,
+      action: "returned",
+      from: toNodeId,
+      to: fromNodeId,
+      note,
+    });
+    await batch.save({ session });
+    result.returned.push(batch._id);
+  }
+
+  return result;
+}
+
+/**
+ * Validate a partial-delivery report against a shipment's batches
+ * Batches not listed are treated as fully delivered.
+ *
+ * @param {Object[]} deliveries - [{batchId, delivered_kg, damaged_kg, rejected_kg}]
+ * @param {Object[]} batches - Batch documents on the shipment
+ * @returns {Map<string, Object>} batchId -> {delivered_kg, damaged_kg, rejected_kg}
+ * @throws {Error} describing the first invalid entry
+ */
+function normaliseDeliveries(deliveries, batches) {
+  const byId = new Map(batches.map((b) => [b._id.toString(), b]));
+  const report = new Map();
+
+  for (const entry of deliveries) {
+    const key = entry?.batchId?.toString();
+    const batch = key && byId.get(key);
+    if (!batch) {
+      throw new Error(`Batch ${entry?.batchId} is not part of this shipment`);
+    }
+    if (report.has(key)) {
+      throw new Error(`Batch ${key} is listed more than once`);
+    }
+
+    const parts = {};
+    for (const field of ["delivered_kg", "damaged_kg", "rejected_kg"]) {
+      const value = entry[field] === undefined ? 0 : Number(entry[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(
+          `Batch ${key}: '${field}' must be a non-negative number`
+        );
+      }
+      parts[field] = value;
+    }
+
+    const total = parts.delivered_kg + parts.damaged_kg + parts.rejected_kg;
+    if (Math.abs(total - batch.quantity_kg) > KG_EPSILON) {
+      throw new Error(
+        `Batch ${key}: delivered + damaged + rejected = ${total} kg, expected ${batch.quantity_kg} kg`
+      );
+    }
+    report.set(key, parts);
+  }
+
+  for (const batch of batches) {
+    const key = batch._id.toString();
+    if (!report.has(key)) {
+      report.set(key, {
+        delivered_kg: batch.quantity_kg,
+        damaged_kg: 0,
+        rejected_kg: 0,
+      });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Split a batch into delivered / damaged / rejected portions on arrival
+ * The first non-empty portion stays on the original batch, the rest become
+ * child batches. Delivered and damaged kg stay at the destination; rejected
+ * kg go back into stock at the source node.
+ *
+ * The delivered portion takes `deliveredStatus`: 'delivered' for NGOs,
+ * 'stored' or 'queued' (capacity) when received into a warehouse.
+ *
+ * @param {Object} batch - Batch document
+ * @param {Object} parts - {delivered_kg, damaged_kg, rejected_kg}
+ * @param {Object} context - {shipment, fromNodeId, toNodeId, time, session, deliveredStatus}
+ * @returns {Promise<Object[]>} [{batchId, outcome, quantity_kg}]
+ */
+async function settleBatchDelivery(batch, parts, context) {
+  const {
+    shipment,
+    fromNodeId,
+    toNodeId,
+    time,
+    session,
+    deliveredStatus = "delivered",
+  } = context;
+  const outcomes = [
+    {
+      outcome: "delivered",
+      quantity_kg: parts.delivered_kg,
+      status: deliveredStatus,
+      node: toNodeId,
+      action: "arrived",
+      note:
+        deliveredStatus === "queued"
+          ? `Shipment ${shipment.shipmentId} arrived; queued for space`
+          : `Shipment ${shipment.shipmentId} arrived`,
+    },
+    {
+      outcome: "damaged",
+      quantity_kg: parts.damaged_kg,
+      status: "damaged",
+      node: toNodeId,
+      action: "damaged",
+      note: `Recorded as damaged on arrival of shipment ${shipment.shipmentId}`,
+    },
+    {
+      outcome: "rejected",
+      quantity_kg: parts.rejected_kg,
+      status: "stored",
+      node: fromNodeId,
+      action: "returned",
+      note: `Rejected by receiver of shipment ${shipment.shipmentId}; returned to source`,
+    },
+  ].filter((o) => o.quantity_kg > 0);
+
+  // Children inherit the history up to arrival, not the parent's settlement
+  const priorHistory = batch.history.map((h) =>
+    h.toObject ? h.toObject() : h
+  );
+  const settled = [];
+
+  for (const [index, portion] of outcomes.entries()) {
+    const entry = {
+      time,
+      action: portion.action,
+      from: portion.outcome === "rejected" ? toNodeId : fromNodeId,
+      to: portion.node,
+      note: portion.note,
+    };
+
+    if (index === 0) {
+      if (outcomes.length > 1) {
+        batch.history.push({
+          time,
+          action: "split",
+          from: toNodeId,
+          to: toNodeId,
+          note: `Kept ${portion.quantity_kg} kg as ${portion.outcome} on arrival of shipment ${shipment.shipmentId}`,
+        });
+      }
+      batch.quantity_kg = portion.quantity_kg;
+      batch.status = portion.status;
+      batch.queuedAt = portion.status === "queued" ? time : null;
+      batch.currentNode = portion.node;
+      batch.history.push(entry);
+      await batch.save({ session });
+      settled.push({
+        batchId: batch._id,
+        outcome: portion.outcome,
+        quantity_kg: portion.quantity_kg,
+      });
+      continue;
+    }
+
+    const [child] = await Batch.create(
+      [
+        {
+          parentBatchId: batch._id,
+          foodType: batch.foodType,
+          quantity_kg: portion.quantity_kg,
+          original_quantity_kg: batch.original_quantity_kg,
+          originNode: batch.originNode,
+          currentNode: portion.node,
+          status: portion.status,
+          queuedAt: portion.status === "queued" ? time : null,
+          shelf_life_hours: batch.shelf_life_hours,
+          manufacture_date: batch.manufacture_date,
+          expiry_iso: batch.expiry_iso,
+          initial_temp_c: batch.initial_temp_c,
+          freshnessPct: batch.freshnessPct,
+          recall: batch.recall,
+          history: [
+            ...priorHistory,
+            {
+              time,
+              action: "split",
+              from: toNodeId,
+              to: toNodeId,
+              note: `Split ${portion.quantity_kg} kg from batch ${batch._id} as ${portion.outcome}`,
+            },
+            entry,
+          ],
+          metadata: batch.metadata,
+        },
+      ],
+      { session }
+    );
+    settled.push({
+      batchId: child._id,
+      outcome: portion.outcome,
+      quantity_kg: portion.quantity_kg,
+      parentBatchId: batch._id,
+    });
+  }
+
+  return settled;
+}
+
+export {
+  generateShipmentId,
+  estimateTransport,
+  splitBatch,
+  returnShipmentBatches,
+  normaliseDeliveries,
+  settleBatchDelivery,
+};
@@ -0,0 +1,1272 @@
+/**
+ * Simulation runner
+ * Loads the input snapshot of a simulation (requests, batches, nodes and
+ * shipments as of a date), runs the regular and ML allocators on it (a
+ * comparison runs any registered strategies) and scores them. A run can be
+ * stored as a SimulationRun with its parameters, env overrides, seed and
+ * gzipped snapshot, so a past configuration can be replayed exactly after
+ * the data has moved on. Storing is opt-in for the public simulation
+ * endpoints (signed-in callers with ?store=true).
+ */
+
+import crypto from "crypto";
+import zlib from "zlib";
+import mongoose from "mongoose";
+import { Node } from "../models/node.model.js";
+import { Batch } from "../models/batch.model.js";
+import { Shipment } from "../models/shipment.model.js";
+import { Request } from "../models/request.model.js";
+import { NGO } from "../models/NGO.model.js";
+import { SimulationRun } from "../models/simulationRun.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { calculateFreshnessPct } from "../utils/freshness.js";
+import { allocateRegular, allocateML } from "./simulationService.js";
+import {
+  getStrategy,
+  listStrategies,
+  strategyOption,
+} from "./allocationStrategies.js";
+import { getDistanceProvider } from "./distanceProvider.js";
+import { getHoursOfServiceRules } from "./hoursOfService.js";
+import { runRollingSimulation } from "./rollingSimulator.js";
+import {
+  calcMetrics,
+  annotateAllocationsWithFreshnessAtDelivery,
+} from "./simulationMetrics.js";
+
+// Runner-only toggles (no query params):
+// Flip these booleans/numbers to enable/disable simulation-only balancing.
+const SIM_ENABLE_TRANSFER_PLANNER = true;
+// Set to 6 to rebalance every 6 simulated hours. Set to 0/null for one-shot only.
+const SIM_TRANSFER_CRON_HOURS = 6;
+
+// Runner-only transfer planner tuning (simulation-only). These are defaults;
+// a run or sweep can override them via env[SIM_TRANSFER_*].
+// If you see `appliedTransfers: 0`, your dataset likely has very low utilization
+// (capacity >> inventory). In that case, reduce the ratios + target ratio.
+const SIM_TRANSFER_MAX_PAIRS = 5;
+const SIM_TRANSFER_MIN_TRANSFER_KG = 25;
+const SIM_TRANSFER_OVERSTOCK_RATIO = 0.25;
+const SIM_TRANSFER_UNDERSTOCK_RATIO = 0.08;
+const SIM_TRANSFER_TARGET_RATIO = 0.16;
+
+// Runner variables a run may override (env[KEY]=value); strategies add the
+// keys of their options schema. The effective values of all of them are
+// stored on the run so replays don't depend on the server env
+const RUNNER_ENV_KEYS = [
+  "SIM_WINDOW_DAYS",
+  "SIM_BACKLOG_REQUEST_LIMIT",
+  "SIM_SNAPSHOT_REQUEST_LIMIT",
+  "SIM_SNAPSHOT_BATCH_LIMIT",
+  "SIM_DISPATCH_MODE",
+  "SIM_DISPATCH_HEADROOM_HOURS",
+  "SIM_STEP_HOURS",
+  "SIM_AVG_TEMP_C",
+  "REGULAR_TEMP_PENALTY_C",
+  "REGULAR_ALLOW_SPOILED",
+  "SIM_TRANSFER_CRON_HOURS",
+  "SIM_TRANSFER_MAX_PAIRS",
+  "SIM_TRANSFER_MIN_TRANSFER_KG",
+  "SIM_TRANSFER_OVERSTOCK_RATIO",
+  "SIM_TRANSFER_UNDERSTOCK_RATIO",
+  "SIM_TRANSFER_TARGET_RATIO",
+];
+
+// Strategies compared when the caller doesn't pick any
+const DEFAULT_COMPARE_STRATEGIES = ["regular", "ml", "optimal"];
+const DEFAULT_ROLLING_STRATEGIES = ["regular", "ml"];
+
+/**
+ * Every variable a run may override
+ * @returns {string[]}
+ */
+const simulationEnvKeys = () => [
+  ...new Set([
+    ...RUNNER_ENV_KEYS,
+    ...listStrategies().flatMap((strategy) =>
+      Object.keys(strategy.optionsSchema)
+    ),
+  ]),
+];
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const generateRunId = () =>
+  `SIM-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+
+/**
+ * Effective simulation variables: overrides on top of the server env
+ * @param {Object} overrides - {KEY: value} for keys in simulationEnvKeys()
+ * @returns {Object} {KEY: string} for every key that has a value
+ * @throws {ApiError} 400 on unknown keys, non-scalar values or non-numeric
+ * values for number options of a strategy
+ */
+function resolveSimulationEnv(overrides = {}) {
+  if (overrides === null || typeof overrides !== "object") {
+    throw new ApiError(400, "'env' must be an object of KEY: value overrides");
+  }
+  const keys = simulationEnvKeys();
+  const unknown = Object.keys(overrides).filter((key) => !keys.includes(key));
+  if (unknown.length) {
+    throw new ApiError(
+      400,
+      `Unknown simulation variables: ${unknown.join(", ")}`,
+      keys
+    );
+  }
+
+  const env = {};
+  for (const key of keys) {
+    const value = key in overrides ? overrides[key] : process.env[key];
+    if (value === undefined || value === null) continue;
+    if (typeof value === "object") {
+      throw new ApiError(400, `'${key}' must be a string or number`);
+    }
+    if (
+      key in overrides &&
+      strategyOption(key)?.type === "number" &&
+      !Number.isFinite(Number(value))
+    ) {
+      throw new ApiError(400, `'${key}' must be a number`);
+    }
+    env[key] = String(value);
+  }
+  return env;
+}
+
+/**
+ * Transfer planner settings shared by both simulation kinds
+ * @param {Object} env - Effective simulation variables (SIM_TRANSFER_*)
+ */
+const transferPlannerOptions = (env = {}) => {
+  const tuning = (key, fallback) => Number(env[key] ?? fallback);
+  const cronHours = tuning("SIM_TRANSFER_CRON_HOURS", SIM_TRANSFER_CRON_HOURS);
+
+  return {
+    enableTransferPlanner: SIM_ENABLE_TRANSFER_PLANNER,
+    simulationOnly: true,
+    ...(SIM_ENABLE_TRANSFER_PLANNER
+      ? {
+          transferPlannerMaxPairs: tuning(
+            "SIM_TRANSFER_MAX_PAIRS",
+            SIM_TRANSFER_MAX_PAIRS
+          ),
+          transferPlannerMinTransferKg: tuning(
+            "SIM_TRANSFER_MIN_TRANSFER_KG",
+            SIM_TRANSFER_MIN_TRANSFER_KG
+          ),
+          transferPlannerOverstockRatio: tuning(
+            "SIM_TRANSFER_OVERSTOCK_RATIO",
+            SIM_TRANSFER_OVERSTOCK_RATIO
+          ),
+          transferPlannerUnderstockRatio: tuning(
+            "SIM_TRANSFER_UNDERSTOCK_RATIO",
+            SIM_TRANSFER_UNDERSTOCK_RATIO
+          ),
+          transferPlannerTargetRatio: tuning(
+            "SIM_TRANSFER_TARGET_RATIO",
+            SIM_TRANSFER_TARGET_RATIO
+          ),
+        }
+      : {}),
+    ...(SIM_ENABLE_TRANSFER_PLANNER &&
+    Number.isFinite(cronHours) &&
+    cronHours > 0
+      ? { transferPlannerCronHours: cronHours }
+      : {}),
+  };
+};
+
+/**
+ * Strategies a compare run should use
+ * @param {string|string[]} strategies - Names, as a list or comma separated
+ * @param {string[]} defaults - Used when none are given
+ * @returns {string[]} Registered names in the given order
+ * @throws {ApiError} 400 on unknown names
+ */
+function resolveStrategyNames(
+  strategies,
+  defaults = DEFAULT_COMPARE_STRATEGIES
+) {
+  if (strategies === undefined || strategies === null || strategies === "") {
+    return [...defaults];
+  }
+  const names = [
+    ...new Set(
+      (Array.isArray(strategies) ? strategies : String(strategies).split(","))
+        .map((name) => String(name).trim())
+        .filter(Boolean)
+    ),
+  ];
+  if (!names.length) {
+    throw new ApiError(400, "'strategies' must name at least one strategy");
+  }
+  const unknown = names.filter((name) => !getStrategy(name));
+  if (unknown.length) {
+    throw new ApiError(
+      400,
+      `Unknown allocation strategies: ${unknown.join(", ")}`,
+      listStrategies().map((strategy) => strategy.name)
+    );
+  }
+  return names;
+}
+
+/**
+ * Parameters of a compare run
+ * @param {Object} query - {date: YYYY-MM-DD, strategies: 'regular,ml,...'}
+ * @returns {Object} {date, asOf, strategies}
+ */
+function resolveComparisonParams({ date, strategies } = {}) {
+  if (!date) {
+    throw new ApiError(400, "Missing date parameter (format: YYYY-MM-DD)");
+  }
+
+  const targetDate = new Date(date);
+  if (isNaN(targetDate.getTime())) {
+    throw new ApiError(400, "Invalid date format. Use YYYY-MM-DD");
+  }
+  targetDate.setHours(23, 59, 59, 999);
+
+  return {
+    date: String(date),
+    asOf: targetDate.toISOString(),
+    strategies: resolveStrategyNames(strategies),
+  };
+}
+
+/**
+ * Parameters of a simulate run; query values win over the run's env
+ * @param {Object} query - {date, days, backlog, dispatchMode}
+ * @param {Object} env - Effective simulation variables
+ * @returns {Object} {date, asOf, days, backlog, dispatchMode}
+ */
+function resolveSimulationParams(
+  { date, days, backlog, dispatchMode } = {},
+  env = {}
+) {
+  // When a date is provided, simulate the world "as-of" end-of-day.
+  // Otherwise, use the current timestamp.
+  const targetDate = date ? new Date(String(date)) : new Date();
+  if (date && isNaN(targetDate.getTime())) {
+    throw new ApiError(400, "Invalid date format. Use YYYY-MM-DD");
+  }
+  if (date) targetDate.setHours(23, 59, 59, 999);
+
+  const windowDaysRaw = Number(days ?? env.SIM_WINDOW_DAYS ?? 7);
+  const windowDays =
+    Number.isFinite(windowDaysRaw) && windowDaysRaw > 0
+      ? Math.min(Math.max(Math.floor(windowDaysRaw), 7), 31)
+      : 7;
+
+  const backlogLimitRaw = Number(
+    backlog ?? env.SIM_BACKLOG_REQUEST_LIMIT ?? 10
+  );
+  const backlogLimit =
+    Number.isFinite(backlogLimitRaw) && backlogLimitRaw >= 0
+      ? Math.min(Math.max(Math.floor(backlogLimitRaw), 0), 200)
+      : 10;
+
+  return {
+    date: date ? String(date) : null,
+    asOf: targetDate.toISOString(),
+    days: windowDays,
+    backlog: backlogLimit,
+    dispatchMode: String(
+      dispatchMode ?? env.SIM_DISPATCH_MODE ?? "spread"
+    ).toLowerCase(),
+  };
+}
+
+/**
+ * Parameters of a rolling-horizon run: a simulate window replayed in steps
+ * @param {Object} query - {date, days, backlog, stepHours, strategies}
+ * @param {Object} env - Effective simulation variables
+ * @returns {Object} {date, asOf, days, backlog, dispatchMode, stepHours, strategies}
+ */
+function resolveRollingParams(
+  { stepHours, strategies, ...query } = {},
+  env = {}
+) {
+  const stepHoursRaw = Number(stepHours ?? env.SIM_STEP_HOURS ?? 24);
+  if (
+    !Number.isFinite(stepHoursRaw) ||
+    stepHoursRaw < 1 ||
+    stepHoursRaw > 24
+  ) {
+    throw new ApiError(400, "'stepHours' must be between 1 and 24");
+  }
+
+  return {
+    ...resolveSimulationParams(query, env),
+    stepHours: Math.floor(stepHoursRaw),
+    strategies: resolveStrategyNames(strategies, DEFAULT_ROLLING_STRATEGIES),
+  };
+}
+
+const simulationWindow = (params) => {
+  const windowEnd = new Date(params.asOf);
+  const windowStart = new Date(params.asOf);
+  windowStart.setHours(0, 0, 0, 0);
+  windowStart.setDate(windowStart.getDate() - (params.days - 1));
+  return { windowStart, windowEnd };
+};
+
+/**
+ * Entities a compare run reads: stored batches and pending requests as of
+ * the end of the day
+ */
+async function loadComparisonSnapshot(params) {
+  const targetDate = new Date(params.asOf);
+
+  // Fetch entities at target date
+  const [batches, requests, warehouses, ngos, ngoOrgs] = await Promise.all([
+    Batch.find({
+      manufacture_date: { $lte: targetDate },
+      status: "stored",
+    })
+      .select("-history")
+      .lean(),
+    Request.find({
+      createdOn: { $lte: targetDate },
+      status: "pending",
+    }).lean(),
+    Node.find({ type: "warehouse" }).lean(),
+    Node.find({ type: "ngo" }).lean(),
+    NGO.find().lean(),
+  ]);
+
+  if (requests.length === 0) {
+    throw new ApiError(
+      404,
+      `No pending requests found on or before ${params.date}`
+    );
+  }
+
+  return { batches, requests, warehouses, ngos, ngoOrgs };
+}
+
+/**
+ * Entities a simulate run reads: pending requests in the window plus a
+ * small backlog, batches available by the end of the window, all nodes and
+ * the shipments those batches were already on
+ */
+async function loadSimulationSnapshot(params, env) {
+  const { windowStart, windowEnd } = simulationWindow(params);
+
+  // Fetch snapshot data from database.
+  // IMPORTANT: Snapshot size materially affects ML feature variance.
+  // Use env overrides to widen/narrow the slice without code changes.
+  // Defaults are sized for interactive UI use.
+  // Override via env when you want full-fidelity snapshots.
+  const requestLimit = Number(env.SIM_SNAPSHOT_REQUEST_LIMIT ?? 400);
+  const batchLimit = Number(env.SIM_SNAPSHOT_BATCH_LIMIT ?? 1500);
+
+  const inWindowQuery = Request.find({
+    createdOn: { $gte: windowStart, $lte: windowEnd },
+    status: "pending",
+  })
+    .sort({ createdOn: 1 })
+    .lean();
+
+  const backlogQuery = params.backlog
+    ? Request.find({
+        createdOn: { $lt: windowStart },
+        status: "pending",
+      })
+        .sort({ createdOn: -1 })
+        .limit(params.backlog)
+        .lean()
+    : null;
+
+  // Fetch requests for the simulation window, plus a small backlog from before it.
+  const inWindowRequests =
+    requestLimit > 0
+      ? await inWindowQuery.limit(requestLimit)
+      : await inWindowQuery;
+
+  const backlogRequests = backlogQuery ? await backlogQuery : [];
+
+  // Order: backlog first (oldest unmet), then current window.
+  const requests = [...backlogRequests.reverse(), ...inWindowRequests];
+
+  if (requests.length === 0) {
+    throw new ApiError(404, "No requests found in database");
+  }
+
+  // Query batches that exist by the end of the simulation window.
+  // IMPORTANT: Use manufacture_date as the "availability" timestamp; createdAt is DB insertion time
+  // and can make Day 1 inventory appear as 0 if the dataset was imported later.
+  const batchQuery = Batch.find({
+    manufacture_date: { $lte: windowEnd },
+    status: "stored",
+    // Exclude batches that were already expired by the start of the window.
+    $or: [
+      { expiry_iso: { $gt: windowStart } },
+      { expiry_iso: { $exists: false } },
+      { expiry_iso: null },
+    ],
+  })
+    .select("-history")
+    .sort({ manufacture_date: -1 })
+    .lean();
+
+  const [batches, warehouses, ngoNodes, ngoOrgs, allNodes] = await Promise.all([
+    batchLimit > 0 ? batchQuery.limit(batchLimit) : batchQuery,
+    Node.find({ type: "warehouse" }).lean(),
+    Node.find({ type: "ngo" }).lean(),
+    NGO.find().lean(),
+    Node.find().lean(),
+  ]);
+
+  const batchIds = batches.map((b) => b._id);
+  const shipments = batchIds.length
+    ? await Shipment.find({
+        start_iso: { $lte: windowStart },
+        batchIds: { $in: batchIds },
+      })
+        .select(
+          "shipmentID shipmentId batchIds fromNode toNode start_iso eta_iso arrived_iso travel_time_minutes distance_km status"
+        )
+        .lean()
+    : [];
+
+  if (batches.length === 0) {
+    throw new ApiError(404, "No batches found in database");
+  }
+
+  return {
+    requests,
+    batches,
+    warehouses,
+    ngoNodes,
+    ngoOrgs,
+    allNodes,
+    shipments,
+  };
+}
+
+/**
+ * Serialize a snapshot for storage; the hash is over the JSON text
+ * @returns {Object} {buffer, hash}
+ */
+function packSnapshot(snapshot) {
+  const json = JSON.stringify(snapshot);
+  return { buffer: zlib.gzipSync(json), hash: sha256(json) };
+}
+
+/**
+ * Restore a stored snapshot (ids stay strings, ISO timestamps become Dates)
+ * @returns {Object} {data, hash}
+ */
+function unpackSnapshot(buffer) {
+  const json = zlib.gunzipSync(buffer).toString("utf8");
+  const data = JSON.parse(json, (key, value) =>
+    typeof value === "string" && ISO_DATE_RE.test(value)
+      ? new Date(value)
+      : value
+  );
+  return { data, hash: sha256(json) };
+}
+
+// Allocators load the cached node matrix themselves unless one is given
+const matrixOption = (distanceMatrix) =>
+  distanceMatrix === undefined ? {} : { distanceMatrix };
+
+// How far a heuristic's metrics are from the optimal benchmark
+const optimalityGap = (metrics, optimal) => ({
+  fulfillmentRate:
+    Math.round((optimal.fulfillmentRate - metrics.fulfillmentRate) * 100) /
+    100,
+  totalAllocatedKg:
+    Math.round((optimal.totalAllocated - metrics.totalAllocated) * 100) / 100,
+  totalDistanceKm:
+    Math.round((metrics.totalDistanceKm - optimal.totalDistanceKm) * 100) /
+    100,
+  deliveredAvgFreshness:
+    Math.round(
+      (optimal.deliveredAvgFreshness - metrics.deliveredAvgFreshness) * 100
+    ) / 100,
+  deliveredSpoiledKg:
+    Math.round((metrics.deliveredSpoiledKg - optimal.deliveredSpoiledKg) * 100) /
+    100,
+});
+
+// ML vs regular headline numbers (both strategies must be in the run)
+const mlImprovements = (regularMetrics, mlMetrics) => {
+  const improvements = {
+    fulfillmentIncrease:
+      mlMetrics.fulfillmentRate - regularMetrics.fulfillmentRate,
+    distanceReduction:
+      regularMetrics.avgDistance > 0
+        ? ((regularMetrics.avgDistance - mlMetrics.avgDistance) /
+            regularMetrics.avgDistance) *
+          100
+        : 0,
+    freshnessIncrease: mlMetrics.avgFreshness - regularMetrics.avgFreshness,
+    spoilageReduction:
+      regularMetrics.deliveredSpoiledKg > 0
+        ? ((regularMetrics.deliveredSpoiledKg - mlMetrics.deliveredSpoiledKg) /
+            regularMetrics.deliveredSpoiledKg) *
+          100
+        : 0,
+    foodSavedKg:
+      regularMetrics.deliveredSpoiledKg - mlMetrics.deliveredSpoiledKg,
+  };
+
+  return {
+    improvements: {
+      fulfillmentIncrease: `${improvements.fulfillmentIncrease >= 0 ? "+" : ""}${Math.round(improvements.fulfillmentIncrease * 100) / 100}%`,
+      distanceReduction: `${Math.round(improvements.distanceReduction * 100) / 100}%`,
+      freshnessIncrease: `${improvements.freshnessIncrease >= 0 ? "+" : ""}${Math.round(improvements.freshnessIncrease * 100) / 100}%`,
+      spoilageReduction: `${Math.round(improvements.spoilageReduction * 100) / 100}%`,
+      foodSavedKg: `${Math.round(improvements.foodSavedKg * 100) / 100} kg`,
+    },
+    summary: `ML-driven approach shows ${Math.round(Math.abs(improvements.fulfillmentIncrease))}% ${improvements.fulfillmentIncrease >= 0 ? "better" : "worse"} fulfillment, ${Math.round(Math.abs(improvements.distanceReduction))}% ${improvements.distanceReduction >= 0 ? "less" : "more"} distance, ${Math.round(Math.abs(improvements.freshnessIncrease))}% ${improvements.freshnessIncrease >= 0 ? "fresher" : "less fresh"} inventory at dispatch, and ${Math.round(Math.abs(improvements.spoilageReduction))}% ${improvements.spoilageReduction >= 0 ? "less" : "more"} spoilage at delivery (≈ ${Math.round(improvements.foodSavedKg * 100) / 100} kg saved).`,
+  };
+};
+
+/**
+ * Registered strategies side by side on a compare snapshot
+ * Each strategy gets its own copy of the batches, so one can't consume
+ * stock another would have used.
+ * @returns {Promise<Object>} {result, metrics, allocations}
+ */
+async function runComparison(snapshot, params, { env, seed, distanceMatrix }) {
+  const { batches, requests, warehouses, ngos, ngoOrgs } = snapshot;
+  const targetDate = new Date(params.asOf);
+  const names = resolveStrategyNames(params.strategies);
+  const batchesById = new Map(batches.map((b) => [b._id.toString(), b]));
+
+  const columns = await Promise.all(
+    names.map(async (name) => {
+      const strategy = getStrategy(name);
+      const options = {
+        referenceDate: targetDate,
+        ...transferPlannerOptions(env),
+        env,
+        seed,
+        ngoOrgs,
+        ...matrixOption(distanceMatrix),
+      };
+      const allocations = await strategy.allocate(
+        requests,
+        batches.map((b) => ({ ...b })),
+        warehouses,
+        ngos,
+        options
+      );
+      const metrics = calcMetrics(allocations, requests, {
+        batchesById,
+        referenceDate: targetDate,
+      });
+      return { strategy, allocations, metrics, debug: options.debug ?? null };
+    })
+  );
+
+  const result = { date: params.date, strategies: names };
+  const metrics = {};
+  const allocations = {};
+  for (const column of columns) {
+    const { name, label } = column.strategy;
+    result[name] = {
+      strategy: label,
+      metrics: column.metrics,
+      allocations: column.allocations.slice(0, 10), // Sample for brevity
+      debug: column.debug,
+    };
+    metrics[name] = column.metrics;
+    allocations[name] = column.allocations;
+  }
+  if (metrics.optimal) {
+    result.optimalityGap = Object.fromEntries(
+      names
+        .filter((name) => name !== "optimal")
+        .map((name) => [name, optimalityGap(metrics[name], metrics.optimal)])
+    );
+  }
+  if (metrics.regular && metrics.ml) {
+    Object.assign(result, mlImprovements(metrics.regular, metrics.ml));
+  }
+
+  return { result, metrics, allocations };
+}
+
+/**
+ * Regular vs ML allocation over a simulation window, for map playback
+ * @returns {Promise<Object>} {result, metrics, allocations}
+ */
+async function runSimulation(snapshot, params, { env, seed, distanceMatrix }) {
+  const {
+    requests,
+    batches,
+    warehouses,
+    ngoNodes,
+    ngoOrgs,
+    allNodes,
+    shipments,
+  } = snapshot;
+  const targetDate = new Date(params.asOf);
+  const { windowStart, windowEnd } = simulationWindow(params);
+
+  // Simulation window is the requested date window.
+  const simulationStartTime = new Date(windowStart);
+  const simulationEndTime = new Date(windowEnd);
+
+  // Run both allocations against independent copies of the same batch snapshot.
+  // This prevents one strategy from mutating batch quantities and affecting the other.
+  const cloneBatches = (arr) =>
+    Array.isArray(arr) ? arr.map((b) => ({ ...b })) : [];
+  const regularBatches = cloneBatches(batches);
+  const mlBatches = cloneBatches(batches);
+
+  // Dispatch scheduling
+  // Default: spread dispatch across the simulation window so playback evolves day-by-day.
+  // Use `dispatchMode=createdOn` (or env `SIM_DISPATCH_MODE=createdOn`) to anchor dispatch to request.createdOn.
+  const { dispatchMode } = params;
+
+  const clampMs = (ms) => {
+    const lo = simulationStartTime.getTime();
+    const hi = simulationEndTime.getTime();
+    if (!Number.isFinite(ms)) return lo;
+    return Math.min(Math.max(ms, lo), hi);
+  };
+
+  // Optional: leave headroom so late-window dispatches arrive within the window.
+  // Default is 0h because some datasets only have inventory available late in the day.
+  const latestDispatchCeilMs = (() => {
+    const hi = simulationEndTime.getTime();
+    const lo = simulationStartTime.getTime();
+    const headroomHoursRaw = Number(
+      env.SIM_DISPATCH_HEADROOM_HOURS ?? 0
+    );
+    const headroomHours =
+      Number.isFinite(headroomHoursRaw) && headroomHoursRaw > 0
+        ? Math.min(headroomHoursRaw, 48)
+        : 0;
+    const headroomMs = headroomHours * 3600 * 1000;
+    return Math.max(lo, hi - headroomMs);
+  })();
+
+  const requestsForAllocation = (requests || []).map((r) => ({ ...r }));
+  if (dispatchMode === "createdon") {
+    for (const r of requestsForAllocation) {
+      const rawMs = r?.createdOn ? new Date(r.createdOn).getTime() : NaN;
+      const ms = clampMs(rawMs);
+      r.dispatchTime = new Date(
+        Math.min(ms, latestDispatchCeilMs)
+      ).toISOString();
+    }
+  } else {
+    // Plan allocations at the latest dispatch time (end-of-window) so batch selection
+    // is done under worst-case freshness/expiry constraints.
+    // Then we spread *allocations* across the window for playback.
+    const planIso = new Date(latestDispatchCeilMs).toISOString();
+    for (const r of requestsForAllocation) {
+      r.dispatchTime = planIso;
+    }
+  }
+
+  const simAvgTempC = (() => {
+    const raw = Number(env.SIM_AVG_TEMP_C);
+    return Number.isFinite(raw) ? raw : 25;
+  })();
+
+  // Regular supply chain is less optimized / weaker cold-chain.
+  // Model that as a higher effective ambient temperature during handling + transport.
+  const regularTempPenaltyC = (() => {
+    const raw = Number(env.REGULAR_TEMP_PENALTY_C);
+    return Number.isFinite(raw) ? raw : 5;
+  })();
+  const regularAvgTempC = simAvgTempC + regularTempPenaltyC;
+
+  // Allocation and metrics share the same temperature so per-food-type
+  // decay curves are evaluated consistently.
+  const regularAllocations = await allocateRegular(
+    requestsForAllocation,
+    regularBatches,
+    warehouses,
+    ngoNodes,
+    {
+      dispatchTimeFloor: simulationStartTime,
+      dispatchTimeCeil: simulationEndTime,
+      avgTempC: regularAvgTempC,
+      ngoOrgs,
+      ...matrixOption(distanceMatrix),
+    }
+  );
+
+  const mlOptions = {
+    dispatchTimeFloor: simulationStartTime,
+    dispatchTimeCeil: simulationEndTime,
+    avgTempC: simAvgTempC,
+    ...transferPlannerOptions(env),
+    env,
+    seed,
+    ngoOrgs,
+    ...matrixOption(distanceMatrix),
+  };
+  const mlAllocations = await allocateML(
+    requestsForAllocation,
+    mlBatches,
+    warehouses,
+    ngoNodes,
+    mlOptions
+  );
+
+  const batchesById = new Map(batches.map((b) => [b._id.toString(), b]));
+
+  // For playback: spread dispatch times across the selected window.
+  // This makes shipments appear from day 1 through day N even if requests were created late.
+  if (dispatchMode !== "createdon") {
+    const spreadAllocationsAcrossWindow = (allocations) => {
+      const lo = simulationStartTime.getTime();
+      const hi = simulationEndTime.getTime();
+      const span = Math.max(0, hi - lo);
+      const nonZero = (allocations || []).filter(
+        (a) => (Number(a?.allocated_kg) || 0) > 0
+      );
+      const denom = Math.max(1, nonZero.length - 1);
+      nonZero.forEach((alloc, idx) => {
+        const scheduledMs0 = lo + Math.round((span * idx) / denom);
+
+        // Ensure we never "dispatch" before the allocated batches exist.
+        // (We plan allocations at end-of-window for feasibility, then spread for playback;
+        // this clamp prevents impossible early dispatch that would artificially boost freshness.)
+        let minDispatchMs = scheduledMs0;
+        for (const used of alloc?.batches || []) {
+          const id = used?.batchId?.toString?.() ?? String(used.batchId);
+          const b = batchesById.get(id);
+          if (!b) continue;
+
+          const availRaw = b.manufacture_date || b.createdAt || null;
+          const availMs = availRaw ? new Date(availRaw).getTime() : NaN;
+          if (Number.isFinite(availMs)) {
+            minDispatchMs = Math.max(minDispatchMs, availMs);
+          }
+        }
+
+        alloc.dispatchTime = new Date(clampMs(minDispatchMs)).toISOString();
+      });
+    };
+
+    spreadAllocationsAcrossWindow(regularAllocations);
+    spreadAllocationsAcrossWindow(mlAllocations);
+  }
+
+  // Regular baseline should never ship batches that are already expired at dispatch
+  // or that would arrive expired.
+  const filterExpiredForRegular = (allocations) =>
+    (allocations || []).map((alloc) => {
+      const dispatchTime = alloc?.dispatchTime
+        ? new Date(alloc.dispatchTime)
+        : simulationStartTime;
+
+      let keptKg = 0;
+      const keptBatches = [];
+      for (const used of alloc?.batches || []) {
+        const qty = Number(used?.quantity) || 0;
+        if (qty <= 0) continue;
+
+        const batchIdStr = used?.batchId?.toString?.() ?? String(used.batchId);
+        const batch = batchesById.get(batchIdStr);
+        if (!batch) continue;
+
+        const freshnessAtDispatch = calculateFreshnessPct(
+          batch,
+          dispatchTime,
+          regularAvgTempC
+        );
+        if (!Number.isFinite(freshnessAtDispatch) || freshnessAtDispatch <= 0) {
+          continue;
+        }
+
+        keptKg += qty;
+        keptBatches.push(used);
+      }
+
+      return {
+        ...alloc,
+        allocated_kg: Math.round(keptKg * 100) / 100,
+        batches: keptBatches,
+      };
+    });
+
+  const allowSpoiledRegular = env.REGULAR_ALLOW_SPOILED === "1";
+
+  const regularAllocationsFiltered = allowSpoiledRegular
+    ? regularAllocations
+    : filterExpiredForRegular(regularAllocations);
+
+  // Calculate metrics
+  const regularMetrics = calcMetrics(regularAllocationsFiltered, requests, {
+    batchesById,
+    referenceDate: simulationStartTime,
+    avgTempC: regularAvgTempC,
+  });
+  const mlMetrics = calcMetrics(mlAllocations, requests, {
+    batchesById,
+    referenceDate: simulationStartTime,
+    avgTempC: simAvgTempC,
+  });
+
+  const regularAllocationsAnnotated =
+    annotateAllocationsWithFreshnessAtDelivery(regularAllocationsFiltered, {
+      batchesById,
+      referenceDate: simulationStartTime,
+      avgTempC: regularAvgTempC,
+    });
+  const mlAllocationsAnnotated = annotateAllocationsWithFreshnessAtDelivery(
+    mlAllocations,
+    { batchesById, referenceDate: simulationStartTime, avgTempC: simAvgTempC }
+  );
+
+  // Build an ML snapshot payload from the exact same DB slice used for simulation.
+  // The ML gateway supports raw server snapshots (nodes/requests/shipments/batches).
+  const ngoNodeIdByOrgId = new Map(
+    (ngoOrgs || [])
+      .map((org) => {
+        const orgId = org?._id?.toString?.() ?? String(org._id);
+        const node = (ngoNodes || []).find((n) => n?.name === org?.name);
+        const nodeId = node?._id?.toString?.() ?? null;
+        return [orgId, nodeId];
+      })
+      .filter((pair) => pair[0])
+  );
+
+  const mlSnapshotPayload = {
+    freq: "M",
+    nodes: (allNodes || []).map((node) => ({
+      _id: node._id?.toString?.() ?? String(node._id),
+      nodeId: node._id?.toString?.() ?? String(node._id),
+      type: node.type,
+      name: node.name || null,
+      district: node.district || null,
+      state: node.state || node.regionId || "Unknown",
+      regionId: node.regionId || null,
+      location: node.location || null,
+      capacity_kg: Number(node.capacity_kg) || 0,
+    })),
+    requests: (requests || []).map((r) => ({
+      _id: r._id?.toString?.() ?? String(r._id),
+      requestId:
+        r.requestID || r.requestId || (r._id?.toString?.() ?? String(r._id)),
+      createdOn_iso: (() => {
+        const raw =
+          r.createdOn ?? r.createdAt ?? r.created_at ?? r.created_on ?? null;
+        if (raw instanceof Date) return raw.toISOString();
+        if (typeof raw === "string" && raw) return raw;
+        return null;
+      })(),
+      requesterNode: (() => {
+        const orgId = r.requesterNode?.toString?.() ?? String(r.requesterNode);
+        const nodeId = orgId ? ngoNodeIdByOrgId.get(orgId) : null;
+        return nodeId || orgId || null;
+      })(),
+      items: Array.isArray(r.items) ? r.items : [],
+      requiredBy_iso:
+        r.requiredBefore instanceof Date
+          ? r.requiredBefore.toISOString()
+          : r.requiredBefore || null,
+      status: r.status || "pending",
+    })),
+    shipments: (shipments || []).map((s) => ({
+      _id: s._id?.toString?.() ?? String(s._id),
+      shipmentId:
+        s.shipmentID?.toString?.() ||
+        s.shipmentId?.toString?.() ||
+        (s._id?.toString?.() ?? String(s._id)),
+      batchIds: Array.isArray(s.batchIds)
+        ? s.batchIds.map((id) => id?.toString?.() ?? String(id))
+        : [],
+      fromNode: s.fromNode?.toString?.() ?? (s.fromNode || null),
+      toNode: s.toNode?.toString?.() ?? (s.toNode || null),
+      start_iso:
+        s.start_iso instanceof Date
+          ? s.start_iso.toISOString()
+          : s.start_iso || null,
+      eta_iso:
+        s.eta_iso instanceof Date ? s.eta_iso.toISOString() : s.eta_iso || null,
+      arrived_iso:
+        s.arrived_iso instanceof Date
+          ? s.arrived_iso.toISOString()
+          : s.arrived_iso || null,
+      travel_time_minutes: Number(s.travel_time_minutes) || null,
+      distance_km:
+        typeof s.distance_km === "number"
+          ? s.distance_km
+          : Number(s.distance_km) || null,
+      status: s.status || null,
+    })),
+    batches: (batches || []).map((b) => ({
+      _id: b._id?.toString?.() ?? String(b._id),
+      batchId: b._id?.toString?.() ?? String(b._id),
+      originNode: b.originNode?.toString?.() ?? (b.originNode || null),
+      currentNode:
+        b.currentNode?.toString?.() ?? (b.currentNode || b.originNode || null),
+      quantity_kg:
+        typeof b.quantity_kg === "number"
+          ? b.quantity_kg
+          : Number(b.quantity_kg) || 0,
+      original_quantity_kg:
+        typeof b.original_quantity_kg === "number"
+          ? b.original_quantity_kg
+          : Number(b.original_quantity_kg) || null,
+      foodType: b.foodType || null,
+      shelf_life_hours:
+        typeof b.shelf_life_hours === "number"
+          ? b.shelf_life_hours
+          : Number(b.shelf_life_hours) || null,
+      freshnessPct:
+        typeof b.freshnessPct === "number"
+          ? b.freshnessPct
+          : Number(b.freshnessPct) || null,
+      manufacture_date:
+        b.manufacture_date instanceof Date
+          ? b.manufacture_date.toISOString()
+          : b.manufacture_date || null,
+      createdAt:
+        b.createdAt instanceof Date
+          ? b.createdAt.toISOString()
+          : b.createdAt || null,
+      expiry_iso:
+        b.expiry_iso instanceof Date
+          ? b.expiry_iso.toISOString()
+          : b.expiry_iso || null,
+      status: b.status || "stored",
+    })),
+    meta: {
+      targetDate_iso: targetDate.toISOString(),
+      simulationStartTime_iso: simulationStartTime.toISOString(),
+      requestCount: requests.length,
+      batchCount: batches.length,
+      shipmentCount: shipments.length,
+    },
+  };
+
+  // Convert to visualization format with coordinates
+  const convertToVisualization = (allocations, strategyName, metrics) => {
+    return {
+      strategy: strategyName,
+      metrics: metrics,
+      allocations: allocations.map((alloc) => {
+        const warehouse = warehouses.find(
+          (w) => w._id.toString() === alloc.warehouse.toString()
+        );
+        const request = requests.find((r) => r.requestID === alloc.requestId);
+
+        // Look up NGO organization first, then find matching Node
+        const ngoOrg = request
+          ? ngoOrgs.find(
+              (org) => org._id.toString() === request.requesterNode.toString()
+            )
+          : null;
+
+        const ngo = ngoOrg
+          ? ngoNodes.find((n) => n.name === ngoOrg.name)
+          : null;
+
+        return {
+          ...alloc,
+          warehouseCoords: warehouse ? warehouse.location.coordinates : [0, 0],
+          ngoCoords: ngo ? ngo.location.coordinates : [0, 0],
+          ngoName: ngoOrg ? ngoOrg.name : "Unknown NGO",
+          warehouseName: warehouse ? warehouse.name : "Unknown Warehouse",
+        };
+      }),
+    };
+  };
+
+  return {
+    result: {
+      startTime: simulationStartTime,
+      endTime: simulationEndTime,
+      totalRequests: requests.length,
+      totalBatches: batches.length,
+      snapshotDate: targetDate.toISOString(),
+      mlSnapshotPayload,
+      transferPlannerDebug: mlOptions?._transferPlannerDebug || null,
+      regular: convertToVisualization(
+        regularAllocationsAnnotated,
+        "Regular",
+        regularMetrics
+      ),
+      ml: convertToVisualization(mlAllocationsAnnotated, "ML", mlMetrics),
+    },
+    metrics: { regular: regularMetrics, ml: mlMetrics },
+    allocations: {
+      regular: regularAllocationsAnnotated,
+      ml: mlAllocationsAnnotated,
+    },
+  };
+}
+
+const RUNNERS = {
+  compare: {
+    params: (query) => resolveComparisonParams(query),
+    load: loadComparisonSnapshot,
+    run: runComparison,
+  },
+  simulate: {
+    params: resolveSimulationParams,
+    load: loadSimulationSnapshot,
+    run: runSimulation,
+  },
+  rolling: {
+    params: resolveRollingParams,
+    load: loadSimulationSnapshot,
+    run: (snapshot, params, ctx) =>
+      runRollingSimulation(snapshot, params, {
+        ...ctx,
+        window: simulationWindow(params),
+        transfers: transferPlannerOptions(ctx.env),
+      }),
+  },
+};
+
+const SIMULATION_KINDS = Object.keys(RUNNERS);
+
+const runnerFor = (kind) => {
+  const runner = RUNNERS[kind];
+  if (!runner) {
+    throw new ApiError(
+      400,
+      `Unknown simulation kind '${kind}'. Use one of: ${SIMULATION_KINDS.join(", ")}`
+    );
+  }
+  return runner;
+};
+
+/**
+ * Parameters of a simulation kind from query/body values
+ * @returns {Object} Resolved parameters, stored with the run
+ */
+function resolveRunParams(kind, query, env) {
+  return runnerFor(kind).params(query, env);
+}
+
+/**
+ * Load and pack the input snapshot of a simulation kind
+ * @returns {Promise<Object>} {buffer, hash}
+ */
+async function loadSnapshot(kind, params, env) {
+  return packSnapshot(await runnerFor(kind).load(params, env));
+}
+
+/**
+ * Run a simulation kind on unpacked snapshot data without storing it
+ * @param {Object} ctx - {env, seed, distanceMatrix}
+ * @returns {Promise<Object>} {result, metrics, allocations}
+ */
+function runSnapshot(kind, data, params, ctx) {
+  return runnerFor(kind).run(data, params, ctx);
+}
+
+const runContext = () => ({
+  distanceProvider: getDistanceProvider().name,
+  hoursOfService: getHoursOfServiceRules(),
+});
+
+/**
+ * Run a simulation and (unless persist is false) store it
+ * The snapshot is always round-tripped through its stored form, so a first
+ * run and its replays see byte-identical input.
+ *
+ * @param {Object} options
+ * @param {string} options.kind - 'simulate' | 'compare' | 'rolling'
+ * @param {Object} options.params - From resolveSimulationParams / resolveComparisonParams
+ * @param {Object} options.env - Effective variables (resolveSimulationEnv)
+ * @param {Object} options.envOverrides - What the caller overrode
+ * @param {number} options.seed - Forwarded to the ML service (random if omitted)
+ * @param {Buffer} options.snapshotBuffer - Stored snapshot to replay (optional)
+ * @param {ObjectId} options.rerunOf - Run being replayed (optional)
+ * @param {ObjectId} options.createdBy - User (optional)
+ * @param {boolean} options.persist - Store a SimulationRun (default true)
+ * @returns {Promise<Object>} {run, result, metrics, snapshotHash, allocationsHash};
+ *   run is null when not stored
+ */
+async function executeSimulationRun({
+  kind,
+  params,
+  env,
+  envOverrides = {},
+  seed = null,
+  snapshotBuffer = null,
+  rerunOf = null,
+  createdBy = null,
+  persist = true,
+}) {
+  const runner = runnerFor(kind);
+
+  const startedAt = Date.now();
+  const runSeed = Number.isInteger(seed) ? seed : crypto.randomInt(2 ** 31);
+  const buffer =
+    snapshotBuffer || packSnapshot(await runner.load(params, env)).buffer;
+  const { data, hash } = unpackSnapshot(buffer);
+
+  const outcome = await runner.run(data, params, { env, seed: runSeed });
+  const allocationsHash = sha256(JSON.stringify(outcome.allocations));
+
+  let run = null;
+  if (persist) {
+    try {
+      run = await SimulationRun.create({
+        runId: generateRunId(),
+        kind,
+        params,
+        envOverrides,
+        env,
+        seed: runSeed,
+        snapshotHash: hash,
+        snapshot: buffer,
+        snapshotCounts: {
+          requests: data.requests.length,
+          batches: data.batches.length,
+          nodes: (data.allNodes || [...data.warehouses, ...data.ngos]).length,
+          shipments: data.shipments?.length || 0,
+        },
+        context: runContext(),
+        metrics: outcome.metrics,
+        allocations: outcome.allocations,
+        allocationsHash,
+        durationMs: Date.now() - startedAt,
+        rerunOf,
+        createdBy,
+      });
+    } catch (error) {
+      // The caller still gets its results; only the history entry is lost
+      console.error("Failed to store simulation run:", error.message);
+    }
+  }
+
+  return {
+    run,
+    result: outcome.result,
+    metrics: outcome.metrics,
+    snapshotHash: hash,
+    allocationsHash,
+  };
+}
+
+const runFilter = (id) =>
+  mongoose.isValidObjectId(id)
+    ? { $or: [{ _id: id }, { runId: id }] }
+    : { runId: id };
+
+/**
+ * A stored run together with its snapshot
+ * @param {string} id - runId or _id
+ * @returns {Promise<Object>} SimulationRun document, snapshot selected
+ * @throws {ApiError} 404 unknown run, 409 run stored without a snapshot
+ */
+async function getReplayableRun(id) {
+  const run = await SimulationRun.findOne(runFilter(id)).select("+snapshot");
+  if (!run) {
+    throw new ApiError(404, "Simulation run not found");
+  }
+  if (!run.snapshot?.length) {
+    throw new ApiError(
+      409,
+      `Run ${run.runId} has no stored snapshot and cannot be replayed`
+    );
+  }
+  return run;
+}
+
+/**
+ * Replay a stored run with its parameters, variables, seed and snapshot
+ * @param {string} id - runId or _id
+ * @param {Object} options - {createdBy}
+ * @returns {Promise<Object>} executeSimulationRun() result plus {original, reproduced, warnings}
+ * @throws {ApiError} 404 unknown run, 409 run stored without a snapshot
+ */
+async function rerunSimulationRun(id, { createdBy = null } = {}) {
+  const original = await getReplayableRun(id);
+
+  // Legs come from the live distance provider and rest rules
+  const warnings = [];
+  const context = runContext();
+  if (original.context?.distanceProvider !== context.distanceProvider) {
+    warnings.push(
+      `Distance provider changed from '${original.context?.distanceProvider}' to '${context.distanceProvider}'`
+    );
+  }
+  if (
+    JSON.stringify(original.context?.hoursOfService) !==
+    JSON.stringify(context.hoursOfService)
+  ) {
+    warnings.push("Hours-of-service rules changed since the original run");
+  }
+
+  const replay = await executeSimulationRun({
+    kind: original.kind,
+    params: original.params,
+    env: original.env,
+    envOverrides: original.envOverrides,
+    seed: original.seed,
+    snapshotBuffer: original.snapshot,
+    rerunOf: original._id,
+    createdBy,
+  });
+
+  return {
+    ...replay,
+    original,
+    reproduced: replay.allocationsHash === original.allocationsHash,
+    warnings,
+  };
+}
+
+/**
+ * Stored runs, newest first (without allocations or snapshot)
+ * @param {Object} options - {kind, page, limit}
+ * @returns {Promise<Object>} {runs, total, page, limit}
+ */
+async function listSimulationRuns({ kind, page = 1, limit = 20 } = {}) {
+  const filter = {};
+  if (kind) filter.kind = kind;
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  const [runs, total] = await Promise.all([
+    SimulationRun.find(filter)
+      .select("-allocations")
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    SimulationRun.countDocuments(filter),
+  ]);
+
+  return { runs, total, page: pageNum, limit: limitNum };
+}
+
+/**
+ * One stored run with its allocations
+ * @param {string} id - runId or _id
+ * @returns {Promise<Object|null>}
+ */
+async function getSimulationRun(id) {
+  return SimulationRun.findOne(runFilter(id)).lean();
+}
+
+export {
+  SIMULATION_KINDS,
+  simulationEnvKeys,
+  resolveSimulationEnv,
+  resolveComparisonParams,
+  resolveSimulationParams,
+  resolveRollingParams,
+  resolveRunParams,
+  executeSimulationRun,
+  rerunSimulationRun,
+  listSimulationRuns,
+  getSimulationRun,
+  getReplayableRun,
+  simulationWindow,
+  loadSnapshot,
+  unpackSnapshot,
+  runSnapshot,
+};
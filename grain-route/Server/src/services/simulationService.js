@@ -2,12 +2,15 @@ import { Node } from "../models/node.model.js";
 import { Batch } from "../models/batch.model.js";
 import { Request } from "../models/request.model.js";
 import { NGO } from "../models/NGO.model.js";
-import { haversineDistanceKm } from "../utils/geoHelpers.js";
+import { routeBetween } from "./distanceProvider.js";
+import { getDistanceMatrix } from "./distanceMatrixService.js";
+import { createFlowNetwork } from "../utils/minCostFlow.js";
 import {
   calculateFreshnessPct,
   remainingShelfLifeHours,
 } from "../utils/freshness.js";
-import axios from "axios";
+import { predictDemand } from "./demandForecaster.js";
+import { callUpstream } from "./upstreamClient.js";
 
 const ML_SERVICE_URL = process.env.ML_SERVICE_URL || "http://localhost:5050";
 const TRANSPORT_SERVICE_URL =
@@ -20,7 +23,33 @@ const debugAlloc = (...args) => {
   }
 };
 
-const safeRemainingShelfLifeHours = (batch, currentDate) => {
+/**
+ * Node matrix for allocation legs, or null when it can't be loaded
+ * (legs then come straight from the distance provider)
+ */
+const loadDistanceMatrix = async () => {
+  try {
+    return await getDistanceMatrix();
+  } catch (error) {
+    debugAlloc(`[distanceMatrix] unavailable: ${error.message}`);
+    return null;
+  }
+};
+
+const nodeCoords = (node) => ({
+  lat: node.location.coordinates[1],
+  lon: node.location.coordinates[0],
+});
+
+/**
+ * Warehouse -> NGO leg from the cached matrix, else the distance provider
+ * @returns {Object} {distance_km, travel_hours}
+ */
+const legBetween = (matrix, fromNode, toNode) =>
+  matrix?.leg(fromNode._id, toNode._id) ||
+  routeBetween(nodeCoords(fromNode), nodeCoords(toNode));
+
+const safeRemainingShelfLifeHours = (batch, currentDate, avgTempC = 25) => {
   const life = Number(batch?.shelf_life_hours);
   const hasLife = Number.isFinite(life) && life > 0;
   const manufacture = batch?.manufacture_date
@@ -32,7 +61,7 @@ const safeRemainingShelfLifeHours = (batch, currentDate) => {
   // If we don't have perishability metadata, treat as non-perishable.
   if (!hasLife || !hasManufacture) return Number.POSITIVE_INFINITY;
 
-  const hours = remainingShelfLifeHours(batch, currentDate);
+  const hours = remainingShelfLifeHours(batch, currentDate, avgTempC);
   return Number.isFinite(hours) ? hours : Number.POSITIVE_INFINITY;
 };
 
@@ -89,6 +118,8 @@ const applyWarehouseTransfersToBatches = ({
   batches,
   transfers,
   currentDate,
+  avgTempC = 25,
+  splitTag = "",
 }) => {
   if (!Array.isArray(transfers) || transfers.length === 0) {
     return { batches, appliedTransfers: [] };
@@ -114,8 +145,8 @@ const applyWarehouseTransfersToBatches = ({
           currentDate instanceof Date && !Number.isNaN(currentDate.getTime())
             ? currentDate
             : new Date();
-        const aLife = safeRemainingShelfLifeHours(a, when);
-        const bLife = safeRemainingShelfLifeHours(b, when);
+        const aLife = safeRemainingShelfLifeHours(a, when, avgTempC);
+        const bLife = safeRemainingShelfLifeHours(b, when, avgTempC);
 
         // Prefer moving inventory that is closer to expiry first.
         if (aLife !== bLife) return aLife - bLife;
@@ -164,7 +195,7 @@ const applyWarehouseTransfersToBatches = ({
         splitSeq += 1;
         working.push({
           ...batch,
-          _id: `${batch._id?.toString?.() ?? String(batch._id)}-xfer-${splitSeq}`,
+          _id: `${batch._id?.toString?.() ?? String(batch._id)}-xfer-${splitTag}${splitSeq}`,
           currentNode: targetId,
           quantity_kg: takeQty,
         });
@@ -187,11 +218,82 @@ const applyWarehouseTransfersToBatches = ({
   return { batches: working, appliedTransfers };
 };
 
+/**
+ * Rebalance an in-memory batch list with the ML transfer planner
+ * Simulation only: nothing is written. Split lots get ids tagged with
+ * `splitTag`, so repeated runs over the same list stay unique.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.warehouses
+ * @param {Object[]} options.batches - Stored batches (not mutated)
+ * @param {Date} options.currentDate - Simulated time of the run
+ * @param {Object} options.tuning - {maxPairs, minTransferKg, overstockRatio, understockRatio, targetRatio}
+ * @param {string} options.mode - Planner mode (default warehouse_to_warehouse)
+ * @param {number} options.seed
+ * @param {number} options.avgTempC
+ * @param {string} options.splitTag
+ * @returns {Promise<Object>} {batches, appliedTransfers, suggestedCount, error}
+ */
+export async function planWarehouseTransfers({
+  warehouses,
+  batches,
+  currentDate,
+  tuning = {},
+  mode = "warehouse_to_warehouse",
+  seed,
+  avgTempC = 25,
+  splitTag = "",
+}) {
+  try {
+    const plannerResp = await callUpstream("ml", {
+      method: "post",
+      url: `${ML_SERVICE_URL}/transfers/plan`,
+      data: {
+        mode,
+        includeRoutes: false,
+        ...tuning,
+        seed,
+        ...buildTransferPlannerRequest({ warehouses, batches }),
+      },
+      headers: { "Content-Type": "application/json" },
+    });
+
+    const transfers = plannerResp?.data?.warehouse_to_warehouse;
+    const applied = applyWarehouseTransfersToBatches({
+      batches,
+      transfers,
+      currentDate,
+      avgTempC,
+      splitTag,
+    });
+    return {
+      ...applied,
+      suggestedCount: Array.isArray(transfers) ? transfers.length : 0,
+      error: null,
+    };
+  } catch (error) {
+    // The planner is optional; inventory just stays where it is
+    return {
+      batches,
+      appliedTransfers: [],
+      suggestedCount: 0,
+      error:
+        error?.response?.data?.error ||
+        error?.response?.data?.message ||
+        error?.message ||
+        "transfer planner error",
+    };
+  }
+}
+
 /**
  * REGULAR ALLOCATION (Rule-Based Baseline)
  * - Nearest warehouse to NGO
  * - FIFO batch selection (oldest first)
  * - Reactive: only responds to existing requests
+ *
+ * options.ngoOrgs replaces the live NGO query for replayable runs and
+ * options.distanceMatrix the cached node matrix (see allocateML).
  */
 export async function allocateRegular(
   requests,
@@ -202,6 +304,15 @@ export async function allocateRegular(
 ) {
   const allocations = [];
   const unusedBatches = [...batches];
+  const distanceMatrix =
+    options?.distanceMatrix !== undefined
+      ? options.distanceMatrix
+      : await loadDistanceMatrix();
+
+  // Ambient temperature for per-food-type decay curves (matches calcMetrics).
+  const avgTempC = Number.isFinite(Number(options?.avgTempC))
+    ? Number(options.avgTempC)
+    : 25;
 
   const dispatchTimeFloorRaw = options?.dispatchTimeFloor;
   const dispatchTimeFloor = dispatchTimeFloorRaw
@@ -220,7 +331,7 @@ export async function allocateRegular(
     !Number.isNaN(dispatchTimeCeil.getTime());
 
   // Fetch NGO organizations to map request.requesterNode (NGO ID) to Node
-  const ngoOrgs = await NGO.find().lean();
+  const ngoOrgs = options?.ngoOrgs ?? (await NGO.find().lean());
 
   // Build lookup to map NGO org id -> NGO node id for ML feature engineering joins.
   // The ML feature engineering expects requests.requesterNode to match nodes._id.
@@ -241,13 +352,6 @@ export async function allocateRegular(
     `[allocateRegular] Starting with ${requests.length} requests, ${ngoOrgs.length} NGO orgs, ${ngos.length} NGO nodes`
   );
 
-  const estimateTravelHours = (distanceKm) => {
-    const avgSpeedKmh = 40;
-    const baseHours = (Number(distanceKm) || 0) / avgSpeedKmh;
-    const breaks = Math.floor(baseHours / 4) * 0.5;
-    return baseHours + breaks;
-  };
-
   for (const request of requests) {
     let dispatchTime = request?.dispatchTime
       ? new Date(request.dispatchTime)
@@ -295,20 +399,15 @@ export async function allocateRegular(
       `[allocateRegular]  NGO location: [${ngoNode.location.coordinates.join(", ")}], warehouses: ${warehouses.length}`
     );
 
-    // Precompute warehouse distances once per request.
+    // Precompute warehouse -> NGO legs once per request.
     const warehousesByDistance = (warehouses || [])
       .map((warehouse) => {
-        const distance = haversineDistanceKm(
-          {
-            lat: ngoNode.location.coordinates[1],
-            lon: ngoNode.location.coordinates[0],
-          },
-          {
-            lat: warehouse.location.coordinates[1],
-            lon: warehouse.location.coordinates[0],
-          }
-        );
-        return { warehouse, distance };
+        const leg = legBetween(distanceMatrix, warehouse, ngoNode);
+        return {
+          warehouse,
+          distance: leg.distance_km,
+          travelHours: leg.travel_hours,
+        };
       })
       .sort((a, b) => a.distance - b.distance);
 
@@ -322,8 +421,13 @@ export async function allocateRegular(
       // Pick the nearest warehouse that has at least one eligible batch for this foodType.
       let sourceWarehouse = null;
       let sourceDistanceKm = Infinity;
+      let sourceTravelHours = null;
 
-      for (const { warehouse, distance } of warehousesByDistance) {
+      for (const {
+        warehouse,
+        distance,
+        travelHours,
+      } of warehousesByDistance) {
         const hasEligible = unusedBatches.some((b) => {
           if (b.foodType !== item.foodType) return false;
           if (b.status !== "stored") return false;
@@ -340,9 +444,17 @@ export async function allocateRegular(
             }
           }
 
-          const remainingHours = safeRemainingShelfLifeHours(b, dispatchTime);
+          const remainingHours = safeRemainingShelfLifeHours(
+            b,
+            dispatchTime,
+            avgTempC
+          );
           if (!(remainingHours > 0)) return false;
-          const freshnessAtDispatch = calculateFreshnessPct(b, dispatchTime);
+          const freshnessAtDispatch = calculateFreshnessPct(
+            b,
+            dispatchTime,
+            avgTempC
+          );
           return (
             Number.isFinite(freshnessAtDispatch) && freshnessAtDispatch > 0
           );
@@ -351,6 +463,7 @@ export async function allocateRegular(
         if (hasEligible) {
           sourceWarehouse = warehouse;
           sourceDistanceKm = distance;
+          sourceTravelHours = travelHours;
           break;
         }
       }
@@ -383,8 +496,16 @@ export async function allocateRegular(
         )
         .map((b) => ({
           batch: b,
-          remainingHours: safeRemainingShelfLifeHours(b, dispatchTime),
-          freshnessAtDispatch: calculateFreshnessPct(b, dispatchTime),
+          remainingHours: safeRemainingShelfLifeHours(
+            b,
+            dispatchTime,
+            avgTempC
+          ),
+          freshnessAtDispatch: calculateFreshnessPct(
+            b,
+            dispatchTime,
+            avgTempC
+          ),
         }))
         // Baseline: only require not spoiled at dispatch; it may expire during transport.
         .filter(
@@ -457,6 +578,7 @@ export async function allocateRegular(
           warehouse: sourceWarehouse._id,
           warehouseName: sourceWarehouse.name,
           distance_km: sourceDistanceKm,
+          travel_hours: sourceTravelHours,
           batches: usedBatches,
           strategy: "regular",
           dispatchTime: dispatchTime.toISOString(),
@@ -473,6 +595,11 @@ export async function allocateRegular(
  * - Calls ML service for demand prediction
  * - Pre-positions inventory based on forecasted hotspots
  * - Optimizes for freshness (60%) + distance (40%)
+ *
+ * Replayable runs pass options.env (ML_* overrides), options.ngoOrgs (the
+ * snapshot's NGO organizations instead of a live query) and options.seed
+ * (forwarded to the ML service calls). options.distanceMatrix supplies the
+ * node matrix (null: distance provider only) where Mongo isn't reachable.
  */
 export async function allocateML(
   requests,
@@ -483,9 +610,22 @@ export async function allocateML(
 ) {
   const allocations = [];
   let unusedBatches = [...batches];
+  const distanceMatrix =
+    options?.distanceMatrix !== undefined
+      ? options.distanceMatrix
+      : await loadDistanceMatrix();
+
+  // Per-run overrides of the ML_* tuning variables (see simulationRunner)
+  const env = { ...process.env, ...(options?.env || {}) };
+  const seed = Number.isInteger(options?.seed) ? options.seed : undefined;
 
   const simulationOnly = options?.simulationOnly === true;
 
+  // Ambient temperature for per-food-type decay curves (matches calcMetrics).
+  const avgTempC = Number.isFinite(Number(options?.avgTempC))
+    ? Number(options.avgTempC)
+    : 25;
+
   const transferPlannerDebug = {
     enabled: false,
     simulationOnly,
@@ -525,23 +665,23 @@ export async function allocateML(
     !Number.isNaN(dispatchTimeCeil.getTime());
 
   const preferredMinDeliveredFreshnessPct = Number(
-    process.env.ML_MIN_DELIVERED_FRESHNESS_PCT ?? 55
+    env.ML_MIN_DELIVERED_FRESHNESS_PCT ?? 55
   );
   const relaxedMinDeliveredFreshnessPct = Number(
-    process.env.ML_RELAXED_MIN_DELIVERED_FRESHNESS_PCT ?? 25
+    env.ML_RELAXED_MIN_DELIVERED_FRESHNESS_PCT ?? 25
   );
 
   // Strongly prefer nearby allocations to keep routes realistic.
   // If nothing is feasible within the cap (e.g., no eligible batches nearby), we fall back to the best overall option.
-  const maxPreferredDistanceKm = Number(process.env.ML_MAX_DISTANCE_KM ?? 250);
-  const distanceDecayKm = Number(process.env.ML_DISTANCE_DECAY_KM ?? 70);
+  const maxPreferredDistanceKm = Number(env.ML_MAX_DISTANCE_KM ?? 250);
+  const distanceDecayKm = Number(env.ML_DISTANCE_DECAY_KM ?? 70);
 
   // Hard limits to prevent pathological long-haul allocations.
-  const hardMaxDistanceKm = Number(process.env.ML_HARD_MAX_DISTANCE_KM ?? 450);
-  const topKWarehouses = Number(process.env.ML_TOP_K_WAREHOUSES ?? 12);
+  const hardMaxDistanceKm = Number(env.ML_HARD_MAX_DISTANCE_KM ?? 450);
+  const topKWarehouses = Number(env.ML_TOP_K_WAREHOUSES ?? 12);
 
   // Fetch NGO organizations to map request.requesterNode (NGO ID) to Node
-  const ngoOrgs = await NGO.find().lean();
+  const ngoOrgs = options?.ngoOrgs ?? (await NGO.find().lean());
 
   // Build lookup to map NGO org id -> NGO node id for ML feature engineering joins.
   // The ML feature engineering expects requests.requesterNode to match nodes._id.
@@ -558,11 +698,13 @@ export async function allocateML(
     ])
   );
 
-  // Optional ML context (anomaly/demand signals). Allocation still works without this.
+  // Optional demand context (anomaly signals) from the baseline forecaster or
+  // the ML service (DEMAND_FORECASTER). Allocation still works without this.
   let regionalSignals = new Map();
   try {
     const payload = {
       freq: "M",
+      seed,
       nodes: (warehouses || []).concat(ngos || []).map((n) => ({
         _id: n._id?.toString?.() ?? String(n._id),
         nodeId: n._id?.toString?.() ?? String(n._id),
@@ -582,6 +724,7 @@ export async function allocateML(
           return nodeId || orgId;
         })(),
         items: r.items,
+        createdOn: r.createdOn || null,
         requiredBy_iso: r.requiredBefore || r.requiredBy_iso || null,
         status: r.status || "pending",
       })),
@@ -613,12 +756,14 @@ export async function allocateML(
       })),
     };
 
-    const mlResp = await axios.post(`${ML_SERVICE_URL}/predict`, payload, {
-      timeout: 8000,
-      headers: { "Content-Type": "application/json" },
+    const forecast = await predictDemand(payload, {
+      mode: env.DEMAND_FORECASTER,
+      url: ML_SERVICE_URL,
+      asOf: hasReferenceDate ? referenceDate : new Date(),
+      ngoOrgs,
     });
 
-    const results = mlResp?.data?.results;
+    const results = forecast.results;
     if (Array.isArray(results)) {
       regionalSignals = new Map(
         results
@@ -634,37 +779,37 @@ export async function allocateML(
       );
     }
   } catch (_err) {
-    // ML signals are optional; allocation proceeds without them.
+    // Demand signals are optional; allocation proceeds without them.
   }
 
   // Optional: run transfer planner to rebalance warehouse inventory *before* allocation.
   // This is simulation-only: it mutates the in-memory batch snapshot and does not write to MongoDB.
   const enableTransferPlanner =
     options?.enableTransferPlanner === true ||
-    String(process.env.ML_ENABLE_TRANSFER_PLANNER ?? "0") === "1";
+    String(env.ML_ENABLE_TRANSFER_PLANNER ?? "0") === "1";
 
   const plannerTuning = {
     maxPairs: Number(
-      options?.transferPlannerMaxPairs ?? process.env.ML_TRANSFER_MAX_PAIRS ?? 5
+      options?.transferPlannerMaxPairs ?? env.ML_TRANSFER_MAX_PAIRS ?? 5
     ),
     minTransferKg: Number(
       options?.transferPlannerMinTransferKg ??
-        process.env.ML_TRANSFER_MIN_TRANSFER_KG ??
+        env.ML_TRANSFER_MIN_TRANSFER_KG ??
         200
     ),
     overstockRatio: Number(
       options?.transferPlannerOverstockRatio ??
-        process.env.ML_TRANSFER_OVERSTOCK_RATIO ??
+        env.ML_TRANSFER_OVERSTOCK_RATIO ??
         0.8
     ),
     understockRatio: Number(
       options?.transferPlannerUnderstockRatio ??
-        process.env.ML_TRANSFER_UNDERSTOCK_RATIO ??
+        env.ML_TRANSFER_UNDERSTOCK_RATIO ??
         0.4
     ),
     targetRatio: Number(
       options?.transferPlannerTargetRatio ??
-        process.env.ML_TRANSFER_TARGET_RATIO ??
+        env.ML_TRANSFER_TARGET_RATIO ??
         0.6
     ),
   };
@@ -765,7 +910,7 @@ export async function allocateML(
       transferPlannerDebug.attemptedRuns += 1;
       const plannerMode = String(
         options?.transferPlannerMode ??
-          process.env.ML_TRANSFER_PLANNER_MODE ??
+          env.ML_TRANSFER_PLANNER_MODE ??
           "warehouse_to_warehouse"
       ).toLowerCase();
 
@@ -782,17 +927,16 @@ export async function allocateML(
         overstockRatio: plannerTuning.overstockRatio,
         understockRatio: plannerTuning.understockRatio,
         targetRatio: plannerTuning.targetRatio,
+        seed,
         ...requestPayload,
       };
 
-      const plannerResp = await axios.post(
-        `${ML_SERVICE_URL}/transfers/plan`,
-        plannerReq,
-        {
-          timeout: 8000,
-          headers: { "Content-Type": "application/json" },
-        }
-      );
+      const plannerResp = await callUpstream("ml", {
+        method: "post",
+        url: `${ML_SERVICE_URL}/transfers/plan`,
+        data: plannerReq,
+        headers: { "Content-Type": "application/json" },
+      });
 
       const transfers = plannerResp?.data?.warehouse_to_warehouse;
       const suggestedCount = Array.isArray(transfers) ? transfers.length : 0;
@@ -801,6 +945,7 @@ export async function allocateML(
       const applied = applyWarehouseTransfersToBatches({
         batches: unusedBatches,
         transfers,
+        avgTempC,
         currentDate:
           now instanceof Date && !Number.isNaN(now.getTime())
             ? now
@@ -882,7 +1027,7 @@ export async function allocateML(
   const transferPlannerCronHours = (() => {
     const raw =
       options?.transferPlannerCronHours ??
-      process.env.ML_TRANSFER_CRON_HOURS ??
+      env.ML_TRANSFER_CRON_HOURS ??
       null;
     const n = Number(raw);
     return Number.isFinite(n) && n > 0 ? n : null;
@@ -915,15 +1060,8 @@ export async function allocateML(
     }
   }
 
-  const estimateTravelHours = (distanceKm) => {
-    const avgSpeedKmh = 40;
-    const baseHours = distanceKm / avgSpeedKmh;
-    const breaks = Math.floor(baseHours / 4) * 0.5;
-    return baseHours + breaks;
-  };
-
   // Allocate each request to nearest warehouse with best freshness
-  const maxCronRuns = Number(process.env.ML_TRANSFER_CRON_MAX_RUNS ?? 250);
+  const maxCronRuns = Number(env.ML_TRANSFER_CRON_MAX_RUNS ?? 250);
   let cronRuns = 0;
   let nextCronRunAt = null;
 
@@ -1058,17 +1196,12 @@ export async function allocateML(
       // If that yields nothing feasible (e.g., stock exists but outside top-K), expand to all within the hard cap.
       const allWarehouseCandidates = (warehouses || [])
         .map((warehouse) => {
-          const distance = haversineDistanceKm(
-            {
-              lat: ngoNode.location.coordinates[1],
-              lon: ngoNode.location.coordinates[0],
-            },
-            {
-              lat: warehouse.location.coordinates[1],
-              lon: warehouse.location.coordinates[0],
-            }
-          );
-          return { warehouse, distance };
+          const leg = legBetween(distanceMatrix, warehouse, ngoNode);
+          return {
+            warehouse,
+            distance: leg.distance_km,
+            travelHours: leg.travel_hours,
+          };
         })
         .filter(
           (x) =>
@@ -1085,8 +1218,11 @@ export async function allocateML(
       );
 
       const evaluateCandidates = (warehouseCandidates) => {
-        for (const { warehouse, distance } of warehouseCandidates) {
-          const travelHours = estimateTravelHours(distance);
+        for (const {
+          warehouse,
+          distance,
+          travelHours,
+        } of warehouseCandidates) {
           const minRemainingHoursRequired = travelHours + 2; // buffer for delays
 
           const deliveryTime = new Date(
@@ -1113,8 +1249,16 @@ export async function allocateML(
             )
             .map((b) => ({
               batch: b,
-              remainingHours: safeRemainingShelfLifeHours(b, dispatchTime),
-              freshnessAtDelivery: calculateFreshnessPct(b, deliveryTime),
+              remainingHours: safeRemainingShelfLifeHours(
+                b,
+                dispatchTime,
+                avgTempC
+              ),
+              freshnessAtDelivery: calculateFreshnessPct(
+                b,
+                deliveryTime,
+                avgTempC
+              ),
             }))
             // Must exist and not be expired at dispatch; avoid intentionally spoiled-at-arrival.
             .filter(
@@ -1249,7 +1393,7 @@ export async function allocateML(
 
       // Prefer in-cap only when it can fulfill a meaningful share; otherwise allow a farther warehouse.
       const minInCapFulfillment = Number(
-        process.env.ML_MIN_INCAP_FULFILLMENT_RATIO ?? 0.6
+        env.ML_MIN_INCAP_FULFILLMENT_RATIO ?? 0.6
       );
       const useInCap =
         bestWarehouseInCap &&
@@ -1274,7 +1418,7 @@ export async function allocateML(
         usedBatches.push({
           batchId: batch._id,
           quantity: allocatedQty,
-          freshness: calculateFreshnessPct(batch, dispatchTime),
+          freshness: calculateFreshnessPct(batch, dispatchTime, avgTempC),
         });
 
         remaining -= allocatedQty;
@@ -1289,16 +1433,7 @@ export async function allocateML(
         }
       }
 
-      const distance = haversineDistanceKm(
-        {
-          lat: ngoNode.location.coordinates[1],
-          lon: ngoNode.location.coordinates[0],
-        },
-        {
-          lat: bestWarehouse.location.coordinates[1],
-          lon: bestWarehouse.location.coordinates[0],
-        }
-      );
+      const leg = legBetween(distanceMatrix, bestWarehouse, ngoNode);
 
       allocations.push({
         requestId: request.requestID,
@@ -1307,7 +1442,8 @@ export async function allocateML(
         allocated_kg: item.required_kg - remaining,
         warehouse: bestWarehouse._id,
         warehouseName: bestWarehouse.name,
-        distance_km: distance,
+        distance_km: leg.distance_km,
+        travel_hours: leg.travel_hours,
         batches: usedBatches,
         strategy: "ml",
         dispatchTime: dispatchTime.toISOString(),
@@ -1321,3 +1457,246 @@ export async function allocateML(
 
   return allocations;
 }
+
+/**
+ * OPTIMAL ALLOCATION (Min-Cost Flow Benchmark)
+ * - One flow network over every request item and batch at once:
+ *   source -> batch (stock) -> request item (feasible legs) -> sink (need)
+ * - Maximizes allocated kg, then minimizes distance + expected spoilage
+ *   (per kg: distance_km + OPT_SPOILAGE_WEIGHT_KM * share of life used up)
+ * - Hard constraints: batch supply, delivered freshness floor
+ *   (OPT_MIN_DELIVERED_FRESHNESS_PCT) and request.requiredBefore
+ *
+ * It sees the whole backlog up front, which no dispatch-time allocator
+ * can, so its metrics bound how far the heuristics are from optimal.
+ * Legs are limited to OPT_TOP_K_WAREHOUSES within OPT_MAX_DISTANCE_KM;
+ * the result is exact over that network. An item served from several
+ * warehouses yields one allocation per warehouse (required_kg split so
+ * that per-item totals match the request).
+ *
+ * Options as for allocateRegular, plus options.env for the OPT_* values.
+ * Solver stats are left on options._optimalDebug.
+ */
+export async function allocateOptimal(
+  requests,
+  batches,
+  warehouses,
+  ngos,
+  options = {}
+) {
+  const distanceMatrix =
+    options?.distanceMatrix !== undefined
+      ? options.distanceMatrix
+      : await loadDistanceMatrix();
+  const env = { ...process.env, ...(options?.env || {}) };
+
+  const avgTempC = Number.isFinite(Number(options?.avgTempC))
+    ? Number(options.avgTempC)
+    : 25;
+  const minDeliveredFreshnessPct = Number(
+    env.OPT_MIN_DELIVERED_FRESHNESS_PCT ?? 25
+  );
+  const maxDistanceKm = Number(env.OPT_MAX_DISTANCE_KM ?? 450);
+  const topKWarehouses = Number(env.OPT_TOP_K_WAREHOUSES ?? 25);
+  const spoilageWeightKm = Number(env.OPT_SPOILAGE_WEIGHT_KM ?? 200);
+
+  const clampDate = (raw) => {
+    const date = raw ? new Date(raw) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+  };
+  const dispatchTimeFloor = clampDate(options?.dispatchTimeFloor);
+  const dispatchTimeCeil = clampDate(options?.dispatchTimeCeil);
+
+  const ngoOrgs = options?.ngoOrgs ?? (await NGO.find().lean());
+  const ngoOrgById = new Map(
+    (ngoOrgs || []).map((org) => [org._id.toString(), org])
+  );
+  const ngoNodeByName = new Map((ngos || []).map((node) => [node.name, node]));
+
+  // Stock by warehouse + food type; only stored, non-empty batches supply
+  const stock = [];
+  const stockByKey = new Map();
+  for (const batch of batches || []) {
+    const qty = Number(batch.quantity_kg) || 0;
+    if (batch.status !== "stored" || !batch.currentNode || qty <= 0) continue;
+    const key = `${batch.currentNode.toString()}|${batch.foodType}`;
+    const entry = { batch, qty, node: 1 + stock.length };
+    stock.push(entry);
+    if (!stockByKey.has(key)) stockByKey.set(key, []);
+    stockByKey.get(key).push(entry);
+  }
+
+  // Request items with their dispatch time and candidate legs
+  const items = [];
+  for (const request of requests || []) {
+    let dispatchTime =
+      clampDate(request?.dispatchTime) ||
+      clampDate(request?.createdOn) ||
+      new Date();
+    if (dispatchTimeFloor && dispatchTime < dispatchTimeFloor) {
+      dispatchTime = dispatchTimeFloor;
+    }
+    if (dispatchTimeCeil && dispatchTime > dispatchTimeCeil) {
+      dispatchTime = dispatchTimeCeil;
+    }
+    const deadline = clampDate(request?.requiredBefore);
+
+    const ngoOrg = ngoOrgById.get(request.requesterNode?.toString());
+    const ngoNode = ngoOrg ? ngoNodeByName.get(ngoOrg.name) : null;
+    if (!ngoNode) {
+      debugAlloc(
+        `[allocateOptimal] No NGO node for request ${request.requestID}`
+      );
+      continue;
+    }
+
+    const legs = (warehouses || [])
+      .map((warehouse) => ({
+        warehouse,
+        ...legBetween(distanceMatrix, warehouse, ngoNode),
+      }))
+      .filter(
+        (leg) =>
+          Number.isFinite(leg.distance_km) && leg.distance_km <= maxDistanceKm
+      )
+      .sort((a, b) => a.distance_km - b.distance_km)
+      .slice(0, Math.max(1, topKWarehouses));
+
+    for (const item of request.items || []) {
+      const required = Number(item.required_kg) || 0;
+      if (required <= 0) continue;
+      items.push({ request, item, required, dispatchTime, deadline, legs });
+    }
+  }
+
+  const source = 0;
+  const itemNode = (index) => 1 + stock.length + index;
+  const sink = 1 + stock.length + items.length;
+  const network = createFlowNetwork(sink + 1);
+
+  for (const entry of stock) {
+    network.addEdge(source, entry.node, entry.qty, 0);
+  }
+
+  const arcs = [];
+  items.forEach((entry, index) => {
+    const { item, required, dispatchTime, deadline, legs } = entry;
+    network.addEdge(itemNode(index), sink, required, 0);
+
+    for (const leg of legs) {
+      const travelHours = Number(leg.travel_hours) || 0;
+      const deliveryTime = new Date(
+        dispatchTime.getTime() + travelHours * 3600 * 1000
+      );
+      if (deadline && deliveryTime > deadline) continue;
+
+      const supply =
+        stockByKey.get(`${leg.warehouse._id.toString()}|${item.foodType}`) ||
+        [];
+      for (const { batch, qty, node } of supply) {
+        const availRaw = batch.manufacture_date || batch.createdAt || null;
+        const availMs = availRaw ? new Date(availRaw).getTime() : NaN;
+        if (Number.isFinite(availMs) && availMs > dispatchTime.getTime()) {
+          continue;
+        }
+        if (!(safeRemainingShelfLifeHours(batch, dispatchTime, avgTempC) > 0)) {
+          continue;
+        }
+        const freshnessAtDelivery = calculateFreshnessPct(
+          batch,
+          deliveryTime,
+          avgTempC
+        );
+        if (
+          !Number.isFinite(freshnessAtDelivery) ||
+          freshnessAtDelivery <= 0 ||
+          freshnessAtDelivery < minDeliveredFreshnessPct
+        ) {
+          continue;
+        }
+
+        const costPerKg =
+          leg.distance_km +
+          spoilageWeightKm * (1 - Math.min(100, freshnessAtDelivery) / 100);
+        arcs.push({
+          edge: network.addEdge(
+            node,
+            itemNode(index),
+            Math.min(qty, required),
+            costPerKg
+          ),
+          item: index,
+          batch,
+          leg,
+        });
+      }
+    }
+  });
+
+  const solved = network.solve(source, sink);
+  debugAlloc(
+    `[allocateOptimal] ${items.length} items, ${stock.length} batches, ${arcs.length} arcs: ${solved.flow.toFixed(2)} kg in ${solved.augmentations} augmentations`
+  );
+
+  // Collect flow per item and warehouse
+  const servedByItem = new Map();
+  for (const arc of arcs) {
+    const qty = network.flowOn(arc.edge);
+    if (qty <= 0) continue;
+    if (!servedByItem.has(arc.item)) servedByItem.set(arc.item, new Map());
+    const byWarehouse = servedByItem.get(arc.item);
+    const key = arc.leg.warehouse._id.toString();
+    if (!byWarehouse.has(key)) {
+      byWarehouse.set(key, { leg: arc.leg, allocated: 0, batches: [] });
+    }
+    const served = byWarehouse.get(key);
+    served.allocated += qty;
+    served.batches.push({
+      batchId: arc.batch._id,
+      quantity: qty,
+      freshness: calculateFreshnessPct(
+        arc.batch,
+        items[arc.item].dispatchTime,
+        avgTempC
+      ),
+    });
+  }
+
+  const allocations = [];
+  items.forEach(({ request, item, required, dispatchTime }, index) => {
+    const served = [...(servedByItem.get(index)?.values() || [])].sort(
+      (a, b) => b.allocated - a.allocated
+    );
+    const unmet =
+      required - served.reduce((sum, row) => sum + row.allocated, 0);
+
+    served.forEach(({ leg, allocated, batches: usedBatches }, position) => {
+      allocations.push({
+        requestId: request.requestID,
+        foodType: item.foodType,
+        required_kg: allocated + (position === 0 ? Math.max(0, unmet) : 0),
+        allocated_kg: allocated,
+        warehouse: leg.warehouse._id,
+        warehouseName: leg.warehouse.name,
+        distance_km: leg.distance_km,
+        travel_hours: leg.travel_hours,
+        batches: usedBatches,
+        strategy: "optimal",
+        dispatchTime: dispatchTime.toISOString(),
+      });
+    });
+  });
+
+  if (options && typeof options === "object") {
+    options._optimalDebug = {
+      items: items.length,
+      batches: stock.length,
+      arcs: arcs.length,
+      allocatedKg: Math.round(solved.flow * 100) / 100,
+      objective: Math.round(solved.cost * 100) / 100,
+      augmentations: solved.augmentations,
+    };
+  }
+
+  return allocations;
+}
@@ -0,0 +1,339 @@
+/**
+ * Socket.IO scaling and replay
+ * Server instances share broadcasts through a pluggable adapter, and the
+ * messages of a room are numbered with a per-room, monotonically increasing
+ * sequence and kept in a bounded replay buffer, so a reconnecting client
+ * can resume from the last sequence it saw (see liveSubscriptions).
+ *
+ * SOCKET_ADAPTER:
+ * - 'memory' (default): in-process. Servers in the same process share
+ *   broadcasts, sequences and buffers, which makes it a stand-in for a
+ *   cluster in tests; in production it serves a single instance.
+ * - 'redis': @socket.io/redis-adapter over SOCKET_REDIS_URL; sequences and
+ *   buffers live in Redis so every instance numbers the same stream.
+ *   Needs the 'redis' and '@socket.io/redis-adapter' packages and sticky
+ *   sessions in front of the instances.
+ *
+ * Buffer: SOCKET_REPLAY_BUFFER messages per room (500), kept in Redis for
+ * SOCKET_REPLAY_TTL_SECONDS (86400) after the last message.
+ *
+ * Sequences restart when the store does (memory: on restart; redis: when a
+ * room's keys expire). Every store has an epoch id that changes with such a
+ * restart; a resume from another epoch replays what is buffered and
+ * reports the stream as incomplete.
+ */
+
+import crypto from "crypto";
+import { Adapter } from "socket.io-adapter";
+
+// Read on use: this module is imported before index.js loads .env
+const adapterName = () =>
+  (process.env.SOCKET_ADAPTER || "memory").toLowerCase();
+const replayBufferSize = () => Number(process.env.SOCKET_REPLAY_BUFFER ?? 500);
+const replayTtlSeconds = () =>
+  Number(process.env.SOCKET_REPLAY_TTL_SECONDS ?? 86400);
+
+/**
+ * Sequence and replay result of a room
+ * @param {Object[]} entries - Buffered entries, oldest first
+ * @param {number} latestSeq - Last sequence handed out in the room
+ */
+const replayFrom = (entries, latestSeq, lastSeq, sameEpoch) => {
+  const missed = sameEpoch
+    ? entries.filter((entry) => entry.seq > lastSeq)
+    : entries;
+  const oldest = entries.length ? entries[0].seq : latestSeq + 1;
+  return {
+    latestSeq,
+    entries: missed,
+    // Nothing was dropped between the client's last message and the buffer
+    complete: sameEpoch ? lastSeq >= oldest - 1 : oldest <= 1,
+  };
+};
+
+/**
+ * In-process sequence store
+ * @param {number} bufferSize - Messages kept per room
+ * @returns {Object} {epoch(), append(room, message), latest(room), since(room, lastSeq, epoch)}
+ */
+function createMemoryStore(bufferSize = replayBufferSize()) {
+  const epochId = crypto.randomUUID();
+  const rooms = new Map();
+
+  const stateOf = (room) => {
+    if (!rooms.has(room)) rooms.set(room, { seq: 0, entries: [] });
+    return rooms.get(room);
+  };
+
+  return {
+    async epoch() {
+      return epochId;
+    },
+    async append(room, message) {
+      const state = stateOf(room);
+      state.seq += 1;
+      const entry = { seq: state.seq, ...message };
+      state.entries.push(entry);
+      if (state.entries.length > bufferSize) state.entries.shift();
+      return entry;
+    },
+    async latest(room) {
+      return rooms.get(room)?.seq || 0;
+    },
+    async since(room, lastSeq, epoch) {
+      const state = stateOf(room);
+      return replayFrom(state.entries, state.seq, lastSeq, epoch === epochId);
+    },
+  };
+}
+
+/**
+ * Redis sequence store: INCR per room plus a capped list of entries
+ * The epoch expires with the buffers, and is replaced whenever a room's
+ * sequence (re)starts at 1, so sequences handed out before a key expired
+ * never pass for the same stream. The epoch is read from Redis on every
+ * use because any instance may replace it.
+ * @param {Object} client - Connected node-redis client
+ * @param {Object} options - {bufferSize, ttlSeconds, prefix}
+ */
+function createRedisStore(
+  client,
+  {
+    bufferSize = replayBufferSize(),
+    ttlSeconds = replayTtlSeconds(),
+    prefix = "socket:replay",
+  } = {}
+) {
+  const epochKey = `${prefix}:epoch`;
+  const seqKey = (room) => `${prefix}:seq:${room}`;
+  const logKey = (room) => `${prefix}:log:${room}`;
+
+  const epoch = async () => {
+    await client.set(epochKey, crypto.randomUUID(), {
+      NX: true,
+      EX: ttlSeconds,
+    });
+    return client.get(epochKey);
+  };
+
+  return {
+    epoch,
+    async append(room, message) {
+      const seq = await client.incr(seqKey(room));
+      if (seq === 1) {
+        await client.set(epochKey, crypto.randomUUID(), { EX: ttlSeconds });
+      }
+      const entry = { seq, ...message };
+      await client
+        .multi()
+        .rPush(logKey(room), JSON.stringify(entry))
+        .lTrim(logKey(room), -bufferSize, -1)
+        .expire(logKey(room), ttlSeconds)
+        .expire(seqKey(room), ttlSeconds)
+        .expire(epochKey, ttlSeconds)
+        .exec();
+      return entry;
+    },
+    async latest(room) {
+      return Number(await client.get(seqKey(room))) || 0;
+    },
+    async since(room, lastSeq, clientEpoch) {
+      const [latest, raw] = await Promise.all([
+        client.get(seqKey(room)),
+        client.lRange(logKey(room), 0, -1),
+      ]);
+      // Instances append concurrently, so the list is only roughly ordered
+      const entries = raw
+        .map((text) => JSON.parse(text))
+        .sort((a, b) => a.seq - b.seq);
+      return replayFrom(
+        entries,
+        Number(latest) || 0,
+        lastSeq,
+        clientEpoch === (await epoch())
+      );
+    },
+  };
+}
+
+/**
+ * In-memory cluster: every Server whose adapter comes from the same cluster
+ * receives the others' broadcasts, socket fetches and room changes, and all
+ * of them share one sequence store
+ * @param {Object} options - {bufferSize}
+ * @returns {Object} {name, adapter, store}
+ */
+function createMemoryCluster({ bufferSize = replayBufferSize() } = {}) {
+  const adapters = new Set();
+  const base = Adapter.prototype;
+
+  const peersOf = (self) =>
+    [...adapters].filter(
+      (adapter) => adapter !== self && adapter.nsp.name === self.nsp.name
+    );
+
+  class MemoryClusterAdapter extends Adapter {
+    constructor(nsp) {
+      super(nsp);
+      adapters.add(this);
+    }
+
+    close() {
+      adapters.delete(this);
+    }
+
+    broadcast(packet, opts) {
+      super.broadcast(packet, opts);
+      if (opts.flags?.local) return;
+      for (const peer of peersOf(this)) base.broadcast.call(peer, packet, opts);
+    }
+
+    async fetchSockets(opts) {
+      const local = await super.fetchSockets(opts);
+      if (opts.flags?.local) return local;
+      const remote = await Promise.all(
+        peersOf(this).map((peer) => base.fetchSockets.call(peer, opts))
+      );
+      return local.concat(...remote);
+    }
+
+    addSockets(opts, rooms) {
+      super.addSockets(opts, rooms);
+      if (opts.flags?.local) return;
+      for (const peer of peersOf(this)) base.addSockets.call(peer, opts, rooms);
+    }
+
+    delSockets(opts, rooms) {
+      super.delSockets(opts, rooms);
+      if (opts.flags?.local) return;
+      for (const peer of peersOf(this)) base.delSockets.call(peer, opts, rooms);
+    }
+
+    disconnectSockets(opts, close) {
+      super.disconnectSockets(opts, close);
+      if (opts.flags?.local) return;
+      for (const peer of peersOf(this)) {
+        base.disconnectSockets.call(peer, opts, close);
+      }
+    }
+
+    serverCount() {
+      return Promise.resolve(1 + peersOf(this).length);
+    }
+  }
+
+  return {
+    name: "memory",
+    adapter: MemoryClusterAdapter,
+    store: createMemoryStore(bufferSize),
+  };
+}
+
+const createRedisCluster = async () => {
+  const url = process.env.SOCKET_REDIS_URL || "redis://localhost:6379";
+  // Optional dependencies: only needed when SOCKET_ADAPTER=redis
+  const [{ createClient }, { createAdapter }] = await Promise.all([
+    import("redis"),
+    import("@socket.io/redis-adapter"),
+  ]);
+
+  const pubClient = createClient({ url });
+  const subClient = pubClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on("error", (error) =>
+      console.error("Socket.IO Redis client error:", error.message)
+    );
+  }
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  return {
+    name: "redis",
+    adapter: createAdapter(pubClient, subClient),
+    store: createRedisStore(pubClient),
+  };
+};
+
+// Process-wide cluster; 'memory' until attachSocketAdapter picks another
+let defaultCluster = null;
+let activeCluster = null;
+
+const clusterOf = () => {
+  if (!activeCluster) {
+    defaultCluster = defaultCluster || createMemoryCluster();
+    activeCluster = defaultCluster;
+  }
+  return activeCluster;
+};
+
+/**
+ * Install the configured adapter on a Socket.IO server
+ * Call before the server accepts connections.
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} options - {cluster}: createMemoryCluster() result (tests); default from SOCKET_ADAPTER
+ * @returns {Promise<string>} Adapter name
+ * @throws {Error} On an unknown SOCKET_ADAPTER or when Redis is unreachable
+ */
+async function attachSocketAdapter(io, { cluster = null } = {}) {
+  let selected = cluster;
+  if (!selected) {
+    const adapter = adapterName();
+    if (adapter === "redis") {
+      selected = await createRedisCluster();
+    } else if (adapter === "memory") {
+      defaultCluster = defaultCluster || createMemoryCluster();
+      selected = defaultCluster;
+    } else {
+      throw new Error(
+        `Unknown SOCKET_ADAPTER '${adapter}'. Use one of: memory, redis`
+      );
+    }
+  }
+
+  io.adapter(selected.adapter);
+  activeCluster = selected;
+  return selected.name;
+}
+
+/**
+ * Number a room message and keep it for replay
+ * @param {string} room
+ * @param {Object} message - {event, payload, ...}; stored as given
+ * @returns {Promise<Object>} Stored entry {seq, ...message}
+ */
+function recordRoomMessage(room, message) {
+  return clusterOf().store.append(room, message);
+}
+
+/**
+ * Current position of a room's stream
+ * @returns {Promise<Object>} {epoch, seq}
+ */
+async function roomPosition(room) {
+  const { store } = clusterOf();
+  const [epoch, seq] = await Promise.all([store.epoch(), store.latest(room)]);
+  return { epoch, seq };
+}
+
+/**
+ * Buffered messages after a client's last sequence
+ * @param {string} room
+ * @param {number} lastSeq - Last sequence the client saw (0: none)
+ * @param {string} epoch - Epoch the client's sequence belongs to
+ * @returns {Promise<Object>} {epoch, latestSeq, entries, complete}
+ */
+async function roomMessagesSince(room, lastSeq, epoch) {
+  const { store } = clusterOf();
+  const [currentEpoch, replay] = await Promise.all([
+    store.epoch(),
+    store.since(room, lastSeq, epoch),
+  ]);
+  return { epoch: currentEpoch, ...replay };
+}
+
+export {
+  attachSocketAdapter,
+  createMemoryCluster,
+  recordRoomMessage,
+  roomPosition,
+  roomMessagesSince,
+};
@@ -0,0 +1,268 @@
+/**
+ * Background spoilage sweeper
+ * Periodically recomputes freshness for live inventory from recorded
+ * temperature exposure, persists it, and transitions batches that reach 0%
+ * to status 'spoiled'
+ */
+
+import mongoose from "mongoose";
+import { Batch } from "../models/batch.model.js";
+import { Event } from "../models/event.model.js";
+import { emitAlert } from "./frameEmitter.js";
+import {
+  getBatchExposure,
+  createExposureCache,
+  preloadTimelines,
+} from "./coldChainService.js";
+import { releaseQueuedBatches, notifyUtilization } from "./capacityService.js";
+import { releaseBatchReservations } from "./fulfillmentService.js";
+
+// Statuses that still represent sellable inventory
+const SWEEP_STATUSES = ["stored", "in_transit", "queued", "reserved"];
+
+// Telemetry preloaded per source per sweep; older history is queried on
+// demand. Read on use: this module is imported before index.js loads .env
+const exposureCacheHours = () =>
+  Number(process.env.SPOILAGE_SWEEP_TELEMETRY_HOURS ?? 72);
+
+// Batches whose shipment history is loaded together
+const TIMELINE_CHUNK = 200;
+
+// Used when neither the current nor the origin node has a location
+const DEFAULT_COORDINATES = [78.9629, 20.5937]; // India center [lon, lat]
+
+// Sweep in progress (timer or manual trigger); shared so runs never overlap
+let inFlightSweep = null;
+
+const resolveLocation = (batch) => {
+  const candidates = [
+    batch.currentNode?.location,
+    batch.originNode?.location,
+    batch.metadata?.coordinates,
+  ];
+  for (const loc of candidates) {
+    if (Array.isArray(loc?.coordinates) && loc.coordinates.length === 2) {
+      return { type: "Point", coordinates: loc.coordinates };
+    }
+  }
+  return { type: "Point", coordinates: DEFAULT_COORDINATES };
+};
+
+/**
+ * Sweep all perishable batches once
+ * @param {Object} io - Socket.IO server instance (optional)
+ * @param {Date} now - Sweep timestamp
+ * @returns {Promise<Object>} Sweep summary
+ */
+async function sweepBatches(io, now) {
+  const cursor = Batch.find({
+    status: { $in: SWEEP_STATUSES },
+    shelf_life_hours: { $gt: 0 },
+    manufacture_date: { $ne: null },
+  })
+    .populate("currentNode originNode", "name type district location")
+    .lean()
+    .cursor();
+
+  const summary = {
+    scanned: 0,
+    updated: 0,
+    spoiled: 0,
+    released: 0,
+    releasedRequests: 0,
+    spoiledBatchIds: [],
+  };
+  const freedNodes = new Map();
+  const freshnessOps = [];
+  const spoiledBatches = [];
+  const cache = createExposureCache({
+    since: new Date(now.getTime() - exposureCacheHours() * 60 * 60 * 1000),
+    until: now,
+  });
+
+  const evaluate = async (batches) => {
+    await preloadTimelines(cache, batches);
+    for (const batch of batches) {
+      summary.scanned += 1;
+      const { freshnessPct } = await getBatchExposure(batch, { now, cache });
+
+      if (freshnessPct <= 0) {
+        spoiledBatches.push(batch);
+        continue;
+      }
+
+      if (freshnessPct !== batch.freshnessPct) {
+        freshnessOps.push({
+          updateOne: {
+            filter: { _id: batch._id },
+            update: { $set: { freshnessPct } },
+          },
+        });
+      }
+    }
+  };
+
+  let chunk = [];
+  for await (const batch of cursor) {
+    chunk.push(batch);
+    if (chunk.length >= TIMELINE_CHUNK) {
+      await evaluate(chunk);
+      chunk = [];
+    }
+  }
+  if (chunk.length) await evaluate(chunk);
+
+  if (freshnessOps.length > 0) {
+    const result = await Batch.bulkWrite(freshnessOps, { ordered: false });
+    summary.updated = result.modifiedCount || 0;
+  }
+
+  for (const batch of spoiledBatches) {
+    // Guard on status so a batch shipped/delivered mid-sweep is not overwritten
+    const updated = await Batch.findOneAndUpdate(
+      { _id: batch._id, status: batch.status },
+      {
+        status: "spoiled",
+        freshnessPct: 0,
+        $push: {
+          history: {
+            time: now,
+            action: "spoiled",
+            from: batch.currentNode?._id || null,
+            to: batch.currentNode?._id || null,
+            note: `Freshness reached 0% while ${batch.status}`,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    const location = resolveLocation(batch);
+    await Event.create({
+      time: now,
+      type: "batch_spoiled",
+      location,
+      payload: {
+        batchId: batch._id,
+        foodType: batch.foodType,
+        quantity_kg: batch.quantity_kg,
+        previousStatus: batch.status,
+        node: batch.currentNode
+          ? {
+              nodeId: batch.currentNode._id,
+              name: batch.currentNode.name,
+              type: batch.currentNode.type,
+              district: batch.currentNode.district,
+            }
+          : null,
+        manufacture_date: batch.manufacture_date,
+        shelf_life_hours: batch.shelf_life_hours,
+      },
+    });
+
+    emitAlert(io, {
+      type: "batch_spoiled",
+      severity: "warning",
+      message: `Batch ${batch._id} (${batch.foodType || "unknown"}, ${batch.quantity_kg || 0} kg) spoiled at ${batch.currentNode?.name || "unknown node"}`,
+      batchId: batch._id,
+      nodeId: batch.currentNode?._id || null,
+      coordinates: location.coordinates,
+    });
+
+    summary.spoiled += 1;
+    summary.spoiledBatchIds.push(batch._id);
+    if (batch.status === "stored" && batch.currentNode) {
+      freedNodes.set(batch.currentNode._id.toString(), batch.currentNode);
+    }
+  }
+
+  // Requests holding spoiled stock get their allocation back
+  const requestUpdates = await releaseBatchReservations(
+    summary.spoiledBatchIds,
+    { time: now, note: "Reservation released: batch spoiled" }
+  );
+  summary.releasedRequests = requestUpdates.length;
+
+  // Spoiled stock no longer occupies space: admit queued inventory
+  for (const node of freedNodes.values()) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const released = await releaseQueuedBatches(node._id, {
+        session,
+        time: now,
+      });
+      await session.commitTransaction();
+      summary.released += released.length;
+    } catch (error) {
+      // Another placement claimed the node; its queue is released next sweep
+      await session.abortTransaction();
+      if (error.code !== "ECAPACITYCONFLICT") throw error;
+    } finally {
+      session.endSession();
+    }
+    await notifyUtilization(io, node._id);
+  }
+
+  return summary;
+}
+
+/**
+ * Run one sweep over all perishable batches
+ * Only one sweep runs at a time per process: while the scheduled or a
+ * manually triggered sweep is in progress, callers share its result.
+ *
+ * @param {Object} options
+ * @param {Object} options.io - Socket.IO server instance (optional)
+ * @param {Date} options.now - Sweep timestamp (default: now)
+ * @returns {Promise<Object>} Summary {scanned, updated, spoiled, released,
+ *   releasedRequests, spoiledBatchIds}
+ */
+function runSpoilageSweep({ io = null, now = new Date() } = {}) {
+  if (!inFlightSweep) {
+    inFlightSweep = sweepBatches(io, now).finally(() => {
+      inFlightSweep = null;
+    });
+  }
+  return inFlightSweep;
+}
+
+/**
+ * Start the periodic sweeper
+ * Interval comes from SPOILAGE_SWEEP_INTERVAL_MINUTES (default 15, 0 disables).
+ * Runs never overlap: a tick is skipped while any sweep is still running.
+ *
+ * @param {Object} io - Socket.IO server instance
+ * @returns {Function} stop() to clear the timer
+ */
+function startSpoilageSweeper(io) {
+  const intervalMinutes = Number(
+    process.env.SPOILAGE_SWEEP_INTERVAL_MINUTES ?? 15
+  );
+  if (!Number.isFinite(intervalMinutes) || intervalMinutes <= 0) {
+    console.log("🧊 Spoilage sweeper disabled");
+    return () => {};
+  }
+
+  const tick = async () => {
+    if (inFlightSweep) return;
+    try {
+      const summary = await runSpoilageSweep({ io });
+      console.log(
+        `🧊 Spoilage sweep: scanned ${summary.scanned}, refreshed ${summary.updated}, spoiled ${summary.spoiled}`
+      );
+    } catch (error) {
+      console.error("Spoilage sweep failed:", error.message);
+    }
+  };
+
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref?.();
+  tick();
+
+  console.log(`🧊 Spoilage sweeper running every ${intervalMinutes} min`);
+  return () => clearInterval(timer);
+}
+
+export { runSpoilageSweep, startSpoilageSweeper };
@@ -0,0 +1,344 @@
+/**
+ * Parameter sweep
+ * Expands ranges of simulation variables into a grid, runs every point on
+ * one shared snapshot and seed in a worker_threads pool and returns the
+ * metrics per point, ranked, so tuning can be picked empirically.
+ *
+ * Pool size: SWEEP_WORKERS (default: cores - 1, at least 1)
+ * Grid cap: SWEEP_MAX_COMBINATIONS (64)
+ * Per-point limit: SWEEP_JOB_TIMEOUT_MS (300000)
+ */
+
+import os from "os";
+import crypto from "crypto";
+import { Worker } from "worker_threads";
+import { ApiError } from "../utils/ApiError.js";
+import {
+  simulationEnvKeys,
+  resolveSimulationEnv,
+  resolveRunParams,
+  loadSnapshot,
+} from "./simulationRunner.js";
+import {
+  getDistanceMatrix,
+  serializeDistanceMatrix,
+} from "./distanceMatrixService.js";
+
+// Read on use: this module is imported before index.js loads .env
+
+// An integer >= 1; anything else (unset, empty, non-numeric) uses the default
+const sweepWorkers = () => {
+  const workers = Math.floor(Number(process.env.SWEEP_WORKERS));
+  return Number.isFinite(workers) && workers >= 1
+    ? workers
+    : Math.max(1, os.cpus().length - 1);
+};
+const maxCombinations = () => Number(process.env.SWEEP_MAX_COMBINATIONS ?? 64);
+const jobTimeoutMs = () => Number(process.env.SWEEP_JOB_TIMEOUT_MS ?? 300000);
+
+const WORKER_URL = new URL("./sweepWorker.js", import.meta.url);
+
+// These shape the snapshot or the run window, not the allocation, so they
+// can only be set once for the whole sweep (env / query)
+const FIXED_KEYS = [
+  "SIM_WINDOW_DAYS",
+  "SIM_BACKLOG_REQUEST_LIMIT",
+  "SIM_SNAPSHOT_REQUEST_LIMIT",
+  "SIM_SNAPSHOT_BATCH_LIMIT",
+  "SIM_DISPATCH_MODE",
+  "SIM_STEP_HOURS",
+];
+
+// calcMetrics outputs a sweep can rank by; the rest rank highest first
+const METRIC_KEYS = [
+  "fulfilledRequests",
+  "totalAllocated",
+  "fulfillmentRate",
+  "totalDistanceKm",
+  "avgDistance",
+  "avgFreshness",
+  "deliveredKg",
+  "deliveredAvgFreshness",
+  "deliveredSpoiledKg",
+  "deliveredAtRiskKg",
+];
+const LOWER_IS_BETTER = [
+  "totalDistanceKm",
+  "avgDistance",
+  "deliveredSpoiledKg",
+  "deliveredAtRiskKg",
+];
+
+const round6 = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Values of one swept variable
+ * @param {string} key
+ * @param {Array|Object|string|number} spec - [values], {from, to, step} or a single value
+ * @returns {Array}
+ */
+function expandValues(key, spec) {
+  if (Array.isArray(spec)) {
+    if (!spec.length) {
+      throw new ApiError(400, `'${key}' needs at least one value`);
+    }
+    return [...new Set(spec)];
+  }
+
+  if (spec && typeof spec === "object") {
+    const from = Number(spec.from);
+    const to = Number(spec.to);
+    const step = Number(spec.step);
+    if (![from, to, step].every(Number.isFinite) || step <= 0 || to < from) {
+      throw new ApiError(
+        400,
+        `'${key}' range needs numeric from <= to and step > 0`
+      );
+    }
+    const values = [];
+    for (let i = 0; round6(from + i * step) <= to; i++) {
+      values.push(round6(from + i * step));
+      if (values.length > maxCombinations()) break;
+    }
+    return values;
+  }
+
+  return [spec];
+}
+
+/**
+ * Cartesian product of the swept variables
+ * @param {Object} parameters - {KEY: values | {from, to, step}}
+ * @returns {Object[]} [{KEY: value}] in a stable order
+ * @throws {ApiError} 400 on unknown/fixed keys or a grid over the cap
+ */
+function expandGrid(parameters) {
+  if (!parameters || typeof parameters !== "object") {
+    throw new ApiError(400, "'parameters' must map variables to value ranges");
+  }
+  const keys = Object.keys(parameters);
+  if (!keys.length) {
+    throw new ApiError(400, "'parameters' must name at least one variable");
+  }
+
+  const allowed = simulationEnvKeys();
+  const unknown = keys.filter((key) => !allowed.includes(key));
+  if (unknown.length) {
+    throw new ApiError(
+      400,
+      `Unknown simulation variables: ${unknown.join(", ")}`,
+      allowed
+    );
+  }
+  const fixed = keys.filter((key) => FIXED_KEYS.includes(key));
+  if (fixed.length) {
+    throw new ApiError(
+      400,
+      `${fixed.join(", ")} shape the snapshot and cannot be swept; set them in 'env'`
+    );
+  }
+
+  const cap = maxCombinations();
+  let grid = [{}];
+  for (const key of keys) {
+    const values = expandValues(key, parameters[key]);
+    if (grid.length * values.length > cap) {
+      throw new ApiError(
+        400,
+        `Sweep has more than ${cap} combinations; narrow the ranges`
+      );
+    }
+    grid = grid.flatMap((point) =>
+      values.map((value) => ({ ...point, [key]: value }))
+    );
+  }
+  return grid;
+}
+
+/**
+ * Fixed-size worker pool; a crashed or timed-out worker fails its job and
+ * is replaced while work remains
+ * @param {Object} options - {size, workerData, timeoutMs}
+ * @returns {Object} {run(message) -> Promise<result>, close()}
+ */
+function createWorkerPool({ size, workerData, timeoutMs = jobTimeoutMs() }) {
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  let closed = false;
+
+  const settle = (worker, result) => {
+    clearTimeout(worker.timer);
+    const job = worker.job;
+    worker.job = null;
+    job?.resolve(result);
+  };
+
+  const dispatch = (worker) => {
+    const job = queue.shift();
+    if (!job) {
+      idle.push(worker);
+      return;
+    }
+    worker.job = job;
+    worker.timer = setTimeout(() => {
+      worker.timedOut = true;
+      worker.terminate();
+    }, timeoutMs);
+    worker.postMessage(job.message);
+  };
+
+  const spawn = () => {
+    const worker = new Worker(WORKER_URL, { workerData });
+    workers.add(worker);
+
+    worker.on("message", (result) => {
+      settle(worker, result);
+      dispatch(worker);
+    });
+    worker.on("error", (error) => {
+      if (worker.job) {
+        settle(worker, { index: worker.job.message.index, error: error.message });
+      }
+    });
+    worker.on("exit", () => {
+      workers.delete(worker);
+      const position = idle.indexOf(worker);
+      if (position >= 0) idle.splice(position, 1);
+      if (worker.job) {
+        settle(worker, {
+          index: worker.job.message.index,
+          error: worker.timedOut
+            ? `Timed out after ${timeoutMs} ms`
+            : "Worker exited unexpectedly",
+        });
+      }
+      if (!closed && queue.length) dispatch(spawn());
+    });
+
+    return worker;
+  };
+
+  for (let i = 0; i < size; i++) idle.push(spawn());
+
+  return {
+    run(message) {
+      return new Promise((resolve) => {
+        queue.push({ message, resolve });
+        if (idle.length) dispatch(idle.pop());
+      });
+    },
+    async close() {
+      closed = true;
+      await Promise.all([...workers].map((worker) => worker.terminate()));
+    },
+  };
+}
+
+/**
+ * Run a parameter sweep
+ *
+ * @param {Object} options
+ * @param {string} options.kind - 'simulate' (default) | 'compare' | 'rolling'
+ * @param {Object} options.query - Run parameters of the kind (see resolveRunParams)
+ * @param {Object} options.envOverrides - Variables fixed for every point
+ * @param {Object} options.parameters - Swept variables: {KEY: [values] | {from, to, step}}
+ * @param {number} options.seed - Shared by every point (random if omitted)
+ * @param {string} options.rankBy - calcMetrics key (default fulfillmentRate)
+ * @param {string} options.strategy - Metrics ranked: 'ml' (default) or any strategy the run compares
+ * @returns {Promise<Object>} {kind, params, seed, snapshotHash, rankBy, strategy, workers, durationMs, combinations, ranking, best}
+ */
+async function runSweep({
+  kind = "simulate",
+  query = {},
+  envOverrides = {},
+  parameters,
+  seed = null,
+  rankBy = "fulfillmentRate",
+  strategy = "ml",
+}) {
+  if (!METRIC_KEYS.includes(rankBy)) {
+    throw new ApiError(
+      400,
+      `Invalid rankBy '${rankBy}'. Use one of: ${METRIC_KEYS.join(", ")}`
+    );
+  }
+
+  const grid = expandGrid(parameters);
+  const baseEnv = resolveSimulationEnv(envOverrides);
+  const points = grid.map((overrides) =>
+    resolveSimulationEnv({ ...envOverrides, ...overrides })
+  );
+  const params = resolveRunParams(kind, query, baseEnv);
+  const strategies = params.strategies || ["regular", "ml"];
+  if (!strategies.includes(strategy)) {
+    throw new ApiError(
+      400,
+      `Invalid strategy. Use one of: ${strategies.join(", ")}`
+    );
+  }
+
+  const startedAt = Date.now();
+  const snapshot = await loadSnapshot(kind, params, baseEnv);
+  let distanceMatrix = null;
+  try {
+    distanceMatrix = serializeDistanceMatrix(await getDistanceMatrix());
+  } catch (error) {
+    console.error("Sweep without distance matrix:", error.message);
+  }
+
+  const runSeed = Number.isInteger(seed) ? seed : crypto.randomInt(2 ** 31);
+  const size = Math.max(1, Math.min(sweepWorkers(), grid.length));
+  const pool = createWorkerPool({
+    size,
+    workerData: {
+      kind,
+      params,
+      snapshot: snapshot.buffer,
+      distanceMatrix,
+    },
+  });
+
+  let results;
+  try {
+    results = await Promise.all(
+      points.map((env, index) => pool.run({ index, env, seed: runSeed }))
+    );
+  } finally {
+    await pool.close();
+  }
+
+  const combinations = grid.map((overrides, index) => ({
+    index,
+    overrides,
+    metrics: results[index].metrics || null,
+    error: results[index].error || null,
+    durationMs: results[index].durationMs ?? null,
+  }));
+
+  const direction = LOWER_IS_BETTER.includes(rankBy) ? 1 : -1;
+  const ranking = combinations
+    .filter((row) => row.metrics?.[strategy])
+    .sort(
+      (a, b) =>
+        direction *
+        (a.metrics[strategy][rankBy] - b.metrics[strategy][rankBy])
+    )
+    .map((row) => row.index);
+
+  return {
+    kind,
+    params,
+    seed: runSeed,
+    snapshotHash: snapshot.hash,
+    rankBy,
+    strategy,
+    workers: size,
+    durationMs: Date.now() - startedAt,
+    combinations,
+    ranking,
+    best: ranking.length ? combinations[ranking[0]] : null,
+  };
+}
+
+export { runSweep };
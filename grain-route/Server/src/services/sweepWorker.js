@@ -0,0 +1,37 @@
+/**
+ * Sweep worker
+ * Runs grid points of a parameter sweep (see sweepService) on the snapshot
+ * handed over at start-up. There is no Mongo connection here: NGO orgs come
+ * from the snapshot and node legs from the matrix rows the pool passes in.
+ */
+
+import { parentPort, workerData } from "worker_threads";
+import { unpackSnapshot, runSnapshot } from "./simulationRunner.js";
+import { hydrateDistanceMatrix } from "./distanceMatrixService.js";
+
+const { kind, params, snapshot, distanceMatrix } = workerData;
+const { data } = unpackSnapshot(Buffer.from(snapshot));
+const matrix = distanceMatrix ? hydrateDistanceMatrix(distanceMatrix) : null;
+
+parentPort.on("message", async ({ index, env, seed }) => {
+  const startedAt = Date.now();
+  try {
+    // Allocators consume batch quantities; every point starts from a copy
+    const { metrics } = await runSnapshot(kind, structuredClone(data), params, {
+      env,
+      seed,
+      distanceMatrix: matrix,
+    });
+    parentPort.postMessage({
+      index,
+      metrics,
+      durationMs: Date.now() - startedAt,
+    });
+  } catch (error) {
+    parentPort.postMessage({
+      index,
+      error: error.message,
+      durationMs: Date.now() - startedAt,
+    });
+  }
+});
@@ -0,0 +1,332 @@
+/**
+ * Outbound client for upstream services
+ * Calls to the ML, simulation, transport and scenario services go through
+ * callUpstream(service, config), which applies that service's policy:
+ * - a timeout per attempt
+ * - retries with exponential backoff and jitter on network errors,
+ *   timeouts, 429 and 5xx (other 4xx are the caller's fault and fail at
+ *   once); services with non-idempotent calls get no retries by default
+ * - a circuit breaker: after `failureThreshold` consecutive failed calls the
+ *   service is not contacted for `resetMs` (callers get a 503 straight
+ *   away), then a single trial call decides whether it closes again
+ *
+ * Every call carries X-Request-Id: the correlation id of the HTTP request
+ * being served (correlation.middleware), or a fresh one for background
+ * work. Breaker state and metrics are per instance and are reported by
+ * GET /api/health/dependencies.
+ *
+ * Policy env per service, e.g. for 'ml': UPSTREAM_ML_TIMEOUT_MS,
+ * UPSTREAM_ML_RETRIES, UPSTREAM_ML_BACKOFF_MS,
+ * UPSTREAM_ML_FAILURE_THRESHOLD, UPSTREAM_ML_RESET_MS. They are read on
+ * first use (after .env is loaded); a value that is not a positive number
+ * (retries: a whole number, 0 allowed) keeps the default.
+ */
+
+import crypto from "crypto";
+import axios from "axios";
+import { ApiError } from "../utils/ApiError.js";
+import {
+  CORRELATION_HEADER,
+  currentCorrelationId,
+} from "../middleware/correlation.middleware.js";
+
+const DEFAULT_POLICY = {
+  timeoutMs: 10000,
+  retries: 1,
+  backoffMs: 250,
+  failureThreshold: 5,
+  resetMs: 30000,
+};
+
+const SERVICES = {
+  ml: {
+    description: "Backend-B demand prediction and transfer planner",
+    policy: { timeoutMs: 10000, retries: 1 },
+  },
+  simulation: {
+    description: "ML simulation service (SIMULATION_BASE_URL)",
+    policy: { timeoutMs: 10000, retries: 1 },
+  },
+  transport: {
+    description: "Backend-C transport time API (BACKEND_C_URL)",
+    policy: { timeoutMs: 5000, retries: 2 },
+  },
+  scenario: {
+    description: "Scenario generator (SCENARIO_BASE_URL)",
+    // Starting a scenario is not idempotent
+    policy: { timeoutMs: 10000, retries: 0 },
+  },
+};
+
+// Latency samples kept per service for avg / p95
+const LATENCY_SAMPLES = 100;
+
+const POLICY_ENV_KEYS = {
+  timeoutMs: "TIMEOUT_MS",
+  retries: "RETRIES",
+  backoffMs: "BACKOFF_MS",
+  failureThreshold: "FAILURE_THRESHOLD",
+  resetMs: "RESET_MS",
+};
+
+// Unset, empty or invalid values keep the default (an empty timeout would
+// otherwise become 0, which axios treats as no timeout)
+const validPolicyValue = (key, raw) => {
+  if (raw === undefined || String(raw).trim() === "") return false;
+  const value = Number(raw);
+  return key === "retries"
+    ? Number.isInteger(value) && value >= 0
+    : Number.isFinite(value) && value > 0;
+};
+
+const envPolicy = (name, defaults) => {
+  const policy = { ...DEFAULT_POLICY, ...defaults };
+  const prefix = `UPSTREAM_${name.toUpperCase()}`;
+  for (const [key, suffix] of Object.entries(POLICY_ENV_KEYS)) {
+    const raw = process.env[`${prefix}_${suffix}`];
+    if (validPolicyValue(key, raw)) {
+      policy[key] = Number(raw);
+    } else if (raw !== undefined) {
+      console.warn(
+        `⚠️ Ignoring ${prefix}_${suffix}='${raw}'; using ${policy[key]}`
+      );
+    }
+  }
+  return policy;
+};
+
+// Built on first use so the policies see the env loaded by index.js
+let upstreams = null;
+
+const registry = () => {
+  if (upstreams) return upstreams;
+  upstreams = new Map(
+    Object.entries(SERVICES).map(([name, service]) => [
+      name,
+      {
+        name,
+        description: service.description,
+        policy: envPolicy(name, service.policy),
+        state: "closed",
+        consecutiveFailures: 0,
+        openedAt: null,
+        trialInFlight: false,
+        metrics: {
+          calls: 0,
+          successes: 0,
+          failures: 0,
+          rejected: 0,
+          retries: 0,
+          timeouts: 0,
+          shortCircuited: 0,
+          latencies: [],
+          lastSuccessAt: null,
+          lastFailureAt: null,
+          lastError: null,
+        },
+      },
+    ])
+  );
+  return upstreams;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with up to 50% jitter so retries don't line up
+const backoffDelay = (baseMs, attempt) =>
+  baseMs * 2 ** (attempt - 1) * (1 + Math.random() * 0.5);
+
+const isTimeout = (error) =>
+  error?.code === "ECONNABORTED" || error?.code === "ETIMEDOUT";
+
+// Worth retrying and counted against the breaker: the upstream is unwell
+const isTransient = (error) => {
+  const status = error?.response?.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+};
+
+const recordLatency = (metrics, ms) => {
+  metrics.latencies.push(ms);
+  if (metrics.latencies.length > LATENCY_SAMPLES) metrics.latencies.shift();
+};
+
+/**
+ * Whether a call may go out; moves an expired open breaker to half_open
+ * and lets exactly one trial call through
+ */
+const admit = (upstream) => {
+  if (upstream.state === "open") {
+    if (Date.now() - upstream.openedAt < upstream.policy.resetMs) return false;
+    upstream.state = "half_open";
+    upstream.trialInFlight = false;
+  }
+  if (upstream.state === "half_open") {
+    if (upstream.trialInFlight) return false;
+    upstream.trialInFlight = true;
+  }
+  return true;
+};
+
+// The upstream answered (2xx/3xx, or a 4xx it meant)
+const markReachable = (upstream) => {
+  if (upstream.state !== "closed") {
+    console.log(`🟢 Upstream '${upstream.name}' recovered; circuit closed`);
+  }
+  upstream.state = "closed";
+  upstream.consecutiveFailures = 0;
+  upstream.openedAt = null;
+  upstream.trialInFlight = false;
+};
+
+const markFailed = (upstream, error) => {
+  const { metrics } = upstream;
+  upstream.consecutiveFailures += 1;
+  upstream.trialInFlight = false;
+  metrics.failures += 1;
+  metrics.lastFailureAt = new Date();
+  metrics.lastError = {
+    message: error.message,
+    status: error.response?.status ?? null,
+    code: error.code ?? null,
+  };
+
+  if (
+    upstream.state === "half_open" ||
+    upstream.consecutiveFailures >= upstream.policy.failureThreshold
+  ) {
+    if (upstream.state !== "open") {
+      console.warn(
+        `🔴 Upstream '${upstream.name}' circuit open for ${upstream.policy.resetMs} ms after ${upstream.consecutiveFailures} failure(s)`
+      );
+    }
+    upstream.state = "open";
+    upstream.openedAt = Date.now();
+  }
+};
+
+const upstreamOf = (service) => {
+  const upstream = registry().get(service);
+  if (!upstream) {
+    throw new Error(
+      `Unknown upstream '${service}'. Use one of: ${[...registry().keys()].join(", ")}`
+    );
+  }
+  return upstream;
+};
+
+/**
+ * HTTP call to an upstream under its policy
+ *
+ * @param {string} service - 'ml' | 'simulation' | 'transport' | 'scenario'
+ * @param {Object} config - axios request config ({method, url, data, params, headers})
+ * @param {number} config.timeout - Per-attempt override of the policy timeout
+ * @param {number} config.retries - Override of the policy retries
+ * @returns {Promise<Object>} axios response
+ * @throws The last axios error (response/request intact), or ApiError 503
+ * when the circuit is open
+ */
+async function callUpstream(service, { timeout, retries, ...config }) {
+  const upstream = upstreamOf(service);
+  const { policy, metrics } = upstream;
+  const correlationId = currentCorrelationId() || crypto.randomUUID();
+  metrics.calls += 1;
+
+  if (!admit(upstream)) {
+    metrics.shortCircuited += 1;
+    const retryAt = new Date(upstream.openedAt + policy.resetMs);
+    const error = new ApiError(
+      503,
+      `Upstream '${service}' is unavailable (circuit open until ${retryAt.toISOString()})`
+    );
+    error.code = "ECIRCUITOPEN";
+    throw error;
+  }
+
+  const attempts = 1 + Math.max(0, retries ?? policy.retries);
+  let lastError = null;
+  let attempt = 0;
+  while (attempt < attempts) {
+    if (attempt > 0) {
+      metrics.retries += 1;
+      await sleep(backoffDelay(policy.backoffMs, attempt));
+    }
+    attempt += 1;
+
+    const startedAt = Date.now();
+    try {
+      const response = await axios.request({
+        ...config,
+        timeout: timeout ?? policy.timeoutMs,
+        headers: { ...config.headers, [CORRELATION_HEADER]: correlationId },
+      });
+      recordLatency(metrics, Date.now() - startedAt);
+      metrics.successes += 1;
+      metrics.lastSuccessAt = new Date();
+      markReachable(upstream);
+      return response;
+    } catch (error) {
+      recordLatency(metrics, Date.now() - startedAt);
+      if (!isTransient(error)) {
+        metrics.rejected += 1;
+        markReachable(upstream);
+        throw error;
+      }
+      if (isTimeout(error)) metrics.timeouts += 1;
+      lastError = error;
+      // A trial call gets no retries: the breaker reopens right away
+      if (upstream.state === "half_open") break;
+    }
+  }
+
+  markFailed(upstream, lastError);
+  console.warn(
+    `⚠️ Upstream '${service}' failed after ${attempt} attempt(s) [${correlationId}]: ${lastError.message}`
+  );
+  throw lastError;
+}
+
+const percentile = (values, p) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+};
+
+/**
+ * Breaker state, policy and metrics of every upstream
+ * @returns {Object} {status: 'ok' | 'degraded', upstreams: [...]}
+ */
+function getUpstreamHealth() {
+  const list = [...registry().values()].map((upstream) => {
+    const { latencies, ...metrics } = upstream.metrics;
+    return {
+      name: upstream.name,
+      description: upstream.description,
+      state: upstream.state,
+      consecutiveFailures: upstream.consecutiveFailures,
+      retryAt:
+        upstream.state === "open"
+          ? new Date(upstream.openedAt + upstream.policy.resetMs)
+          : null,
+      policy: upstream.policy,
+      metrics: {
+        ...metrics,
+        avgLatencyMs: latencies.length
+          ? Math.round(
+              latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length
+            )
+          : null,
+        p95LatencyMs: percentile(latencies, 0.95),
+      },
+    };
+  });
+
+  return {
+    status: list.every((upstream) => upstream.state === "closed")
+      ? "ok"
+      : "degraded",
+    upstreams: list,
+  };
+}
+
+export { callUpstream, getUpstreamHealth };
@@ -1,19 +1,289 @@
 /**
  * Batch freshness and perishability calculations
- * Per architecture doc formula
+ * Per architecture doc formula, extended with per-food-type decay profiles
+ *
+ * A decay profile combines:
+ * - an environment model: how fast shelf life is consumed at a given
+ *   temperature/humidity, shaped around the profile's optimum
+ *   (rate factor)
+ * - a curve: how consumed shelf life maps to freshness percentage
+ *
+ * Life consumed: L = elapsed_hours * rate_factor / shelf_life_hours
+ * Freshness:     curve(L), 100 at L = 0 and 0 at L >= 1
+ *
+ * shelf_life_hours keeps its legacy meaning: the nominal life at the
+ * reference temperature (REFERENCE_TEMP_C, the legacy formula's 20°C
+ * baseline). Rate factors are normalised to 1 there, so a profile changes
+ * how fast life is consumed away from 20°C, not what stored values mean.
+ * maxTempC / maxHumidityPct mark cold-chain excursion limits.
+ * refrigerated marks food that may only travel in refrigerated vehicles.
+ */
+
+// Rate factors never drop below this (cold storage slows decay, never stops it)
+const MIN_RATE_FACTOR = 0.05;
+
+// Temperature at which shelf_life_hours is consumed at rate 1
+const REFERENCE_TEMP_C = 20;
+
+const GAS_CONSTANT_KJ = 0.008314; // kJ / (mol·K)
+
+/**
+ * Environment models: (profile, tempC, humidityPct) => rate factor
+ */
+const decayModels = new Map([
+  [
+    // Legacy formula: temp_factor = 1 + max(0, (avg_temp_c - 20) / 10) * 0.5
+    "linear",
+    (profile, tempC) =>
+      1 +
+      Math.max(0, (tempC - profile.optimalTempC) / 10) *
+        (profile.tempSlope ?? 0.5),
+  ],
+  [
+    // Q10 rule: rate multiplies by q10 for every 10°C above the optimum
+    "q10",
+    (profile, tempC) =>
+      Math.pow(profile.q10 ?? 2, (tempC - profile.optimalTempC) / 10),
+  ],
+  [
+    // Arrhenius: k(T)/k(Topt) = exp(Ea/R * (1/Topt - 1/T))
+    "arrhenius",
+    (profile, tempC) => {
+      const tOpt = profile.optimalTempC + 273.15;
+      const t = tempC + 273.15;
+      const ea = profile.activationEnergyKJ ?? 80;
+      return Math.exp((ea / GAS_CONSTANT_KJ) * (1 / tOpt - 1 / t));
+    },
+  ],
+  [
+    // Q10 temperature response scaled by excess relative humidity
+    "humidity",
+    (profile, tempC, humidityPct) => {
+      const tempFactor = Math.pow(
+        profile.q10 ?? 2,
+        (tempC - profile.optimalTempC) / 10
+      );
+      const rh = Number.isFinite(humidityPct)
+        ? humidityPct
+        : (profile.optimalHumidityPct ?? 60);
+      const excess = Math.max(0, rh - (profile.optimalHumidityPct ?? 60));
+      return (
+        tempFactor * (1 + (excess / 10) * (profile.humiditySensitivity ?? 0.2))
+      );
+    },
+  ],
+]);
+
+/**
+ * Freshness curves: (lifeFraction, profile) => freshness percentage
+ */
+const decayCurves = new Map([
+  ["linear", (lifeFraction) => 100 * (1 - lifeFraction)],
+  [
+    // Fast early loss, normalised so freshness reaches 0 at L = 1
+    "exponential",
+    (lifeFraction, profile) => {
+      const k = profile.curvature ?? 2;
+      return (
+        (100 * (Math.exp(-k * lifeFraction) - Math.exp(-k))) /
+        (1 - Math.exp(-k))
+      );
+    },
+  ],
+]);
+
+/**
+ * Built-in profiles keyed by foodType (lowercase). `aliases` lets
+ * several commodity names share a profile.
+ */
+const decayProfiles = new Map();
+
+/**
+ * Register (or replace) a decay profile
+ * @param {string} foodType - Profile key, matched case-insensitively
+ * @param {Object} profile - {model, curve, optimalTempC, referenceTempC,
+ *   aliases, ...model params}; referenceTempC defaults to REFERENCE_TEMP_C
+ */
+function registerDecayProfile(foodType, profile) {
+  const key = String(foodType).trim().toLowerCase();
+  const model = profile.model || "linear";
+  const curve = profile.curve || "linear";
+
+  if (!decayModels.has(model)) {
+    throw new Error(`Unknown decay model '${model}'`);
+  }
+  if (!decayCurves.has(curve)) {
+    throw new Error(`Unknown decay curve '${curve}'`);
+  }
+  if (!Number.isFinite(profile.optimalTempC)) {
+    throw new Error(`Decay profile '${key}' requires a numeric optimalTempC`);
+  }
+  const referenceTempC = profile.referenceTempC ?? REFERENCE_TEMP_C;
+  if (!Number.isFinite(referenceTempC)) {
+    throw new Error(`Decay profile '${key}' has a non-numeric referenceTempC`);
+  }
+
+  decayProfiles.set(key, {
+    ...profile,
+    name: key,
+    model,
+    curve,
+    referenceTempC,
+    aliases: (profile.aliases || []).map((a) => String(a).toLowerCase()),
+  });
+}
+
+/**
+ * Register a custom environment model
+ * @param {string} name - Model name referenced by profiles
+ * @param {Function} rateFactor - (profile, tempC, humidityPct) => number
+ */
+function registerDecayModel(name, rateFactor) {
+  decayModels.set(name, rateFactor);
+}
+
+registerDecayProfile("default", {
+  model: "linear",
+  curve: "linear",
+  optimalTempC: 20,
+  tempSlope: 0.5,
+  maxTempC: 35,
+});
+
+registerDecayProfile("grains", {
+  model: "humidity",
+  curve: "linear",
+  optimalTempC: 15,
+  q10: 2,
+  optimalHumidityPct: 60,
+  humiditySensitivity: 0.25,
+  maxTempC: 35,
+  maxHumidityPct: 75,
+  aliases: [
+    "grain",
+    "rice",
+    "wheat",
+    "maize",
+    "corn",
+    "millet",
+    "barley",
+    "pulses",
+    "lentils",
+    "dal",
+    "flour",
+    "cereals",
+  ],
+});
+
+registerDecayProfile("dairy", {
+  model: "arrhenius",
+  curve: "exponential",
+  optimalTempC: 4,
+  activationEnergyKJ: 80,
+  curvature: 1.5,
+  maxTempC: 8,
+  refrigerated: true,
+  aliases: ["milk", "curd", "yogurt", "cheese", "paneer", "butter", "ghee"],
+});
+
+registerDecayProfile("produce", {
+  model: "q10",
+  curve: "exponential",
+  optimalTempC: 10,
+  q10: 2.5,
+  curvature: 2,
+  maxTempC: 20,
+  maxHumidityPct: 95,
+  aliases: [
+    "vegetables",
+    "vegetable",
+    "fruits",
+    "fruit",
+    "tomato",
+    "tomatoes",
+    "potato",
+    "potatoes",
+    "onion",
+    "onions",
+    "leafy_greens",
+    "greens",
+  ],
+});
+
+/**
+ * Resolve the decay profile for a food type (falls back to 'default')
+ * @param {string} foodType
+ * @returns {Object} Profile
+ */
+function getDecayProfile(foodType) {
+  if (foodType) {
+    const key = String(foodType).trim().toLowerCase();
+    if (decayProfiles.has(key)) return decayProfiles.get(key);
+    for (const profile of decayProfiles.values()) {
+      if (profile.aliases.includes(key)) return profile;
+    }
+  }
+  return decayProfiles.get("default");
+}
+
+/**
+ * List registered profiles (for API/debug output)
+ * @returns {Object[]}
+ */
+function listDecayProfiles() {
+  return [...decayProfiles.values()];
+}
+
+/**
+ * Rate at which shelf life is consumed relative to nominal
+ * The model's factor is divided by its value at the profile's reference
+ * temperature (optimal humidity), where shelf_life_hours applies as-is.
+ * @param {Object} profile - Decay profile
+ * @param {number} tempC - Temperature in Celsius
+ * @param {number} humidityPct - Relative humidity (optional)
+ * @returns {number} Rate factor (>= MIN_RATE_FACTOR)
  */
+function decayRateFactor(profile, tempC, humidityPct) {
+  const model = decayModels.get(profile.model) || decayModels.get("linear");
+  const reference = model(
+    profile,
+    profile.referenceTempC ?? REFERENCE_TEMP_C
+  );
+  const factor = model(profile, tempC, humidityPct) / reference;
+  return Number.isFinite(factor) ? Math.max(MIN_RATE_FACTOR, factor) : 1;
+}
+
+/**
+ * Map consumed shelf life to a freshness percentage
+ * @param {Object} profile - Decay profile
+ * @param {number} lifeFraction - Consumed fraction of shelf life
+ * @returns {number} Freshness percentage (0-100, unrounded)
+ */
+function freshnessFromLifeFraction(profile, lifeFraction) {
+  if (lifeFraction <= 0) return 100;
+  if (lifeFraction >= 1) return 0;
+  const curve = decayCurves.get(profile.curve) || decayCurves.get("linear");
+  return Math.min(100, Math.max(0, curve(lifeFraction, profile)));
+}
 
 /**
  * Calculate freshness percentage at a given timestamp
- * Formula: freshnessPct = max(0, 100 - (elapsed_hours / shelf_life_hours) * 100 * temp_factor)
- * temp_factor = 1 + max(0, (avg_temp_c - 20) / 10) * 0.5
+ * Formula: freshnessPct = curve(elapsed_hours * rate_factor / shelf_life_hours)
+ * For foodTypes without a profile this reduces to the original
+ * max(0, 100 - (elapsed_hours / shelf_life_hours) * 100 * temp_factor)
  *
- * @param {Object} batch - Batch document with manufacture_date, shelf_life_hours, initial_temp_c
+ * @param {Object} batch - Batch document with manufacture_date, shelf_life_hours, foodType
  * @param {Date} currentDate - Timestamp to calculate freshness at
  * @param {number} avgTemp - Average ambient temperature in Celsius (default: 25)
+ * @param {Object} conditions - Optional {humidityPct}
  * @returns {number} Freshness percentage (0-100)
  */
-function calculateFreshnessPct(batch, currentDate, avgTemp = 25) {
+function calculateFreshnessPct(
+  batch,
+  currentDate,
+  avgTemp = 25,
+  conditions = {}
+) {
   if (!batch.manufacture_date) {
     // No manufacture date, assume fresh
     return 100;
@@ -28,14 +298,11 @@ function calculateFreshnessPct(batch, currentDate, avgTemp = 25) {
   const elapsedMs = currentDate - manufactureDate;
   const elapsedHours = elapsedMs / (1000 * 60 * 60);
 
-  // Temperature factor: higher temps accelerate spoilage
-  const tempFactor = 1 + Math.max(0, (avgTemp - 20) / 10) * 0.5;
+  const profile = getDecayProfile(batch.foodType);
+  const rateFactor = decayRateFactor(profile, avgTemp, conditions.humidityPct);
+  const lifeFraction = (elapsedHours * rateFactor) / batch.shelf_life_hours;
 
-  // Calculate freshness with temperature adjustment
-  const freshnessPct = Math.max(
-    0,
-    100 - (elapsedHours / batch.shelf_life_hours) * 100 * tempFactor
-  );
+  const freshnessPct = freshnessFromLifeFraction(profile, lifeFraction);
 
   return Math.round(freshnessPct * 100) / 100; // Round to 2 decimals
 }
@@ -45,30 +312,159 @@ function calculateFreshnessPct(batch, currentDate, avgTemp = 25) {
  * @param {Object} batch - Batch document
  * @param {Date} currentDate - Timestamp to check
  * @param {number} avgTemp - Average ambient temperature
+ * @param {Object} conditions - Optional {humidityPct}
  * @returns {boolean} True if spoiled (freshness <= 0)
  */
-function isSpoiled(batch, currentDate, avgTemp = 25) {
-  return calculateFreshnessPct(batch, currentDate, avgTemp) <= 0;
+function isSpoiled(batch, currentDate, avgTemp = 25, conditions = {}) {
+  return calculateFreshnessPct(batch, currentDate, avgTemp, conditions) <= 0;
 }
 
 /**
  * Calculate remaining shelf life in hours
+ * Assumes the given conditions hold from now until spoilage.
  * @param {Object} batch - Batch document
  * @param {Date} currentDate - Current timestamp
  * @param {number} avgTemp - Average ambient temperature
+ * @param {Object} conditions - Optional {humidityPct}
  * @returns {number} Hours remaining before spoilage
  */
-function remainingShelfLifeHours(batch, currentDate, avgTemp = 25) {
-  const freshness = calculateFreshnessPct(batch, currentDate, avgTemp);
+function remainingShelfLifeHours(
+  batch,
+  currentDate,
+  avgTemp = 25,
+  conditions = {}
+) {
+  const freshness = calculateFreshnessPct(
+    batch,
+    currentDate,
+    avgTemp,
+    conditions
+  );
   if (freshness <= 0) return 0;
 
-  const tempFactor = 1 + Math.max(0, (avgTemp - 20) / 10) * 0.5;
+  const profile = getDecayProfile(batch.foodType);
+  const rateFactor = decayRateFactor(profile, avgTemp, conditions.humidityPct);
   const manufactureDate = new Date(batch.manufacture_date);
   const elapsedMs = currentDate - manufactureDate;
   const elapsedHours = elapsedMs / (1000 * 60 * 60);
 
-  const totalLifeWithTemp = batch.shelf_life_hours / tempFactor;
+  const totalLifeWithTemp = batch.shelf_life_hours / rateFactor;
   return Math.max(0, totalLifeWithTemp - elapsedHours);
 }
 
-export { calculateFreshnessPct, isSpoiled, remainingShelfLifeHours };
+/**
+ * Calculate freshness from a measured temperature/humidity history
+ * Integrates the decay rate over each exposure interval instead of assuming
+ * one constant temperature. Time not covered by any interval (before the
+ * first reading, sensor gaps) uses the fallback temperature.
+ *
+ * @param {Object} batch - Batch document with manufacture_date, shelf_life_hours, foodType
+ * @param {Object[]} intervals - [{start, end, temp_c, humidity_pct}]
+ * @param {Date} currentDate - Timestamp to calculate freshness at
+ * @param {number} fallbackTemp - Temperature for uncovered time (default: 25)
+ * @returns {{freshnessPct: number, lifeFraction: number, coveredHours: number, avgTempC: number|null}}
+ */
+function calculateExposureFreshness(
+  batch,
+  intervals,
+  currentDate,
+  fallbackTemp = 25
+) {
+  if (
+    !batch.manufacture_date ||
+    !batch.shelf_life_hours ||
+    batch.shelf_life_hours <= 0
+  ) {
+    return {
+      freshnessPct: 100,
+      lifeFraction: 0,
+      coveredHours: 0,
+      avgTempC: null,
+    };
+  }
+
+  const profile = getDecayProfile(batch.foodType);
+  const startMs = new Date(batch.manufacture_date).getTime();
+  const endMs = new Date(currentDate).getTime();
+  const hourMs = 1000 * 60 * 60;
+
+  const sorted = (intervals || [])
+    .map((i) => ({
+      start: Math.max(startMs, new Date(i.start).getTime()),
+      end: Math.min(endMs, new Date(i.end).getTime()),
+      temp_c: Number(i.temp_c),
+      humidity_pct: Number(i.humidity_pct),
+    }))
+    .filter((i) => i.end > i.start && Number.isFinite(i.temp_c))
+    .sort((a, b) => a.start - b.start);
+
+  let cursor = startMs;
+  let effectiveHours = 0;
+  let coveredHours = 0;
+  let tempHours = 0;
+
+  const consume = (fromMs, toMs, tempC, humidityPct) => {
+    if (toMs <= fromMs) return;
+    const hours = (toMs - fromMs) / hourMs;
+    effectiveHours += hours * decayRateFactor(profile, tempC, humidityPct);
+    tempHours += hours * tempC;
+  };
+
+  for (const interval of sorted) {
+    if (interval.end <= cursor) continue;
+    const from = Math.max(cursor, interval.start);
+    consume(cursor, from, fallbackTemp);
+    consume(from, interval.end, interval.temp_c, interval.humidity_pct);
+    coveredHours += (interval.end - from) / hourMs;
+    cursor = interval.end;
+  }
+  consume(cursor, endMs, fallbackTemp);
+
+  const totalHours = Math.max(0, (endMs - startMs) / hourMs);
+  const lifeFraction = effectiveHours / batch.shelf_life_hours;
+  const freshnessPct = freshnessFromLifeFraction(profile, lifeFraction);
+
+  return {
+    freshnessPct: Math.round(freshnessPct * 100) / 100,
+    lifeFraction: Math.round(lifeFraction * 10000) / 10000,
+    coveredHours: Math.round(coveredHours * 100) / 100,
+    avgTempC:
+      totalHours > 0 ? Math.round((tempHours / totalHours) * 100) / 100 : null,
+  };
+}
+
+/**
+ * Check a reading against a profile's cold-chain limits
+ * @param {Object} profile - Decay profile
+ * @param {number} tempC - Measured temperature
+ * @param {number} humidityPct - Measured relative humidity (optional)
+ * @returns {string[]} Violated limits (empty when within range)
+ */
+function detectExcursion(profile, tempC, humidityPct) {
+  const violations = [];
+  if (Number.isFinite(profile.maxTempC) && tempC > profile.maxTempC) {
+    violations.push(`temperature ${tempC}°C > ${profile.maxTempC}°C`);
+  }
+  if (
+    Number.isFinite(profile.maxHumidityPct) &&
+    Number.isFinite(humidityPct) &&
+    humidityPct > profile.maxHumidityPct
+  ) {
+    violations.push(`humidity ${humidityPct}% > ${profile.maxHumidityPct}%`);
+  }
+  return violations;
+}
+
+export {
+  calculateFreshnessPct,
+  calculateExposureFreshness,
+  detectExcursion,
+  isSpoiled,
+  remainingShelfLifeHours,
+  getDecayProfile,
+  listDecayProfiles,
+  registerDecayProfile,
+  registerDecayModel,
+  decayRateFactor,
+  freshnessFromLifeFraction,
+};
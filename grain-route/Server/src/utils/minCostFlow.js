@@ -0,0 +1,156 @@
+/**
+ * Min-cost flow solver
+ * Successive shortest paths with Dijkstra on reduced costs (Johnson
+ * potentials). Capacities may be fractional (kg); costs must be
+ * non-negative, which keeps the first potentials at zero.
+ */
+
+const EPS = 1e-9;
+
+/**
+ * Binary min-heap of [key, value] pairs
+ */
+function createHeap() {
+  const items = [];
+
+  const swap = (i, j) => {
+    [items[i], items[j]] = [items[j], items[i]];
+  };
+
+  return {
+    get size() {
+      return items.length;
+    },
+    push(key, value) {
+      items.push([key, value]);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent][0] <= items[i][0]) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && items[left][0] < items[smallest][0]) {
+            smallest = left;
+          }
+          if (right < items.length && items[right][0] < items[smallest][0]) {
+            smallest = right;
+          }
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+/**
+ * Flow network over nodes 0..nodeCount-1
+ * @param {number} nodeCount
+ * @returns {Object} {addEdge(from, to, capacity, cost) -> edgeId, solve(source, sink, maxFlow), flowOn(edgeId)}
+ */
+function createFlowNetwork(nodeCount) {
+  // Edge i and its residual twin i ^ 1 live side by side
+  const to = [];
+  const capacity = [];
+  const cost = [];
+  const adjacency = Array.from({ length: nodeCount }, () => []);
+
+  const addEdge = (from, target, cap, edgeCost) => {
+    if (!(edgeCost >= 0)) {
+      throw new Error(`Edge cost must be non-negative, got ${edgeCost}`);
+    }
+    const id = to.length;
+    to.push(target, from);
+    capacity.push(cap, 0);
+    cost.push(edgeCost, -edgeCost);
+    adjacency[from].push(id);
+    adjacency[target].push(id + 1);
+    return id;
+  };
+
+  /**
+   * Push as much flow as possible (up to maxFlow) at minimum cost
+   * @returns {Object} {flow, cost, augmentations}
+   */
+  const solve = (source, sink, maxFlow = Infinity) => {
+    const potential = new Array(nodeCount).fill(0);
+    let totalFlow = 0;
+    let totalCost = 0;
+    let augmentations = 0;
+
+    while (totalFlow < maxFlow - EPS) {
+      const dist = new Array(nodeCount).fill(Infinity);
+      const viaEdge = new Array(nodeCount).fill(-1);
+      const heap = createHeap();
+      dist[source] = 0;
+      heap.push(0, source);
+
+      while (heap.size) {
+        const [d, node] = heap.pop();
+        if (d > dist[node]) continue;
+        for (const id of adjacency[node]) {
+          if (capacity[id] <= EPS) continue;
+          const next = to[id];
+          // Reduced costs are >= 0 up to rounding; clamp the noise away
+          const reduced = Math.max(
+            0,
+            cost[id] + potential[node] - potential[next]
+          );
+          if (d + reduced < dist[next] - EPS) {
+            dist[next] = d + reduced;
+            viaEdge[next] = id;
+            heap.push(dist[next], next);
+          }
+        }
+      }
+
+      if (dist[sink] === Infinity) break;
+      for (let node = 0; node < nodeCount; node++) {
+        if (dist[node] < Infinity) potential[node] += dist[node];
+      }
+
+      let push = maxFlow - totalFlow;
+      for (let node = sink; node !== source; node = to[viaEdge[node] ^ 1]) {
+        push = Math.min(push, capacity[viaEdge[node]]);
+      }
+      for (let node = sink; node !== source; node = to[viaEdge[node] ^ 1]) {
+        const id = viaEdge[node];
+        capacity[id] -= push;
+        capacity[id ^ 1] += push;
+        totalCost += push * cost[id];
+      }
+      totalFlow += push;
+      augmentations += 1;
+    }
+
+    return { flow: totalFlow, cost: totalCost, augmentations };
+  };
+
+  // Flow on an edge is the capacity gathered by its residual twin
+  const flowOn = (id) => (capacity[id ^ 1] > EPS ? capacity[id ^ 1] : 0);
+
+  return {
+    addEdge,
+    solve,
+    flowOn,
+    get edgeCount() {
+      return to.length / 2;
+    },
+  };
+}
+
+export { createFlowNetwork };
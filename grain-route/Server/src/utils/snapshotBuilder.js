@@ -20,7 +20,12 @@ async function buildMLSnapshot(targetDate, filters = {}) {
 
   // Query all nodes
   const nodeFilter = {};
-  if (states && states.length) nodeFilter.state = { $in: states };
+  if (states && states.length) {
+    nodeFilter.$or = [
+      { state: { $in: states } },
+      { regionId: { $in: states } },
+    ];
+  }
   if (districts && districts.length) nodeFilter.district = { $in: districts };
   if (nodeIds && nodeIds.length) nodeFilter._id = { $in: nodeIds };
 
@@ -57,10 +62,12 @@ async function buildMLSnapshot(targetDate, filters = {}) {
         (n) => n._id.toString() === batch.currentNode?.toString()
       );
       if (node) {
-        const regionKey = `${node.state}-${node.district}`;
+        // Nodes carry regionId in place of a state
+        const state = node.state || node.regionId || "Unknown";
+        const regionKey = `${state}-${node.district}`;
         if (!inventoryByRegion[regionKey]) {
           inventoryByRegion[regionKey] = {
-            state: node.state,
+            state,
             district: node.district,
             stored_kg: 0,
             batch_count: 0,
@@ -91,9 +98,10 @@ async function buildMLSnapshot(targetDate, filters = {}) {
     nodes: nodes.map((n) => ({
       _id: n._id,
       nodeId: n._id,
+      name: n.name,
       type: n.type,
       district: n.district,
-      state: n.state || "Unknown",
+      state: n.state || n.regionId || "Unknown",
       location: n.location,
       capacity_kg: n.capacity_kg,
     })),
@@ -101,7 +109,9 @@ async function buildMLSnapshot(targetDate, filters = {}) {
       _id: r._id,
       requestId: r.requestID || r.requestId,
       requesterNode: r.requesterNode,
+      destinationNode: r.destinationNode,
       items: r.items,
+      createdOn: r.createdOn,
       requiredBy_iso: r.requiredBefore || r.requiredBy_iso,
       status: r.status,
     })),